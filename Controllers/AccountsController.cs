@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.ModelBinding;
 using LibreMetaverse;
 using RadegastWeb.Models;
 using RadegastWeb.Services;
@@ -38,6 +39,51 @@ namespace RadegastWeb.Controllers
             }
         }
 
+        /// <summary>
+        /// Set the order of accounts in the sidebar
+        /// </summary>
+        [HttpPut("order")]
+        public async Task<IActionResult> ReorderAccounts([FromBody] AccountOrderDto order)
+        {
+            try
+            {
+                await _accountService.ReorderAccountsAsync(order.AccountIds ?? new List<Guid>());
+                return Ok(new { message = "Account order saved" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error reordering accounts");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// Set the sidebar folder and tags of an account
+        /// </summary>
+        [HttpPut("{id}/organization")]
+        public async Task<IActionResult> UpdateOrganization(Guid id, [FromBody] AccountOrganizationDto organization)
+        {
+            try
+            {
+                var updated = await _accountService.UpdateAccountOrganizationAsync(id, organization);
+                if (!updated)
+                {
+                    return NotFound(new { message = "Account not found" });
+                }
+
+                return Ok(new { message = "Folder and tags saved" });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating folder and tags for account {AccountId}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
         /// <summary>
         /// Get a specific account
         /// </summary>
@@ -76,6 +122,10 @@ namespace RadegastWeb.Controllers
                 var createdAccount = await _accountService.CreateAccountAsync(account);
                 return CreatedAtAction(nameof(GetAccount), new { id = createdAccount.Id }, createdAccount);
             }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error creating account");
@@ -109,6 +159,10 @@ namespace RadegastWeb.Controllers
 
                 return Ok(updatedAccount);
             }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error updating account {AccountId}", id);
@@ -139,20 +193,24 @@ namespace RadegastWeb.Controllers
         }
 
         /// <summary>
-        /// Login an account
+        /// Login an account, optionally at a different start location than the saved one
         /// </summary>
         [HttpPost("{id}/login")]
-        public async Task<IActionResult> LoginAccount(Guid id)
+        public async Task<IActionResult> LoginAccount(Guid id, [FromBody(EmptyBodyBehavior = EmptyBodyBehavior.Allow)] AccountLoginDto? request = null)
         {
             try
             {
-                var result = await _accountService.LoginAccountAsync(id);
+                var result = await _accountService.LoginAccountAsync(id, request?.StartLocation);
                 if (!result)
                 {
                     return BadRequest("Login failed");
                 }
                 return Ok(new { message = "Login successful" });
             }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error logging in account {AccountId}", id);
@@ -802,6 +860,213 @@ namespace RadegastWeb.Controllers
                 return StatusCode(500, "Internal server error");
             }
         }
+
+        /// <summary>
+        /// Get the weekly online schedule for an account
+        /// </summary>
+        [HttpGet("{id}/schedule")]
+        public async Task<ActionResult<AccountScheduleConfig>> GetSchedule(Guid id)
+        {
+            try
+            {
+                var scheduleService = HttpContext.RequestServices.GetRequiredService<IAccountScheduleService>();
+                var config = await scheduleService.GetScheduleAsync(id);
+
+                return Ok(config);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting schedule for account {AccountId}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// Replace the weekly online schedule for an account
+        /// </summary>
+        [HttpPut("{id}/schedule")]
+        public async Task<IActionResult> UpdateSchedule(Guid id, [FromBody] AccountScheduleConfig config)
+        {
+            try
+            {
+                var account = await _accountService.GetAccountAsync(id);
+                if (account == null)
+                {
+                    return NotFound(new { message = "Account not found" });
+                }
+
+                var scheduleService = HttpContext.RequestServices.GetRequiredService<IAccountScheduleService>();
+                await scheduleService.SaveScheduleAsync(id, config);
+
+                return Ok(new { message = "Schedule saved successfully", config });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving schedule for account {AccountId}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// Get chat highlight rules for an account
+        /// </summary>
+        [HttpGet("{id}/highlight-rules")]
+        public async Task<ActionResult<HighlightRulesConfig>> GetHighlightRules(Guid id)
+        {
+            try
+            {
+                var highlightRuleService = HttpContext.RequestServices.GetRequiredService<IHighlightRuleService>();
+                var config = await highlightRuleService.GetHighlightRulesAsync(id);
+
+                return Ok(config);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting highlight rules for account {AccountId}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// Replace chat highlight rules for an account
+        /// </summary>
+        [HttpPut("{id}/highlight-rules")]
+        public async Task<IActionResult> UpdateHighlightRules(Guid id, [FromBody] HighlightRulesConfig config)
+        {
+            try
+            {
+                var account = await _accountService.GetAccountAsync(id);
+                if (account == null)
+                {
+                    return NotFound(new { message = "Account not found" });
+                }
+
+                var highlightRuleService = HttpContext.RequestServices.GetRequiredService<IHighlightRuleService>();
+                await highlightRuleService.SaveHighlightRulesAsync(id, config);
+
+                return Ok(new { message = "Highlight rules saved successfully", config });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving highlight rules for account {AccountId}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// Get the account's in-world mute list
+        /// </summary>
+        [HttpGet("{id}/mute-list")]
+        public async Task<ActionResult<List<MuteEntryDto>>> GetMuteList(Guid id)
+        {
+            try
+            {
+                var instance = _accountService.GetInstance(id);
+                if (instance == null)
+                {
+                    return NotFound(new { message = "Account not found" });
+                }
+
+                if (!instance.IsConnected)
+                {
+                    return BadRequest(new { message = "Account is not connected" });
+                }
+
+                return Ok(await instance.GetMuteListAsync());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting mute list for account {AccountId}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// Add an avatar, object or name to the account's in-world mute list
+        /// </summary>
+        [HttpPost("{id}/mute-list")]
+        public async Task<ActionResult<List<MuteEntryDto>>> AddMute(Guid id, [FromBody] MuteRequest request)
+        {
+            try
+            {
+                var instance = _accountService.GetInstance(id);
+                if (instance == null)
+                {
+                    return NotFound(new { message = "Account not found" });
+                }
+
+                if (!instance.IsConnected)
+                {
+                    return BadRequest(new { message = "Account is not connected" });
+                }
+
+                if (!Enum.TryParse<MuteType>(request.Type, true, out var muteType))
+                {
+                    return BadRequest(new { message = $"Unknown mute type '{request.Type}'" });
+                }
+
+                var muteId = UUID.Zero;
+                if (muteType != MuteType.ByName && !UUID.TryParse(request.Id, out muteId))
+                {
+                    return BadRequest(new { message = "Invalid avatar or object ID" });
+                }
+
+                if (string.IsNullOrWhiteSpace(request.Name))
+                {
+                    return BadRequest(new { message = "A name is required" });
+                }
+
+                instance.MuteEntity(muteType, muteId, request.Name.Trim());
+                return Ok(await instance.GetMuteListAsync(refresh: false));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error adding mute for account {AccountId}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// Remove an entry from the account's in-world mute list
+        /// </summary>
+        [HttpDelete("{id}/mute-list/{muteId}")]
+        public async Task<ActionResult<List<MuteEntryDto>>> RemoveMute(Guid id, string muteId, [FromQuery] string name = "")
+        {
+            try
+            {
+                var instance = _accountService.GetInstance(id);
+                if (instance == null)
+                {
+                    return NotFound(new { message = "Account not found" });
+                }
+
+                if (!instance.IsConnected)
+                {
+                    return BadRequest(new { message = "Account is not connected" });
+                }
+
+                if (!UUID.TryParse(muteId, out var muteUuid))
+                {
+                    return BadRequest(new { message = "Invalid avatar or object ID" });
+                }
+
+                instance.UnmuteEntity(muteUuid, name);
+                return Ok(await instance.GetMuteListAsync(refresh: false));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error removing mute for account {AccountId}", id);
+                return StatusCode(500, "Internal server error");
+            }
+        }
     }
 
     public class ToggleAutoSitRequest
@@ -0,0 +1,72 @@
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.SignalR;
+using RadegastWeb.Hubs;
+using RadegastWeb.Models;
+using RadegastWeb.Services;
+
+namespace RadegastWeb.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    public class CannedResponsesController : ControllerBase
+    {
+        private readonly ICannedResponseService _cannedResponseService;
+        private readonly IHubContext<RadegastHub, IRadegastHubClient> _hubContext;
+        private readonly ILogger<CannedResponsesController> _logger;
+
+        public CannedResponsesController(
+            ICannedResponseService cannedResponseService,
+            IHubContext<RadegastHub, IRadegastHubClient> hubContext,
+            ILogger<CannedResponsesController> logger)
+        {
+            _cannedResponseService = cannedResponseService;
+            _hubContext = hubContext;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Get the shared canned responses
+        /// </summary>
+        [HttpGet]
+        public async Task<ActionResult<CannedResponsesConfig>> GetCannedResponses()
+        {
+            try
+            {
+                var config = await _cannedResponseService.GetCannedResponsesAsync();
+                return Ok(config);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting canned responses");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// Replace the shared canned responses and push them to every connected browser
+        /// </summary>
+        [HttpPut]
+        public async Task<IActionResult> UpdateCannedResponses([FromBody] CannedResponsesConfig config)
+        {
+            try
+            {
+                await _cannedResponseService.SaveCannedResponsesAsync(config);
+
+                await _hubContext.Clients
+                    .Group(RadegastHub.AllAccountsGroup)
+                    .CannedResponsesUpdated(config);
+
+                return Ok(new { message = "Canned responses saved successfully", config });
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(new { message = ex.Message });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving canned responses");
+                return StatusCode(500, "Internal server error");
+            }
+        }
+    }
+}
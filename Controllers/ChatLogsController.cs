@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Mvc;
+using RadegastWeb.Models;
 using RadegastWeb.Services;
 
 namespace RadegastWeb.Controllers
@@ -34,6 +35,24 @@ namespace RadegastWeb.Controllers
             }
         }
 
+        /// <summary>
+        /// Get the chat log files for an account with session name, type, size and last modified time
+        /// </summary>
+        [HttpGet("{accountId}/files/details")]
+        public async Task<ActionResult<IEnumerable<ChatLogFileInfoDto>>> GetChatLogFileDetails(Guid accountId)
+        {
+            try
+            {
+                var files = await _chatLogService.GetChatLogFileDetailsAsync(accountId);
+                return Ok(files);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting chat log file details for account {AccountId}", accountId);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
         /// <summary>
         /// Read content from a specific chat log file
         /// </summary>
@@ -42,12 +61,7 @@ namespace RadegastWeb.Controllers
         {
             try
             {
-                // Basic validation of file name (security check)
-                if (string.IsNullOrEmpty(fileName) || 
-                    fileName.Contains("..") || 
-                    fileName.Contains("/") || 
-                    fileName.Contains("\\") ||
-                    !fileName.EndsWith(".txt", StringComparison.OrdinalIgnoreCase))
+                if (!IsValidLogFileName(fileName))
                 {
                     return BadRequest("Invalid file name");
                 }
@@ -62,6 +76,58 @@ namespace RadegastWeb.Controllers
             }
         }
 
+        /// <summary>
+        /// Read one page of a chat log file, optionally filtered by a search term (page 0 = last page)
+        /// </summary>
+        [HttpGet("{accountId}/files/{fileName}/page")]
+        public async Task<ActionResult<ChatLogPageDto>> GetChatLogPage(Guid accountId, string fileName, 
+            [FromQuery] int page = 0, [FromQuery] int pageSize = 200, [FromQuery] string? search = null)
+        {
+            try
+            {
+                if (!IsValidLogFileName(fileName))
+                {
+                    return BadRequest("Invalid file name");
+                }
+
+                var result = await _chatLogService.ReadChatLogPageAsync(accountId, fileName, page, pageSize, search);
+                return Ok(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error reading chat log page {Page} of {FileName} for account {AccountId}", page, fileName, accountId);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
+        /// <summary>
+        /// Download the raw chat log file
+        /// </summary>
+        [HttpGet("{accountId}/files/{fileName}/download")]
+        public IActionResult DownloadChatLog(Guid accountId, string fileName)
+        {
+            try
+            {
+                if (!IsValidLogFileName(fileName))
+                {
+                    return BadRequest("Invalid file name");
+                }
+
+                var stream = _chatLogService.OpenChatLogForDownload(accountId, fileName);
+                if (stream == null)
+                {
+                    return NotFound("Chat log not found");
+                }
+
+                return File(stream, "text/plain; charset=utf-8", fileName);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error downloading chat log {FileName} for account {AccountId}", fileName, accountId);
+                return StatusCode(500, "Internal server error");
+            }
+        }
+
         /// <summary>
         /// Get the file path for a specific chat type and session
         /// </summary>
@@ -84,5 +150,17 @@ namespace RadegastWeb.Controllers
                 return StatusCode(500, "Internal server error");
             }
         }
+
+        /// <summary>
+        /// Basic validation of file name (security check)
+        /// </summary>
+        private static bool IsValidLogFileName(string fileName)
+        {
+            return !string.IsNullOrEmpty(fileName) &&
+                   !fileName.Contains("..") &&
+                   !fileName.Contains("/") &&
+                   !fileName.Contains("\\") &&
+                   fileName.EndsWith(".txt", StringComparison.OrdinalIgnoreCase);
+        }
     }
 }
\ No newline at end of file
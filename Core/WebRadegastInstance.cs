@@ -93,6 +93,7 @@ namespace RadegastWeb.Core
         public event EventHandler<RegionInfoDto>? RegionChanged;
         public event EventHandler<string>? OwnDisplayNameChanged; // New event for our own display name changes
         public event EventHandler<ChatSessionDto>? ChatSessionUpdated;
+        public event EventHandler<TypingStatusDto>? TypingStatusChanged;
         public event EventHandler<NoticeReceivedEventArgs>? NoticeReceived;
         public event EventHandler<Models.ScriptDialogEventArgs>? ScriptDialogReceived;
         public event EventHandler<Models.ScriptPermissionEventArgs>? ScriptPermissionReceived;
@@ -316,7 +317,11 @@ namespace RadegastWeb.Core
             _client.Self.ScriptQuestion -= Self_ScriptQuestion;
         }
 
-        public async Task<bool> LoginAsync()
+        /// <summary>
+        /// Logs in to the grid
+        /// </summary>
+        /// <param name="start">Login server start value: "home", "last" or a uri: location</param>
+        public async Task<bool> LoginAsync(string start = "last")
         {
             try
             {
@@ -334,8 +339,10 @@ namespace RadegastWeb.Core
                     loginParams.URI = AccountInfo.GridUrl;
                 }
 
-                _logger.LogInformation("Attempting login for {FirstName} {LastName}", 
-                    AccountInfo.FirstName, AccountInfo.LastName);
+                loginParams.Start = start;
+
+                _logger.LogInformation("Attempting login for {FirstName} {LastName} at {Start}", 
+                    AccountInfo.FirstName, AccountInfo.LastName, start);
 
                 var loginResult = await _client.Network.LoginAsync(loginParams);
                 
@@ -578,6 +585,33 @@ namespace RadegastWeb.Core
             }
         }
 
+        public void SendTypingStatus(string targetId, bool isTyping)
+        {
+            if (!_client.Network.Connected || !UUID.TryParse(targetId, out UUID targetUUID))
+            {
+                return;
+            }
+
+            try
+            {
+                _client.Self.InstantMessage(
+                    _client.Self.Name,
+                    targetUUID,
+                    "typing",
+                    _client.Self.AgentID ^ targetUUID,
+                    isTyping ? InstantMessageDialog.StartTyping : InstantMessageDialog.StopTyping,
+                    InstantMessageOnline.Online,
+                    _client.Self.SimPosition,
+                    _client.Network.CurrentSim?.RegionID ?? UUID.Zero,
+                    Array.Empty<byte>()
+                );
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Error sending typing status to {TargetId} for account {AccountId}", targetId, _accountId);
+            }
+        }
+
         public async void SendIM(string targetId, string message)
         {
             if (!_client.Network.Connected)
@@ -2720,12 +2754,23 @@ namespace RadegastWeb.Core
             }
 
             string senderDisplayName;
+            string? ownerName = null;
             
             // Check if this is object chat or avatar chat
             if (e.SourceType == ChatSourceType.Object)
             {
                 // For objects, use the FromName directly - no display name lookup needed
                 senderDisplayName = e.FromName;
+                
+                // Resolve the owner so the web client can show who the object belongs to
+                if (e.OwnerID != UUID.Zero)
+                {
+                    ownerName = await _globalDisplayNameCache.GetDisplayNameAsync(e.OwnerID.ToString(), NameDisplayMode.Smart);
+                    if (ownerName == "Loading..." || string.IsNullOrEmpty(ownerName))
+                    {
+                        ownerName = null;
+                    }
+                }
             }
             else
             {
@@ -2773,7 +2818,10 @@ namespace RadegastWeb.Core
                 Timestamp = DateTime.UtcNow,
                 RegionName = _client.Network.CurrentSim?.Name,
                 SenderId = e.SourceID.ToString(),
-                SessionId = "local-chat"
+                SessionId = "local-chat",
+                SourceType = e.SourceType.ToString(),
+                OwnerId = e.SourceType == ChatSourceType.Object && e.OwnerID != UUID.Zero ? e.OwnerID.ToString() : null,
+                OwnerName = ownerName
             };
 
             // Use unified chat processing service instead of separate processing
@@ -2890,7 +2938,22 @@ namespace RadegastWeb.Core
                 return;
             }
 
-            // Filter out typing indicators and other non-chat dialogs (except teleport requests which we handle)
+            // Forward typing indicators so the IM tab can show that the other party is typing
+            if (e.IM.Dialog == InstantMessageDialog.StartTyping ||
+                e.IM.Dialog == InstantMessageDialog.StopTyping)
+            {
+                TypingStatusChanged?.Invoke(this, new TypingStatusDto
+                {
+                    AccountId = Guid.Parse(_accountId),
+                    SessionId = $"im-{e.IM.FromAgentID}",
+                    AgentId = e.IM.FromAgentID.ToString(),
+                    AgentName = e.IM.FromAgentName,
+                    IsTyping = e.IM.Dialog == InstantMessageDialog.StartTyping
+                });
+                return;
+            }
+
+            // Filter out other non-chat dialogs (except teleport requests which we handle)
             if (e.IM.Dialog == InstantMessageDialog.StartTyping ||
                 e.IM.Dialog == InstantMessageDialog.StopTyping ||
                 e.IM.Dialog == InstantMessageDialog.MessageBox ||
@@ -4161,6 +4224,91 @@ namespace RadegastWeb.Core
             }
         }
         
+        /// <summary>
+        /// Gets the account's in-world mute list, optionally asking the grid for the latest copy first
+        /// </summary>
+        public async Task<List<MuteEntryDto>> GetMuteListAsync(bool refresh = true)
+        {
+            if (!_client.Network.Connected)
+            {
+                return new List<MuteEntryDto>();
+            }
+
+            if (refresh)
+            {
+                await RefreshMuteListAsync();
+            }
+
+            return _client.Self.MuteList.Values
+                .Select(entry => new MuteEntryDto
+                {
+                    Id = entry.ID.ToString(),
+                    Name = entry.Name,
+                    Type = entry.Type.ToString()
+                })
+                .OrderBy(entry => entry.Name, StringComparer.OrdinalIgnoreCase)
+                .ToList();
+        }
+
+        private async Task RefreshMuteListAsync()
+        {
+            var updated = new TaskCompletionSource<bool>(TaskCreationOptions.RunContinuationsAsynchronously);
+            EventHandler<EventArgs> handler = (s, e) => updated.TrySetResult(true);
+
+            _client.Self.MuteListUpdated += handler;
+            try
+            {
+                _client.Self.RequestMuteList();
+
+                // An unchanged list may not raise the event, in which case the cached copy is used
+                await Task.WhenAny(updated.Task, Task.Delay(TimeSpan.FromSeconds(5)));
+            }
+            finally
+            {
+                _client.Self.MuteListUpdated -= handler;
+            }
+        }
+
+        /// <summary>
+        /// Whether a sender is on the account's cached in-world mute list, by UUID or, for name mutes, by name
+        /// </summary>
+        public bool IsMuted(string? senderId, string? senderName)
+        {
+            return _client.Self.MuteList.Values.Any(entry => entry.Type == MuteType.ByName
+                ? !string.IsNullOrEmpty(senderName) && string.Equals(entry.Name, senderName, StringComparison.OrdinalIgnoreCase)
+                : !string.IsNullOrEmpty(senderId) && string.Equals(entry.ID.ToString(), senderId, StringComparison.OrdinalIgnoreCase));
+        }
+
+        /// <summary>
+        /// Adds an avatar, object or name to the account's in-world mute list
+        /// </summary>
+        public bool MuteEntity(MuteType type, UUID id, string name)
+        {
+            if (!_client.Network.Connected)
+            {
+                return false;
+            }
+
+            _client.Self.UpdateMuteListEntry(type, id, name);
+            _logger.LogInformation("Muted {Type} {Name} ({Id}) for account {AccountId}", type, name, id, _accountId);
+            return true;
+        }
+
+        /// <summary>
+        /// Removes an entry from the account's in-world mute list
+        /// </summary>
+        public bool UnmuteEntity(UUID id, string name)
+        {
+            if (!_client.Network.Connected)
+            {
+                return false;
+            }
+
+            _client.Self.RemoveMuteListEntry(id, name);
+            _logger.LogInformation("Unmuted {Name} ({Id}) for account {AccountId}", name, id, _accountId);
+            return true;
+        }
+
         /// <summary>
         /// Checks if an object exists in the current region
         /// </summary>
@@ -4174,6 +4322,63 @@ namespace RadegastWeb.Core
             // Search through all objects in the simulator to find one with the matching UUID
             return _client.Network.CurrentSim.ObjectsPrimitives.Values.Any(prim => prim.ID == objectId);
         }
+
+        /// <summary>
+        /// Teleports to a position in the named region
+        /// </summary>
+        /// <param name="regionName">Name of the destination region</param>
+        /// <param name="position">Local position within the region</param>
+        /// <returns>True if the teleport completed</returns>
+        public Task<bool> TeleportToRegionAsync(string regionName, Vector3 position)
+        {
+            if (!_client.Network.Connected)
+            {
+                _logger.LogWarning("Cannot teleport - not connected");
+                return Task.FromResult(false);
+            }
+
+            // Teleport blocks until the grid reports success or failure, so keep it off the caller's thread
+            return Task.Run(() =>
+            {
+                try
+                {
+                    _logger.LogInformation("Teleporting account {AccountId} to {Region} {Position}", _accountId, regionName, position);
+                    return _client.Self.Teleport(regionName, position);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error teleporting account {AccountId} to {Region}", _accountId, regionName);
+                    return false;
+                }
+            });
+        }
+
+        /// <summary>
+        /// Teleports to the avatar's home location
+        /// </summary>
+        /// <returns>True if the teleport completed</returns>
+        public Task<bool> TeleportHomeAsync()
+        {
+            if (!_client.Network.Connected)
+            {
+                _logger.LogWarning("Cannot teleport home - not connected");
+                return Task.FromResult(false);
+            }
+
+            return Task.Run(() =>
+            {
+                try
+                {
+                    _logger.LogInformation("Teleporting account {AccountId} home", _accountId);
+                    return _client.Self.GoHome();
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error teleporting account {AccountId} home", _accountId);
+                    return false;
+                }
+            });
+        }
         
         /// <summary>
         /// Stop all animations except for known system animations
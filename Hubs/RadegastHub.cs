@@ -7,6 +7,9 @@ namespace RadegastWeb.Hubs
 {
     public class RadegastHub : Hub<IRadegastHubClient>
     {
+        // Every authenticated connection joins this group to hear about inbox entries and activity summaries for all accounts
+        public const string AllAccountsGroup = "all_accounts";
+
         private readonly IAccountService _accountService;
         private readonly IChatHistoryService _chatHistoryService;
         private readonly IPresenceService _presenceService;
@@ -15,10 +18,11 @@ namespace RadegastWeb.Hubs
         private readonly ITeleportRequestService _teleportRequestService;
         private readonly IConnectionTrackingService _connectionTrackingService;
         private readonly IRegionInfoService _regionInfoService;
+        private readonly IAccountSummaryService _accountSummaryService;
         private readonly ILogger<RadegastHub> _logger;
         private readonly IHubContext<RadegastHub, IRadegastHubClient> _hubContext;
 
-        public RadegastHub(IAccountService accountService, IChatHistoryService chatHistoryService, IPresenceService presenceService, IAuthenticationService authService, IScriptDialogService scriptDialogService, ITeleportRequestService teleportRequestService, IConnectionTrackingService connectionTrackingService, IRegionInfoService regionInfoService, ILogger<RadegastHub> logger, IHubContext<RadegastHub, IRadegastHubClient> hubContext)
+        public RadegastHub(IAccountService accountService, IChatHistoryService chatHistoryService, IPresenceService presenceService, IAuthenticationService authService, IScriptDialogService scriptDialogService, ITeleportRequestService teleportRequestService, IConnectionTrackingService connectionTrackingService, IRegionInfoService regionInfoService, IAccountSummaryService accountSummaryService, ILogger<RadegastHub> logger, IHubContext<RadegastHub, IRadegastHubClient> hubContext)
         {
             _accountService = accountService;
             _chatHistoryService = chatHistoryService;
@@ -28,6 +32,7 @@ namespace RadegastWeb.Hubs
             _teleportRequestService = teleportRequestService;
             _connectionTrackingService = connectionTrackingService;
             _regionInfoService = regionInfoService;
+            _accountSummaryService = accountSummaryService;
             _logger = logger;
             _hubContext = hubContext;
         }
@@ -731,12 +736,15 @@ namespace RadegastWeb.Hubs
             }
         }
 
-        public async Task SendChat(SendChatRequest request)
+        /// <summary>
+        /// Send local chat; returns whether the message went out so queued sends can be marked failed
+        /// </summary>
+        public async Task<bool> SendChat(SendChatRequest request)
         {
             if (!IsAuthenticated())
             {
                 Context.Abort();
-                return;
+                return false;
             }
 
             try
@@ -751,15 +759,17 @@ namespace RadegastWeb.Hubs
                 {
                     await Clients.Caller.ChatError("Failed to send message");
                 }
+                return success;
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error sending chat via SignalR");
                 await Clients.Caller.ChatError("Error sending message");
+                return false;
             }
         }
 
-        public async Task SendIM(string accountId, string targetId, string message)
+        public async Task<bool> SendIM(string accountId, string targetId, string message)
         {
             try
             {
@@ -770,20 +780,49 @@ namespace RadegastWeb.Hubs
                     {
                         await Clients.Caller.ChatError("Failed to send IM");
                     }
+                    return success;
                 }
-                else
-                {
-                    await Clients.Caller.ChatError("Invalid account ID");
-                }
+
+                await Clients.Caller.ChatError("Invalid account ID");
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error sending IM via SignalR");
                 await Clients.Caller.ChatError("Error sending IM");
             }
+
+            return false;
+        }
+
+        public Task SendTypingStatus(string accountId, string targetId, bool isTyping)
+        {
+            if (!IsAuthenticated())
+            {
+                Context.Abort();
+                return Task.CompletedTask;
+            }
+
+            try
+            {
+                if (Guid.TryParse(accountId, out var accountGuid))
+                {
+                    var instance = _accountService.GetInstance(accountGuid);
+                    if (instance != null && instance.IsConnected)
+                    {
+                        instance.SendTypingStatus(targetId, isTyping);
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                // Typing notifications are best-effort, so failures are not reported to the caller
+                _logger.LogWarning(ex, "Error sending typing status via SignalR");
+            }
+
+            return Task.CompletedTask;
         }
 
-        public async Task SendGroupIM(string accountId, string groupId, string message)
+        public async Task<bool> SendGroupIM(string accountId, string groupId, string message)
         {
             try
             {
@@ -794,17 +833,18 @@ namespace RadegastWeb.Hubs
                     {
                         await Clients.Caller.ChatError("Failed to send group IM");
                     }
+                    return success;
                 }
-                else
-                {
-                    await Clients.Caller.ChatError("Invalid account ID");
-                }
+
+                await Clients.Caller.ChatError("Invalid account ID");
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error sending group IM via SignalR");
                 await Clients.Caller.ChatError("Error sending group IM");
             }
+
+            return false;
         }
 
         public async Task GetNearbyAvatars(string accountId)
@@ -918,6 +958,36 @@ namespace RadegastWeb.Hubs
             }
         }
 
+        /// <summary>
+        /// Return a page of chat history directly to the caller instead of raising ChatHistoryLoaded.
+        /// Pages with the same newest-first count/skip semantics as GetChatHistory, so a client can
+        /// walk the full history (e.g. for transcript export) without it being rendered into a tab.
+        /// </summary>
+        public async Task<List<ChatMessageDto>> GetChatHistoryPage(string accountId, string sessionId, int count = 200, int skip = 0)
+        {
+            if (!IsAuthenticated())
+            {
+                _logger.LogWarning("Unauthenticated attempt to page chat history for {AccountId} from {ConnectionId}", accountId, Context.ConnectionId);
+                return new List<ChatMessageDto>();
+            }
+
+            try
+            {
+                if (Guid.TryParse(accountId, out var accountGuid))
+                {
+                    count = Math.Clamp(count, 1, 500);
+                    var history = await _chatHistoryService.GetChatHistoryAsync(accountGuid, sessionId, count, Math.Max(0, skip));
+                    return history.ToList();
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting chat history page via SignalR");
+            }
+
+            return new List<ChatMessageDto>();
+        }
+
         public async Task GetRecentSessions(string accountId)
         {
             try
@@ -1341,6 +1411,7 @@ namespace RadegastWeb.Hubs
                 if (Guid.TryParse(accountId, out var accountGuid))
                 {
                     await _accountService.AcknowledgeNoticeAsync(accountGuid, noticeId);
+                    await _accountSummaryService.RefreshNoticesAsync(accountGuid);
                 }
                 else
                 {
@@ -1361,6 +1432,7 @@ namespace RadegastWeb.Hubs
                 if (Guid.TryParse(accountId, out var accountGuid))
                 {
                     await _accountService.DismissNoticeAsync(accountGuid, noticeId);
+                    await _accountSummaryService.RefreshNoticesAsync(accountGuid);
                 }
                 else
                 {
@@ -1408,6 +1480,51 @@ namespace RadegastWeb.Hubs
             }
         }
 
+        public async Task GetAccountSummaries()
+        {
+            if (!IsAuthenticated())
+            {
+                Context.Abort();
+                return;
+            }
+
+            try
+            {
+                var summaries = new List<AccountSummaryDto>();
+                foreach (var account in await _accountService.GetAccountsAsync())
+                {
+                    summaries.Add(await _accountSummaryService.GetSummaryAsync(account.Id));
+                }
+
+                await Clients.Caller.AccountSummariesLoaded(summaries);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting account summaries via SignalR");
+            }
+        }
+
+        public async Task MarkSessionRead(string accountId, string sessionId)
+        {
+            if (!IsAuthenticated())
+            {
+                Context.Abort();
+                return;
+            }
+
+            try
+            {
+                if (Guid.TryParse(accountId, out var accountGuid) && !string.IsNullOrEmpty(sessionId))
+                {
+                    await _accountSummaryService.MarkSessionReadAsync(accountGuid, sessionId);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error marking session {SessionId} read via SignalR", sessionId);
+            }
+        }
+
         public async Task GetRegionStats(string accountId)
         {
             try
@@ -1490,6 +1607,52 @@ namespace RadegastWeb.Hubs
             }
         }
 
+        public async Task TeleportTo(string accountId, string regionName, float x, float y, float z)
+        {
+            if (!IsAuthenticated())
+            {
+                Context.Abort();
+                return;
+            }
+
+            try
+            {
+                if (!Guid.TryParse(accountId, out var accountGuid))
+                {
+                    await Clients.Caller.ChatError("Invalid account ID");
+                    return;
+                }
+
+                var instance = _accountService.GetInstance(accountGuid);
+                if (instance == null || !instance.IsConnected)
+                {
+                    await Clients.Caller.ChatError("Account is not connected");
+                    return;
+                }
+
+                if (string.IsNullOrWhiteSpace(regionName))
+                {
+                    await Clients.Caller.ChatError("Region name is required");
+                    return;
+                }
+
+                var position = new Vector3(Math.Clamp(x, 0f, 256f), Math.Clamp(y, 0f, 256f), Math.Max(0f, z));
+                var success = regionName.Equals("home", StringComparison.OrdinalIgnoreCase)
+                    ? await instance.TeleportHomeAsync()
+                    : await instance.TeleportToRegionAsync(regionName.Trim(), position);
+
+                if (!success)
+                {
+                    await Clients.Caller.ChatError($"Teleport to {regionName} failed");
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error teleporting via SignalR");
+                await Clients.Caller.ChatError("Error teleporting");
+            }
+        }
+
         public async Task StandUp(string accountId)
         {
             try
@@ -1667,6 +1830,7 @@ namespace RadegastWeb.Hubs
             }
 
             _logger.LogInformation("Client connected: {ConnectionId}", Context.ConnectionId);
+            await Groups.AddToGroupAsync(Context.ConnectionId, AllAccountsGroup);
             await base.OnConnectedAsync();
         }
 
@@ -2101,6 +2265,10 @@ namespace RadegastWeb.Hubs
     public interface IRadegastHubClient
     {
         Task ReceiveChat(ChatMessageDto chatMessage);
+        Task InboxMessageReceived(InboxEntryDto entry);
+        Task AccountSummaryUpdated(AccountSummaryDto summary);
+        Task AccountSummariesLoaded(List<AccountSummaryDto> summaries);
+        Task CannedResponsesUpdated(CannedResponsesConfig config);
         Task AccountStatusChanged(AccountStatus status);
         Task ChatError(string error);
         Task PresenceError(string error);
@@ -2111,6 +2279,7 @@ namespace RadegastWeb.Hubs
         Task RegionStatsUpdated(RegionStatsDto regionStats); // New method for detailed region statistics
         Task IMSessionStarted(ChatSessionDto session);
         Task IMSessionUpdated(ChatSessionDto session);
+        Task TypingStatusChanged(TypingStatusDto status);
         Task GroupSessionStarted(ChatSessionDto session);
         Task GroupSessionUpdated(ChatSessionDto session);
         Task ChatHistoryLoaded(string accountId, string sessionId, List<ChatMessageDto> messages);
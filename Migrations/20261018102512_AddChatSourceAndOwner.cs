@@ -0,0 +1,51 @@
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace RadegastWeb.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddChatSourceAndOwner : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "OwnerId",
+                table: "ChatMessages",
+                type: "TEXT",
+                maxLength: 36,
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "OwnerName",
+                table: "ChatMessages",
+                type: "TEXT",
+                maxLength: 200,
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "SourceType",
+                table: "ChatMessages",
+                type: "TEXT",
+                maxLength: 20,
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "OwnerId",
+                table: "ChatMessages");
+
+            migrationBuilder.DropColumn(
+                name: "OwnerName",
+                table: "ChatMessages");
+
+            migrationBuilder.DropColumn(
+                name: "SourceType",
+                table: "ChatMessages");
+        }
+    }
+}
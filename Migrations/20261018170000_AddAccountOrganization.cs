@@ -0,0 +1,51 @@
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace RadegastWeb.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddAccountOrganization : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "Folder",
+                table: "Accounts",
+                type: "TEXT",
+                maxLength: 100,
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "SortOrder",
+                table: "Accounts",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: 0);
+
+            migrationBuilder.AddColumn<string>(
+                name: "Tags",
+                table: "Accounts",
+                type: "TEXT",
+                maxLength: 500,
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "Folder",
+                table: "Accounts");
+
+            migrationBuilder.DropColumn(
+                name: "SortOrder",
+                table: "Accounts");
+
+            migrationBuilder.DropColumn(
+                name: "Tags",
+                table: "Accounts");
+        }
+    }
+}
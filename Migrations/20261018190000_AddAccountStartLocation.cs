@@ -0,0 +1,30 @@
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace RadegastWeb.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddAccountStartLocation : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "StartLocation",
+                table: "Accounts",
+                type: "TEXT",
+                maxLength: 300,
+                nullable: false,
+                defaultValue: "last");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "StartLocation",
+                table: "Accounts");
+        }
+    }
+}
@@ -57,6 +57,19 @@ namespace RadegastWeb.Models
         
         public DateTime? LastDisconnectTime { get; set; }
         
+        // Accounts sidebar organisation
+        [StringLength(100)]
+        public string? Folder { get; set; }
+        
+        [StringLength(500)]
+        public string? Tags { get; set; } // Comma-separated
+        
+        public int SortOrder { get; set; } = 0;
+        
+        // Where the avatar appears on login: home, last or Region/x/y/z
+        [StringLength(300)]
+        public string StartLocation { get; set; } = "last";
+        
         // Navigation properties
         public virtual ICollection<ChatMessage> ChatMessages { get; set; } = new List<ChatMessage>();
         public virtual ICollection<Notice> Notices { get; set; } = new List<Notice>();
@@ -0,0 +1,59 @@
+using System.Text.Json.Serialization;
+
+namespace RadegastWeb.Models
+{
+    /// <summary>
+    /// A weekly period in SLT during which the account should be online
+    /// </summary>
+    public class ScheduleWindow
+    {
+        /// <summary>
+        /// Days the window starts on, 0 = Sunday through 6 = Saturday
+        /// </summary>
+        [JsonPropertyName("days")]
+        public List<int> Days { get; set; } = new();
+
+        /// <summary>
+        /// Start time in SLT, HH:mm
+        /// </summary>
+        [JsonPropertyName("start")]
+        public string Start { get; set; } = "08:00";
+
+        /// <summary>
+        /// End time in SLT, HH:mm; an end at or before the start runs past midnight into the next day
+        /// </summary>
+        [JsonPropertyName("end")]
+        public string End { get; set; } = "18:00";
+    }
+
+    /// <summary>
+    /// Weekly online schedule for one account; the backend logs the account in and out at the window edges
+    /// </summary>
+    public class AccountScheduleConfig
+    {
+        [JsonPropertyName("enabled")]
+        public bool Enabled { get; set; } = false;
+
+        [JsonPropertyName("windows")]
+        public List<ScheduleWindow> Windows { get; set; } = new();
+
+        /// <summary>
+        /// When the schedule was last updated
+        /// </summary>
+        [JsonPropertyName("lastUpdated")]
+        public DateTime LastUpdated { get; set; } = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// The next login or logout a schedule will make
+    /// </summary>
+    public class ScheduledTransition
+    {
+        /// <summary>
+        /// "login" or "logout"
+        /// </summary>
+        public string Action { get; set; } = string.Empty;
+
+        public DateTime At { get; set; }
+    }
+}
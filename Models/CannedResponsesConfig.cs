@@ -0,0 +1,49 @@
+using System.Text.Json.Serialization;
+
+namespace RadegastWeb.Models
+{
+    /// <summary>
+    /// A saved reply that can be inserted into any chat input, with {placeholders} filled in on insert
+    /// </summary>
+    public class CannedResponse
+    {
+        /// <summary>
+        /// Identifier for the response, assigned on save when missing
+        /// </summary>
+        [JsonPropertyName("id")]
+        public string Id { get; set; } = Guid.NewGuid().ToString();
+
+        /// <summary>
+        /// Short label shown in the picker
+        /// </summary>
+        [JsonPropertyName("title")]
+        public string Title { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Optional word typed as ":shortcut" to expand the response inline
+        /// </summary>
+        [JsonPropertyName("shortcut")]
+        public string? Shortcut { get; set; }
+
+        /// <summary>
+        /// Template text; {name}, {displayName}, {region}, {slt} and {myName} are resolved in the browser
+        /// </summary>
+        [JsonPropertyName("text")]
+        public string Text { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Canned responses shared by every operator of this server
+    /// </summary>
+    public class CannedResponsesConfig
+    {
+        [JsonPropertyName("responses")]
+        public List<CannedResponse> Responses { get; set; } = new();
+
+        /// <summary>
+        /// When the responses were last updated
+        /// </summary>
+        [JsonPropertyName("lastUpdated")]
+        public DateTime LastUpdated { get; set; } = DateTime.UtcNow;
+    }
+}
@@ -0,0 +1,22 @@
+namespace RadegastWeb.Models
+{
+    public class ChatLogFileInfoDto
+    {
+        public string FileName { get; set; } = string.Empty;
+        public string SessionName { get; set; } = string.Empty;
+        public string LogType { get; set; } = "Local"; // Local, IM, Group, Notices
+        public long SizeBytes { get; set; }
+        public DateTime LastModified { get; set; } // UTC
+    }
+
+    public class ChatLogPageDto
+    {
+        public string FileName { get; set; } = string.Empty;
+        public int Page { get; set; } // 1-based, oldest lines first
+        public int PageSize { get; set; }
+        public int TotalPages { get; set; }
+        public int TotalLines { get; set; } // Matching lines when a search is applied
+        public string? Search { get; set; }
+        public List<string> Lines { get; set; } = new();
+    }
+}
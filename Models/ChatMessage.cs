@@ -33,6 +33,12 @@ namespace RadegastWeb.Models
         
         public string? RegionName { get; set; }
         
+        public string? SourceType { get; set; } // Agent, Object or System for local chat
+        
+        public string? OwnerId { get; set; } // UUID of the avatar owning the object that spoke
+        
+        public string? OwnerName { get; set; }
+        
         // Navigation properties
         public virtual Account Account { get; set; } = null!;
     }
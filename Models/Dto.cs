@@ -18,6 +18,34 @@ namespace RadegastWeb.Models
         
         // SLT formatted time for display
         public string? SLTLastLoginAt { get; set; } // MMM dd, HH:mm:ss format
+        
+        // Next login or logout from the account's weekly schedule, if it has one
+        public string? NextScheduledAction { get; set; } // login, logout
+        public DateTime? NextScheduledAt { get; set; }
+        public string? SLTNextScheduledAt { get; set; } // ddd HH:mm format
+        
+        // Accounts sidebar organisation
+        public string? Folder { get; set; }
+        public List<string> Tags { get; set; } = new();
+        public int SortOrder { get; set; }
+        
+        public string StartLocation { get; set; } = "last"; // home, last or Region/x/y/z
+    }
+    
+    public class AccountOrganizationDto
+    {
+        public string? Folder { get; set; }
+        public List<string> Tags { get; set; } = new();
+    }
+    
+    public class AccountOrderDto
+    {
+        public List<Guid> AccountIds { get; set; } = new();
+    }
+    
+    public class AccountLoginDto
+    {
+        public string? StartLocation { get; set; } // One-off override of the account's start location
     }
     
     public class LoginRequest
@@ -30,6 +58,7 @@ namespace RadegastWeb.Models
     
     public class ChatMessageDto
     {
+        public Guid? Id { get; set; } // Database id; only set on messages read back from history
         public string SenderName { get; set; } = string.Empty;
         public string Message { get; set; } = string.Empty;
         public string ChatType { get; set; } = "Normal"; // Normal, Whisper, Shout, IM, Group, System
@@ -41,6 +70,9 @@ namespace RadegastWeb.Models
         public string? TargetId { get; set; } // For IM/Group chats
         public string? SessionId { get; set; } // For organizing IM/Group sessions
         public string? SessionName { get; set; } // Display name for IM/Group
+        public string? SourceType { get; set; } // Agent, Object, System (local chat only)
+        public string? OwnerId { get; set; } // Owner of the speaking object
+        public string? OwnerName { get; set; }
         
         // SLT formatted timestamps for display
         public string? SLTTime { get; set; } // HH:mm:ss format
@@ -102,6 +134,58 @@ namespace RadegastWeb.Models
         public string? SLTLastActivity { get; set; } // MMM dd, HH:mm:ss format
     }
 
+    public class InboxEntryDto
+    {
+        public Guid AccountId { get; set; }
+        public string AccountName { get; set; } = string.Empty;
+        public string Reason { get; set; } = "IM"; // IM, Mention
+        public ChatMessageDto Message { get; set; } = new();
+    }
+
+    public class AccountSummaryDto
+    {
+        public Guid AccountId { get; set; }
+        public int UnreadIMs { get; set; }
+        public int UnreadGroupMessages { get; set; }
+        public int PendingScriptDialogs { get; set; }
+        public int PendingTeleportOffers { get; set; }
+        public int UnreadNotices { get; set; }
+        public List<UnreadSessionDto> UnreadSessions { get; set; } = new(); // Most recent first
+    }
+
+    public class UnreadSessionDto
+    {
+        public string SessionId { get; set; } = string.Empty;
+        public string SessionName { get; set; } = string.Empty;
+        public string ChatType { get; set; } = "IM"; // IM, Group
+        public string? TargetId { get; set; } // Other avatar for IMs, group for group chat
+        public int Count { get; set; }
+        public DateTime LastMessageAt { get; set; }
+    }
+
+    public class TypingStatusDto
+    {
+        public Guid AccountId { get; set; }
+        public string SessionId { get; set; } = string.Empty; // im-{agentId}
+        public string AgentId { get; set; } = string.Empty;
+        public string AgentName { get; set; } = string.Empty;
+        public bool IsTyping { get; set; }
+    }
+
+    public class MuteEntryDto
+    {
+        public string Id { get; set; } = string.Empty; // Avatar or object UUID, zero for name-only mutes
+        public string Name { get; set; } = string.Empty;
+        public string Type { get; set; } = "Resident"; // Resident, Object, ByName, Group, External
+    }
+
+    public class MuteRequest
+    {
+        public string Id { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string Type { get; set; } = "Resident";
+    }
+
     public class SendIMRequest
     {
         public string TargetId { get; set; } = string.Empty;
@@ -0,0 +1,73 @@
+using System.Text.Json.Serialization;
+
+namespace RadegastWeb.Models
+{
+    /// <summary>
+    /// A keyword or regex rule that highlights matching chat lines and can raise alerts
+    /// </summary>
+    public class HighlightRule
+    {
+        /// <summary>
+        /// Identifier for the rule, assigned on save when missing
+        /// </summary>
+        [JsonPropertyName("id")]
+        public string Id { get; set; } = Guid.NewGuid().ToString();
+
+        /// <summary>
+        /// Keyword or regular expression to look for in chat messages
+        /// </summary>
+        [JsonPropertyName("pattern")]
+        public string Pattern { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Whether the pattern is a regular expression rather than a plain keyword
+        /// </summary>
+        [JsonPropertyName("isRegex")]
+        public bool IsRegex { get; set; } = false;
+
+        /// <summary>
+        /// Whether matching is case sensitive (default: false)
+        /// </summary>
+        [JsonPropertyName("caseSensitive")]
+        public bool CaseSensitive { get; set; } = false;
+
+        /// <summary>
+        /// Whether the rule is active
+        /// </summary>
+        [JsonPropertyName("enabled")]
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>
+        /// Highlight color for matching lines (CSS hex color)
+        /// </summary>
+        [JsonPropertyName("color")]
+        public string Color { get; set; } = "#ffc107";
+
+        /// <summary>
+        /// Play an alert sound when a new message matches
+        /// </summary>
+        [JsonPropertyName("playSound")]
+        public bool PlaySound { get; set; } = false;
+
+        /// <summary>
+        /// Raise a browser notification when a new message matches
+        /// </summary>
+        [JsonPropertyName("showNotification")]
+        public bool ShowNotification { get; set; } = false;
+    }
+
+    /// <summary>
+    /// Highlight rules stored for an account
+    /// </summary>
+    public class HighlightRulesConfig
+    {
+        [JsonPropertyName("rules")]
+        public List<HighlightRule> Rules { get; set; } = new();
+
+        /// <summary>
+        /// When the rules were last updated
+        /// </summary>
+        [JsonPropertyName("lastUpdated")]
+        public DateTime LastUpdated { get; set; } = DateTime.UtcNow;
+    }
+}
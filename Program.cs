@@ -148,6 +148,7 @@ builder.Services.AddSingleton<IChatHistoryService, ChatHistoryService>();
 builder.Services.AddSingleton<IScriptDialogService, ScriptDialogService>();
 builder.Services.AddSingleton<ITeleportRequestService, TeleportRequestService>();
 builder.Services.AddSingleton<IConnectionTrackingService, ConnectionTrackingService>();
+builder.Services.AddSingleton<IAccountSummaryService, AccountSummaryService>();
 builder.Services.AddSingleton<IChatProcessingService, ChatProcessingService>();
 builder.Services.AddSingleton<ISLTimeService, SLTimeService>();
 builder.Services.AddSingleton<IAttachmentCacheService, AttachmentCacheService>();
@@ -171,6 +172,15 @@ builder.Services.AddSingleton<IDisplayNameService>(provider =>
 // Auto-sit service
 builder.Services.AddSingleton<IAutoSitService, AutoSitService>();
 
+// Chat highlight rules service
+builder.Services.AddSingleton<IHighlightRuleService, HighlightRuleService>();
+
+// Per-account weekly online schedules
+builder.Services.AddSingleton<IAccountScheduleService, AccountScheduleService>();
+
+// Shared canned responses service
+builder.Services.AddSingleton<ICannedResponseService, CannedResponseService>();
+
 // Auto-greeter service
 builder.Services.AddSingleton<IAutoGreeterService, AutoGreeterService>();
 
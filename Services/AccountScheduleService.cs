@@ -0,0 +1,256 @@
+using System.Collections.Concurrent;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using RadegastWeb.Models;
+
+namespace RadegastWeb.Services
+{
+    /// <summary>
+    /// Service interface for per-account weekly online schedules
+    /// </summary>
+    public interface IAccountScheduleService
+    {
+        /// <summary>
+        /// Gets the schedule for an account
+        /// </summary>
+        /// <param name="accountId">Account ID</param>
+        /// <returns>Schedule, disabled and empty if none has been saved</returns>
+        Task<AccountScheduleConfig> GetScheduleAsync(Guid accountId);
+
+        /// <summary>
+        /// Validates and saves the schedule for an account
+        /// </summary>
+        /// <param name="accountId">Account ID</param>
+        /// <param name="config">Schedule</param>
+        /// <exception cref="ArgumentException">Thrown when a window is invalid</exception>
+        Task SaveScheduleAsync(Guid accountId, AccountScheduleConfig config);
+
+        /// <summary>
+        /// Whether the account's schedule wants it online at the given time
+        /// </summary>
+        /// <returns>Null when the account has no enabled schedule</returns>
+        Task<bool?> IsScheduledOnlineAsync(Guid accountId, DateTime utcTime);
+
+        /// <summary>
+        /// Gets the next login or logout the schedule will make after the given time
+        /// </summary>
+        /// <returns>Null when the account has no enabled schedule or it never changes state</returns>
+        Task<ScheduledTransition?> GetNextTransitionAsync(Guid accountId, DateTime utcTime);
+    }
+
+    /// <summary>
+    /// Stores schedules as JSON in the account's data folder; windows are in SLT so they follow PST/PDT
+    /// </summary>
+    public class AccountScheduleService : IAccountScheduleService
+    {
+        private const int MaxWindows = 50;
+        private const int MinutesPerDay = 24 * 60;
+        private const int MinutesPerWeek = 7 * MinutesPerDay;
+        private static readonly Regex TimePattern = new(@"^([01]\d|2[0-3]):[0-5]\d$", RegexOptions.Compiled);
+
+        private readonly ILogger<AccountScheduleService> _logger;
+        private readonly ISLTimeService _sltTimeService;
+        private readonly ConcurrentDictionary<Guid, AccountScheduleConfig> _schedules = new(); // Checked every minute, so kept in memory
+        private readonly SemaphoreSlim _fileLock = new(1, 1);
+
+        public AccountScheduleService(ILogger<AccountScheduleService> logger, ISLTimeService sltTimeService)
+        {
+            _logger = logger;
+            _sltTimeService = sltTimeService;
+        }
+
+        public async Task<AccountScheduleConfig> GetScheduleAsync(Guid accountId)
+        {
+            if (_schedules.TryGetValue(accountId, out var cached))
+                return cached;
+
+            var config = new AccountScheduleConfig();
+            try
+            {
+                var configPath = GetConfigPath(accountId);
+
+                if (File.Exists(configPath))
+                {
+                    var json = await File.ReadAllTextAsync(configPath);
+                    config = JsonSerializer.Deserialize<AccountScheduleConfig>(json) ?? new AccountScheduleConfig();
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading schedule for account {AccountId}", accountId);
+            }
+
+            _schedules[accountId] = config;
+            return config;
+        }
+
+        public async Task SaveScheduleAsync(Guid accountId, AccountScheduleConfig config)
+        {
+            ValidateWindows(config);
+
+            await _fileLock.WaitAsync();
+            try
+            {
+                var configPath = GetConfigPath(accountId);
+                var directory = Path.GetDirectoryName(configPath);
+
+                if (!string.IsNullOrEmpty(directory) && !Directory.Exists(directory))
+                {
+                    Directory.CreateDirectory(directory);
+                }
+
+                config.LastUpdated = DateTime.UtcNow;
+                var json = JsonSerializer.Serialize(config, new JsonSerializerOptions { WriteIndented = true });
+
+                await File.WriteAllTextAsync(configPath, json);
+                _schedules[accountId] = config;
+                _logger.LogInformation("Saved schedule with {Count} windows for account {AccountId} (enabled={Enabled})",
+                    config.Windows.Count, accountId, config.Enabled);
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+        }
+
+        public async Task<bool?> IsScheduledOnlineAsync(Guid accountId, DateTime utcTime)
+        {
+            var config = await GetScheduleAsync(accountId);
+            if (!config.Enabled || config.Windows.Count == 0)
+                return null;
+
+            var sltTime = _sltTimeService.ConvertToSLT(utcTime);
+            return IsWithinWindows(GetRanges(config), GetMinuteOfWeek(sltTime));
+        }
+
+        public async Task<ScheduledTransition?> GetNextTransitionAsync(Guid accountId, DateTime utcTime)
+        {
+            var config = await GetScheduleAsync(accountId);
+            if (!config.Enabled || config.Windows.Count == 0)
+                return null;
+
+            var sltTime = _sltTimeService.ConvertToSLT(utcTime);
+            var now = GetMinuteOfWeek(sltTime);
+            var ranges = GetRanges(config);
+            var online = IsWithinWindows(ranges, now);
+
+            // The wanted state can only change at a window edge, so try those in the order they come up
+            var offsets = ranges
+                .SelectMany(range => new[] { range.Start, range.End % MinutesPerWeek })
+                .Select(edge => (edge - now + MinutesPerWeek) % MinutesPerWeek)
+                .Where(offset => offset > 0)
+                .Distinct()
+                .OrderBy(offset => offset);
+
+            foreach (var offset in offsets)
+            {
+                if (IsWithinWindows(ranges, (now + offset) % MinutesPerWeek) == online)
+                    continue;
+
+                var sltAt = sltTime.Date.AddMinutes(sltTime.Hour * 60 + sltTime.Minute + offset);
+                var timeZone = _sltTimeService.GetSLTTimeZone();
+
+                // An edge inside the spring-forward gap happens when the clocks jump
+                if (timeZone.IsInvalidTime(sltAt))
+                {
+                    sltAt = sltAt.AddHours(1);
+                }
+
+                return new ScheduledTransition
+                {
+                    Action = online ? "logout" : "login",
+                    At = TimeZoneInfo.ConvertTimeToUtc(DateTime.SpecifyKind(sltAt, DateTimeKind.Unspecified), timeZone)
+                };
+            }
+
+            // The windows cover the whole week
+            return null;
+        }
+
+        private static int GetMinuteOfWeek(DateTime sltTime)
+        {
+            return (int)sltTime.DayOfWeek * MinutesPerDay + sltTime.Hour * 60 + sltTime.Minute;
+        }
+
+        private static int ParseMinutes(string time)
+        {
+            var parts = time.Split(':');
+            return int.Parse(parts[0]) * 60 + int.Parse(parts[1]);
+        }
+
+        /// <summary>
+        /// Expands each window to one [Start, End) range in minutes from Sunday 00:00 per day it runs on;
+        /// End may go past the end of the week for windows that run into Sunday
+        /// </summary>
+        private static List<(int Start, int End)> GetRanges(AccountScheduleConfig config)
+        {
+            var ranges = new List<(int Start, int End)>();
+
+            foreach (var window in config.Windows)
+            {
+                if (!TimePattern.IsMatch(window.Start ?? string.Empty) || !TimePattern.IsMatch(window.End ?? string.Empty))
+                    continue;
+
+                var start = ParseMinutes(window.Start!);
+                var end = ParseMinutes(window.End!);
+                var length = end > start ? end - start : end + MinutesPerDay - start;
+
+                foreach (var day in (window.Days ?? new List<int>()).Where(d => d >= 0 && d <= 6))
+                {
+                    var rangeStart = day * MinutesPerDay + start;
+                    ranges.Add((rangeStart, rangeStart + length));
+                }
+            }
+
+            return ranges;
+        }
+
+        private static bool IsWithinWindows(List<(int Start, int End)> ranges, int minuteOfWeek)
+        {
+            return ranges.Any(range =>
+                (minuteOfWeek >= range.Start && minuteOfWeek < range.End) ||
+                (minuteOfWeek + MinutesPerWeek >= range.Start && minuteOfWeek + MinutesPerWeek < range.End));
+        }
+
+        private static void ValidateWindows(AccountScheduleConfig config)
+        {
+            if (config.Windows.Count > MaxWindows)
+            {
+                throw new ArgumentException($"No more than {MaxWindows} schedule windows are allowed");
+            }
+
+            if (config.Enabled && config.Windows.Count == 0)
+            {
+                throw new ArgumentException("Add at least one online window or turn the schedule off");
+            }
+
+            foreach (var window in config.Windows)
+            {
+                window.Start = window.Start?.Trim() ?? string.Empty;
+                window.End = window.End?.Trim() ?? string.Empty;
+
+                if (!TimePattern.IsMatch(window.Start) || !TimePattern.IsMatch(window.End))
+                {
+                    throw new ArgumentException("Schedule times must be in HH:mm format");
+                }
+
+                window.Days = (window.Days ?? new List<int>()).Distinct().OrderBy(d => d).ToList();
+
+                if (window.Days.Count == 0)
+                {
+                    throw new ArgumentException($"The {window.Start}-{window.End} window needs at least one day");
+                }
+
+                if (window.Days.Any(d => d < 0 || d > 6))
+                {
+                    throw new ArgumentException("Schedule days must be 0 (Sunday) to 6 (Saturday)");
+                }
+            }
+        }
+
+        private static string GetConfigPath(Guid accountId)
+        {
+            return Path.Combine("data", "accounts", accountId.ToString(), "cache", "schedule.json");
+        }
+    }
+}
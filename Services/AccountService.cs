@@ -16,7 +16,7 @@ namespace RadegastWeb.Services
         Task<Account?> GetAccountAsync(Guid id);
         Task<Account?> UpdateAccountAsync(Account account);
         Task<bool> DeleteAccountAsync(Guid id);
-        Task<bool> LoginAccountAsync(Guid id);
+        Task<bool> LoginAccountAsync(Guid id, string? startLocation = null);
         Task<bool> LogoutAccountAsync(Guid id);
         Task<IEnumerable<AccountStatus>> GetAccountStatusesAsync();
         WebRadegastInstance? GetInstance(Guid accountId);
@@ -41,6 +41,9 @@ namespace RadegastWeb.Services
         Task<bool> UpdateAutoGreeterSettingsAsync(Guid accountId, AutoGreeterSettingsDto settings);
         Task<bool> UpdateAutoRelogSettingsAsync(Guid accountId, AutoRelogSettingsDto settings);
         Task ProcessAutoRelogAsync();
+        Task ProcessSchedulesAsync();
+        Task<bool> UpdateAccountOrganizationAsync(Guid accountId, AccountOrganizationDto organization);
+        Task ReorderAccountsAsync(IList<Guid> accountIds);
     }
 
     public class AccountService : IAccountService, IDisposable
@@ -54,9 +57,12 @@ namespace RadegastWeb.Services
         private readonly ISLTimeService _sltTimeService;
         private readonly IAttachmentCacheService _attachmentCacheService;
         private readonly IFriendOnlineStateService _friendOnlineStateService;
+        private readonly IAccountScheduleService _scheduleService;
+        private readonly ConcurrentDictionary<Guid, bool> _scheduleStates = new(); // Last wanted state acted on per scheduled account
+        private readonly ConcurrentDictionary<Guid, DateTime> _scheduledLoginRetries = new(); // When to retry a scheduled login that failed
         private bool _disposed;
 
-        public AccountService(ILogger<AccountService> logger, IServiceProvider serviceProvider, IConfiguration configuration, IMasterDisplayNameService masterDisplayNameService, ISLTimeService sltTimeService, IAttachmentCacheService attachmentCacheService, IFriendOnlineStateService friendOnlineStateService)
+        public AccountService(ILogger<AccountService> logger, IServiceProvider serviceProvider, IConfiguration configuration, IMasterDisplayNameService masterDisplayNameService, ISLTimeService sltTimeService, IAttachmentCacheService attachmentCacheService, IFriendOnlineStateService friendOnlineStateService, IAccountScheduleService scheduleService)
         {
             _logger = logger;
             _serviceProvider = serviceProvider;
@@ -64,6 +70,7 @@ namespace RadegastWeb.Services
             _masterDisplayNameService = masterDisplayNameService;
             _attachmentCacheService = attachmentCacheService;
             _friendOnlineStateService = friendOnlineStateService;
+            _scheduleService = scheduleService;
             
             // Get the connection string from configuration or build it
             var contentRoot = configuration.GetValue<string>("ContentRoot") ?? Directory.GetCurrentDirectory();
@@ -217,6 +224,11 @@ namespace RadegastWeb.Services
                     account.DisplayName = $"{account.FirstName} {account.LastName}";
                 }
 
+                account.StartLocation = StartLocationParser.Normalize(account.StartLocation);
+
+                // New accounts go to the bottom of the sidebar
+                account.SortOrder = _accounts.Values.Select(a => a.SortOrder).DefaultIfEmpty(-1).Max() + 1;
+
                 using var context = CreateDbContext();
                 context.Accounts.Add(account);
                 await context.SaveChangesAsync();
@@ -250,6 +262,7 @@ namespace RadegastWeb.Services
                 existingAccount.DisplayName = account.DisplayName;
                 existingAccount.AvatarUuid = account.AvatarUuid;
                 existingAccount.AvatarRelayUuid = account.AvatarRelayUuid;
+                existingAccount.StartLocation = StartLocationParser.Normalize(account.StartLocation);
                 // Note: FirstName, LastName, and GridUrl are not updatable as per requirements
 
                 _logger.LogDebug("Updating account {AccountId}: AvatarUuid='{AvatarUuid}', AvatarRelayUuid='{AvatarRelayUuid}'", 
@@ -331,7 +344,7 @@ namespace RadegastWeb.Services
             }
         }
 
-        public async Task<bool> LoginAccountAsync(Guid id)
+        public async Task<bool> LoginAccountAsync(Guid id, string? startLocation = null)
         {
             if (!_accounts.TryGetValue(id, out var account))
             {
@@ -339,6 +352,9 @@ namespace RadegastWeb.Services
                 return false;
             }
 
+            // Checked before the old instance is torn down so a typo doesn't log the account out
+            var loginStart = StartLocationParser.ToLoginStart(string.IsNullOrWhiteSpace(startLocation) ? account.StartLocation : startLocation);
+
             // If already have an instance, dispose it first
             if (_instances.TryRemove(id, out var existingInstance))
             {
@@ -388,7 +404,8 @@ namespace RadegastWeb.Services
                     AutoGreeterMessage = account.AutoGreeterMessage,
                     AutoGreeterReturnEnabled = account.AutoGreeterReturnEnabled,
                     AutoGreeterReturnMessage = account.AutoGreeterReturnMessage,
-                    AutoGreeterReturnTimeHours = account.AutoGreeterReturnTimeHours
+                    AutoGreeterReturnTimeHours = account.AutoGreeterReturnTimeHours,
+                    StartLocation = account.StartLocation
                 };
                 
                 _logger.LogDebug("Creating WebRadegastInstance for account {AccountId} with AvatarRelayUuid: {AvatarRelayUuid}", 
@@ -403,7 +420,7 @@ namespace RadegastWeb.Services
                 
                 var instance = new WebRadegastInstance(accountCopy, logger, displayNameService, noticeService, urlParser, nameResolutionService, groupService, globalDisplayNameCache, _masterDisplayNameService, statsService, corradeService, aiChatService, chatHistoryService, scriptDialogService, teleportRequestService, connectionTrackingService, chatProcessingService, slTimeService, presenceService, dbContextFactory, friendshipRequestService, groupInvitationService, regionMapCacheService, autoSitService, autoGreeterService, _attachmentCacheService, _friendOnlineStateService);
                 
-                var loginResult = await instance.LoginAsync();
+                var loginResult = await instance.LoginAsync(loginStart);
                 
                 if (loginResult)
                 {
@@ -794,10 +811,26 @@ namespace RadegastWeb.Services
                         _sltTimeService.FormatSLTWithDate(account.LastLoginAt.Value, "MMM dd, HH:mm:ss") : null
                 };
                 
+                var nextTransition = await _scheduleService.GetNextTransitionAsync(account.Id, DateTime.UtcNow);
+                if (nextTransition != null)
+                {
+                    accountStatus.NextScheduledAction = nextTransition.Action;
+                    accountStatus.NextScheduledAt = nextTransition.At;
+                    accountStatus.SLTNextScheduledAt = _sltTimeService.FormatSLT(nextTransition.At, "ddd HH:mm");
+                }
+                
+                accountStatus.Folder = account.Folder;
+                accountStatus.Tags = ParseTags(account.Tags);
+                accountStatus.SortOrder = account.SortOrder;
+                accountStatus.StartLocation = account.StartLocation;
+                
                 accountStatuses.Add(accountStatus);
             }
 
-            return accountStatuses;
+            return accountStatuses
+                .OrderBy(a => a.SortOrder)
+                .ThenBy(a => _accounts.TryGetValue(a.AccountId, out var account) ? account.CreatedAt : DateTime.MaxValue)
+                .ToList();
         }
 
         public WebRadegastInstance? GetInstance(Guid accountId)
@@ -1311,6 +1344,13 @@ namespace RadegastWeb.Services
                         if (!account.LastDisconnectTime.HasValue)
                             continue;
                         
+                        // Never undo a planned logout; the schedule logs the account back in when its next window starts
+                        if (await _scheduleService.IsScheduledOnlineAsync(account.Id, now) == false)
+                        {
+                            _logger.LogDebug("Skipping auto-relog for account {AccountId}: outside its scheduled online windows", account.Id);
+                            continue;
+                        }
+                        
                         var minutesElapsed = now.Subtract(account.LastDisconnectTime.Value).TotalMinutes;
                         _logger.LogInformation("Auto-relogging account {AccountId} ({DisplayName}) after {MinutesElapsed:F1} minutes (configured: {Minutes} minutes)", 
                             account.Id, account.DisplayName ?? $"{account.FirstName} {account.LastName}", minutesElapsed, account.AutoRelogMinutes);
@@ -1349,5 +1389,163 @@ namespace RadegastWeb.Services
                 _logger.LogError(ex, "Error processing auto-relog");
             }
         }
+
+        public async Task<bool> UpdateAccountOrganizationAsync(Guid accountId, AccountOrganizationDto organization)
+        {
+            var folder = organization.Folder?.Trim();
+            if (string.IsNullOrEmpty(folder))
+            {
+                folder = null;
+            }
+            else if (folder.Length > 100)
+            {
+                throw new ArgumentException("Folder names can be up to 100 characters");
+            }
+
+            // Tags are stored comma-separated, so commas can't be part of one
+            var tags = string.Join(",", (organization.Tags ?? new List<string>())
+                .SelectMany(tag => (tag ?? string.Empty).Split(','))
+                .Select(tag => tag.Trim())
+                .Where(tag => tag.Length > 0)
+                .Distinct(StringComparer.OrdinalIgnoreCase));
+            if (tags.Length > 500)
+            {
+                throw new ArgumentException("Tags can be up to 500 characters in total");
+            }
+
+            using var context = CreateDbContext();
+            var dbAccount = await context.Accounts.FindAsync(accountId);
+            if (dbAccount == null)
+            {
+                return false;
+            }
+
+            dbAccount.Folder = folder;
+            dbAccount.Tags = tags.Length > 0 ? tags : null;
+            await context.SaveChangesAsync();
+
+            if (_accounts.TryGetValue(accountId, out var account))
+            {
+                account.Folder = dbAccount.Folder;
+                account.Tags = dbAccount.Tags;
+            }
+
+            _logger.LogInformation("Updated folder '{Folder}' and tags '{Tags}' for account {AccountId}", folder ?? "", tags, accountId);
+            return true;
+        }
+
+        public async Task ReorderAccountsAsync(IList<Guid> accountIds)
+        {
+            using var context = CreateDbContext();
+            var dbAccounts = await context.Accounts.ToDictionaryAsync(a => a.Id);
+
+            // Accounts left out of the list keep their relative order after the ones given
+            var ordered = accountIds.Where(dbAccounts.ContainsKey).Distinct()
+                .Concat(dbAccounts.Values.OrderBy(a => a.SortOrder).ThenBy(a => a.CreatedAt).Select(a => a.Id).Where(id => !accountIds.Contains(id)))
+                .ToList();
+
+            for (var i = 0; i < ordered.Count; i++)
+            {
+                dbAccounts[ordered[i]].SortOrder = i;
+                if (_accounts.TryGetValue(ordered[i], out var account))
+                {
+                    account.SortOrder = i;
+                }
+            }
+
+            await context.SaveChangesAsync();
+            _logger.LogInformation("Reordered {Count} accounts", ordered.Count);
+        }
+
+        private static List<string> ParseTags(string? tags)
+        {
+            return string.IsNullOrEmpty(tags)
+                ? new List<string>()
+                : tags.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).ToList();
+        }
+
+        public async Task ProcessSchedulesAsync()
+        {
+            try
+            {
+                var now = DateTime.UtcNow;
+
+                foreach (var account in _accounts.Values.ToList())
+                {
+                    try
+                    {
+                        var wantOnline = await _scheduleService.IsScheduledOnlineAsync(account.Id, now);
+                        if (wantOnline == null)
+                        {
+                            _scheduleStates.TryRemove(account.Id, out _);
+                            _scheduledLoginRetries.TryRemove(account.Id, out _);
+                            continue;
+                        }
+
+                        // Only act when a window starts or ends, so manual logins and logouts in between are left alone
+                        var hadState = _scheduleStates.TryGetValue(account.Id, out var wasOnline);
+                        _scheduleStates[account.Id] = wantOnline.Value;
+
+                        if (wantOnline.Value)
+                        {
+                            if (account.IsConnected)
+                            {
+                                _scheduledLoginRetries.TryRemove(account.Id, out _);
+                                continue;
+                            }
+
+                            // A window that was already open when the server started counts as starting now
+                            var windowStarted = !hadState || !wasOnline;
+                            var retryDue = _scheduledLoginRetries.TryGetValue(account.Id, out var retryAt) && now >= retryAt;
+                            if (!windowStarted && !retryDue)
+                                continue;
+
+                            _logger.LogInformation("Scheduled login for account {AccountId} ({DisplayName})",
+                                account.Id, account.DisplayName ?? $"{account.FirstName} {account.LastName}");
+
+                            if (await LoginAccountAsync(account.Id))
+                            {
+                                _scheduledLoginRetries.TryRemove(account.Id, out _);
+                            }
+                            else
+                            {
+                                _logger.LogWarning("Scheduled login failed for account {AccountId}, retrying in 5 minutes", account.Id);
+                                _scheduledLoginRetries[account.Id] = now.AddMinutes(5);
+                            }
+                        }
+                        else
+                        {
+                            _scheduledLoginRetries.TryRemove(account.Id, out _);
+
+                            if (!hadState || !wasOnline || !account.IsConnected)
+                                continue;
+
+                            _logger.LogInformation("Scheduled logout for account {AccountId} ({DisplayName})",
+                                account.Id, account.DisplayName ?? $"{account.FirstName} {account.LastName}");
+
+                            await LogoutAccountAsync(account.Id);
+
+                            // A planned logout isn't a disconnect, so auto-relog has nothing to recover
+                            account.LastDisconnectTime = null;
+                            using var context = CreateDbContext();
+                            var dbAccount = await context.Accounts.FindAsync(account.Id);
+                            if (dbAccount != null)
+                            {
+                                dbAccount.LastDisconnectTime = null;
+                                await context.SaveChangesAsync();
+                            }
+                        }
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "Error applying schedule for account {AccountId}", account.Id);
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error processing account schedules");
+            }
+        }
     }
 }
\ No newline at end of file
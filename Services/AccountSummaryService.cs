@@ -0,0 +1,177 @@
+using Microsoft.AspNetCore.SignalR;
+using RadegastWeb.Hubs;
+using RadegastWeb.Models;
+using System.Collections.Concurrent;
+
+namespace RadegastWeb.Services
+{
+    /// <summary>
+    /// Service interface for the per-account unread and pending counters shown in the accounts sidebar
+    /// </summary>
+    public interface IAccountSummaryService
+    {
+        /// <summary>
+        /// Counts an incoming IM or group message towards its account's unread totals
+        /// </summary>
+        Task RecordChatMessageAsync(Guid accountId, ChatMessageDto message);
+
+        /// <summary>
+        /// Clears the unread count of a chat session once it has been viewed
+        /// </summary>
+        Task MarkSessionReadAsync(Guid accountId, string sessionId);
+
+        /// <summary>
+        /// Re-reads the unread notice count, e.g. after a notice was acknowledged or dismissed
+        /// </summary>
+        Task RefreshNoticesAsync(Guid accountId);
+
+        /// <summary>
+        /// Gets the current counters for an account
+        /// </summary>
+        Task<AccountSummaryDto> GetSummaryAsync(Guid accountId);
+    }
+
+    /// <summary>
+    /// Keeps unread chat counts in memory and pushes a summary to every web client whenever an account's counters change,
+    /// so accounts that are not selected in the browser still show activity
+    /// </summary>
+    public class AccountSummaryService : IAccountSummaryService
+    {
+        private readonly IHubContext<RadegastHub, IRadegastHubClient> _hubContext;
+        private readonly IScriptDialogService _scriptDialogService;
+        private readonly ITeleportRequestService _teleportRequestService;
+        private readonly INoticeService _noticeService;
+        private readonly ILogger<AccountSummaryService> _logger;
+
+        private readonly ConcurrentDictionary<Guid, ConcurrentDictionary<string, UnreadSessionDto>> _unreadSessions = new();
+        private readonly ConcurrentDictionary<Guid, int> _unreadNoticeCounts = new();
+
+        // Closed events only carry the dialog or request ID, so remember which account each one belongs to
+        private readonly ConcurrentDictionary<string, Guid> _pendingItemAccounts = new();
+
+        public AccountSummaryService(
+            IHubContext<RadegastHub, IRadegastHubClient> hubContext,
+            IScriptDialogService scriptDialogService,
+            ITeleportRequestService teleportRequestService,
+            INoticeService noticeService,
+            ILogger<AccountSummaryService> logger)
+        {
+            _hubContext = hubContext;
+            _scriptDialogService = scriptDialogService;
+            _teleportRequestService = teleportRequestService;
+            _noticeService = noticeService;
+            _logger = logger;
+
+            _scriptDialogService.DialogReceived += OnScriptDialogReceived;
+            _scriptDialogService.DialogClosed += OnPendingItemClosed;
+            _teleportRequestService.TeleportRequestReceived += OnTeleportRequestReceived;
+            _teleportRequestService.TeleportRequestClosed += OnPendingItemClosed;
+            _noticeService.NoticeReceived += OnNoticeReceived;
+        }
+
+        public async Task RecordChatMessageAsync(Guid accountId, ChatMessageDto message)
+        {
+            if (string.IsNullOrEmpty(message.SessionId))
+                return;
+
+            var chatType = string.Equals(message.ChatType, "Group", StringComparison.OrdinalIgnoreCase) ? "Group" : "IM";
+            var sessions = _unreadSessions.GetOrAdd(accountId, _ => new ConcurrentDictionary<string, UnreadSessionDto>());
+            sessions.AddOrUpdate(message.SessionId,
+                _ => new UnreadSessionDto
+                {
+                    SessionId = message.SessionId,
+                    SessionName = message.SessionName ?? message.SenderName,
+                    ChatType = chatType,
+                    TargetId = chatType == "IM" ? message.SenderId : message.TargetId,
+                    Count = 1,
+                    LastMessageAt = message.Timestamp
+                },
+                (_, existing) =>
+                {
+                    existing.Count++;
+                    existing.LastMessageAt = message.Timestamp;
+                    return existing;
+                });
+
+            await PublishSummaryAsync(accountId);
+        }
+
+        public async Task MarkSessionReadAsync(Guid accountId, string sessionId)
+        {
+            if (_unreadSessions.TryGetValue(accountId, out var sessions) && sessions.TryRemove(sessionId, out _))
+            {
+                await PublishSummaryAsync(accountId);
+            }
+        }
+
+        public async Task RefreshNoticesAsync(Guid accountId)
+        {
+            _unreadNoticeCounts.TryRemove(accountId, out _);
+            await PublishSummaryAsync(accountId);
+        }
+
+        public async Task<AccountSummaryDto> GetSummaryAsync(Guid accountId)
+        {
+            var unreadSessions = _unreadSessions.TryGetValue(accountId, out var sessions)
+                ? sessions.Values.OrderByDescending(s => s.LastMessageAt).ToList()
+                : new List<UnreadSessionDto>();
+
+            if (!_unreadNoticeCounts.TryGetValue(accountId, out var unreadNotices))
+            {
+                unreadNotices = (await _noticeService.GetUnreadNoticesAsync(accountId)).Count();
+                _unreadNoticeCounts[accountId] = unreadNotices;
+            }
+
+            return new AccountSummaryDto
+            {
+                AccountId = accountId,
+                UnreadIMs = unreadSessions.Where(s => s.ChatType == "IM").Sum(s => s.Count),
+                UnreadGroupMessages = unreadSessions.Where(s => s.ChatType == "Group").Sum(s => s.Count),
+                PendingScriptDialogs = (await _scriptDialogService.GetActiveDialogsAsync(accountId)).Count(),
+                PendingTeleportOffers = (await _teleportRequestService.GetActiveTeleportRequestsAsync(accountId)).Count(),
+                UnreadNotices = unreadNotices,
+                UnreadSessions = unreadSessions
+            };
+        }
+
+        private async Task PublishSummaryAsync(Guid accountId)
+        {
+            try
+            {
+                var summary = await GetSummaryAsync(accountId);
+                await _hubContext.Clients
+                    .Group(RadegastHub.AllAccountsGroup)
+                    .AccountSummaryUpdated(summary);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error broadcasting account summary for {AccountId}", accountId);
+            }
+        }
+
+        private async void OnScriptDialogReceived(object? sender, ScriptDialogEventArgs e)
+        {
+            _pendingItemAccounts[e.Dialog.DialogId] = e.Dialog.AccountId;
+            await PublishSummaryAsync(e.Dialog.AccountId);
+        }
+
+        private async void OnTeleportRequestReceived(object? sender, TeleportRequestEventArgs e)
+        {
+            _pendingItemAccounts[e.Request.RequestId] = e.Request.AccountId;
+            await PublishSummaryAsync(e.Request.AccountId);
+        }
+
+        private async void OnPendingItemClosed(object? sender, string itemId)
+        {
+            if (_pendingItemAccounts.TryRemove(itemId, out var accountId))
+            {
+                await PublishSummaryAsync(accountId);
+            }
+        }
+
+        private async void OnNoticeReceived(object? sender, NoticeReceivedEventArgs e)
+        {
+            await RefreshNoticesAsync(e.Notice.AccountId);
+        }
+    }
+}
@@ -0,0 +1,150 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using RadegastWeb.Models;
+
+namespace RadegastWeb.Services
+{
+    /// <summary>
+    /// Service interface for the shared library of canned chat responses
+    /// </summary>
+    public interface ICannedResponseService
+    {
+        /// <summary>
+        /// Gets the canned responses
+        /// </summary>
+        /// <returns>Canned responses, empty if none have been saved</returns>
+        Task<CannedResponsesConfig> GetCannedResponsesAsync();
+
+        /// <summary>
+        /// Validates and saves the canned responses, replacing the existing ones
+        /// </summary>
+        /// <param name="config">Canned responses</param>
+        /// <exception cref="ArgumentException">Thrown when a response is invalid</exception>
+        Task SaveCannedResponsesAsync(CannedResponsesConfig config);
+    }
+
+    /// <summary>
+    /// Stores canned responses as JSON in the data folder; they are not tied to any account
+    /// </summary>
+    public class CannedResponseService : ICannedResponseService
+    {
+        private const int MaxResponses = 200;
+        private const int MaxTitleLength = 100;
+        private const int MaxTextLength = 2000;
+        private static readonly Regex ShortcutPattern = new(@"^[a-z0-9_-]{1,32}$", RegexOptions.Compiled);
+        private static readonly string ConfigPath = Path.Combine("data", "canned_responses.json");
+
+        private readonly ILogger<CannedResponseService> _logger;
+        private readonly SemaphoreSlim _fileLock = new(1, 1);
+
+        public CannedResponseService(ILogger<CannedResponseService> logger)
+        {
+            _logger = logger;
+        }
+
+        public async Task<CannedResponsesConfig> GetCannedResponsesAsync()
+        {
+            try
+            {
+                if (!File.Exists(ConfigPath))
+                    return new CannedResponsesConfig();
+
+                var json = await File.ReadAllTextAsync(ConfigPath);
+                return JsonSerializer.Deserialize<CannedResponsesConfig>(json) ?? new CannedResponsesConfig();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading canned responses");
+                return new CannedResponsesConfig();
+            }
+        }
+
+        public async Task SaveCannedResponsesAsync(CannedResponsesConfig config)
+        {
+            ValidateResponses(config);
+
+            await _fileLock.WaitAsync();
+            try
+            {
+                var directory = Path.GetDirectoryName(ConfigPath);
+
+                if (!string.IsNullOrEmpty(directory) && !Directory.Exists(directory))
+                {
+                    Directory.CreateDirectory(directory);
+                }
+
+                config.LastUpdated = DateTime.UtcNow;
+                var json = JsonSerializer.Serialize(config, new JsonSerializerOptions { WriteIndented = true });
+
+                await File.WriteAllTextAsync(ConfigPath, json);
+                _logger.LogInformation("Saved {Count} canned responses", config.Responses.Count);
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+        }
+
+        private static void ValidateResponses(CannedResponsesConfig config)
+        {
+            config.Responses ??= new List<CannedResponse>();
+
+            if (config.Responses.Any(response => response == null))
+            {
+                throw new ArgumentException("Canned responses can't be empty");
+            }
+
+            if (config.Responses.Count > MaxResponses)
+            {
+                throw new ArgumentException($"No more than {MaxResponses} canned responses are allowed");
+            }
+
+            var shortcuts = new HashSet<string>();
+
+            foreach (var response in config.Responses)
+            {
+                response.Title = response.Title?.Trim() ?? string.Empty;
+                response.Text = response.Text?.Trim() ?? string.Empty;
+
+                if (string.IsNullOrEmpty(response.Text))
+                {
+                    throw new ArgumentException("Canned responses need some text");
+                }
+
+                if (response.Text.Length > MaxTextLength)
+                {
+                    throw new ArgumentException($"Response \"{response.Title}\" is longer than {MaxTextLength} characters");
+                }
+
+                if (string.IsNullOrEmpty(response.Title))
+                {
+                    response.Title = response.Text.Length > 40 ? response.Text[..40] + "..." : response.Text;
+                }
+                else if (response.Title.Length > MaxTitleLength)
+                {
+                    throw new ArgumentException($"Title \"{response.Title[..20]}...\" is longer than {MaxTitleLength} characters");
+                }
+
+                // Typed as ":shortcut", so accept it with or without the colon
+                response.Shortcut = response.Shortcut?.Trim().TrimStart(':').ToLowerInvariant();
+                if (string.IsNullOrEmpty(response.Shortcut))
+                {
+                    response.Shortcut = null;
+                }
+                else if (!ShortcutPattern.IsMatch(response.Shortcut))
+                {
+                    throw new ArgumentException($"Shortcut \"{response.Shortcut}\" may only use letters, digits, - and _ (up to 32 characters)");
+                }
+                else if (!shortcuts.Add(response.Shortcut))
+                {
+                    throw new ArgumentException($"Shortcut \":{response.Shortcut}\" is used by more than one response");
+                }
+
+                if (string.IsNullOrEmpty(response.Id))
+                {
+                    response.Id = Guid.NewGuid().ToString();
+                }
+            }
+        }
+    }
+}
@@ -73,7 +73,10 @@ namespace RadegastWeb.Services
                     SenderId = messageDto.SenderId,
                     TargetId = messageDto.TargetId,
                     SessionId = messageDto.SessionId ?? "local-chat",
-                    SessionName = messageDto.SessionName
+                    SessionName = messageDto.SessionName,
+                    SourceType = messageDto.SourceType,
+                    OwnerId = messageDto.OwnerId,
+                    OwnerName = messageDto.OwnerName
                 };
 
                 context.ChatMessages.Add(chatMessage);
@@ -101,10 +104,12 @@ namespace RadegastWeb.Services
                 var messages = await context.ChatMessages
                     .Where(m => m.AccountId == accountId && m.SessionId == sessionId)
                     .OrderByDescending(m => m.Timestamp)
+                    .ThenByDescending(m => m.Id) // Lines from the same tick keep one order across pages
                     .Skip(skip)
                     .Take(count)
                     .Select(m => new ChatMessageDto
                     {
+                        Id = m.Id,
                         SenderName = m.SenderName,
                         Message = m.Message,
                         ChatType = m.ChatType,
@@ -116,6 +121,9 @@ namespace RadegastWeb.Services
                         TargetId = m.TargetId,
                         SessionId = m.SessionId,
                         SessionName = m.SessionName,
+                        SourceType = m.SourceType,
+                        OwnerId = m.OwnerId,
+                        OwnerName = m.OwnerName,
                         SLTTime = _sltTimeService.FormatSLT(m.Timestamp, "HH:mm:ss"),
                         SLTDateTime = _sltTimeService.FormatSLTWithDate(m.Timestamp, "MMM dd, HH:mm:ss")
                     })
@@ -320,6 +328,9 @@ namespace RadegastWeb.Services
                         TargetId = m.TargetId,
                         SessionId = m.SessionId ?? sessionId,
                         SessionName = m.SessionName,
+                        SourceType = m.SourceType,
+                        OwnerId = m.OwnerId,
+                        OwnerName = m.OwnerName,
                         SLTTime = _sltTimeService.FormatSLT(m.Timestamp, "HH:mm:ss"),
                         SLTDateTime = _sltTimeService.FormatSLTWithDate(m.Timestamp, "MMM dd, HH:mm:ss")
                     })
@@ -371,6 +382,9 @@ namespace RadegastWeb.Services
                         TargetId = m.TargetId,
                         SessionId = m.SessionId ?? "local-chat",
                         SessionName = m.SessionName,
+                        SourceType = m.SourceType,
+                        OwnerId = m.OwnerId,
+                        OwnerName = m.OwnerName,
                         SLTTime = _sltTimeService.FormatSLT(m.Timestamp, "HH:mm:ss"),
                         SLTDateTime = _sltTimeService.FormatSLTWithDate(m.Timestamp, "MMM dd, HH:mm:ss")
                     })
@@ -12,6 +12,9 @@ namespace RadegastWeb.Services
         Task<string> GetChatLogPathAsync(Guid accountId, string chatType, string? sessionName = null);
         Task<IEnumerable<string>> GetChatLogFilesAsync(Guid accountId);
         Task<string> ReadChatLogAsync(Guid accountId, string logFileName, int maxLines = 100);
+        Task<IEnumerable<ChatLogFileInfoDto>> GetChatLogFileDetailsAsync(Guid accountId);
+        Task<ChatLogPageDto> ReadChatLogPageAsync(Guid accountId, string logFileName, int page, int pageSize = 200, string? search = null);
+        Stream? OpenChatLogForDownload(Guid accountId, string logFileName);
     }
 
     public class ChatLogService : IChatLogService, IDisposable
@@ -290,6 +293,160 @@ namespace RadegastWeb.Services
             }
         }
 
+        public Task<IEnumerable<ChatLogFileInfoDto>> GetChatLogFileDetailsAsync(Guid accountId)
+        {
+            try
+            {
+                var accountLogsDir = Path.Combine(_dataRoot, accountId.ToString(), "logs");
+                
+                if (!Directory.Exists(accountLogsDir))
+                {
+                    return Task.FromResult(Enumerable.Empty<ChatLogFileInfoDto>());
+                }
+
+                var logFiles = new DirectoryInfo(accountLogsDir).GetFiles("*.txt")
+                    .OrderByDescending(f => f.LastWriteTimeUtc)
+                    .Take(500) // Limit to prevent memory issues with thousands of files
+                    .Select(f =>
+                    {
+                        var (logType, sessionName) = DescribeLogFile(f.Name);
+                        return new ChatLogFileInfoDto
+                        {
+                            FileName = f.Name,
+                            SessionName = sessionName,
+                            LogType = logType,
+                            SizeBytes = f.Length,
+                            LastModified = f.LastWriteTimeUtc
+                        };
+                    })
+                    .ToList();
+
+                return Task.FromResult<IEnumerable<ChatLogFileInfoDto>>(logFiles);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting chat log file details for account {AccountId}", accountId);
+                return Task.FromResult(Enumerable.Empty<ChatLogFileInfoDto>());
+            }
+        }
+
+        /// <summary>
+        /// Read one page of a chat log, optionally filtered by a case-insensitive search term.
+        /// Pages are numbered from the start of the file; a page of 0 or beyond the end returns the last page.
+        /// </summary>
+        public async Task<ChatLogPageDto> ReadChatLogPageAsync(Guid accountId, string logFileName, int page, int pageSize = 200, string? search = null)
+        {
+            pageSize = Math.Clamp(pageSize, 1, 1000);
+            var result = new ChatLogPageDto
+            {
+                FileName = logFileName,
+                PageSize = pageSize,
+                Search = string.IsNullOrWhiteSpace(search) ? null : search.Trim(),
+                Page = 1,
+                TotalPages = 1
+            };
+
+            try
+            {
+                var logFilePath = Path.Combine(_dataRoot, accountId.ToString(), "logs", logFileName);
+                
+                if (!File.Exists(logFilePath))
+                {
+                    return result;
+                }
+
+                var rangeStart = page > 0 ? (page - 1) * pageSize : -1;
+                var requestedLines = new List<string>(pageSize);
+                var tailBuffer = new Queue<string>(pageSize); // Holds the last page in case it is requested
+                var matchCount = 0;
+
+                // Read outside the writer lock so a long scan or search doesn't hold up logging;
+                // sharing read/write lets the log writer keep appending to the file meanwhile
+                using var stream = new FileStream(logFilePath, FileMode.Open, FileAccess.Read, FileShare.ReadWrite);
+                using var reader = new StreamReader(stream, Encoding.UTF8);
+                string? line;
+
+                while ((line = await reader.ReadLineAsync()) != null)
+                {
+                    if (result.Search != null && line.IndexOf(result.Search, StringComparison.OrdinalIgnoreCase) < 0)
+                    {
+                        continue;
+                    }
+
+                    if (matchCount >= rangeStart && rangeStart >= 0 && requestedLines.Count < pageSize)
+                    {
+                        requestedLines.Add(line);
+                    }
+
+                    if (tailBuffer.Count >= pageSize)
+                    {
+                        tailBuffer.Dequeue();
+                    }
+                    tailBuffer.Enqueue(line);
+                    matchCount++;
+                }
+
+                result.TotalLines = matchCount;
+                result.TotalPages = Math.Max(1, (int)Math.Ceiling(matchCount / (double)pageSize));
+
+                if (page > 0 && page <= result.TotalPages)
+                {
+                    result.Page = page;
+                    result.Lines = requestedLines;
+                }
+                else
+                {
+                    result.Page = result.TotalPages;
+                    var lastPageCount = matchCount - (result.TotalPages - 1) * pageSize;
+                    result.Lines = tailBuffer.Skip(tailBuffer.Count - lastPageCount).ToList();
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error reading page {Page} of chat log {LogFile} for account {AccountId}", 
+                    page, logFileName, accountId);
+            }
+
+            return result;
+        }
+
+        public Stream? OpenChatLogForDownload(Guid accountId, string logFileName)
+        {
+            var logFilePath = Path.Combine(_dataRoot, accountId.ToString(), "logs", logFileName);
+            
+            if (!File.Exists(logFilePath))
+            {
+                return null;
+            }
+
+            return new FileStream(logFilePath, FileMode.Open, FileAccess.Read, FileShare.ReadWrite);
+        }
+
+        /// <summary>
+        /// Work out the log type and session name from a log file name (see GetChatLogPathAsync)
+        /// </summary>
+        private static (string LogType, string SessionName) DescribeLogFile(string fileName)
+        {
+            var name = Path.GetFileNameWithoutExtension(fileName);
+
+            if (name.Equals("chat", StringComparison.OrdinalIgnoreCase))
+            {
+                return ("Local", "Local Chat");
+            }
+
+            if (name.Equals("notices", StringComparison.OrdinalIgnoreCase))
+            {
+                return ("Notices", "Notices");
+            }
+
+            if (name.EndsWith(" (group)", StringComparison.OrdinalIgnoreCase))
+            {
+                return ("Group", name.Substring(0, name.Length - " (group)".Length));
+            }
+
+            return ("IM", name);
+        }
+
         private async Task<string> FormatChatMessageAsync(ChatMessageDto message)
         {
             var timestamp = message.Timestamp.ToString("yyyy/MM/dd HH:mm:ss", CultureInfo.InvariantCulture);
@@ -4,6 +4,7 @@ using RadegastWeb.Core;
 using RadegastWeb.Hubs;
 using RadegastWeb.Models;
 using System.Collections.Concurrent;
+using System.Text.RegularExpressions;
 
 namespace RadegastWeb.Services
 {
@@ -45,6 +46,8 @@ namespace RadegastWeb.Services
             RegisterProcessor(new NameResolutionProcessor(_serviceProvider, _logger), 18); // Improve sender names before save
             RegisterProcessor(new DatabaseSaveProcessor(_serviceProvider, _logger), 20);
             RegisterProcessor(new SignalRBroadcastProcessor(_hubContext, _logger), 30);
+            RegisterProcessor(new InboxBroadcastProcessor(_hubContext, _logger), 35); // IMs and mentions for the cross-account inbox
+            RegisterProcessor(new AccountSummaryProcessor(_serviceProvider, _logger), 36); // Unread counters for the accounts sidebar
             RegisterProcessor(new CorradeCommandProcessor(_serviceProvider, _logger), 40);
             RegisterProcessor(new AiChatProcessor(_serviceProvider, _logger), 50);
         }
@@ -194,6 +197,9 @@ namespace RadegastWeb.Services
                         TargetId = message.TargetId,
                         SessionId = message.SessionId,
                         SessionName = message.SessionName,
+                        SourceType = message.SourceType,
+                        OwnerId = message.OwnerId,
+                        OwnerName = message.OwnerName,
                         SLTTime = sltTimeService.FormatSLT(message.Timestamp, "HH:mm:ss"),
                         SLTDateTime = sltTimeService.FormatSLTWithDate(message.Timestamp, "MMM dd, HH:mm:ss")
                     };
@@ -318,6 +324,9 @@ namespace RadegastWeb.Services
                         TargetId = message.TargetId,
                         SessionId = message.SessionId,
                         SessionName = message.SessionName,
+                        SourceType = message.SourceType,
+                        OwnerId = message.OwnerId,
+                        OwnerName = message.OwnerName,
                         SLTTime = sltTimeService.FormatSLT(message.Timestamp, "HH:mm:ss"),
                         SLTDateTime = sltTimeService.FormatSLTWithDate(message.Timestamp, "MMM dd, HH:mm:ss")
                     };
@@ -416,6 +425,135 @@ namespace RadegastWeb.Services
         }
     }
 
+    /// <summary>
+    /// Processor that copies IMs and group mentions to every connected client's inbox,
+    /// since ReceiveChat only reaches clients viewing that account
+    /// </summary>
+    internal class InboxBroadcastProcessor : IChatMessageProcessor
+    {
+        private readonly IHubContext<RadegastHub, IRadegastHubClient> _hubContext;
+        private readonly ILogger _logger;
+
+        public InboxBroadcastProcessor(IHubContext<RadegastHub, IRadegastHubClient> hubContext, ILogger logger)
+        {
+            _hubContext = hubContext;
+            _logger = logger;
+        }
+
+        public string Name => "Inbox Broadcast";
+        public int Priority => 35;
+
+        public async Task<ChatProcessingResult> ProcessAsync(ChatMessageDto message, ChatProcessingContext context)
+        {
+            var instance = context.AccountInstance;
+            if (instance == null || string.IsNullOrEmpty(message.SenderId))
+                return ChatProcessingResult.CreateSuccess();
+
+            // Our own outgoing messages never need attention
+            if (string.Equals(message.SenderId, instance.Client.Self.AgentID.ToString(), StringComparison.OrdinalIgnoreCase))
+                return ChatProcessingResult.CreateSuccess();
+
+            string reason;
+            if (string.Equals(message.ChatType, "IM", StringComparison.OrdinalIgnoreCase))
+            {
+                reason = "IM";
+            }
+            else if (string.Equals(message.ChatType, "Group", StringComparison.OrdinalIgnoreCase) &&
+                     MentionsAccount(message.Message, instance.AccountInfo))
+            {
+                reason = "Mention";
+            }
+            else
+            {
+                return ChatProcessingResult.CreateSuccess();
+            }
+
+            // The client only filters mutes for the account it has open, so the inbox is filtered here
+            if (instance.IsMuted(message.SenderId, message.SenderName))
+                return ChatProcessingResult.CreateSuccess();
+
+            try
+            {
+                var accountInfo = instance.AccountInfo;
+                var legacyName = $"{accountInfo.FirstName} {accountInfo.LastName}";
+
+                await _hubContext.Clients
+                    .Group(RadegastHub.AllAccountsGroup)
+                    .InboxMessageReceived(new InboxEntryDto
+                    {
+                        AccountId = message.AccountId,
+                        AccountName = string.IsNullOrEmpty(accountInfo.DisplayName) ? legacyName : accountInfo.DisplayName,
+                        Reason = reason,
+                        Message = message
+                    });
+                return ChatProcessingResult.CreateSuccess();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error broadcasting inbox entry via SignalR");
+                return ChatProcessingResult.CreateError("Failed to broadcast inbox entry");
+            }
+        }
+
+        private static bool MentionsAccount(string text, Account account)
+        {
+            if (string.IsNullOrEmpty(text))
+                return false;
+
+            return new[] { account.FirstName, account.DisplayName }
+                .Where(name => !string.IsNullOrWhiteSpace(name))
+                .Any(name => Regex.IsMatch(text, $@"(^|\W){Regex.Escape(name.Trim())}(\W|$)", RegexOptions.IgnoreCase));
+        }
+    }
+
+    /// <summary>
+    /// Processor that counts incoming IMs and group messages towards the account's unread summary
+    /// </summary>
+    internal class AccountSummaryProcessor : IChatMessageProcessor
+    {
+        private readonly IServiceProvider _serviceProvider;
+        private readonly ILogger _logger;
+
+        public AccountSummaryProcessor(IServiceProvider serviceProvider, ILogger logger)
+        {
+            _serviceProvider = serviceProvider;
+            _logger = logger;
+        }
+
+        public string Name => "Account Summary";
+        public int Priority => 36;
+
+        public async Task<ChatProcessingResult> ProcessAsync(ChatMessageDto message, ChatProcessingContext context)
+        {
+            var instance = context.AccountInstance;
+            if (instance == null || string.IsNullOrEmpty(message.SenderId))
+                return ChatProcessingResult.CreateSuccess();
+
+            if (!string.Equals(message.ChatType, "IM", StringComparison.OrdinalIgnoreCase) &&
+                !string.Equals(message.ChatType, "Group", StringComparison.OrdinalIgnoreCase))
+                return ChatProcessingResult.CreateSuccess();
+
+            if (string.Equals(message.SenderId, instance.Client.Self.AgentID.ToString(), StringComparison.OrdinalIgnoreCase))
+                return ChatProcessingResult.CreateSuccess();
+
+            // Muted senders shouldn't badge the account any more than they show up in its chat
+            if (instance.IsMuted(message.SenderId, message.SenderName))
+                return ChatProcessingResult.CreateSuccess();
+
+            try
+            {
+                var accountSummaryService = _serviceProvider.GetRequiredService<IAccountSummaryService>();
+                await accountSummaryService.RecordChatMessageAsync(context.AccountId, message);
+                return ChatProcessingResult.CreateSuccess();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating account summary for chat message");
+                return ChatProcessingResult.CreateError("Failed to update account summary");
+            }
+        }
+    }
+
     /// <summary>
     /// Processor for handling Corrade commands
     /// </summary>
@@ -0,0 +1,143 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using RadegastWeb.Models;
+
+namespace RadegastWeb.Services
+{
+    /// <summary>
+    /// Service interface for per-account chat highlight rules
+    /// </summary>
+    public interface IHighlightRuleService
+    {
+        /// <summary>
+        /// Gets the highlight rules for an account
+        /// </summary>
+        /// <param name="accountId">Account ID</param>
+        /// <returns>Highlight rules, empty if none have been saved</returns>
+        Task<HighlightRulesConfig> GetHighlightRulesAsync(Guid accountId);
+
+        /// <summary>
+        /// Validates and saves the highlight rules for an account
+        /// </summary>
+        /// <param name="accountId">Account ID</param>
+        /// <param name="config">Highlight rules</param>
+        /// <exception cref="ArgumentException">Thrown when a rule is invalid</exception>
+        Task SaveHighlightRulesAsync(Guid accountId, HighlightRulesConfig config);
+    }
+
+    /// <summary>
+    /// Stores highlight rules as JSON in the account's data folder
+    /// </summary>
+    public class HighlightRuleService : IHighlightRuleService
+    {
+        private const int MaxRules = 100;
+        private const int MaxPatternLength = 200;
+        private static readonly Regex ColorPattern = new(@"^#[0-9a-fA-F]{6}$", RegexOptions.Compiled);
+
+        private readonly ILogger<HighlightRuleService> _logger;
+        private readonly SemaphoreSlim _fileLock = new(1, 1);
+
+        public HighlightRuleService(ILogger<HighlightRuleService> logger)
+        {
+            _logger = logger;
+        }
+
+        public async Task<HighlightRulesConfig> GetHighlightRulesAsync(Guid accountId)
+        {
+            try
+            {
+                var configPath = GetConfigPath(accountId);
+
+                if (!File.Exists(configPath))
+                    return new HighlightRulesConfig();
+
+                var json = await File.ReadAllTextAsync(configPath);
+                return JsonSerializer.Deserialize<HighlightRulesConfig>(json) ?? new HighlightRulesConfig();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading highlight rules for account {AccountId}", accountId);
+                return new HighlightRulesConfig();
+            }
+        }
+
+        public async Task SaveHighlightRulesAsync(Guid accountId, HighlightRulesConfig config)
+        {
+            ValidateRules(config);
+
+            await _fileLock.WaitAsync();
+            try
+            {
+                var configPath = GetConfigPath(accountId);
+                var directory = Path.GetDirectoryName(configPath);
+
+                if (!string.IsNullOrEmpty(directory) && !Directory.Exists(directory))
+                {
+                    Directory.CreateDirectory(directory);
+                }
+
+                config.LastUpdated = DateTime.UtcNow;
+                var json = JsonSerializer.Serialize(config, new JsonSerializerOptions { WriteIndented = true });
+
+                await File.WriteAllTextAsync(configPath, json);
+                _logger.LogInformation("Saved {Count} highlight rules for account {AccountId}", config.Rules.Count, accountId);
+            }
+            finally
+            {
+                _fileLock.Release();
+            }
+        }
+
+        private static void ValidateRules(HighlightRulesConfig config)
+        {
+            config.Rules = (config.Rules ?? new List<HighlightRule>()).Where(rule => rule != null).ToList();
+
+            if (config.Rules.Count > MaxRules)
+            {
+                throw new ArgumentException($"No more than {MaxRules} highlight rules are allowed");
+            }
+
+            foreach (var rule in config.Rules)
+            {
+                rule.Pattern = rule.Pattern?.Trim() ?? string.Empty;
+
+                if (string.IsNullOrEmpty(rule.Pattern))
+                {
+                    throw new ArgumentException("Highlight rules need a keyword or pattern");
+                }
+
+                if (rule.Pattern.Length > MaxPatternLength)
+                {
+                    throw new ArgumentException($"Pattern \"{rule.Pattern[..20]}...\" is longer than {MaxPatternLength} characters");
+                }
+
+                if (rule.IsRegex)
+                {
+                    try
+                    {
+                        _ = new Regex(rule.Pattern, RegexOptions.None, TimeSpan.FromMilliseconds(100));
+                    }
+                    catch (ArgumentException ex)
+                    {
+                        throw new ArgumentException($"Invalid regular expression \"{rule.Pattern}\": {ex.Message}");
+                    }
+                }
+
+                if (string.IsNullOrEmpty(rule.Id))
+                {
+                    rule.Id = Guid.NewGuid().ToString();
+                }
+
+                if (!ColorPattern.IsMatch(rule.Color ?? string.Empty))
+                {
+                    rule.Color = "#ffc107";
+                }
+            }
+        }
+
+        private static string GetConfigPath(Guid accountId)
+        {
+            return Path.Combine("data", "accounts", accountId.ToString(), "cache", "highlight_rules.json");
+        }
+    }
+}
@@ -60,6 +60,9 @@ namespace RadegastWeb.Services
                 _groupService = scope.ServiceProvider.GetRequiredService<IGroupService>();
                 _groupService.GroupsUpdated += OnGroupsUpdated;
 
+                // Created up front so it is listening for dialogs, teleport offers and notices before any browser asks
+                scope.ServiceProvider.GetRequiredService<IAccountSummaryService>();
+
                 _memoryManagementService = scope.ServiceProvider.GetRequiredService<IMemoryManagementService>();
                 _memoryManagementService.RegisterPeriodicCleanup();
 
@@ -71,6 +74,7 @@ namespace RadegastWeb.Services
                 var lastLibOpenMetaverseCleanup = DateTime.UtcNow;
                 var lastRegionStatsManagement = DateTime.UtcNow;
                 var lastAutoRelogCheck = DateTime.UtcNow;
+                var lastScheduleCheck = DateTime.MinValue;
 
                 while (!stoppingToken.IsCancellationRequested && !_isShuttingDown)
                 {
@@ -107,6 +111,13 @@ namespace RadegastWeb.Services
                             lastRegionStatsManagement = now;
                         }
                         
+                        // Scheduled online windows (every minute); checked before auto-relog so a planned logout is known first
+                        if (now - lastScheduleCheck >= TimeSpan.FromMinutes(1))
+                        {
+                            await ProcessSchedulesAsync(stoppingToken);
+                            lastScheduleCheck = now;
+                        }
+                        
                         // Periodic auto-relog check (every 1 minute) to relog accounts after their configured delay
                         if (now - lastAutoRelogCheck >= TimeSpan.FromMinutes(1))
                         {
@@ -269,6 +280,7 @@ namespace RadegastWeb.Services
                         instance.StatusChanged += OnStatusChanged;
                         instance.ConnectionChanged += OnConnectionChanged;
                         instance.ChatSessionUpdated += OnChatSessionUpdated;
+                        instance.TypingStatusChanged += OnTypingStatusChanged;
                         instance.AvatarAdded += OnAvatarAdded;
                         instance.AvatarRemoved += OnAvatarRemoved;
                         instance.AvatarUpdated += OnAvatarUpdated;
@@ -367,6 +379,7 @@ namespace RadegastWeb.Services
                 instance.StatusChanged += OnStatusChanged;
                 instance.ConnectionChanged += OnConnectionChanged;
                 instance.ChatSessionUpdated += OnChatSessionUpdated;
+                instance.TypingStatusChanged += OnTypingStatusChanged;
                 instance.AvatarAdded += OnAvatarAdded;
                 instance.AvatarRemoved += OnAvatarRemoved;
                 instance.AvatarUpdated += OnAvatarUpdated;
@@ -577,6 +590,23 @@ namespace RadegastWeb.Services
             }
         }
 
+        private async void OnTypingStatusChanged(object? sender, TypingStatusDto status)
+        {
+            try
+            {
+                if (sender is not Core.WebRadegastInstance instance || _isShuttingDown)
+                    return;
+
+                await _hubContext.Clients
+                    .Group($"account_{instance.AccountId}")
+                    .TypingStatusChanged(status);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error broadcasting typing status");
+            }
+        }
+
         private async void OnAvatarAdded(object? sender, AvatarDto avatar)
         {
             try
@@ -1133,6 +1163,24 @@ namespace RadegastWeb.Services
             }
         }
 
+        /// <summary>
+        /// Log accounts in and out at the edges of their scheduled online windows
+        /// </summary>
+        private async Task ProcessSchedulesAsync(CancellationToken cancellationToken)
+        {
+            try
+            {
+                using var scope = _serviceProvider.CreateScope();
+                var accountService = scope.ServiceProvider.GetRequiredService<IAccountService>();
+                
+                await accountService.ProcessSchedulesAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error during schedule processing");
+            }
+        }
+
         /// <summary>
         /// Periodically broadcast complete avatar state to all connected clients
         /// This ensures clients eventually get the correct state even if they missed individual updates
@@ -1376,6 +1424,7 @@ namespace RadegastWeb.Services
                 instance.StatusChanged -= OnStatusChanged;
                 instance.ConnectionChanged -= OnConnectionChanged;
                 instance.ChatSessionUpdated -= OnChatSessionUpdated;
+                instance.TypingStatusChanged -= OnTypingStatusChanged;
                 instance.AvatarAdded -= OnAvatarAdded;
                 instance.AvatarRemoved -= OnAvatarRemoved;
                 instance.AvatarUpdated -= OnAvatarUpdated;
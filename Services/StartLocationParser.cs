@@ -0,0 +1,81 @@
+using System.Text.RegularExpressions;
+using LibreMetaverse;
+
+namespace RadegastWeb.Services
+{
+    /// <summary>
+    /// Reads the start locations accounts log in at: "home", "last", or a region with optional coordinates
+    /// given as "Region/x/y/z" or a secondlife://, maps.secondlife.com or slurl.com SLURL
+    /// </summary>
+    public static class StartLocationParser
+    {
+        public const string Home = "home";
+        public const string Last = "last";
+
+        private const int MaxCoordinate = 8192; // OpenSim var regions can be larger than 256m
+
+        private static readonly Regex SlUrlPrefix = new(
+            @"^(secondlife://|https?://(slurl\.com|maps\.secondlife\.com)/secondlife/)",
+            RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+        /// <summary>
+        /// Turns user input into the stored form: "home", "last" or "Region/x/y/z"
+        /// </summary>
+        /// <exception cref="ArgumentException">Thrown when the input isn't a start location</exception>
+        public static string Normalize(string? input)
+        {
+            var text = input?.Trim() ?? string.Empty;
+
+            if (text.Length == 0 || text.Equals(Last, StringComparison.OrdinalIgnoreCase))
+                return Last;
+
+            if (text.Equals(Home, StringComparison.OrdinalIgnoreCase))
+                return Home;
+
+            var (region, x, y, z) = ParseRegion(text);
+            return $"{region}/{x}/{y}/{z}";
+        }
+
+        /// <summary>
+        /// Converts a stored start location to the value the login server expects
+        /// </summary>
+        public static string ToLoginStart(string? startLocation)
+        {
+            var normalized = Normalize(startLocation);
+            if (normalized == Home || normalized == Last)
+                return normalized;
+
+            var (region, x, y, z) = ParseRegion(normalized);
+            return NetworkManager.StartLocation(region, x, y, z);
+        }
+
+        private static (string Region, int X, int Y, int Z) ParseRegion(string text)
+        {
+            var prefix = SlUrlPrefix.Match(text);
+            if (prefix.Success)
+            {
+                text = Uri.UnescapeDataString(text.Substring(prefix.Length)).TrimEnd('/');
+            }
+
+            var parts = text.Split('/');
+            var region = parts[0].Trim();
+
+            if (region.Length == 0 || region.Length > 100 || parts.Length > 4)
+            {
+                throw new ArgumentException("Start location must be home, last, a region name with optional x/y/z, or a SLURL");
+            }
+
+            var coordinates = new[] { 128, 128, 0 };
+            for (var i = 1; i < parts.Length; i++)
+            {
+                if (!int.TryParse(parts[i].Trim(), out var value) || value < 0 || value > MaxCoordinate)
+                {
+                    throw new ArgumentException($"Start location coordinates must be whole numbers from 0 to {MaxCoordinate}");
+                }
+                coordinates[i - 1] = value;
+            }
+
+            return (region, coordinates[0], coordinates[1], coordinates[2]);
+        }
+    }
+}
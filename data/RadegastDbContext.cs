@@ -34,6 +34,9 @@ namespace RadegastWeb.Data
                 entity.Property(e => e.CurrentRegion).HasMaxLength(200);
                 entity.Property(e => e.AvatarUuid).HasMaxLength(36);
                 entity.Property(e => e.AvatarRelayUuid).HasMaxLength(36);
+                entity.Property(e => e.Folder).HasMaxLength(100);
+                entity.Property(e => e.Tags).HasMaxLength(500);
+                entity.Property(e => e.StartLocation).HasMaxLength(300);
             });
 
             // Configure ChatMessage entity
@@ -49,6 +52,9 @@ namespace RadegastWeb.Data
                 entity.Property(e => e.TargetId).HasMaxLength(36);
                 entity.Property(e => e.SessionId).HasMaxLength(100);
                 entity.Property(e => e.SessionName).HasMaxLength(200);
+                entity.Property(e => e.SourceType).HasMaxLength(20);
+                entity.Property(e => e.OwnerId).HasMaxLength(36);
+                entity.Property(e => e.OwnerName).HasMaxLength(200);
 
                 // Configure foreign key relationship explicitly
                 entity.HasOne(e => e.Account)
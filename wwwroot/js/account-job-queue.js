@@ -0,0 +1,143 @@
+// Account Job Queue - runs bulk login/logout requests one at a time, spacing logins out so the grid doesn't throttle us
+class AccountJobQueue {
+    constructor(options = {}) {
+        this.run = options.run; // async (job) -> resolves when done, throws with a readable message on failure
+        this.onChange = options.onChange || null; // Called whenever a job is added, starts, finishes or is removed
+        this.loginStaggerMs = options.loginStaggerMs ?? 10000; // Wait between the starts of two logins
+
+        // { id, accountId, action, status, error, startsAt } in the order they were queued;
+        // status is queued, waiting (for the stagger), running, done or failed
+        this.jobs = [];
+        this.isRunning = false;
+        this.lastLoginAt = 0;
+        this.nextId = 1;
+        this.wakeTimer = null;
+        this.wake = null;
+    }
+
+    get pendingCount() {
+        return this.jobs.filter(job => ['queued', 'waiting', 'running'].includes(job.status)).length;
+    }
+
+    // Queue an action for an account; an unfinished job for the same account is replaced instead of run twice
+    enqueue(accountId, action) {
+        const existing = this.jobs.find(job => job.accountId === accountId && job.status !== 'running');
+        if (existing) {
+            this.jobs.splice(this.jobs.indexOf(existing), 1);
+        }
+        const running = this.jobs.find(job => job.accountId === accountId && job.status === 'running');
+        if (running && running.action === action) {
+            this.notify();
+            return running;
+        }
+
+        const job = { id: this.nextId++, accountId, action, status: 'queued', error: null };
+        this.jobs.push(job);
+        this.notify();
+        this.process();
+        return job;
+    }
+
+    retry(jobId) {
+        const job = this.jobs.find(j => j.id === jobId);
+        if (!job || job.status !== 'failed') return;
+
+        // Retries go to the back so they don't jump the stagger
+        this.jobs.splice(this.jobs.indexOf(job), 1);
+        job.status = 'queued';
+        job.error = null;
+        this.jobs.push(job);
+        this.notify();
+        this.process();
+    }
+
+    retryFailed() {
+        this.jobs.filter(job => job.status === 'failed').forEach(job => this.retry(job.id));
+    }
+
+    // Drop jobs that haven't started yet; the one in flight is left to finish
+    cancelPending() {
+        this.wakeUp();
+        this.jobs = this.jobs.filter(job => job.status !== 'queued');
+        this.notify();
+    }
+
+    clearFinished() {
+        this.jobs = this.jobs.filter(job => ['queued', 'waiting', 'running'].includes(job.status));
+        this.notify();
+    }
+
+    setLoginStagger(ms) {
+        this.loginStaggerMs = ms;
+        this.wakeUp();
+    }
+
+    async process() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        try {
+            let job;
+            while ((job = this.jobs.find(j => j.status === 'queued'))) {
+                if (job.action === 'login') {
+                    const wait = this.lastLoginAt + this.loginStaggerMs - Date.now();
+                    if (wait > 0) {
+                        job.status = 'waiting';
+                        job.startsAt = Date.now() + wait;
+                        this.notify();
+                        await this.sleep(wait);
+                        // The queue may have changed or the stagger been shortened while we slept, so look again
+                        if (job.status === 'waiting') {
+                            job.status = 'queued';
+                        }
+                        continue;
+                    }
+                    this.lastLoginAt = Date.now();
+                }
+
+                job.status = 'running';
+                this.notify();
+                try {
+                    await this.run(job);
+                    job.status = 'done';
+                } catch (error) {
+                    job.status = 'failed';
+                    job.error = error.message || String(error);
+                }
+                this.notify();
+            }
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            this.wake = resolve;
+            this.wakeTimer = setTimeout(() => {
+                this.wake = null;
+                resolve();
+            }, ms);
+        });
+    }
+
+    wakeUp() {
+        if (!this.wake) return;
+        clearTimeout(this.wakeTimer);
+        this.jobs.filter(job => job.status === 'waiting').forEach(job => job.status = 'queued');
+        const wake = this.wake;
+        this.wake = null;
+        wake();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.jobs);
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccountJobQueue;
+}
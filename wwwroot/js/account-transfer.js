@@ -0,0 +1,123 @@
+// Account Transfer - writes and reads account export files; passwords are either left out or sealed with a
+// passphrase (PBKDF2-SHA256 key, AES-GCM per password) so the file never holds them in the clear
+class AccountTransfer {
+    constructor() {
+        this.format = 'radegast-web-accounts';
+        this.version = 1;
+        this.iterations = 250000; // PBKDF2 rounds for keys derived from new exports
+    }
+
+    isEncryptionSupported() {
+        return !!(window.crypto && window.crypto.subtle);
+    }
+
+    // accounts: plain definitions with a password property; it is dropped unless a passphrase is given
+    async createExport(accounts, passphrase = null) {
+        const file = {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            passwords: passphrase ? 'encrypted' : 'excluded',
+            accounts: []
+        };
+
+        let key = null;
+        if (passphrase) {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            key = await this.deriveKey(passphrase, salt, this.iterations);
+            file.encryption = { kdf: 'PBKDF2-SHA256', iterations: this.iterations, salt: this.toBase64(salt), cipher: 'AES-GCM' };
+        }
+
+        for (const account of accounts) {
+            const { password, ...definition } = account;
+            if (key && password) {
+                definition.password = await this.encrypt(key, password);
+            }
+            file.accounts.push(definition);
+        }
+
+        return file;
+    }
+
+    // Returns the account definitions with passwords decrypted, or null where the file has none
+    async readExport(text, passphrase = null) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!file || file.format !== this.format || !Array.isArray(file.accounts)) {
+            throw new Error('The file is not a Radegast Web account export');
+        }
+        if (file.version > this.version) {
+            throw new Error('The file was exported by a newer version of Radegast Web');
+        }
+
+        let key = null;
+        if (file.passwords === 'encrypted') {
+            if (!passphrase) {
+                throw new Error('This export has encrypted passwords; enter its passphrase');
+            }
+            key = await this.deriveKey(passphrase, this.fromBase64(file.encryption.salt), file.encryption.iterations);
+        }
+
+        const accounts = [];
+        for (const account of file.accounts) {
+            let password = null;
+            if (key && account.password) {
+                try {
+                    password = await this.decrypt(key, account.password);
+                } catch (error) {
+                    throw new Error('Wrong passphrase');
+                }
+            }
+            accounts.push({ ...account, password });
+        }
+        return accounts;
+    }
+
+    isEncrypted(text) {
+        try {
+            return JSON.parse(text).passwords === 'encrypted';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encrypt(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    }
+
+    async decrypt(key, sealed) {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(sealed.iv) }, key, this.fromBase64(sealed.data));
+        return new TextDecoder().decode(data);
+    }
+
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccountTransfer;
+}
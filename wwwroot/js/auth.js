@@ -52,6 +52,8 @@ class AuthManager {
         } catch (error) {
             console.error('Logout error:', error);
         } finally {
+            // Chat cached in this browser shouldn't outlive the session
+            await window.radegastClient?.chatCache?.clear().catch(() => {});
             this.redirectToLogin();
         }
     }
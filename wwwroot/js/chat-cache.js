@@ -0,0 +1,163 @@
+// Chat Cache - keeps recent chat per account and session in IndexedDB so panes can be drawn before the hub answers
+class ChatCache {
+    constructor(options = {}) {
+        this.dbName = 'radegast-chat-cache';
+        this.storeName = 'messages';
+        this.maxAgeDays = options.maxAgeDays || 7; // Older messages are pruned
+        this.maxMessages = options.maxMessages || 20000; // Across all accounts; the oldest go first
+        this.dbPromise = null;
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // Resolves to null when IndexedDB is unavailable (private browsing, old browsers), which turns every call into a no-op
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (!this.isSupported()) {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, 2);
+                request.onupgradeneeded = (e) => {
+                    if (e.oldVersion < 1) {
+                        const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                        store.createIndex('session', ['accountId', 'sessionId', 'time']);
+                        store.createIndex('time', 'time');
+                    } else {
+                        // Version 1 keyed lines by the raw timestamp text, which stored live and reloaded copies of a line separately
+                        request.transaction.objectStore(this.storeName).clear();
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Chat cache unavailable:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Live lines carry a trailing 'Z' but lines reloaded from the database don't, though both are UTC
+    getTime(message) {
+        let timestamp = String(message.timestamp || '');
+        if (!timestamp.endsWith('Z') && !timestamp.includes('+') && !timestamp.includes('-', 10)) {
+            timestamp += 'Z'; // Force UTC interpretation
+        }
+        return new Date(timestamp).getTime();
+    }
+
+    // The same line arriving live and again in a history page maps to one record
+    getKey(accountId, sessionId, message) {
+        return [accountId, sessionId, this.getTime(message), message.senderId || message.senderName || '', message.message].join('|');
+    }
+
+    async addMessages(accountId, sessionId, messages) {
+        const db = await this.open();
+        if (!db || messages.length === 0) return;
+
+        await this.runTransaction(db, 'readwrite', store => {
+            messages.forEach(message => {
+                store.put({
+                    key: this.getKey(accountId, sessionId, message),
+                    accountId,
+                    sessionId,
+                    time: this.getTime(message),
+                    message
+                });
+            });
+        });
+    }
+
+    // The newest messages of a session, oldest first
+    async getMessages(accountId, sessionId, limit) {
+        const db = await this.open();
+        if (!db) return [];
+
+        const messages = [];
+        const range = IDBKeyRange.bound([accountId, sessionId, -Infinity], [accountId, sessionId, Infinity]);
+        await this.runTransaction(db, 'readonly', store => {
+            store.index('session').openCursor(range, 'prev').onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor || messages.length >= limit) return;
+                messages.push(cursor.value.message);
+                cursor.continue();
+            };
+        });
+        return messages.reverse();
+    }
+
+    async clearSession(accountId, sessionId) {
+        const db = await this.open();
+        if (!db) return;
+
+        const range = IDBKeyRange.bound([accountId, sessionId, -Infinity], [accountId, sessionId, Infinity]);
+        await this.runTransaction(db, 'readwrite', store => {
+            store.index('session').openKeyCursor(range).onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+    }
+
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+
+        await this.runTransaction(db, 'readwrite', store => store.clear());
+    }
+
+    async count() {
+        const db = await this.open();
+        if (!db) return 0;
+
+        let total = 0;
+        await this.runTransaction(db, 'readonly', store => {
+            store.count().onsuccess = (e) => {
+                total = e.target.result;
+            };
+        });
+        return total;
+    }
+
+    // Drop messages past the age limit, then the oldest ones while over the size limit
+    async prune() {
+        const db = await this.open();
+        if (!db) return;
+
+        const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+        const total = await this.count();
+        let excess = total - this.maxMessages;
+
+        await this.runTransaction(db, 'readwrite', store => {
+            store.index('time').openKeyCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor || (cursor.key >= cutoff && excess <= 0)) return;
+                store.delete(cursor.primaryKey);
+                excess--;
+                cursor.continue();
+            };
+        });
+    }
+
+    runTransaction(db, mode, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+            work(transaction.objectStore(this.storeName));
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatCache;
+}
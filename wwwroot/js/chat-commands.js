@@ -0,0 +1,192 @@
+// Chat Command Parser - turns viewer-style slash commands typed into a chat input into actions
+class ChatCommandParser {
+    constructor() {
+        // Commands offered for autocompletion, in the order they are suggested
+        this.commands = [
+            { name: 'shout', usage: '/shout <message>', description: 'Shout to local chat (100m)' },
+            { name: 'whisper', usage: '/whisper <message>', description: 'Whisper to local chat (10m)' },
+            { name: 'me', usage: '/me <action>', description: 'Emote, e.g. "/me waves"' },
+            { name: 'im', usage: '/im <name> <message>', description: 'Send an IM to a nearby avatar, friend or open IM' },
+            { name: 'tp', usage: '/tp <region> [x y z] | /tp home', description: 'Teleport to a region or home' },
+            { name: 'sit', usage: '/sit [object uuid]', description: 'Sit on an object, or on the ground' },
+            { name: 'stand', usage: '/stand', description: 'Stand up' },
+            { name: '<channel>', usage: '/<channel> <message>', description: 'Say on a channel, e.g. "/5 on" for HUDs' }
+        ];
+
+        this.maxChannel = 2147483647;
+        this.uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    }
+
+    // Returns the action described by the input, or { type: 'error', error } when it can't be run.
+    // Text that isn't a command comes back as { type: 'say', message } so the caller can send it as-is.
+    parse(input) {
+        const text = input.trim();
+
+        if (!text.startsWith('/')) {
+            return { type: 'say', message: text };
+        }
+
+        // "//text" escapes a message that really starts with a slash
+        if (text.startsWith('//')) {
+            return { type: 'say', message: text.substring(1) };
+        }
+
+        const match = text.match(/^\/(\S+)\s*([\s\S]*)$/);
+        if (!match) {
+            return { type: 'say', message: text };
+        }
+
+        const command = match[1].toLowerCase();
+        const args = match[2].trim();
+
+        if (/^-?\d+$/.test(command)) {
+            return this.parseChannel(command, args);
+        }
+
+        switch (command) {
+            case 'shout':
+                return args
+                    ? { type: 'say', message: args, chatType: 'Shout' }
+                    : this.usageError('shout');
+            case 'whisper':
+                return args
+                    ? { type: 'say', message: args, chatType: 'Whisper' }
+                    : this.usageError('whisper');
+            case 'me':
+                // The grid renders "/me" messages as emotes, so it is sent verbatim
+                return args
+                    ? { type: 'say', message: `/me ${args}` }
+                    : this.usageError('me');
+            case 'im':
+                return this.parseIM(args);
+            case 'tp':
+                return this.parseTeleport(args);
+            case 'sit':
+                if (args && !this.uuidPattern.test(args)) {
+                    return { type: 'error', error: `"${args}" is not an object UUID. Usage: ${this.getUsage('sit')}` };
+                }
+                return { type: 'sit', objectId: args || null };
+            case 'stand':
+                return { type: 'stand' };
+            default:
+                return {
+                    type: 'error',
+                    error: `Unknown command "/${match[1]}". Available: ${this.commands.map(c => c.usage.split(' ')[0]).join(', ')}. Start with // to send text beginning with "/".`
+                };
+        }
+    }
+
+    parseChannel(channelText, args) {
+        const channel = Number(channelText);
+
+        if (channel < 0 || channel > this.maxChannel) {
+            return { type: 'error', error: `Channel must be between 0 and ${this.maxChannel}` };
+        }
+        if (!args) {
+            return { type: 'error', error: `Nothing to say on channel ${channel}. Usage: /${channel} <message>` };
+        }
+
+        return { type: 'say', message: args, channel };
+    }
+
+    parseIM(args) {
+        if (!args) {
+            return this.usageError('im');
+        }
+
+        // A quoted name may contain spaces: /im "Jane Resident" hello
+        const quoted = args.match(/^"([^"]+)"\s+([\s\S]+)$/);
+        if (quoted) {
+            return { type: 'im', nameCandidates: [{ name: quoted[1].trim(), message: quoted[2].trim() }] };
+        }
+
+        const words = args.split(/\s+/);
+        if (words.length < 2) {
+            return this.usageError('im');
+        }
+
+        // Without quotes the name is one to three words; the caller tries the longest known name first
+        const nameCandidates = [];
+        for (let count = Math.min(3, words.length - 1); count >= 1; count--) {
+            nameCandidates.push({
+                name: words.slice(0, count).join(' '),
+                message: words.slice(count).join(' ')
+            });
+        }
+
+        return { type: 'im', nameCandidates };
+    }
+
+    parseTeleport(args) {
+        if (!args) {
+            return this.usageError('tp');
+        }
+
+        if (args.toLowerCase() === 'home') {
+            return { type: 'teleport', home: true };
+        }
+
+        // Accept SLURLs and "Region/x/y/z" as well as "Region x y z"
+        let location = args.replace(/^(?:https?:\/\/)?(?:maps\.secondlife\.com\/secondlife\/|slurl\.com\/secondlife\/)/i, '')
+            .replace(/^secondlife:\/\//i, '');
+        try {
+            location = decodeURIComponent(location);
+        } catch {
+            // Leave malformed escapes as typed
+        }
+
+        let regionName = location;
+        let coords = [];
+
+        const slashed = location.match(/^([^/]+)\/(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?(?:\/(\d+(?:\.\d+)?))?\/?$/);
+        const spaced = location.match(/^(.+?)\s+(\d+(?:\.\d+)?)\s+(\d+(?:\.\d+)?)(?:\s+(\d+(?:\.\d+)?))?$/);
+        const parts = slashed || spaced;
+        if (parts) {
+            regionName = parts[1];
+            coords = parts.slice(2).filter(value => value !== undefined).map(Number);
+        }
+
+        regionName = regionName.replace(/\/+$/, '').trim();
+        if (!regionName) {
+            return this.usageError('tp');
+        }
+
+        const [x = 128, y = 128, z = 0] = coords;
+        if (x > 256 || y > 256) {
+            return { type: 'error', error: 'Region coordinates must be between 0 and 256' };
+        }
+
+        return { type: 'teleport', home: false, regionName, x, y, z };
+    }
+
+    // Commands matching a partially typed "/name", used for inline autocompletion
+    getCompletions(input) {
+        const match = input.match(/^\/([a-z]*)$/i);
+        if (!match) return [];
+
+        const prefix = match[1].toLowerCase();
+        return this.commands.filter(command => !command.name.startsWith('<') && command.name.startsWith(prefix) && command.name !== prefix);
+    }
+
+    // The command whose usage should be shown once "/name " has been typed but no arguments yet
+    getCommandHint(input) {
+        const match = input.match(/^\/([a-z]+)\s+$/i);
+        if (!match) return null;
+
+        return this.commands.find(command => command.name === match[1].toLowerCase()) || null;
+    }
+
+    getUsage(name) {
+        const command = this.commands.find(c => c.name === name);
+        return command ? command.usage : `/${name}`;
+    }
+
+    usageError(name) {
+        return { type: 'error', error: `Usage: ${this.getUsage(name)}` };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatCommandParser;
+}
@@ -0,0 +1,197 @@
+// Chat Popout - one chat session detached into its own window, kept live by the main RadegastWebClient over a
+// BroadcastChannel so the pop-out never opens a SignalR connection of its own
+class ChatPopoutClient {
+    constructor() {
+        const params = new URLSearchParams(window.location.search);
+        this.owner = params.get('owner'); // Instance id of the main window that opened us
+        this.accountId = params.get('account');
+        this.sessionId = params.get('session');
+
+        this.channel = new BroadcastChannel('radegast-chat-popouts');
+        this.pendingSendId = null; // Request id of the line waiting for the main window to accept it
+        this.failedSendId = null; // Outgoing queue id of the line shown as not sent
+        this.isInitialized = false;
+
+        this.messagesContainer = document.getElementById('popoutMessages');
+        this.input = document.getElementById('popoutInput');
+        this.sendButton = document.getElementById('popoutSendBtn');
+
+        this.applyTheme(localStorage.getItem('theme') || 'light');
+        this.createChatWindow();
+        this.bindEvents();
+
+        this.post({ type: 'hello' });
+        this.setStatus('Connecting to the main window...');
+
+        // Nobody answers when the main window was closed before this one loaded
+        setTimeout(() => {
+            if (!this.isInitialized) {
+                this.setStatus('The main window is not open. Reopen it to continue this chat.');
+            }
+        }, 3000);
+    }
+
+    createChatWindow() {
+        // The main window renders each line with its own highlight, mute and source styling and sends the markup
+        this.chatWindow = new ChatMessageWindow(this.messagesContainer, {
+            createElement: entry => this.createNode(entry.html),
+            createSeparator: entry => entry.separatorHtml ? this.createNode(entry.separatorHtml) : null,
+            onScrollStateChange: atLatest => this.jumpButton.classList.toggle('d-none', atLatest)
+        });
+
+        this.jumpButton = document.createElement('button');
+        this.jumpButton.type = 'button';
+        this.jumpButton.className = 'btn btn-primary btn-sm rounded-pill shadow chat-jump-latest d-none';
+        this.jumpButton.innerHTML = '<i class="fas fa-arrow-down me-1"></i>Jump to latest';
+        this.jumpButton.addEventListener('click', () => {
+            this.chatWindow.renderLatest();
+            this.messagesContainer.scrollTo({ top: this.messagesContainer.scrollHeight, behavior: 'smooth' });
+        });
+
+        const jumpAnchor = document.createElement('div');
+        jumpAnchor.className = 'chat-jump-latest-anchor';
+        jumpAnchor.appendChild(this.jumpButton);
+        this.messagesContainer.after(jumpAnchor);
+    }
+
+    bindEvents() {
+        this.channel.addEventListener('message', (e) => this.handleMessage(e.data));
+
+        this.sendButton.addEventListener('click', () => this.send());
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.send();
+            }
+        });
+
+        // SLURLs act in the main window, where teleports and profiles are handled
+        this.messagesContainer.addEventListener('click', (e) => {
+            const link = e.target.closest('a.slurl-link');
+            if (!link) return;
+            e.preventDefault();
+            this.post({ type: 'slurl', href: link.getAttribute('href'), action: link.getAttribute('data-action'), text: link.textContent });
+        });
+
+        document.getElementById('popoutReturnBtn').addEventListener('click', () => window.close());
+
+        // Closing the window hands the chat back to the main window
+        window.addEventListener('pagehide', () => this.post({ type: 'closed' }));
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === 'theme' && e.newValue) {
+                this.applyTheme(e.newValue);
+            }
+        });
+    }
+
+    handleMessage(data) {
+        if (!data || data.owner !== this.owner) return;
+        if (data.sessionId && data.sessionId !== this.sessionId) return;
+
+        switch (data.type) {
+            case 'main-ready':
+                // The main window was reloaded; attach to the new instance
+                this.post({ type: 'hello' });
+                break;
+            case 'main-closed':
+                this.setInputEnabled(false);
+                this.setStatus('The main window was closed. Reopen it to continue this chat.');
+                break;
+            case 'init':
+                this.isInitialized = true;
+                document.title = `${data.title} - Radegast Web`;
+                document.getElementById('popoutTitle').textContent = data.title;
+                document.getElementById('popoutIcon').className = `fas ${data.icon} me-2`;
+                this.chatWindow.reset(data.entries);
+                this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+                this.setInputEnabled(true);
+                this.setStatus(null);
+                break;
+            case 'message':
+                this.chatWindow.append(data.entry);
+                break;
+            case 'clear':
+                this.chatWindow.clear();
+                break;
+            case 'send-result':
+                if (data.requestId !== this.pendingSendId) return;
+                this.pendingSendId = null;
+                this.setInputEnabled(true);
+                if (data.error) {
+                    this.setStatus(data.error);
+                } else {
+                    this.input.value = '';
+                    this.setStatus(null);
+                }
+                this.input.focus();
+                break;
+            case 'send-status':
+                // Lines are queued in the main window and can still fail there, e.g. when the avatar is offline
+                if (data.status === 'failed') {
+                    this.failedSendId = data.outgoingId;
+                    this.setStatus(`Not sent: "${data.text}"`, { label: 'Retry', onClick: () => this.post({ type: 'retry', outgoingId: data.outgoingId }) });
+                } else if (data.outgoingId === this.failedSendId) {
+                    this.failedSendId = null;
+                    this.setStatus(data.status === 'pending' ? 'Retrying...' : null);
+                }
+                break;
+            case 'close':
+                window.close();
+                break;
+        }
+    }
+
+    send() {
+        const text = this.input.value.trim();
+        if (!text || this.pendingSendId) return;
+
+        this.pendingSendId = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+        this.setInputEnabled(false);
+        this.post({ type: 'send', requestId: this.pendingSendId, text });
+    }
+
+    post(data) {
+        this.channel.postMessage({ ...data, owner: this.owner, accountId: this.accountId, sessionId: this.sessionId });
+    }
+
+    createNode(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        return template.content.firstElementChild;
+    }
+
+    setInputEnabled(enabled) {
+        this.input.disabled = !enabled;
+        this.sendButton.disabled = !enabled;
+    }
+
+    setStatus(text, action = null) {
+        const status = document.getElementById('popoutStatus');
+        status.textContent = text || '';
+        status.classList.toggle('d-none', !text);
+
+        if (text && action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-link btn-sm p-0 ms-2 align-baseline';
+            button.textContent = action.label;
+            button.addEventListener('click', action.onClick);
+            status.appendChild(button);
+        }
+    }
+
+    applyTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.chatPopout = new ChatPopoutClient();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatPopoutClient;
+}
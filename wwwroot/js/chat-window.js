@@ -0,0 +1,406 @@
+// Chat Message Window - keeps every message of a chat pane in memory but only the lines around the viewport in the DOM
+class ChatMessageWindow {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.createElement = options.createElement; // (message, previousMessage) -> element, supplied by the client
+        this.createSeparator = options.createSeparator || null; // (message, previousMessage) -> divider element or null
+        this.onScrollStateChange = options.onScrollStateChange || null; // Called with whether the latest line is in view
+        this.onReachTop = options.onReachTop || null; // Called when scrolled to the oldest message held in memory
+        this.onTrim = options.onTrim || null; // Called with the number of old messages dropped by the cap
+
+        this.maxMessages = options.maxMessages || 2000;
+        this.windowSize = options.windowSize || 150; // Lines kept in the DOM
+        this.batchSize = options.batchSize || 50; // Lines rendered at a time while scrolling
+        this.edgeThreshold = 200; // Pixels from either end at which the next batch is rendered
+
+        this.entries = []; // { message, element, separator }, oldest first; nodes are null while not rendered
+        this.first = 0; // Index of the first rendered entry
+        this.last = 0; // Index after the last rendered entry
+        this.unreadIndex = null; // Entry the "new messages" line is drawn above
+        this.unreadMarker = options.unreadMarker || null;
+        this.filter = options.filter || null; // message -> false to leave it out of the pane
+        this.renderedCount = 0; // Visible lines currently in the DOM
+
+        container.addEventListener('scroll', () => this.handleScroll());
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    get messages() {
+        return this.entries.map(entry => entry.message);
+    }
+
+    get visibleMessages() {
+        return this.entries.filter(entry => this.isVisible(entry)).map(entry => entry.message);
+    }
+
+    messageAt(index) {
+        return this.entries[index]?.message || null;
+    }
+
+    isVisible(entry) {
+        return !this.filter || this.filter(entry.message);
+    }
+
+    isShowingLatest() {
+        return this.last === this.entries.length;
+    }
+
+    isNearBottom() {
+        const { scrollHeight, scrollTop, clientHeight } = this.container;
+        return scrollHeight - scrollTop - clientHeight <= this.edgeThreshold;
+    }
+
+    isAtLatest() {
+        return this.isShowingLatest() && this.isNearBottom();
+    }
+
+    // Replace everything with a page of history and show its newest lines
+    reset(messages) {
+        this.removeRendered();
+        this.entries = messages.map(message => ({ message, element: null, separator: null }));
+        this.unreadIndex = null;
+        this.first = this.last = this.entries.length;
+        this.renderBefore(this.windowSize);
+        this.enforceCap();
+    }
+
+    clear() {
+        this.removeRendered();
+        this.entries = [];
+        this.unreadIndex = null;
+        this.first = this.last = 0;
+    }
+
+    // Older messages fetched from the server; they are only rendered if the window already reaches the top
+    prepend(messages) {
+        if (messages.length === 0) return;
+
+        const wasAtTop = this.first === 0;
+        this.entries.unshift(...messages.map(message => ({ message, element: null, separator: null })));
+        this.first += messages.length;
+        this.last += messages.length;
+        if (this.unreadIndex !== null) {
+            this.unreadIndex += messages.length;
+        }
+
+        if (wasAtTop) {
+            // The oldest rendered line now has a predecessor, which may change its grouping or date divider
+            const oldest = this.entries.slice(this.first, this.last).findIndex(entry => entry.element);
+            if (oldest !== -1) {
+                this.rerender(this.first + oldest);
+            }
+            this.renderBefore(messages.length);
+            this.trimBottom();
+        }
+    }
+
+    // A live message; returns its element, or null when it is held off-screen until scrolled to
+    append(message) {
+        const entry = { message, element: null, separator: null };
+        const wasShowingLatest = this.isShowingLatest();
+        const stickToBottom = wasShowingLatest && this.isNearBottom();
+        this.entries.push(entry);
+
+        if (wasShowingLatest && (stickToBottom || this.renderedCount < this.windowSize)) {
+            const fragment = document.createDocumentFragment();
+            this.renderEntry(this.entries.length - 1, fragment, this.previousVisibleMessage(this.entries.length - 1));
+            this.insertAtEnd(fragment);
+            this.last++;
+
+            if (stickToBottom) {
+                this.trimTop();
+                this.container.scrollTop = this.container.scrollHeight;
+            }
+        }
+
+        this.enforceCap();
+        this.notifyScrollState();
+        return entry.element;
+    }
+
+    // Make sure the newest lines are in the DOM, e.g. before a pane is shown or scrolled to the bottom
+    renderLatest() {
+        if (this.isShowingLatest() && (this.last > this.first || this.entries.length === 0)) return;
+
+        this.removeRendered();
+        this.first = this.last = this.entries.length;
+        this.renderBefore(this.windowSize);
+    }
+
+    // Render the lines around the newest message matching the predicate and return its element
+    reveal(predicate) {
+        let index = -1;
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            if (this.isVisible(this.entries[i]) && predicate(this.entries[i].message)) {
+                index = i;
+                break;
+            }
+        }
+        if (index === -1) return null;
+
+        if (index < this.first || index >= this.last) {
+            this.removeRendered();
+            this.first = this.last = Math.max(0, index - Math.floor(this.windowSize / 2));
+            this.renderAfter(this.windowSize);
+            this.updateMarkers();
+        }
+
+        return this.entries[index].element;
+    }
+
+    // Draw the "new messages" line above the given number of most recent messages, or remove it with 0;
+    // countsAsUnread (message -> bool) leaves out lines that were never counted, such as muted ones
+    setUnreadMarker(unreadCount, countsAsUnread = null) {
+        if (this.unreadMarker) {
+            this.unreadMarker.remove();
+        }
+        this.unreadIndex = null;
+        if (unreadCount > 0 && this.entries.length > 0) {
+            let counted = 0;
+            for (let i = this.entries.length - 1; i >= 0; i--) {
+                if (countsAsUnread && !countsAsUnread(this.entries[i].message)) continue;
+                this.unreadIndex = i;
+                if (++counted === unreadCount) break;
+            }
+            // Fewer lines loaded than were unread, so the marker goes above all of them
+            if (counted < unreadCount) {
+                this.unreadIndex = 0;
+            }
+        }
+        const element = this.unreadIndex !== null ? this.entries[this.unreadIndex].element : null;
+        if (element) {
+            element.before(this.unreadMarker);
+        }
+    }
+
+    // Change which messages are shown and redraw the newest lines
+    setFilter(filter) {
+        this.filter = filter;
+        this.removeRendered();
+        this.first = this.last = this.entries.length;
+        this.renderBefore(this.windowSize);
+        this.updateMarkers();
+        this.container.scrollTop = this.container.scrollHeight;
+        this.notifyScrollState();
+    }
+
+    setMaxMessages(maxMessages) {
+        this.maxMessages = maxMessages;
+        this.enforceCap();
+    }
+
+    handleScroll() {
+        const { scrollTop } = this.container;
+
+        if (scrollTop <= this.edgeThreshold) {
+            if (this.first > 0) {
+                this.renderBefore(this.batchSize);
+                this.trimBottom();
+            } else if (scrollTop <= 40 && this.onReachTop) {
+                this.onReachTop();
+            }
+        } else if (!this.isShowingLatest() && this.isNearBottom()) {
+            this.renderAfter(this.batchSize);
+            this.trimTop();
+        }
+
+        this.notifyScrollState();
+    }
+
+    notifyScrollState() {
+        if (this.onScrollStateChange) {
+            this.onScrollStateChange(this.isAtLatest());
+        }
+    }
+
+    renderBefore(count) {
+        let start = this.first;
+        let added = 0;
+        while (start > 0 && added < count) {
+            start--;
+            if (this.isVisible(this.entries[start])) added++;
+        }
+        if (start === this.first) return;
+
+        const anchor = this.firstRenderedNode();
+        const fragment = document.createDocumentFragment();
+        let previous = this.previousVisibleMessage(start);
+        for (let i = start; i < this.first; i++) {
+            previous = this.renderEntry(i, fragment, previous);
+        }
+
+        // Keep the lines the user is reading where they are
+        const previousScrollHeight = this.container.scrollHeight;
+        if (anchor) {
+            this.container.insertBefore(fragment, anchor);
+        } else {
+            this.insertAtEnd(fragment);
+        }
+        this.container.scrollTop += this.container.scrollHeight - previousScrollHeight;
+
+        this.first = start;
+        this.updateMarkers();
+    }
+
+    renderAfter(count) {
+        let end = this.last;
+        let added = 0;
+        while (end < this.entries.length && added < count) {
+            if (this.isVisible(this.entries[end])) added++;
+            end++;
+        }
+        if (end === this.last) return;
+
+        const anchor = this.lastRenderedElement();
+        const fragment = document.createDocumentFragment();
+        let previous = this.previousVisibleMessage(this.last);
+        for (let i = this.last; i < end; i++) {
+            previous = this.renderEntry(i, fragment, previous);
+        }
+
+        if (anchor) {
+            anchor.after(fragment);
+        } else {
+            this.insertAtEnd(fragment);
+        }
+
+        this.last = end;
+    }
+
+    trimTop() {
+        if (this.renderedCount <= this.windowSize) return;
+
+        const previousScrollHeight = this.container.scrollHeight;
+        while (this.renderedCount > this.windowSize && this.first < this.last) {
+            this.unrender(this.first, this.first + 1);
+            this.first++;
+        }
+        this.container.scrollTop -= previousScrollHeight - this.container.scrollHeight;
+        this.updateMarkers();
+    }
+
+    trimBottom() {
+        while (this.renderedCount > this.windowSize && this.first < this.last) {
+            this.unrender(this.last - 1, this.last);
+            this.last--;
+        }
+    }
+
+    // Drop the oldest messages beyond the cap, but never ones that are on screen
+    enforceCap() {
+        const dropped = Math.min(this.entries.length - this.maxMessages, this.first);
+        if (dropped <= 0) return;
+
+        this.entries.splice(0, dropped);
+        this.first -= dropped;
+        this.last -= dropped;
+        if (this.unreadIndex !== null) {
+            this.unreadIndex = this.unreadIndex >= dropped ? this.unreadIndex - dropped : null;
+        }
+
+        if (this.onTrim) {
+            this.onTrim(dropped);
+        }
+    }
+
+    removeRendered() {
+        this.unrender(this.first, this.last);
+        this.first = this.last = 0;
+    }
+
+    // Grouping and date dividers depend on the visible message before; returns the message the next entry follows
+    renderEntry(index, fragment, previous) {
+        const entry = this.entries[index];
+        if (!this.isVisible(entry)) return previous;
+
+        entry.separator = this.createSeparator ? this.createSeparator(entry.message, previous) : null;
+        entry.element = this.createElement(entry.message, previous);
+        this.renderedCount++;
+
+        if (entry.separator) {
+            fragment.appendChild(entry.separator);
+        }
+        if (index === this.unreadIndex && this.unreadMarker) {
+            fragment.appendChild(this.unreadMarker);
+        }
+        fragment.appendChild(entry.element);
+        return entry.message;
+    }
+
+    rerender(index) {
+        const entry = this.entries[index];
+        if (!entry.element) return;
+
+        const anchor = entry.element.nextSibling;
+        this.unrender(index, index + 1);
+
+        const fragment = document.createDocumentFragment();
+        this.renderEntry(index, fragment, this.previousVisibleMessage(index));
+        this.container.insertBefore(fragment, anchor);
+    }
+
+    previousVisibleMessage(index) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (this.isVisible(this.entries[i])) return this.entries[i].message;
+        }
+        return null;
+    }
+
+    firstRenderedNode() {
+        for (let i = this.first; i < this.last; i++) {
+            const entry = this.entries[i];
+            if (!entry.element) continue;
+            if (entry.separator) return entry.separator;
+            if (i === this.unreadIndex && this.unreadMarker) return this.unreadMarker;
+            return entry.element;
+        }
+        return null;
+    }
+
+    lastRenderedElement() {
+        for (let i = this.last - 1; i >= this.first; i--) {
+            if (this.entries[i].element) return this.entries[i].element;
+        }
+        return null;
+    }
+
+    unrender(start, end) {
+        for (let i = start; i < end; i++) {
+            const entry = this.entries[i];
+            if (entry.element) {
+                this.renderedCount--;
+            }
+            entry.separator?.remove();
+            entry.element?.remove();
+            entry.separator = entry.element = null;
+            if (i === this.unreadIndex && this.unreadMarker) {
+                this.unreadMarker.remove();
+            }
+        }
+    }
+
+    // Queued outgoing lines are not part of the window and stay below everything else
+    insertAtEnd(node) {
+        const outgoing = this.container.querySelector('.outgoing-message');
+        if (outgoing) {
+            this.container.insertBefore(node, outgoing);
+        } else {
+            this.container.appendChild(node);
+        }
+    }
+
+    // History markers belong above the oldest line and are hidden while older lines are not rendered
+    updateMarkers() {
+        this.container.querySelectorAll('.chat-history-marker').forEach(marker => {
+            marker.classList.toggle('d-none', this.first > 0);
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatMessageWindow;
+}
@@ -28,11 +28,80 @@ class RadegastWebClient {
         this.isInitialized = false; // Track if the client is fully initialized
         this.presenceStates = new Map(); // Track presence for each account
         this.isSwitchingAccounts = false; // Flag to suppress notifications during account switching
+        this.chatHistoryPageSize = 50; // Number of messages fetched per chat history page
+        this.chatHistoryState = {}; // Track scroll-back paging state per chat session
+        this.chatWindows = {}; // sessionId -> ChatMessageWindow rendering that pane's messages
+        this.chatGroupingWindowMs = 5 * 60 * 1000; // Lines from one sender closer together than this share a name
+        this.chatPopouts = {}; // sessionId -> pop-out window handle (null when re-attached after a reload)
+        this.popoutChannel = null; // BroadcastChannel shared with the pop-out windows
+        this.popoutHistoryLimit = 500; // Lines handed to a pop-out when it opens
+        this.chatCacheEnabled = localStorage.getItem('chatCacheEnabled') !== 'false'; // Keep recent chat in IndexedDB so panes redraw instantly
+        this.chatCache = new ChatCache({ maxAgeDays: parseInt(localStorage.getItem('chatCacheMaxAgeDays')) || 7 });
+        this.awaitingHistory = new Set(); // Sessions drawn from the cache whose server history hasn't arrived yet
+        this.clientInstanceId = this.getClientInstanceId(); // Survives reloads so pop-outs can re-attach
+        this.maxChatMessagesPerSession = parseInt(localStorage.getItem('maxChatMessagesPerSession')) || 2000; // In-memory cap per chat pane
+        this.chatLogFiles = []; // Chat log files listed in the chat log archive viewer
+        this.chatLogReader = null; // Currently open chat log file, page and search term
+        this.chatSearchTimer = null; // Debounce timer for the chat search box
+        this.pendingSearchJump = null; // Search result to scroll to once its tab has (re)loaded
+        this.chatExportSessionId = null; // Session selected in the transcript export dialog
+        this.isExportingChat = false; // Prevent overlapping transcript exports
+        this.chatCommandParser = new ChatCommandParser(); // Parses slash commands typed into chat inputs
+        this.highlightRules = []; // Keyword/regex highlight rules for the current account
+        this.compiledHighlightRules = []; // Enabled highlight rules with their compiled regexes
+        this.localChatMentionCount = 0; // Highlighted local chat messages since the tab was last viewed
+        this.lastAlertSoundTime = 0; // Throttle for highlight alert sounds
+        this.audioContext = null; // Lazily created for alert sounds
+        this.notificationsEnabled = localStorage.getItem('desktopNotifications') === 'true'; // Web notifications opt-in
+        this.doNotDisturb = localStorage.getItem('doNotDisturb') === 'true'; // Suppress all desktop notifications
+        this.mutedNotificationSessions = new Set(JSON.parse(localStorage.getItem('mutedNotificationSessions') || '[]')); // "accountId:sessionId" keys
+        this.recentNotificationTimes = []; // Timestamps of recent notifications for the global rate limit
+        this.lastSessionNotificationTimes = {}; // Last notification time per session for the per-session rate limit
+        this.suppressedNotificationCount = 0; // Notifications dropped by the rate limiter since the last one shown
+        this.outgoingTyping = {}; // sessionId -> { accountId, targetId, idleTimer } while we are announcing typing
+        this.remoteTypingTimers = {}; // sessionId -> timer that hides a stale "is typing" line
+        this.outgoingQueue = JSON.parse(localStorage.getItem('outgoingMessageQueue') || '[]'); // Messages not yet handed to the server, oldest first
+        this.isFlushingOutgoingQueue = false;
+        this.chatDrafts = JSON.parse(localStorage.getItem('chatDrafts') || '{}'); // "accountId:sessionId" -> unsent text
+        this.inputHistory = {}; // "accountId:sessionId" -> lines sent this page load, oldest first
+        this.maxInputHistory = 50;
+        this.maxChatBytes = 1023; // Second Life's limit for a single chat or IM message
+        this.muteList = []; // In-world mute list entries for the current account
+        this.mutedIds = new Set(); // Avatar and object UUIDs from the mute list
+        this.mutedNames = new Set(); // Lower-cased names of name-only mutes
+        this.showMutedCollapsed = localStorage.getItem('showMutedCollapsed') === 'true'; // Show a one-line stub instead of hiding muted lines
+        this.localChatSourceFilters = JSON.parse(localStorage.getItem('localChatSourceFilters') || '{}'); // Source category -> false when hidden from local chat
+        this.localChatSpeakerFilter = { maxDistance: null, friendsOnly: false, ...JSON.parse(localStorage.getItem('localChatSpeakerFilter') || '{}'), speakers: {} }; // Distance and friends-only are saved; picked speakers (id -> name) are per event
+        this.friendIds = null; // Friends of the current account, loaded when the friends-only filter needs them
+        this.inboxEntries = []; // IMs and mentions from every account not yet read or dismissed, newest first
+        this.maxInboxEntries = 200;
+        this.accountSummaries = {}; // accountId -> unread and pending counters pushed by the server for every account
+        this.cannedResponses = []; // Saved replies shared by all operators, inserted via the picker or ":shortcut"
+        this.selectedAccountIds = new Set(); // Accounts ticked in the sidebar for bulk login/logout
+        this.accountJobQueue = null; // Runs bulk login/logout jobs with a stagger between logins
+        this.accountJobQueueTimer = null; // Refreshes the stagger countdowns while jobs are pending
+        this.scheduleWindowCounter = 0; // Keeps the day toggle ids of schedule window rows unique
+        this.accountFilter = ''; // Text typed into the accounts sidebar filter box
+        this.collapsedAccountFolders = new Set(JSON.parse(localStorage.getItem('collapsedAccountFolders') || '[]'));
+        this.draggedAccountId = null; // Account being dragged to a new place in the sidebar
+        this.accountTransfer = new AccountTransfer(); // Reads and writes account export files
+        this.importFileText = null; // Contents of the export file chosen in the add account modal
+        this.importCandidates = []; // Accounts read from that file, with duplicate and import state
         
         this.initializeSignalR();
         this.bindEvents();
         this.setupTabs();
         this.initializeDarkMode();
+        this.initializeNotificationSettings();
+        this.initializeChatDisplaySettings();
+        this.initializeChatPopouts();
+        this.initializeChatCache();
+        this.initializeAccountJobQueue();
+        this.initializeAccountOrganization();
+        this.initializeAccountTransfer();
+        this.initializeStartLocation();
+        this.initializeInbox();
+        this.loadCannedResponses();
         this.initializeGroupsToggleState();
         this.initializeAutoGreeterToggleState();
         this.initializeRadarToggleState();
@@ -118,6 +187,12 @@ class RadegastWebClient {
                     console.error('Error during SignalR reconnection recovery:', error);
                     this.showAlert("Connection restored but data refresh failed - try switching accounts", "warning");
                 }
+                
+                // Deliver anything typed while the connection was down
+                this.flushOutgoingQueue();
+
+                // Counters may have moved on while we were away
+                this.loadAccountSummaries();
             });
 
             this.connection.onreconnecting((error) => {
@@ -129,6 +204,22 @@ class RadegastWebClient {
                 this.displayChatMessage(chatMessage);
             });
 
+            this.connection.on("InboxMessageReceived", (entry) => {
+                this.addInboxEntry(entry);
+            });
+
+            this.connection.on("AccountSummaryUpdated", (summary) => {
+                this.updateAccountSummary(summary);
+            });
+
+            this.connection.on("AccountSummariesLoaded", (summaries) => {
+                summaries.forEach(summary => this.updateAccountSummary(summary));
+            });
+
+            this.connection.on("CannedResponsesUpdated", (config) => {
+                this.cannedResponses = config.responses || [];
+            });
+
             this.connection.on("AccountStatusChanged", (status) => {
                 this.updateAccountStatus(status);
             });
@@ -165,6 +256,10 @@ class RadegastWebClient {
                 this.updateIMSession(session);
             });
 
+            this.connection.on("TypingStatusChanged", (status) => {
+                this.handleTypingStatusChanged(status);
+            });
+
             this.connection.on("GroupSessionUpdated", (session) => {
                 this.updateGroupSession(session);
             });
@@ -326,6 +421,11 @@ class RadegastWebClient {
             // Start periodic connection health check and heartbeat
             this.startConnectionHealthCheck();
             this.startHeartbeat();
+            
+            // Messages queued before a page reload are still waiting in localStorage
+            this.flushOutgoingQueue();
+
+            this.loadAccountSummaries();
         } catch (err) {
             console.error("SignalR Connection Error:", err);
             this.showAlert("Failed to connect to real-time service", "warning");
@@ -409,12 +509,80 @@ class RadegastWebClient {
         localStorage.setItem('theme', theme);
     }
 
+    initializeNotificationSettings() {
+        const enabledToggle = document.getElementById('desktopNotificationsEnabled');
+        const dndToggle = document.getElementById('doNotDisturbEnabled');
+        if (!enabledToggle || !dndToggle) return;
+
+        // Permission may have been revoked in the browser since the setting was saved
+        if (!('Notification' in window) || Notification.permission === 'denied') {
+            this.notificationsEnabled = false;
+        }
+
+        enabledToggle.checked = this.notificationsEnabled;
+        dndToggle.checked = this.doNotDisturb;
+        this.updateNotificationsIcon();
+
+        enabledToggle.addEventListener('change', async (e) => {
+            if (e.target.checked) {
+                if (!('Notification' in window)) {
+                    this.showAlert("This browser does not support desktop notifications", "warning");
+                    e.target.checked = false;
+                    return;
+                }
+
+                const permission = Notification.permission === 'default'
+                    ? await Notification.requestPermission()
+                    : Notification.permission;
+
+                if (permission !== 'granted') {
+                    this.showAlert("Notifications are blocked for this site in the browser settings", "warning");
+                    e.target.checked = false;
+                    return;
+                }
+            }
+
+            this.notificationsEnabled = e.target.checked;
+            localStorage.setItem('desktopNotifications', this.notificationsEnabled ? 'true' : 'false');
+            this.updateNotificationsIcon();
+        });
+
+        dndToggle.addEventListener('change', (e) => {
+            this.doNotDisturb = e.target.checked;
+            localStorage.setItem('doNotDisturb', this.doNotDisturb ? 'true' : 'false');
+            this.updateNotificationsIcon();
+        });
+    }
+
+    updateNotificationsIcon() {
+        const icon = document.getElementById('notificationsIcon');
+        if (!icon) return;
+
+        if (!this.notificationsEnabled) {
+            icon.className = 'fas fa-bell-slash';
+        } else if (this.doNotDisturb) {
+            icon.className = 'fas fa-moon';
+        } else {
+            icon.className = 'fas fa-bell';
+        }
+    }
+
     toggleDarkMode() {
         const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
         const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
         this.setTheme(newTheme);
     }
 
+    initializeChatDisplaySettings() {
+        const maxMessagesInput = document.getElementById('maxChatMessagesInput');
+        if (!maxMessagesInput) return;
+
+        maxMessagesInput.value = this.maxChatMessagesPerSession;
+        maxMessagesInput.addEventListener('change', (e) => {
+            e.target.value = this.setMaxChatMessagesPerSession(e.target.value);
+        });
+    }
+
     setupTabs() {
         // Set local chat as default active tab
         this.setActiveTab('local-chat');
@@ -438,6 +606,9 @@ class RadegastWebClient {
                     this.markAllNoticesAsRead();
                 });
             }
+            
+            // Page in older local chat history when scrolled to the top
+            this.getChatWindow('local-chat');
         }, 100);
     }
 
@@ -453,6 +624,12 @@ class RadegastWebClient {
             targetPane.classList.add('active', 'show');
             this.currentChatSession = tabId;
             
+            // A draft restored while the pane was hidden needs sizing now that it is visible
+            const composer = targetPane.querySelector('.chat-composer');
+            if (composer) {
+                this.updateChatComposer(composer);
+            }
+            
             // Mark corresponding tab/dropdown item as active
             const tabLink = document.querySelector(`[data-tab="${tabId}"]`);
             if (tabLink) {
@@ -462,7 +639,8 @@ class RadegastWebClient {
             // Load chat history for this session if it's not local chat or notices
             if (tabId !== 'local-chat' && tabId !== 'notices' && this.currentAccountId && this.connection) {
                 const sessionId = tabId.startsWith('chat-') ? tabId.replace('chat-', '') : tabId;
-                this.connection.invoke("GetChatHistory", this.currentAccountId, sessionId, 50, 0)
+                this.renderCachedHistory(this.currentAccountId, sessionId);
+                this.connection.invoke("GetChatHistory", this.currentAccountId, sessionId, this.chatHistoryPageSize, 0)
                     .catch(err => console.error("Failed to load chat history:", err));
             }
             
@@ -476,9 +654,15 @@ class RadegastWebClient {
             if (tabId !== 'local-chat' && tabId !== 'notices') {
                 const sessionId = tabId.replace('chat-', '');
                 if (this.chatSessions[sessionId]) {
+                    // Remembered so the history reload can draw the "new messages" line again
+                    this.chatSessions[sessionId].unreadMarkerCount = this.chatSessions[sessionId].unreadCount;
+                    this.chatWindows[sessionId]?.setUnreadMarker(this.chatSessions[sessionId].unreadCount, message => !this.isChatMessageMuted(message));
                     this.chatSessions[sessionId].unreadCount = 0;
+                    this.chatSessions[sessionId].mentionCount = 0;
                     this.updateTabUnreadCount(sessionId, 0);
                 }
+                this.removeInboxEntries(this.currentAccountId, sessionId);
+                this.markSessionRead(this.currentAccountId, sessionId);
             }
             
             // Scroll to bottom of chat after a short delay to ensure content is loaded
@@ -494,6 +678,7 @@ class RadegastWebClient {
                 localChatTab.classList.add('active');
             }
             this.currentChatSession = 'local';
+            this.updateLocalChatMentionCount(0);
         }
         
         // Special handling for notices
@@ -560,6 +745,12 @@ class RadegastWebClient {
         }
         
         if (messagesContainer) {
+            // The window may be showing older lines after a search jump or scrolling back
+            const chatWindow = this.chatWindows[tabId.startsWith('chat-') ? tabId.replace('chat-', '') : tabId];
+            if (chatWindow) {
+                chatWindow.renderLatest();
+            }
+            
             if (smooth) {
                 messagesContainer.scrollTo({
                     top: messagesContainer.scrollHeight,
@@ -568,6 +759,12 @@ class RadegastWebClient {
             } else {
                 messagesContainer.scrollTop = messagesContainer.scrollHeight;
             }
+            if (tabId.startsWith('chat-')) {
+                this.scrollToUnreadMarker(tabId.replace('chat-', ''));
+            }
+            if (chatWindow) {
+                chatWindow.notifyScrollState();
+            }
             console.log(`Scrolled ${tabId} chat to bottom${smooth ? ' (smooth)' : ''}`);
         }
     }
@@ -591,6 +788,15 @@ class RadegastWebClient {
                     <span class="badge bg-danger ms-2" id="badge-${sessionId}" style="display: none;">0</span>
                 </span>
                 <div class="btn-group btn-group-sm ms-2" role="group">
+                    <button class="btn btn-outline-secondary chat-mute-btn" data-session-id="${sessionId}" title="Mute desktop notifications">
+                        <i class="fas fa-bell"></i>
+                    </button>
+                    <button class="btn btn-outline-secondary chat-export-btn" data-session-id="${sessionId}" title="Export Transcript">
+                        <i class="fas fa-download"></i>
+                    </button>
+                    <button class="btn btn-outline-secondary chat-popout-btn" data-session-id="${sessionId}" title="Pop out into a separate window">
+                        <i class="fas fa-external-link-alt"></i>
+                    </button>
                     <button class="btn btn-outline-secondary chat-close-btn" data-session-id="${sessionId}" data-chat-type="IM" title="Close">
                         <i class="fas fa-times"></i>
                     </button>
@@ -614,6 +820,27 @@ class RadegastWebClient {
             e.stopPropagation();
             this.closeAndClearTab(sessionId, 'IM');
         });
+        
+        newTabItem.querySelector('.chat-export-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            this.showChatExport(sessionId);
+        });
+        
+        newTabItem.querySelector('.chat-popout-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            this.popOutChat(sessionId);
+        });
+        
+        const muteBtn = newTabItem.querySelector('.chat-mute-btn');
+        this.updateMuteButton(muteBtn, sessionId);
+        muteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            this.toggleSessionNotificationMute(sessionId);
+            this.updateMuteButton(muteBtn, sessionId);
+        });
         imDropdown.appendChild(newTabItem);
         
         // Create content pane
@@ -624,8 +851,9 @@ class RadegastWebClient {
         newPane.innerHTML = `
             <div class="chat-messages" id="messages-${sessionId}"></div>
             <div class="chat-input-area p-3 border-top">
+                <div class="typing-indicator" id="typing-${sessionId}" style="display: none;"></div>
                 <div class="input-group">
-                    <input type="text" id="input-${sessionId}" class="form-control" placeholder="Type your message...">
+                    <textarea id="input-${sessionId}" class="form-control chat-composer" rows="1" placeholder="Type your message... (Shift+Enter for a new line)"></textarea>
                     <button class="btn btn-primary" type="button" onclick="radegastClient.sendMessage('${sessionId}')">
                         <i class="fas fa-paper-plane"></i>
                     </button>
@@ -634,15 +862,23 @@ class RadegastWebClient {
         `;
         contentContainer.appendChild(newPane);
         
+        // Page in older history when the user scrolls to the top
+        this.getChatWindow(sessionId);
+        
         // Add Enter key listener to the input field
         const inputElement = document.getElementById(`input-${sessionId}`);
         if (inputElement) {
+            this.attachChatCommandCompletion(inputElement);
+            this.attachCannedResponses(inputElement, sessionId);
+            this.attachChatComposer(inputElement, sessionId);
             inputElement.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter' && !e.shiftKey) {
                     e.preventDefault();
                     this.sendMessage(sessionId);
                 }
             });
+            inputElement.addEventListener('input', () => this.handleIMInputTyping(sessionId));
+            inputElement.addEventListener('blur', () => this.stopOutgoingTyping(sessionId));
         }
         
         // Store session info
@@ -680,6 +916,15 @@ class RadegastWebClient {
                     <span class="badge bg-success ms-2" id="badge-${sessionId}" style="display: none;">0</span>
                 </span>
                 <div class="btn-group btn-group-sm ms-2" role="group">
+                    <button class="btn btn-outline-secondary chat-mute-btn" data-session-id="${sessionId}" title="Mute desktop notifications">
+                        <i class="fas fa-bell"></i>
+                    </button>
+                    <button class="btn btn-outline-secondary chat-export-btn" data-session-id="${sessionId}" title="Export Transcript">
+                        <i class="fas fa-download"></i>
+                    </button>
+                    <button class="btn btn-outline-secondary chat-popout-btn" data-session-id="${sessionId}" title="Pop out into a separate window">
+                        <i class="fas fa-external-link-alt"></i>
+                    </button>
                     <button class="btn btn-outline-secondary chat-close-btn" data-session-id="${sessionId}" data-chat-type="Group" title="Close">
                         <i class="fas fa-times"></i>
                     </button>
@@ -703,6 +948,27 @@ class RadegastWebClient {
             e.stopPropagation();
             this.closeAndClearTab(sessionId, 'Group');
         });
+        
+        newTabItem.querySelector('.chat-export-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            this.showChatExport(sessionId);
+        });
+        
+        newTabItem.querySelector('.chat-popout-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            this.popOutChat(sessionId);
+        });
+        
+        const muteBtn = newTabItem.querySelector('.chat-mute-btn');
+        this.updateMuteButton(muteBtn, sessionId);
+        muteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            this.toggleSessionNotificationMute(sessionId);
+            this.updateMuteButton(muteBtn, sessionId);
+        });
         groupDropdown.appendChild(newTabItem);
         
         // Create content pane
@@ -714,7 +980,7 @@ class RadegastWebClient {
             <div class="chat-messages" id="messages-${sessionId}"></div>
             <div class="chat-input-area p-3 border-top">
                 <div class="input-group">
-                    <input type="text" id="input-${sessionId}" class="form-control" placeholder="Type your message...">
+                    <textarea id="input-${sessionId}" class="form-control chat-composer" rows="1" placeholder="Type your message... (Shift+Enter for a new line)"></textarea>
                     <button class="btn btn-primary" type="button" onclick="radegastClient.sendMessage('${sessionId}')">
                         <i class="fas fa-paper-plane"></i>
                     </button>
@@ -723,9 +989,15 @@ class RadegastWebClient {
         `;
         contentContainer.appendChild(newPane);
         
+        // Page in older history when the user scrolls to the top
+        this.getChatWindow(sessionId);
+        
         // Add Enter key listener to the input field
         const inputElement = document.getElementById(`input-${sessionId}`);
         if (inputElement) {
+            this.attachChatCommandCompletion(inputElement);
+            this.attachCannedResponses(inputElement, sessionId);
+            this.attachChatComposer(inputElement, sessionId);
             inputElement.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter' && !e.shiftKey) {
                     e.preventDefault();
@@ -768,8 +1040,14 @@ class RadegastWebClient {
             console.log(`IM ${sessionId} closed but can reopen on new messages`);
         }
         
+        this.stopOutgoingTyping(sessionId);
+        this.hideTypingIndicator(sessionId);
+        this.closeChatPopout(sessionId);
+
         // Remove from active sessions
         delete this.chatSessions[sessionId];
+        delete this.chatHistoryState[sessionId];
+        delete this.chatWindows[sessionId];
         
         // Update tab counts
         this.updateTabCounts();
@@ -850,6 +1128,7 @@ class RadegastWebClient {
             // Clear the messages from the UI immediately
             const messagesContainer = document.getElementById(`messages-${sessionId}`);
             if (messagesContainer) {
+                this.chatWindows[sessionId]?.clear();
                 messagesContainer.innerHTML = '';
                 console.log(`UI cleared for session: ${sessionId}`);
             }
@@ -1025,6 +1304,12 @@ class RadegastWebClient {
                         <button class="btn btn-sm btn-outline-primary" onclick="radegastClient.startIM('${avatarId}', '${avatarName}')">
                             <i class="fas fa-comment"></i>
                         </button>
+                        <button class="btn btn-sm ${this.mutedIds.has(avatarId) ? 'btn-danger' : 'btn-outline-secondary'}" onclick="radegastClient.toggleAvatarMute('${avatarId}')" title="${this.mutedIds.has(avatarId) ? 'Unmute' : 'Mute'}">
+                            <i class="fas fa-volume-mute"></i>
+                        </button>
+                        <button class="btn btn-sm ${this.localChatSpeakerFilter.speakers[avatarId] ? 'btn-info' : 'btn-outline-info'}" onclick="radegastClient.toggleLocalChatSpeaker('${avatarId}')" title="${this.localChatSpeakerFilter.speakers[avatarId] ? 'Stop following in local chat' : 'Follow in local chat (show only selected speakers)'}">
+                            <i class="fas fa-filter"></i>
+                        </button>
                     </div>
                 </div>
             `;
@@ -1274,7 +1559,7 @@ class RadegastWebClient {
             await this.connection.invoke("GetRecentSessions", this.currentAccountId);
             
             // Refresh local chat history
-            await this.connection.invoke("GetChatHistory", this.currentAccountId, "local-chat", 50, 0);
+            await this.connection.invoke("GetChatHistory", this.currentAccountId, "local-chat", this.chatHistoryPageSize, 0);
             
             // Refresh presence status
             await this.connection.invoke("GetCurrentPresenceStatus", this.currentAccountId);
@@ -1492,6 +1777,14 @@ class RadegastWebClient {
             this.cleanup();
         });
 
+        // One delegated handler for SLURL links, since chat lines are rendered and dropped as the user scrolls
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a.slurl-link');
+            if (!link) return;
+            e.preventDefault();
+            this.handleSlUrlClick(link);
+        });
+
         // Page visibility change handling (tab switching, minimizing, etc.)
         document.addEventListener('visibilitychange', () => {
             if (this.connection && this.connection.state === 'Connected') {
@@ -1553,6 +1846,10 @@ class RadegastWebClient {
             this.updateAccount();
         });
 
+        document.getElementById('addScheduleWindowBtn').addEventListener('click', () => {
+            this.addScheduleWindow();
+        });
+
         // Edit grid URL change (for completeness, though grid is disabled in edit mode)
         document.getElementById('editGridUrl').addEventListener('change', (e) => {
             const customDiv = document.getElementById('editCustomGridDiv');
@@ -1563,6 +1860,11 @@ class RadegastWebClient {
             }
         });
 
+        // Slash command suggestions, drafts and history for the local chat input
+        this.attachChatCommandCompletion(document.getElementById('localChatInput'));
+        this.attachCannedResponses(document.getElementById('localChatInput'), 'local-chat');
+        this.attachChatComposer(document.getElementById('localChatInput'), 'local-chat');
+
         // Chat input enter key
         document.getElementById('localChatInput').addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -1617,6 +1919,10 @@ class RadegastWebClient {
             this.loginAccount();
         });
 
+        document.getElementById('loginAtBtn').addEventListener('click', () => {
+            this.showLoginAt(this.currentAccountId);
+        });
+
         document.getElementById('logoutBtn').addEventListener('click', () => {
             this.logoutAccount();
         });
@@ -1641,6 +1947,183 @@ class RadegastWebClient {
             this.showFriends();
         });
         
+        // Keyword highlight rules
+        document.getElementById('highlightRulesBtn').addEventListener('click', () => {
+            this.showHighlightRules();
+        });
+
+        // Canned responses
+        document.getElementById('cannedResponsesBtn').addEventListener('click', () => {
+            this.showCannedResponses();
+        });
+
+        document.getElementById('addCannedResponseBtn').addEventListener('click', () => {
+            this.addCannedResponseRow();
+        });
+
+        document.getElementById('saveCannedResponsesBtn').addEventListener('click', () => {
+            this.saveCannedResponses();
+        });
+
+        // Local chat source filters
+        document.querySelectorAll('.local-chat-filter').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.localChatSourceFilters[e.target.dataset.source] = e.target.checked;
+                this.applyLocalChatFilters();
+            });
+        });
+
+        document.getElementById('localChatOnlyOwnerSayBtn').addEventListener('click', () => {
+            this.localChatSourceFilters = { avatar: false, object: false, ownersay: true, regionsayto: false, system: false };
+            this.applyLocalChatFilters();
+        });
+
+        document.getElementById('localChatShowAllBtn').addEventListener('click', () => {
+            this.localChatSourceFilters = {};
+            this.applyLocalChatFilters();
+        });
+        this.applyLocalChatFilters();
+
+        // Local chat speaker filters
+        document.getElementById('localChatMaxDistance').addEventListener('change', (e) => {
+            const distance = parseFloat(e.target.value);
+            this.localChatSpeakerFilter.maxDistance = distance > 0 ? distance : null;
+            this.applyLocalChatSpeakerFilter();
+        });
+
+        document.getElementById('localChatFriendsOnly').addEventListener('change', (e) => {
+            this.localChatSpeakerFilter.friendsOnly = e.target.checked;
+            this.applyLocalChatSpeakerFilter();
+        });
+
+        document.getElementById('localChatClearSpeakerFiltersBtn').addEventListener('click', () => {
+            this.localChatSpeakerFilter = { maxDistance: null, friendsOnly: false, speakers: {} };
+            this.applyLocalChatSpeakerFilter();
+            this.renderPeopleList();
+        });
+        this.renderLocalChatSpeakerFilter();
+
+        // Mute list
+        document.getElementById('muteListBtn').addEventListener('click', () => {
+            this.showMuteList();
+        });
+
+        document.getElementById('refreshMuteListBtn').addEventListener('click', async () => {
+            await this.loadMuteList();
+            this.renderMuteList();
+        });
+
+        const showMutedCollapsed = document.getElementById('showMutedCollapsed');
+        showMutedCollapsed.checked = this.showMutedCollapsed;
+        document.body.classList.toggle('show-muted-collapsed', this.showMutedCollapsed);
+        showMutedCollapsed.addEventListener('change', (e) => {
+            this.showMutedCollapsed = e.target.checked;
+            localStorage.setItem('showMutedCollapsed', this.showMutedCollapsed);
+            document.body.classList.toggle('show-muted-collapsed', this.showMutedCollapsed);
+        });
+
+        document.getElementById('addHighlightRuleBtn').addEventListener('click', () => {
+            this.addHighlightRuleRow();
+        });
+
+        document.getElementById('addHighlightNamesBtn').addEventListener('click', () => {
+            this.addOwnNameHighlightRules();
+        });
+
+        document.getElementById('saveHighlightRulesBtn').addEventListener('click', () => {
+            this.saveHighlightRules();
+        });
+
+        // Transcript export
+        document.getElementById('exportLocalChatBtn').addEventListener('click', () => {
+            this.showChatExport('local-chat');
+        });
+
+        document.getElementById('popOutLocalChatBtn').addEventListener('click', () => {
+            this.popOutChat('local-chat');
+        });
+
+        document.getElementById('chatExportConfirmBtn').addEventListener('click', () => {
+            const format = document.querySelector('input[name="chatExportFormat"]:checked').value;
+            this.exportChatTranscript(this.chatExportSessionId, format);
+        });
+
+        // Search across open chat sessions
+        document.getElementById('chatSearchInput').addEventListener('input', (e) => {
+            clearTimeout(this.chatSearchTimer);
+            this.chatSearchTimer = setTimeout(() => this.searchAllChats(e.target.value), 250);
+        });
+
+        document.getElementById('chatSearchInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.clearChatSearch();
+            } else if (e.key === 'Enter') {
+                clearTimeout(this.chatSearchTimer);
+                this.searchAllChats(e.target.value);
+            }
+        });
+
+        document.getElementById('chatSearchInput').addEventListener('focus', (e) => {
+            if (e.target.value.trim().length >= 2) {
+                this.searchAllChats(e.target.value);
+            }
+        });
+
+        document.getElementById('chatSearchClearBtn').addEventListener('click', () => {
+            this.clearChatSearch();
+        });
+
+        // Hide search results when clicking anywhere outside the search bar
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#chatSearchBar')) {
+                document.getElementById('chatSearchResults').classList.add('d-none');
+            }
+        });
+
+        // Chat log archive viewer
+        document.getElementById('chatLogsBtn').addEventListener('click', () => {
+            this.showChatLogs();
+        });
+
+        document.getElementById('chatLogsFileFilter').addEventListener('input', () => {
+            this.renderChatLogFiles();
+        });
+
+        document.getElementById('chatLogsBackBtn').addEventListener('click', () => {
+            this.closeChatLogReader();
+        });
+
+        document.getElementById('chatLogSearchBtn').addEventListener('click', () => {
+            this.searchChatLog(document.getElementById('chatLogSearchInput').value);
+        });
+
+        document.getElementById('chatLogSearchInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.searchChatLog(e.target.value);
+            }
+        });
+
+        document.getElementById('chatLogSearchClearBtn').addEventListener('click', () => {
+            document.getElementById('chatLogSearchInput').value = '';
+            this.searchChatLog('');
+        });
+
+        document.getElementById('chatLogPrevBtn').addEventListener('click', () => {
+            if (this.chatLogReader && this.chatLogReader.page > 1) {
+                this.loadChatLogPage(this.chatLogReader.page - 1);
+            }
+        });
+
+        document.getElementById('chatLogNextBtn').addEventListener('click', () => {
+            if (this.chatLogReader && this.chatLogReader.page < this.chatLogReader.totalPages) {
+                this.loadChatLogPage(this.chatLogReader.page + 1);
+            }
+        });
+
+        document.getElementById('chatLogDownloadBtn').addEventListener('click', () => {
+            this.downloadChatLog();
+        });
+        
         // Refresh attachments button
         document.getElementById('refreshAttachmentsBtn').addEventListener('click', () => {
             this.refreshAttachments();
@@ -1835,18 +2318,22 @@ class RadegastWebClient {
         
         if (account.isConnected) {
             loginBtn.classList.add('d-none');
+            document.getElementById('loginAtBtn').classList.add('d-none');
             logoutBtn.classList.remove('d-none');
             regionInfoBtn.classList.remove('d-none');
             attachmentsBtn.classList.remove('d-none');
             inventoryBtn.classList.remove('d-none');
             friendsBtn.classList.remove('d-none');
+            document.getElementById('chatLogsBtn').classList.remove('d-none');
         } else {
             loginBtn.classList.remove('d-none');
+            document.getElementById('loginAtBtn').classList.remove('d-none');
             logoutBtn.classList.add('d-none');
             regionInfoBtn.classList.add('d-none');
             attachmentsBtn.classList.add('d-none');
             inventoryBtn.classList.add('d-none');
             friendsBtn.classList.add('d-none');
+            document.getElementById('chatLogsBtn').classList.add('d-none');
         }
         
         // Update movement controls visibility
@@ -1858,6 +2345,14 @@ class RadegastWebClient {
     renderAccountsList() {
         const accountsList = document.getElementById('accountsList');
         
+        // Forget selections of accounts that have been deleted
+        this.selectedAccountIds.forEach(accountId => {
+            if (!this.accounts.some(a => a.accountId === accountId)) {
+                this.selectedAccountIds.delete(accountId);
+            }
+        });
+        this.updateAccountSelectionControls();
+
         if (this.accounts.length === 0) {
             accountsList.innerHTML = `
                 <div class="text-center p-3 text-muted">
@@ -1875,61 +2370,129 @@ class RadegastWebClient {
             status: a.status
         })));
 
-        accountsList.innerHTML = this.accounts.map(account => {
-            const statusClass = account.isConnected ? 'online' : 'offline';
-            const actionButton = account.isConnected ? 
-                `<button class="btn btn-sm btn-outline-danger me-2" onclick="event.stopPropagation(); radegastClient.logoutAccount('${account.accountId}')" title="Logout">
-                    <i class="fas fa-sign-out-alt"></i>
-                </button>` :
-                `<button class="btn btn-sm btn-outline-success me-2" onclick="event.stopPropagation(); radegastClient.loginAccount('${account.accountId}')" title="Login">
-                    <i class="fas fa-sign-in-alt"></i>
-                </button>`;
-
-            console.log(`Account ${account.accountId}: connected=${account.isConnected}, statusClass=${statusClass}`);
-            
+        const filter = this.accountFilter.trim().toLowerCase();
+        const visibleAccounts = filter ? this.accounts.filter(account => this.accountMatchesFilter(account, filter)) : this.accounts;
+
+        if (visibleAccounts.length === 0) {
+            accountsList.innerHTML = `
+                <div class="text-center p-3 text-muted small">No accounts match "${this.escapeHtml(this.accountFilter.trim())}"</div>
+            `;
+            return;
+        }
+
+        // Accounts without a folder come first; folders follow in the order of their first account
+        const folders = new Map();
+        visibleAccounts.forEach(account => {
+            const folder = account.folder || '';
+            if (!folders.has(folder)) folders.set(folder, []);
+            folders.get(folder).push(account);
+        });
+        const folderNames = [...folders.keys()].sort((a, b) => (a === '' ? -1 : b === '' ? 1 : 0));
+
+        accountsList.innerHTML = folderNames.map(folder => {
+            const folderAccounts = folders.get(folder);
+            const items = folderAccounts.map(account => this.renderAccountItem(account)).join('');
+            if (!folder) return items;
+
+            // A filter opens every folder so matches are never hidden
+            const collapsed = !filter && this.collapsedAccountFolders.has(folder);
+            const online = folderAccounts.filter(account => account.isConnected).length;
             return `
-                <div class="list-group-item account-item ${account.accountId === this.currentAccountId ? 'active' : ''}" 
-                     onclick="radegastClient.selectAccount('${account.accountId}')">
-                    <div class="d-flex align-items-center">
-                        <span class="account-status ${statusClass}" title="Status: ${account.isConnected ? 'Online' : 'Offline'}"></span>
-                        <div class="account-info flex-grow-1">
-                            <div class="account-name">
-                                ${(account.hasAiBotActive || account.HasAiBotActive) ? '<i class="fas fa-user-circle service-icon" title="AI Bot Active" style="color: #007bff;"></i>&nbsp;' : ''}${(account.hasCorradeActive || account.HasCorradeActive) ? '<i class="fas fa-server service-icon" title="Corrade Active" style="color: #28a745;"></i>&nbsp;' : ''}${account.displayName || account.firstName + ' ' + account.lastName}
-                            </div>
-                            <div class="account-details">
-                                ${account.status}${account.currentRegion ? ' • ' + account.currentRegion : ''}
-                            </div>
-                        </div>
-                        <div class="account-actions">
-                            ${actionButton}
-                            <div class="dropdown">
-                                <button class="btn btn-sm btn-outline-secondary dropdown-toggle" type="button" 
-                                        data-bs-toggle="dropdown" onclick="event.stopPropagation()">
-                                    <i class="fas fa-ellipsis-v"></i>
-                                </button>
-                                <ul class="dropdown-menu">
-                                    <li><a class="dropdown-item" href="#" onclick="event.stopPropagation(); radegastClient.forceRefreshAccountStatus()">
-                                        <i class="fas fa-sync me-2"></i>Refresh Status
-                                    </a></li>
-                                    <li><a class="dropdown-item" href="#" onclick="event.stopPropagation(); radegastClient.editAccount('${account.accountId}')">
-                                        <i class="fas fa-edit me-2"></i>Details
-                                    </a></li>
-                                    <li><hr class="dropdown-divider"></li>
-                                    <li><a class="dropdown-item" href="#" onclick="event.stopPropagation(); radegastClient.deleteAccount('${account.accountId}')">
-                                        <i class="fas fa-trash me-2"></i>Delete
-                                    </a></li>
-                                </ul>
-                            </div>
-                        </div>
+                <div class="account-folder" data-folder="${encodeURIComponent(folder)}">
+                    <div class="list-group-item account-folder-header d-flex align-items-center"
+                         onclick="radegastClient.toggleAccountFolder(decodeURIComponent(this.parentElement.dataset.folder))">
+                        <i class="fas fa-chevron-${collapsed ? 'right' : 'down'} fa-xs me-2"></i>
+                        <i class="fas fa-folder${collapsed ? '' : '-open'} me-2 text-muted"></i>
+                        <span class="flex-grow-1 text-truncate">${this.escapeHtml(folder)}</span>
+                        <span class="badge bg-secondary" title="Online / total">${online}/${folderAccounts.length}</span>
                     </div>
+                    <div class="account-folder-items ${collapsed ? 'd-none' : ''}">${items}</div>
                 </div>
             `;
         }).join('');
     }
 
+    renderAccountItem(account) {
+        const statusClass = account.isConnected ? 'online' : 'offline';
+        const actionButton = account.isConnected ? 
+            `<button class="btn btn-sm btn-outline-danger me-2" onclick="event.stopPropagation(); radegastClient.logoutAccount('${account.accountId}')" title="Logout">
+                <i class="fas fa-sign-out-alt"></i>
+            </button>` :
+            `<button class="btn btn-sm btn-outline-success me-2" onclick="event.stopPropagation(); radegastClient.loginAccount('${account.accountId}')" title="Login">
+                <i class="fas fa-sign-in-alt"></i>
+            </button>`;
+
+        console.log(`Account ${account.accountId}: connected=${account.isConnected}, statusClass=${statusClass}`);
+        
+        return `
+            <div class="list-group-item account-item ${account.accountId === this.currentAccountId ? 'active' : ''}" 
+                 data-sidebar-account-id="${account.accountId}" draggable="${this.accountFilter.trim() ? 'false' : 'true'}"
+                 onclick="radegastClient.selectAccount('${account.accountId}')">
+                <div class="d-flex align-items-center">
+                    <input class="form-check-input account-select me-2" type="checkbox" title="Select for bulk login/logout"
+                           ${this.selectedAccountIds.has(account.accountId) ? 'checked' : ''}
+                           onclick="event.stopPropagation(); radegastClient.toggleAccountSelection('${account.accountId}', this.checked)">
+                    <span class="account-status ${statusClass}" title="Status: ${account.isConnected ? 'Online' : 'Offline'}"></span>
+                    <div class="account-info flex-grow-1">
+                        <div class="account-name">
+                            ${(account.hasAiBotActive || account.HasAiBotActive) ? '<i class="fas fa-user-circle service-icon" title="AI Bot Active" style="color: #007bff;"></i>&nbsp;' : ''}${(account.hasCorradeActive || account.HasCorradeActive) ? '<i class="fas fa-server service-icon" title="Corrade Active" style="color: #28a745;"></i>&nbsp;' : ''}${account.displayName || account.firstName + ' ' + account.lastName}
+                        </div>
+                        <div class="account-details">
+                            ${account.status}${account.currentRegion ? ' • ' + account.currentRegion : ''}
+                        </div>
+                        ${account.nextScheduledAction ? `
+                        <div class="account-schedule" title="Next scheduled ${account.nextScheduledAction === 'login' ? 'login' : 'logout'} (SLT)">
+                            <i class="fas fa-calendar-alt me-1"></i>${account.nextScheduledAction === 'login' ? 'Logs in' : 'Logs out'} ${account.sltNextScheduledAt}
+                        </div>` : ''}
+                        ${(account.tags || []).length ? `
+                        <div class="account-tags">
+                            ${account.tags.map(tag => `<span class="badge account-tag" title="Show accounts tagged ${this.escapeHtml(tag)}" onclick="event.stopPropagation(); radegastClient.setAccountFilter(this.textContent)">${this.escapeHtml(tag)}</span>`).join('')}
+                        </div>` : ''}
+                        <div class="account-activity" id="account-activity-${account.accountId}">${this.renderAccountActivityBadges(account.accountId)}</div>
+                    </div>
+                    <div class="account-actions">
+                        ${actionButton}
+                        <div class="dropdown">
+                            <button class="btn btn-sm btn-outline-secondary dropdown-toggle" type="button" 
+                                    data-bs-toggle="dropdown" onclick="event.stopPropagation()">
+                                <i class="fas fa-ellipsis-v"></i>
+                            </button>
+                            <ul class="dropdown-menu">
+                                <li><a class="dropdown-item" href="#" onclick="event.stopPropagation(); radegastClient.forceRefreshAccountStatus()">
+                                    <i class="fas fa-sync me-2"></i>Refresh Status
+                                </a></li>
+                                ${account.isConnected ? '' : `
+                                <li><a class="dropdown-item" href="#" onclick="event.stopPropagation(); radegastClient.showLoginAt('${account.accountId}')">
+                                    <i class="fas fa-map-marker-alt me-2"></i>Login At...
+                                </a></li>`}
+                                <li><a class="dropdown-item" href="#" onclick="event.stopPropagation(); radegastClient.editAccount('${account.accountId}')">
+                                    <i class="fas fa-edit me-2"></i>Details
+                                </a></li>
+                                <li><hr class="dropdown-divider"></li>
+                                <li><a class="dropdown-item" href="#" onclick="event.stopPropagation(); radegastClient.deleteAccount('${account.accountId}')">
+                                    <i class="fas fa-trash me-2"></i>Delete
+                                </a></li>
+                            </ul>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     clearAllChatTabs() {
         // Clear all chat sessions data
         this.chatSessions = {};
+        this.chatHistoryState = {};
+        Object.values(this.chatWindows).forEach(chatWindow => chatWindow.clear());
+        this.chatWindows = {};
+        Object.keys(this.chatPopouts).forEach(sessionId => this.closeChatPopout(sessionId));
+        this.localChatSpeakerFilter.speakers = {};
+        this.friendIds = null;
+        this.renderLocalChatSpeakerFilter();
+        this.pendingSearchJump = null;
+        this.clearChatSearch();
+        this.updateLocalChatMentionCount(0);
         
         // Clear closed group sessions tracking
         this.closedGroupSessions.clear();
@@ -2040,6 +2603,9 @@ class RadegastWebClient {
         // Clear all existing chat sessions and tabs when switching accounts
         this.clearAllChatTabs();
         
+        // The local chat input is shared between accounts, so swap in this account's draft
+        this.restoreChatDraft(document.getElementById('localChatInput'), 'local-chat');
+        
         // Clear nearby avatars list
         this.nearbyAvatars = [];
         this.renderPeopleList();
@@ -2075,11 +2641,13 @@ class RadegastWebClient {
         
         if (account.isConnected) {
             loginBtn.classList.add('d-none');
+            document.getElementById('loginAtBtn').classList.add('d-none');
             logoutBtn.classList.remove('d-none');
             regionInfoBtn.classList.remove('d-none');
             attachmentsBtn.classList.remove('d-none');
             inventoryBtn.classList.remove('d-none');
             friendsBtn.classList.remove('d-none');
+            document.getElementById('chatLogsBtn').classList.remove('d-none');
             
             // Show minimap for connected accounts
             if (window.miniMap) {
@@ -2087,11 +2655,13 @@ class RadegastWebClient {
             }
         } else {
             loginBtn.classList.remove('d-none');
+            document.getElementById('loginAtBtn').classList.remove('d-none');
             logoutBtn.classList.add('d-none');
             regionInfoBtn.classList.add('d-none');
             attachmentsBtn.classList.add('d-none');
             inventoryBtn.classList.add('d-none');
             friendsBtn.classList.add('d-none');
+            document.getElementById('chatLogsBtn').classList.add('d-none');
             
             // Hide minimap for disconnected accounts
             if (window.miniMap) {
@@ -2103,6 +2673,9 @@ class RadegastWebClient {
         document.querySelectorAll('.chat-messages').forEach(container => {
             container.innerHTML = '';
         });
+        
+        // Draw local chat from the browser cache while the round trips below run
+        this.renderCachedHistory(accountId, 'local-chat');
 
         // Reset to local chat tab - clearAllChatTabs already sets this as default
         this.currentChatSession = 'local';
@@ -2240,10 +2813,17 @@ class RadegastWebClient {
                         console.warn("Account switch validation failed (but continuing):", validationError);
                     }
                 
+                    // Load highlight rules, the mute list and (when filtering by them) friends before history so historical lines are filtered too
+                    await this.loadHighlightRules();
+                    await this.loadMuteList();
+                    if (this.localChatSpeakerFilter.friendsOnly) {
+                        await this.loadFriendIds();
+                    }
+                    
                     // Load recent chat sessions for this account
                     await this.connection.invoke("GetRecentSessions", accountId);
                     // Load local chat history
-                    await this.connection.invoke("GetChatHistory", accountId, "local-chat", 50, 0);
+                    await this.connection.invoke("GetChatHistory", accountId, "local-chat", this.chatHistoryPageSize, 0);
                     // Load recent notices for this account
                     await this.loadAccountNotices(accountId);
                     
@@ -2378,7 +2958,8 @@ class RadegastWebClient {
             password: document.getElementById('password').value,
             displayName: document.getElementById('displayName').value,
             avatarRelayUuid: document.getElementById('relayUuid').value,
-            gridUrl: gridUrl
+            gridUrl: gridUrl,
+            startLocation: this.readStartLocationInputs('')
         };
 
         if (!account.firstName || !account.lastName || !account.password) {
@@ -2386,6 +2967,10 @@ class RadegastWebClient {
             return;
         }
 
+        if (account.startLocation === null) {
+            return;
+        }
+
         try {
             this.showLoading(true);
             const response = await window.authManager.makeAuthenticatedRequest('/api/accounts', {
@@ -2400,6 +2985,7 @@ class RadegastWebClient {
                 this.showAlert("Account saved successfully", "success");
                 form.reset();
                 document.getElementById('customGridDiv').classList.add('d-none');
+                this.setStartLocationInputs('', 'last');
                 bootstrap.Modal.getInstance(document.getElementById('addAccountModal')).hide();
                 await this.loadAccounts();
             } else {
@@ -2460,6 +3046,15 @@ class RadegastWebClient {
                 document.getElementById('editPassword').value = account.password;
                 document.getElementById('editDisplayName').value = account.displayName || '';
                 document.getElementById('editRelayUuid').value = account.avatarRelayUuid || '';
+                this.setStartLocationInputs('edit', account.startLocation);
+                
+                // Folder and tags come with the sidebar list rather than the account record endpoint
+                const listedAccount = this.accounts.find(a => a.accountId === accountId) || {};
+                document.getElementById('editFolder').value = listedAccount.folder || '';
+                document.getElementById('editTags').value = (listedAccount.tags || []).join(', ');
+                document.getElementById('accountFolderOptions').innerHTML = [...new Set(this.accounts.map(a => a.folder).filter(Boolean))]
+                    .map(folder => `<option value="${this.escapeHtml(folder)}"></option>`)
+                    .join('');
                 
                 // Handle grid URL selection
                 const editGridUrl = document.getElementById('editGridUrl');
@@ -2478,6 +3073,7 @@ class RadegastWebClient {
                 
                 // Load auto-relog settings
                 await this.loadAutoRelogSettings(accountId);
+                await this.loadAccountSchedule(accountId);
                 
                 // Show the modal
                 const modal = new bootstrap.Modal(document.getElementById('editAccountModal'));
@@ -2505,7 +3101,8 @@ class RadegastWebClient {
             avatarRelayUuid: document.getElementById('editRelayUuid').value,
             gridUrl: document.getElementById('editGridUrl').value === 'custom' 
                 ? document.getElementById('editCustomGridUrl').value 
-                : document.getElementById('editGridUrl').value
+                : document.getElementById('editGridUrl').value,
+            startLocation: this.readStartLocationInputs('edit')
         };
 
         if (!account.password) {
@@ -2513,6 +3110,10 @@ class RadegastWebClient {
             return;
         }
 
+        if (account.startLocation === null) {
+            return;
+        }
+
         try {
             this.showLoading(true);
             
@@ -2547,14 +3148,46 @@ class RadegastWebClient {
                 body: JSON.stringify(autoRelogSettings)
             });
             
+            // The account itself is saved by now, so the remaining settings are all attempted and any failures reported together
+            const failures = [];
             if (!relogResponse.ok) {
-                const error = await relogResponse.text();
-                this.showAlert("Account updated but failed to save auto-relog settings: " + error, "warning");
+                failures.push("auto-relog settings: " + await relogResponse.text());
+            }
+            
+            try {
+                await this.saveAccountOrganization(
+                    accountId,
+                    document.getElementById('editFolder').value.trim() || null,
+                    document.getElementById('editTags').value.split(',').map(tag => tag.trim()).filter(Boolean)
+                );
+            } catch (error) {
+                failures.push("folder and tags: " + error.message);
+            }
+            
+            const scheduleResponse = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${accountId}/schedule`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    enabled: document.getElementById('editScheduleEnabled').checked,
+                    windows: this.readScheduleWindows()
+                })
+            });
+            
+            if (!scheduleResponse.ok) {
+                const error = await scheduleResponse.json().catch(() => ({}));
+                failures.push("the schedule: " + (error.message || scheduleResponse.statusText));
+            }
+            
+            if (failures.length > 0) {
+                // The dialog stays open so the rejected settings can be corrected
+                this.showAlert("Account updated but failed to save " + failures.join("; "), "warning");
             } else {
                 this.showAlert("Account updated successfully", "success");
+                bootstrap.Modal.getInstance(document.getElementById('editAccountModal')).hide();
             }
             
-            bootstrap.Modal.getInstance(document.getElementById('editAccountModal')).hide();
             await this.loadAccounts();
         } catch (error) {
             console.error("Error updating account:", error);
@@ -2564,7 +3197,7 @@ class RadegastWebClient {
         }
     }
 
-    async loginAccount(accountId = null) {
+    async loginAccount(accountId = null, startLocation = null) {
         const targetAccountId = accountId || this.currentAccountId;
         if (!targetAccountId) return;
 
@@ -2589,7 +3222,13 @@ class RadegastWebClient {
                 }
             }
             
-            const response = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${targetAccountId}/login`, {
+            const response = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${targetAccountId}/login`, startLocation ? {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ startLocation })
+            } : {
                 method: 'POST'
             });
 
@@ -2677,1453 +3316,5449 @@ class RadegastWebClient {
         }
     }
 
-    showRegionInfo() {
-        console.log('showRegionInfo called - currentAccountId:', this.currentAccountId);
-        
-        if (!this.currentAccountId) {
-            this.showAlert("Please select and connect an account first", "warning");
-            return;
-        }
+    // Account Organization Methods
+    initializeAccountOrganization() {
+        const filterInput = document.getElementById('accountFilterInput');
+        filterInput?.addEventListener('input', (e) => this.setAccountFilter(e.target.value));
+        filterInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.setAccountFilter('');
+            }
+        });
 
-        // Check if account is connected by looking at the button visibility first
-        const regionInfoBtn = document.getElementById('regionInfoBtn');
-        const buttonVisible = regionInfoBtn && !regionInfoBtn.classList.contains('d-none');
-        console.log('Region info button visible:', buttonVisible);
+        const accountsList = document.getElementById('accountsList');
+        accountsList.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.account-item');
+            if (!item) return;
+            this.draggedAccountId = item.dataset.sidebarAccountId;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.draggedAccountId);
+        });
 
-        // Check the account object
-        const account = this.accounts.find(acc => acc.accountId === this.currentAccountId);
-        console.log('Account found:', !!account, 'Account connected:', account?.isConnected);
-        console.log('Current account ID:', this.currentAccountId);
-        console.log('Available accounts:', this.accounts.map(a => ({ accountId: a.accountId, isConnected: a.isConnected })));
-        
-        if (!buttonVisible) {
-            this.showAlert("Account must be connected to view region information 1", "warning");
-            return;
+        accountsList.addEventListener('dragover', (e) => {
+            const target = this.getAccountDropTarget(e);
+            if (!target) return;
+            e.preventDefault();
+            this.clearAccountDropMarkers();
+            target.element.classList.add(target.placeAfter ? 'drop-after' : target.accountId ? 'drop-before' : 'drop-into');
+        });
+
+        accountsList.addEventListener('dragleave', (e) => {
+            if (!accountsList.contains(e.relatedTarget)) {
+                this.clearAccountDropMarkers();
+            }
+        });
+
+        accountsList.addEventListener('drop', (e) => {
+            const target = this.getAccountDropTarget(e);
+            if (!target) return;
+            e.preventDefault();
+            this.moveAccount(this.draggedAccountId, target.accountId, target.placeAfter, target.folder);
+        });
+
+        accountsList.addEventListener('dragend', () => {
+            this.draggedAccountId = null;
+            this.clearAccountDropMarkers();
+            accountsList.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+        });
+    }
+
+    // An account to drop before or after, or a folder header to drop into
+    getAccountDropTarget(e) {
+        if (!this.draggedAccountId) return null;
+
+        const item = e.target.closest('.account-item');
+        if (item) {
+            if (item.dataset.sidebarAccountId === this.draggedAccountId) return null;
+            const rect = item.getBoundingClientRect();
+            const folderElement = item.closest('.account-folder');
+            return {
+                element: item,
+                accountId: item.dataset.sidebarAccountId,
+                placeAfter: e.clientY > rect.top + rect.height / 2,
+                folder: folderElement ? decodeURIComponent(folderElement.dataset.folder) : ''
+            };
         }
 
-        if (!account || !account.isConnected) {
-            // Try to refresh the account status before failing
-            console.warn("Account status mismatch - button visible but account marked as disconnected, attempting refresh");
-            this.loadAccounts().then(() => {
-                const refreshedAccount = this.accounts.find(acc => acc.accountId === this.currentAccountId);
-                console.log('After refresh - Account found:', !!refreshedAccount, 'Account connected:', refreshedAccount?.isConnected);
-                if (refreshedAccount && refreshedAccount.isConnected) {
-                    this.showRegionInfoInternal();
-                } else {
-                    this.showAlert("Account must be connected to view region information 2", "warning");
-                }
-            });
-            return;
+        const header = e.target.closest('.account-folder-header');
+        if (header) {
+            return { element: header, accountId: null, placeAfter: false, folder: decodeURIComponent(header.parentElement.dataset.folder) };
         }
-
-        this.showRegionInfoInternal();
+        return null;
     }
 
-    showRegionInfoInternal() {
-        // Show the region info panel
-        if (window.regionInfoPanel) {
-            window.regionInfoPanel.show(this.currentAccountId);
-        } else {
-            console.error("Region info panel not initialized");
-            this.showAlert("Region info panel not available", "danger");
-        }
+    clearAccountDropMarkers() {
+        document.querySelectorAll('#accountsList .drop-before, #accountsList .drop-after, #accountsList .drop-into').forEach(element => {
+            element.classList.remove('drop-before', 'drop-after', 'drop-into');
+        });
     }
 
-    async showAttachments() {
-        if (!this.currentAccountId) {
-            this.showAlert("No account selected", "warning");
-            return;
-        }
+    // Dropping next to an account in another folder moves it into that folder too
+    async moveAccount(accountId, targetAccountId, placeAfter, folder) {
+        const account = this.accounts.find(a => a.accountId === accountId);
+        if (!account) return;
 
-        // Show the modal
-        const modal = new bootstrap.Modal(document.getElementById('attachmentsModal'));
-        modal.show();
+        const order = this.accounts.filter(a => a.accountId !== accountId);
+        let index;
+        if (targetAccountId) {
+            index = order.findIndex(a => a.accountId === targetAccountId) + (placeAfter ? 1 : 0);
+        } else {
+            // Dropped on a folder header: after the folder's last account
+            const lastInFolder = order.map(a => a.folder || '').lastIndexOf(folder);
+            index = lastInFolder === -1 ? order.length : lastInFolder + 1;
+        }
+        order.splice(index, 0, account);
 
-        // Show loading state
-        document.getElementById('attachmentsLoading').classList.remove('d-none');
-        document.getElementById('attachmentsContent').classList.add('d-none');
+        const folderChanged = (account.folder || '') !== folder;
+        account.folder = folder || null;
+        this.accounts = order;
+        this.renderAccountsList();
 
         try {
-            await this.loadAttachments();
+            if (folderChanged) {
+                await this.saveAccountOrganization(accountId, account.folder, account.tags || []);
+            }
+
+            const response = await window.authManager.makeAuthenticatedRequest('/api/accounts/order', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ accountIds: order.map(a => a.accountId) })
+            });
+            if (!response.ok) {
+                throw new Error(`Saving the order failed (${response.status})`);
+            }
         } catch (error) {
-            console.error("Error loading attachments:", error);
-            this.showAlert("Failed to load attachments: " + error.message, "danger");
-            modal.hide();
+            console.error("Error moving account:", error);
+            this.showAlert(error.message || "Failed to move account", "danger");
+            await this.loadAccounts();
         }
     }
 
-    async showInventory() {
-        if (!this.currentAccountId) {
-            this.showAlert("No account selected", "warning");
-            return;
-        }
-
-        const modal = new bootstrap.Modal(document.getElementById('inventoryModal'));
-        modal.show();
+    async saveAccountOrganization(accountId, folder, tags) {
+        const response = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${accountId}/organization`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ folder, tags })
+        });
 
-        document.getElementById('inventoryLoading').classList.remove('d-none');
-        document.getElementById('inventoryContent').classList.add('d-none');
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.message || `Saving folder and tags failed (${response.status})`);
+        }
+    }
 
-        try {
-            await this.loadInventory();
-        } catch (error) {
-            console.error("Error loading inventory:", error);
-            this.showAlert("Failed to load inventory: " + error.message, "danger");
-            modal.hide();
+    toggleAccountFolder(folder) {
+        if (this.collapsedAccountFolders.has(folder)) {
+            this.collapsedAccountFolders.delete(folder);
+        } else {
+            this.collapsedAccountFolders.add(folder);
         }
+        localStorage.setItem('collapsedAccountFolders', JSON.stringify([...this.collapsedAccountFolders]));
+        this.renderAccountsList();
     }
 
-    async showFriends() {
-        if (!this.currentAccountId) {
-            this.showAlert("No account selected", "warning");
-            return;
+    setAccountFilter(text) {
+        this.accountFilter = text;
+        const filterInput = document.getElementById('accountFilterInput');
+        if (filterInput && filterInput.value !== text) {
+            filterInput.value = text;
         }
+        this.renderAccountsList();
+    }
 
-        const modal = new bootstrap.Modal(document.getElementById('friendsModal'));
-        modal.show();
+    accountMatchesFilter(account, filter) {
+        return [
+            account.displayName,
+            `${account.firstName} ${account.lastName}`,
+            account.folder,
+            ...(account.tags || []),
+            account.currentRegion,
+            account.status
+        ].some(value => value && value.toLowerCase().includes(filter));
+    }
 
-        document.getElementById('friendsLoading').classList.remove('d-none');
-        document.getElementById('friendsContent').classList.add('d-none');
+    // Start Location Methods
+    // The add, edit and login-at modals share one set of inputs, told apart by an id prefix ('', 'edit' or 'login')
+    initializeStartLocation() {
+        ['', 'edit', 'login'].forEach(prefix => {
+            this.getStartLocationInput(prefix, 'LocationType').addEventListener('change', (e) => {
+                this.getStartLocationInput(prefix, 'RegionFields').classList.toggle('d-none', e.target.value !== 'region');
+            });
 
-        try {
-            await this.loadFriends();
-        } catch (error) {
-            console.error("Error loading friends:", error);
-            this.showAlert("Failed to load friends: " + error.message, "danger");
-            modal.hide();
-        }
+            // A pasted SLURL is split into the region and coordinate boxes
+            this.getStartLocationInput(prefix, 'Region').addEventListener('change', (e) => {
+                if (e.target.value.includes('/')) {
+                    this.setStartLocationInputs(prefix, e.target.value);
+                }
+            });
+        });
+
+        document.getElementById('loginAtConfirmBtn').addEventListener('click', () => this.confirmLoginAt());
     }
 
-    async loadFriends() {
-        if (!this.currentAccountId) return;
+    getStartLocationInput(prefix, name) {
+        return document.getElementById(prefix ? `${prefix}Start${name}` : `start${name}`);
+    }
 
-        try {
-            const response = await window.authManager.makeAuthenticatedRequest(
-                `/api/friends/${this.currentAccountId}`
-            );
+    // Same forms the server accepts: home, last, Region/x/y/z or a secondlife://, maps.secondlife.com or slurl.com link
+    parseStartLocation(value) {
+        let text = (value || '').trim();
+        if (!text || text.toLowerCase() === 'last') return { type: 'last' };
+        if (text.toLowerCase() === 'home') return { type: 'home' };
 
-            if (response.ok) {
-                const friends = await response.json();
-                this.renderFriends(friends);
-            } else {
-                const error = await response.json();
-                this.showAlert("Failed to load friends: " + (error.message || "Unknown error"), "danger");
+        const prefix = text.match(/^(secondlife:\/\/|https?:\/\/(slurl\.com|maps\.secondlife\.com)\/secondlife\/)/i);
+        if (prefix) {
+            text = text.substring(prefix[0].length).replace(/\/+$/, '');
+            try {
+                text = decodeURIComponent(text);
+            } catch (error) {
+                // Leave names with a stray % as they are
             }
-        } catch (error) {
-            console.error("Error loading friends:", error);
-            this.showAlert("Failed to load friends: " + error.message, "danger");
-        } finally {
-            document.getElementById('friendsLoading').classList.add('d-none');
-            document.getElementById('friendsContent').classList.remove('d-none');
         }
+
+        const [region, x, y, z] = text.split('/').map(part => part.trim());
+        return {
+            type: 'region',
+            region,
+            x: x !== undefined && x !== '' ? x : 128,
+            y: y !== undefined && y !== '' ? y : 128,
+            z: z !== undefined && z !== '' ? z : 0
+        };
     }
 
-    renderFriends(friends) {
-        const listContainer = document.getElementById('friendsList');
-        const noFriends = document.getElementById('noFriends');
-        const friendsCount = document.getElementById('friendsCount');
-        const friendsLastUpdated = document.getElementById('friendsLastUpdated');
+    setStartLocationInputs(prefix, value) {
+        const location = this.parseStartLocation(value);
+        this.getStartLocationInput(prefix, 'LocationType').value = location.type;
+        this.getStartLocationInput(prefix, 'RegionFields').classList.toggle('d-none', location.type !== 'region');
+        this.getStartLocationInput(prefix, 'Region').value = location.region || '';
+        this.getStartLocationInput(prefix, 'X').value = location.x ?? 128;
+        this.getStartLocationInput(prefix, 'Y').value = location.y ?? 128;
+        this.getStartLocationInput(prefix, 'Z').value = location.z ?? 0;
+    }
 
-        listContainer.innerHTML = '';
+    // Returns the start location to send, or null after warning about an unusable one
+    readStartLocationInputs(prefix) {
+        const type = this.getStartLocationInput(prefix, 'LocationType').value;
+        if (type !== 'region') return type;
 
-        const items = Array.isArray(friends) ? friends : [];
-        if (items.length === 0) {
-            noFriends.classList.remove('d-none');
-            friendsCount.textContent = '';
-            friendsLastUpdated.textContent = '';
-            return;
+        const region = this.getStartLocationInput(prefix, 'Region').value.trim();
+        if (!region || region.includes('/')) {
+            this.showAlert("Enter the name of the start region", "warning");
+            return null;
         }
 
-        noFriends.classList.add('d-none');
-
-        const onlineCount = items.filter(friend => friend.isOnline).length;
-        friendsCount.textContent = `${items.length} friend${items.length === 1 ? '' : 's'} (${onlineCount} online)`;
-        friendsLastUpdated.textContent = `Updated: ${new Date().toLocaleString()}`;
-
-        const sortedFriends = [...items].sort((a, b) => {
-            if (a.isOnline !== b.isOnline) {
-                return a.isOnline ? -1 : 1;
-            }
-
-            const nameA = a.formattedName || a.displayName || a.legacyName || '';
-            const nameB = b.formattedName || b.displayName || b.legacyName || '';
-            return nameA.localeCompare(nameB, undefined, { sensitivity: 'base' });
+        const coordinates = ['X', 'Y', 'Z'].map(axis => {
+            const text = this.getStartLocationInput(prefix, axis).value.trim();
+            return /^\d+$/.test(text) && parseInt(text) <= 8192 ? parseInt(text) : NaN;
         });
+        if (coordinates.some(isNaN)) {
+            this.showAlert("Start coordinates must be whole numbers from 0 to 8192", "warning");
+            return null;
+        }
 
-        sortedFriends.forEach(friend => {
-            const item = document.createElement('div');
-            item.className = 'list-group-item d-flex justify-content-between align-items-center';
-
-            const info = document.createElement('div');
-            info.className = 'd-flex flex-column';
+        return `${region}/${coordinates.join('/')}`;
+    }
 
-            const name = document.createElement('span');
-            name.className = 'fw-semibold';
-            name.textContent = friend.formattedName || friend.displayName || friend.legacyName || '(unknown)';
+    showLoginAt(accountId) {
+        const account = this.accounts.find(a => a.accountId === accountId);
+        if (!account) return;
 
-            const details = document.createElement('small');
-            details.className = friend.isOnline ? 'text-success' : 'text-muted';
-            details.textContent = friend.isOnline ? 'Online' : 'Offline';
+        document.getElementById('loginAtAccountId').value = accountId;
+        document.getElementById('loginAtAccountName').textContent = account.displayName || `${account.firstName} ${account.lastName}`;
+        this.setStartLocationInputs('login', account.startLocation);
 
-            info.appendChild(name);
-            info.appendChild(details);
+        new bootstrap.Modal(document.getElementById('loginAtModal')).show();
+    }
 
-            const actions = document.createElement('div');
-            actions.className = 'd-flex align-items-center gap-2';
+    async confirmLoginAt() {
+        const startLocation = this.readStartLocationInputs('login');
+        if (startLocation === null) return;
 
-            const statusDot = document.createElement('span');
-            statusDot.className = `people-status ${friend.isOnline ? 'online' : 'offline'}`;
-            statusDot.title = friend.isOnline ? 'Online' : 'Offline';
+        bootstrap.Modal.getInstance(document.getElementById('loginAtModal')).hide();
+        await this.loginAccount(document.getElementById('loginAtAccountId').value, startLocation);
+    }
 
-            const messageButton = document.createElement('button');
-            messageButton.className = 'btn btn-sm btn-outline-primary';
-            messageButton.innerHTML = '<i class="fas fa-comment"></i>';
-            messageButton.title = 'Start IM';
-            messageButton.addEventListener('click', () => {
-                const targetName = friend.formattedName || friend.displayName || friend.legacyName || 'Unknown';
-                this.startIM(friend.avatarId, targetName);
-            });
+    // Account Import/Export Methods
+    initializeAccountTransfer() {
+        const includePasswords = document.getElementById('exportIncludePasswords');
+        if (!this.accountTransfer.isEncryptionSupported()) {
+            includePasswords.disabled = true;
+            includePasswords.title = 'Encryption needs a secure (HTTPS) connection';
+        }
+        includePasswords.addEventListener('change', (e) => {
+            document.getElementById('exportPassphraseFields').classList.toggle('d-none', !e.target.checked);
+        });
 
-            actions.appendChild(statusDot);
-            actions.appendChild(messageButton);
+        document.getElementById('exportAccountsModal').addEventListener('show.bs.modal', () => {
+            const selectedOnly = document.getElementById('exportSelectedOnly');
+            selectedOnly.checked = this.selectedAccountIds.size > 0;
+            selectedOnly.disabled = this.selectedAccountIds.size === 0;
+        });
+        document.getElementById('exportAccountsModal').addEventListener('hidden.bs.modal', () => {
+            document.getElementById('exportPassphrase').value = '';
+            document.getElementById('exportPassphraseConfirm').value = '';
+        });
+        document.getElementById('exportAccountsConfirmBtn').addEventListener('click', () => this.exportAccounts());
 
-            item.appendChild(info);
-            item.appendChild(actions);
-            listContainer.appendChild(item);
+        document.getElementById('importAccountsFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.loadImportFile(e.target.files[0]);
+            }
+        });
+        document.getElementById('importUnlockBtn').addEventListener('click', () => this.previewImport());
+        document.getElementById('importPassphrase').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.previewImport();
+            }
         });
+        document.getElementById('importAccountsBtn').addEventListener('click', () => this.importAccounts());
+        document.getElementById('addAccountModal').addEventListener('hidden.bs.modal', () => this.resetAccountImport());
     }
 
-    async loadInventory() {
-        if (!this.currentAccountId) return;
-
-        try {
-            const response = await window.authManager.makeAuthenticatedRequest(
-                `/api/inventory/${this.currentAccountId}`
-            );
+    async exportAccounts() {
+        const includePasswords = document.getElementById('exportIncludePasswords').checked;
+        const passphrase = document.getElementById('exportPassphrase').value;
 
-            if (response.ok) {
-                const inventory = await response.json();
-                this.renderInventory(inventory);
-            } else {
-                const error = await response.json();
-                this.showAlert("Failed to load inventory: " + (error.message || "Unknown error"), "danger");
+        if (includePasswords) {
+            if (passphrase.length < 8) {
+                this.showAlert("Use a passphrase of at least 8 characters", "warning");
+                return;
             }
+            if (passphrase !== document.getElementById('exportPassphraseConfirm').value) {
+                this.showAlert("The passphrases don't match", "warning");
+                return;
+            }
+        }
+
+        const accountIds = document.getElementById('exportSelectedOnly').checked
+            ? this.accounts.filter(a => this.selectedAccountIds.has(a.accountId)).map(a => a.accountId)
+            : this.accounts.map(a => a.accountId);
+        if (accountIds.length === 0) {
+            this.showAlert("There are no accounts to export", "warning");
+            return;
+        }
+
+        try {
+            this.showLoading(true);
+            const definitions = [];
+            for (const accountId of accountIds) {
+                definitions.push(await this.collectAccountDefinition(accountId));
+            }
+
+            const file = await this.accountTransfer.createExport(definitions, includePasswords ? passphrase : null);
+            const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `radegast-accounts-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            bootstrap.Modal.getInstance(document.getElementById('exportAccountsModal')).hide();
+            this.showAlert(`Exported ${definitions.length} account${definitions.length === 1 ? '' : 's'}${includePasswords ? ' with encrypted passwords' : ' without passwords'}`, "success");
         } catch (error) {
-            console.error("Error loading inventory:", error);
-            this.showAlert("Failed to load inventory: " + error.message, "danger");
+            console.error("Error exporting accounts:", error);
+            this.showAlert("Failed to export accounts: " + error.message, "danger");
         } finally {
-            document.getElementById('inventoryLoading').classList.add('d-none');
-            document.getElementById('inventoryContent').classList.remove('d-none');
+            this.showLoading(false);
         }
     }
 
-    renderInventory(inventory) {
-        const treeContainer = document.getElementById('inventoryTree');
-        const noInventory = document.getElementById('noInventory');
-        const inventoryCount = document.getElementById('inventoryCount');
-        const inventoryLastUpdated = document.getElementById('inventoryLastUpdated');
+    // Everything needed to recreate the account elsewhere; the password is removed or encrypted by AccountTransfer
+    async collectAccountDefinition(accountId) {
+        const getJson = async (path) => {
+            const response = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${accountId}${path}`);
+            if (!response.ok) {
+                throw new Error(`Could not read ${path || 'the account'} (${response.status})`);
+            }
+            return response.json();
+        };
 
-        treeContainer.innerHTML = '';
+        const account = await getJson('');
+        const listed = this.accounts.find(a => a.accountId === accountId) || {};
+        const { lastUpdated, ...autoSit } = await getJson('/auto-sit');
+        const schedule = await getJson('/schedule');
+
+        return {
+            firstName: account.firstName,
+            lastName: account.lastName,
+            password: account.password,
+            displayName: account.displayName || '',
+            gridUrl: account.gridUrl,
+            avatarRelayUuid: account.avatarRelayUuid || '',
+            startLocation: account.startLocation || 'last',
+            folder: listed.folder || null,
+            tags: listed.tags || [],
+            autoSit,
+            autoGreeter: await getJson('/auto-greeter'),
+            autoRelog: await getJson('/auto-relog'),
+            schedule: { enabled: schedule.enabled, windows: schedule.windows }
+        };
+    }
 
-        const rootNodes = inventory && inventory.rootNodes ? inventory.rootNodes : [];
+    async loadImportFile(file) {
+        this.importFileText = await file.text();
+        this.importCandidates = [];
+        this.renderImportPreview();
 
-        if (!rootNodes || rootNodes.length === 0) {
-            noInventory.classList.remove('d-none');
-            inventoryCount.textContent = '';
-            inventoryLastUpdated.textContent = '';
-            return;
+        const encrypted = this.accountTransfer.isEncrypted(this.importFileText);
+        document.getElementById('importPassphraseDiv').classList.toggle('d-none', !encrypted);
+        if (encrypted) {
+            document.getElementById('importPassphrase').focus();
+        } else {
+            await this.previewImport();
         }
+    }
 
-        noInventory.classList.add('d-none');
-
-        const flatCount = this.countInventoryNodes(rootNodes);
-        inventoryCount.textContent = `${flatCount} inventor${flatCount === 1 ? 'y item' : 'y items'} cached`;
+    async previewImport() {
+        if (!this.importFileText) return;
 
-        if (inventory.lastUpdated) {
-            const date = new Date(inventory.lastUpdated);
-            inventoryLastUpdated.textContent = `Updated: ${date.toLocaleString()}`;
-        } else {
-            inventoryLastUpdated.textContent = '';
+        let accounts;
+        try {
+            accounts = await this.accountTransfer.readExport(this.importFileText, document.getElementById('importPassphrase').value || null);
+        } catch (error) {
+            this.showAlert(error.message, "warning");
+            return;
         }
 
-        const fragment = document.createDocumentFragment();
-        rootNodes.forEach(node => fragment.appendChild(this.createInventoryNodeElement(node)));
-        treeContainer.appendChild(fragment);
+        // Same avatar on the same grid, either already on this server or earlier in the file
+        const accountKey = (a) => `${a.firstName} ${a.lastName}|${a.gridUrl}`.toLowerCase();
+        const seen = new Set(this.accounts.map(accountKey));
+        this.importCandidates = accounts.map(account => {
+            const duplicate = seen.has(accountKey(account));
+            seen.add(accountKey(account));
+            return { account, duplicate, selected: !duplicate, status: null, error: null };
+        });
+
+        document.getElementById('importPassphraseDiv').classList.add('d-none');
+        this.renderImportPreview();
     }
 
-    createInventoryNodeElement(node, expanded = false, parentFolderType = '', parentFolderName = '') {
-        const wrapper = document.createElement('div');
-        wrapper.className = 'inventory-node';
+    renderImportPreview() {
+        const preview = document.getElementById('importAccountsPreview');
+        const importButton = document.getElementById('importAccountsBtn');
 
-        const hasChildren = Array.isArray(node.children) && node.children.length > 0;
+        if (this.importCandidates.length === 0) {
+            preview.innerHTML = '';
+            importButton.classList.add('d-none');
+            return;
+        }
 
-        if (hasChildren) {
-            const details = document.createElement('details');
-            if (expanded) {
-                details.open = true;
-            }
+        preview.innerHTML = `
+            <div class="list-group small">
+                ${this.importCandidates.map((candidate, index) => {
+                    const account = candidate.account;
+                    const name = `${account.firstName} ${account.lastName}`;
+                    let state = '';
+                    if (candidate.status === 'done') {
+                        state = '<i class="fas fa-check text-success" title="Imported"></i>';
+                    } else if (candidate.status === 'failed') {
+                        state = `<i class="fas fa-exclamation-triangle text-danger" title="${this.escapeHtml(candidate.error)}"></i>`;
+                    } else if (candidate.duplicate) {
+                        state = '<span class="badge bg-warning text-dark" title="An account for this avatar and grid already exists">Duplicate</span>';
+                    }
 
-            const summary = document.createElement('summary');
-            summary.appendChild(this.createInventoryEntry(node, parentFolderType, parentFolderName));
-            details.appendChild(summary);
+                    return `
+                        <div class="list-group-item">
+                            <div class="d-flex align-items-center">
+                                <input class="form-check-input me-2" type="checkbox" ${candidate.selected ? 'checked' : ''}
+                                       ${candidate.status === 'done' ? 'disabled' : ''}
+                                       onchange="radegastClient.toggleImportCandidate(${index}, this.checked)">
+                                <div class="flex-grow-1 text-truncate">
+                                    ${this.escapeHtml(name)}
+                                    ${account.folder ? `<span class="text-muted ms-1"><i class="fas fa-folder fa-xs"></i> ${this.escapeHtml(account.folder)}</span>` : ''}
+                                </div>
+                                ${state}
+                            </div>
+                            ${!account.password && !candidate.createdAccountId && candidate.status !== 'done' ? `
+                            <input type="password" class="form-control form-control-sm mt-1" placeholder="Password (not in the file)"
+                                   autocomplete="new-password" oninput="radegastClient.setImportPassword(${index}, this.value)">` : ''}
+                            ${candidate.error ? `<div class="text-danger">${this.escapeHtml(candidate.error)}</div>` : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
 
-            const childrenContainer = document.createElement('div');
-            childrenContainer.className = 'inventory-children';
+        const count = this.importCandidates.filter(c => c.selected && c.status !== 'done').length;
+        document.getElementById('importAccountsCount').textContent = count;
+        importButton.disabled = count === 0;
+        importButton.classList.remove('d-none');
+    }
 
-            node.children.forEach(child => {
-                childrenContainer.appendChild(this.createInventoryNodeElement(
-                    child,
-                    false,
-                    node.folderType || parentFolderType,
-                    node.name || parentFolderName
-                ));
-            });
+    toggleImportCandidate(index, selected) {
+        this.importCandidates[index].selected = selected;
+        const count = this.importCandidates.filter(c => c.selected && c.status !== 'done').length;
+        document.getElementById('importAccountsCount').textContent = count;
+        document.getElementById('importAccountsBtn').disabled = count === 0;
+    }
 
-            details.appendChild(childrenContainer);
+    setImportPassword(index, password) {
+        this.importCandidates[index].enteredPassword = password;
+    }
 
-            wrapper.appendChild(details);
-        } else {
-            wrapper.appendChild(this.createInventoryEntry(node, parentFolderType, parentFolderName));
+    async importAccounts() {
+        const candidates = this.importCandidates.filter(c => c.selected && c.status !== 'done');
+        const missingPassword = candidates.find(c => !c.createdAccountId && !c.account.password && !c.enteredPassword);
+        if (missingPassword) {
+            this.showAlert(`Enter a password for ${missingPassword.account.firstName} ${missingPassword.account.lastName}`, "warning");
+            return;
         }
 
-        return wrapper;
-    }
+        try {
+            this.showLoading(true);
+            for (const candidate of candidates) {
+                try {
+                    // A retry after a settings failure reuses the account created the first time instead of adding it again
+                    if (!candidate.createdAccountId) {
+                        candidate.createdAccountId = await this.createImportedAccount(candidate.account, candidate.account.password || candidate.enteredPassword);
+                    }
+                    await this.applyImportedAccountSettings(candidate.createdAccountId, candidate.account);
+                    candidate.status = 'done';
+                    candidate.error = null;
+                } catch (error) {
+                    candidate.status = 'failed';
+                    candidate.error = error.message;
+                }
+            }
+        } finally {
+            this.showLoading(false);
+        }
 
-    createInventoryEntry(node, parentFolderType = '', parentFolderName = '') {
-        const row = document.createElement('div');
-        row.className = 'inventory-entry';
+        this.renderImportPreview();
+        await this.loadAccounts();
 
-        const icon = document.createElement('i');
-        icon.className = `${node.iconClass || 'fas fa-file'} inv-icon`;
-        row.appendChild(icon);
+        const imported = candidates.filter(c => c.status === 'done').length;
+        const failed = candidates.length - imported;
+        this.showAlert(`Imported ${imported} account${imported === 1 ? '' : 's'}${failed ? `, ${failed} failed` : ''}`, failed ? "warning" : "success");
+    }
 
-        const name = document.createElement('span');
-        name.className = 'inv-name';
-        name.textContent = node.name || '(unnamed)';
-        row.appendChild(name);
+    async createImportedAccount(definition, password) {
+        const response = await window.authManager.makeAuthenticatedRequest('/api/accounts', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                firstName: definition.firstName,
+                lastName: definition.lastName,
+                password,
+                displayName: definition.displayName || '',
+                avatarRelayUuid: definition.avatarRelayUuid || '',
+                gridUrl: definition.gridUrl,
+                startLocation: definition.startLocation || 'last'
+            })
+        });
+        if (!response.ok) {
+            throw new Error(`Creating the account failed: ${await response.text()}`);
+        }
+        return (await response.json()).id;
+    }
 
-        const type = document.createElement('span');
-        type.className = 'inv-type ms-2';
-        type.textContent = node.typeName || (node.isFolder ? 'Folder' : 'Item');
-        row.appendChild(type);
+    async applyImportedAccountSettings(accountId, definition) {
+        // The account exists by now, so a settings failure is reported but doesn't undo it
+        const send = async (path, method, body, label) => {
+            if (!body) return;
+            const settingsResponse = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${accountId}${path}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            if (!settingsResponse.ok) {
+                throw new Error(`Account created, but its ${label} could not be saved`);
+            }
+        };
 
-        if (node.isWorn) {
-            const worn = document.createElement('span');
-            worn.className = 'badge bg-success ms-2';
-            worn.textContent = node.wornAttachmentPoint
-                ? `Worn: ${node.wornAttachmentPoint}`
-                : 'Worn';
-            row.appendChild(worn);
-        } else if (node.wornAttachmentPoint) {
-            const worn = document.createElement('span');
-            worn.className = 'badge bg-secondary ms-2';
-            worn.textContent = `Last worn: ${node.wornAttachmentPoint}`;
-            row.appendChild(worn);
-        }
+        await send('/organization', 'PUT', { folder: definition.folder || null, tags: definition.tags || [] }, 'folder and tags');
+        await send('/auto-relog', 'POST', definition.autoRelog, 'auto-relog settings');
+        await send('/auto-greeter', 'POST', definition.autoGreeter, 'auto-greeter settings');
+        await send('/auto-sit', 'PUT', definition.autoSit, 'auto-sit settings');
+        await send('/schedule', 'PUT', definition.schedule, 'schedule');
+    }
 
-        const actions = document.createElement('div');
-        actions.className = 'inventory-entry-actions ms-auto d-flex gap-1';
-        let hasActions = false;
+    resetAccountImport() {
+        this.importFileText = null;
+        this.importCandidates = [];
+        document.getElementById('importAccountsFile').value = '';
+        document.getElementById('importPassphrase').value = '';
+        document.getElementById('importPassphraseDiv').classList.add('d-none');
+        this.renderImportPreview();
+    }
 
-        const normalizedParentType = (parentFolderType || '').toLowerCase();
-        const normalizedParentName = (parentFolderName || '').toLowerCase();
-        const isOutfitParent = normalizedParentType === 'currentoutfit'
-            || normalizedParentType.includes('outfit')
-            || normalizedParentName === 'my outfits';
+    // Bulk Account Methods
+    initializeAccountJobQueue() {
+        const staggerInput = document.getElementById('bulkLoginStaggerInput');
+        const staggerSeconds = Math.min(Math.max(parseInt(localStorage.getItem('bulkLoginStaggerSeconds') ?? '10') || 0, 0), 300);
 
-        if (node.isFolder && node.uuid && isOutfitParent) {
+        this.accountJobQueue = new AccountJobQueue({
+            run: job => this.runAccountJob(job),
+            onChange: () => this.renderAccountJobQueue(),
+            loginStaggerMs: staggerSeconds * 1000
+        });
 
-            const wearFolderBtn = document.createElement('button');
-            wearFolderBtn.className = 'btn btn-sm btn-outline-success';
-            wearFolderBtn.innerHTML = '<i class="fas fa-tshirt me-1"></i>Wear Folder';
-            wearFolderBtn.addEventListener('click', async (event) => {
-                event.preventDefault();
-                event.stopPropagation();
-                await this.wearInventoryFolder(node.uuid, node.name);
+        if (staggerInput) {
+            staggerInput.value = staggerSeconds;
+            staggerInput.addEventListener('change', (e) => {
+                const seconds = Math.min(Math.max(parseInt(e.target.value) || 0, 0), 300);
+                e.target.value = seconds;
+                localStorage.setItem('bulkLoginStaggerSeconds', seconds);
+                this.accountJobQueue.setLoginStagger(seconds * 1000);
             });
-            actions.appendChild(wearFolderBtn);
-            hasActions = true;
         }
 
-        if (!node.isFolder && node.uuid && this.isInventoryPreviewable(node)) {
-            const openPreviewBtn = document.createElement('button');
-            openPreviewBtn.className = 'btn btn-sm btn-outline-primary';
-            openPreviewBtn.innerHTML = '<i class="fas fa-external-link-alt me-1"></i>Open';
-            openPreviewBtn.addEventListener('click', async (event) => {
-                event.preventDefault();
-                event.stopPropagation();
-                await this.openInventoryItemPreview(node.uuid, node.name);
-            });
-            actions.appendChild(openPreviewBtn);
-            hasActions = true;
-        }
+        document.getElementById('selectAllAccounts')?.addEventListener('change', (e) => {
+            this.selectAllAccounts(e.target.checked);
+        });
+        document.getElementById('bulkLoginSelectedBtn')?.addEventListener('click', () => {
+            this.queueBulkAccountAction('login', [...this.selectedAccountIds]);
+        });
+        document.getElementById('bulkLogoutSelectedBtn')?.addEventListener('click', () => {
+            this.queueBulkAccountAction('logout', [...this.selectedAccountIds]);
+        });
+        document.getElementById('bulkLoginAllBtn')?.addEventListener('click', () => {
+            this.queueBulkAccountAction('login', this.accounts.map(a => a.accountId));
+        });
+    }
 
-        if (hasActions) {
-            row.appendChild(actions);
+    toggleAccountSelection(accountId, selected) {
+        if (selected) {
+            this.selectedAccountIds.add(accountId);
+        } else {
+            this.selectedAccountIds.delete(accountId);
         }
+        this.updateAccountSelectionControls();
+    }
 
-        return row;
+    selectAllAccounts(selected) {
+        this.selectedAccountIds = new Set(selected ? this.accounts.map(a => a.accountId) : []);
+        document.querySelectorAll('#accountsList .account-select').forEach(checkbox => {
+            checkbox.checked = selected;
+        });
+        this.updateAccountSelectionControls();
     }
 
-    isInventoryPreviewable(node) {
-        if (!node || node.isFolder) {
-            return false;
+    updateAccountSelectionControls() {
+        const count = this.selectedAccountIds.size;
+        const selectAll = document.getElementById('selectAllAccounts');
+        if (selectAll) {
+            selectAll.checked = count > 0 && count === this.accounts.length;
+            selectAll.indeterminate = count > 0 && count < this.accounts.length;
+            selectAll.disabled = this.accounts.length === 0;
         }
 
-        const assetType = (node.assetType || '').toLowerCase();
-        const typeName = (node.typeName || '').toLowerCase();
-
-        return assetType === 'texture'
-            || assetType === 'snapshot'
-            || assetType === 'notecard'
-            || assetType === 'lsltext'
-            || typeName === 'script';
+        document.querySelectorAll('.bulk-selected-count').forEach(el => el.textContent = count);
+        ['bulkLoginSelectedBtn', 'bulkLogoutSelectedBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = count === 0;
+        });
     }
 
-    async openInventoryItemPreview(itemUuid, itemName) {
-        if (!this.currentAccountId) {
-            this.showAlert('No account selected', 'warning');
+    // Only accounts that aren't already in the wanted state are queued
+    queueBulkAccountAction(action, accountIds) {
+        const isLogin = action === 'login';
+        const targets = accountIds
+            .map(accountId => this.accounts.find(a => a.accountId === accountId))
+            .filter(account => account && (isLogin ? !account.isConnected : account.isConnected));
+
+        if (targets.length === 0) {
+            this.showAlert(`Those accounts are already ${isLogin ? 'online' : 'offline'}`, "info");
             return;
         }
 
-        try {
-            const response = await window.authManager.makeAuthenticatedRequest(
-                `/api/inventory/${this.currentAccountId}/preview/${itemUuid}`
-            );
+        targets.forEach(account => this.accountJobQueue.enqueue(account.accountId, action));
+        this.showAlert(`Queued ${isLogin ? 'login' : 'logout'} for ${targets.length} account${targets.length === 1 ? '' : 's'}`, "info");
+    }
 
-            if (!response.ok) {
-                const error = await response.json();
-                this.showAlert('Failed to open preview: ' + (error.message || 'Unknown error'), 'danger');
-                return;
-            }
+    async runAccountJob(job) {
+        const isLogin = job.action === 'login';
+        if (!this.accounts.some(a => a.accountId === job.accountId)) {
+            throw new Error("Account no longer exists");
+        }
 
-            const preview = await response.json();
-            if (preview.kind === 'image') {
-                const imageSources = Array.isArray(preview.imageUrls)
-                    ? preview.imageUrls
-                    : [preview.imageUrl, preview.fallbackImageUrl].filter(Boolean);
-                this.openImagePreviewWindow(itemName, imageSources, preview.fallbackImageUrl);
-                return;
+        try {
+            // Ensure we're joined to this account's SignalR group so its login events reach us
+            if (isLogin && this.connection && job.accountId !== this.currentAccountId) {
+                try {
+                    await this.connection.invoke("JoinAccountGroup", job.accountId);
+                } catch (error) {
+                    console.error("Error joining account group for login:", error);
+                }
             }
 
-            if (preview.kind === 'text') {
-                this.openTextPreviewWindow(itemName, preview.content || '', preview.textType || 'text');
-                return;
+            const response = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${job.accountId}/${job.action}`, {
+                method: 'POST'
+            });
+
+            if (!response.ok) {
+                // Validation errors come back as { message }, anything else as plain text
+                const errorText = await response.text();
+                let message = errorText;
+                try {
+                    message = JSON.parse(errorText).message || errorText;
+                } catch (error) {
+                    // Not JSON, keep the text
+                }
+                throw new Error(message || `${isLogin ? 'Login' : 'Logout'} failed (${response.status})`);
             }
 
-            this.showAlert('Preview type is not supported for this item yet.', 'warning');
-        } catch (error) {
-            console.error('Error opening inventory preview:', error);
-            this.showAlert('Failed to open preview: ' + error.message, 'danger');
+            if (!isLogin && job.accountId === this.currentAccountId) {
+                this.stopAvatarRefresh();
+            }
+        } finally {
+            await this.loadAccounts();
         }
     }
 
-    openImagePreviewWindow(itemName, imageSources, fallbackImageUrl) {
-        const previewWindow = window.open('', '_blank', 'popup=yes,width=512,height=512,resizable=yes,scrollbars=yes');
-        if (!previewWindow) {
-            this.showAlert('Popup blocked. Allow popups to view image previews.', 'warning');
-            return;
-        }
+    retryAccountJob(jobId) {
+        this.accountJobQueue.retry(jobId);
+    }
 
-        const sources = Array.isArray(imageSources)
-            ? imageSources.filter(Boolean)
-            : [imageSources, fallbackImageUrl].filter(Boolean);
+    renderAccountJobQueue() {
+        const panel = document.getElementById('accountJobQueue');
+        if (!panel) return;
 
-        const title = this.escapeHtml(itemName || 'Image Preview');
-        previewWindow.document.write(`
-            <!doctype html>
-            <html>
-            <head>
-                <meta charset="utf-8">
-                <title>${title}</title>
-                <style>
-                    body { margin: 0; background: #111; color: #eee; font-family: Segoe UI, sans-serif; display: flex; flex-direction: column; height: 100vh; }
-                    .header { padding: 8px 12px; font-size: 13px; border-bottom: 1px solid #333; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
-                    .frame { flex: 1; display: flex; align-items: center; justify-content: center; overflow: auto; }
-                    img { width: 100%; height: 100%; object-fit: contain; }
-                    .error { color: #f7b3b3; padding: 12px; font-size: 13px; }
-                </style>
-            </head>
-            <body>
-                <div class="header">${title}</div>
-                <div class="frame"><img id="inventoryPreviewImage" alt="${title}"></div>
-            </body>
-            </html>
-        `);
-        previewWindow.document.close();
+        const jobs = this.accountJobQueue.jobs;
+        panel.classList.toggle('d-none', jobs.length === 0);
 
-        const imageElement = previewWindow.document.getElementById('inventoryPreviewImage');
-        if (!imageElement) {
+        // Tick the stagger countdowns once a second while anything is waiting
+        const pending = this.accountJobQueue.pendingCount;
+        if (pending > 0 && !this.accountJobQueueTimer) {
+            this.accountJobQueueTimer = setInterval(() => this.renderAccountJobQueue(), 1000);
+        } else if (pending === 0 && this.accountJobQueueTimer) {
+            clearInterval(this.accountJobQueueTimer);
+            this.accountJobQueueTimer = null;
+        }
+
+        if (jobs.length === 0) {
+            panel.innerHTML = '';
             return;
         }
 
-        let sourceIndex = 0;
-        imageElement.onerror = () => {
-            sourceIndex += 1;
-            if (sourceIndex < sources.length) {
-                imageElement.src = sources[sourceIndex];
-                return;
-            }
+        const failed = jobs.filter(job => job.status === 'failed').length;
+        const done = jobs.filter(job => job.status === 'done').length;
 
-            const frame = imageElement.parentElement;
-            if (frame) {
-                frame.innerHTML = '<div class="error">Unable to load image preview for this asset.</div>';
-            }
-        };
+        const rows = jobs.map(job => {
+            const account = this.accounts.find(a => a.accountId === job.accountId);
+            const name = account ? (account.displayName || `${account.firstName} ${account.lastName}`) : job.accountId;
+            const actionIcon = job.action === 'login' ? 'fa-sign-in-alt text-success' : 'fa-sign-out-alt text-danger';
 
-        if (sources.length === 0) {
-            const frame = imageElement.parentElement;
-            if (frame) {
-                frame.innerHTML = '<div class="error">No image URL available for this asset.</div>';
+            let status;
+            switch (job.status) {
+                case 'waiting':
+                    status = `<span class="badge bg-secondary">in ${Math.max(0, Math.ceil((job.startsAt - Date.now()) / 1000))}s</span>`;
+                    break;
+                case 'running':
+                    status = '<span class="spinner-border spinner-border-sm text-primary" role="status"></span>';
+                    break;
+                case 'done':
+                    status = '<i class="fas fa-check text-success" title="Done"></i>';
+                    break;
+                case 'failed':
+                    status = `<button class="btn btn-sm btn-outline-warning py-0" onclick="radegastClient.retryAccountJob(${job.id})" title="Retry">
+                                <i class="fas fa-redo"></i>
+                            </button>`;
+                    break;
+                default:
+                    status = '<span class="badge bg-light text-muted">queued</span>';
             }
-            return;
-        }
 
-        imageElement.src = sources[sourceIndex];
+            return `
+                <div class="account-job d-flex align-items-center px-2 py-1 ${job.status === 'failed' ? 'account-job-failed' : ''}">
+                    <i class="fas ${actionIcon} me-2" title="${job.action === 'login' ? 'Log in' : 'Log out'}"></i>
+                    <div class="flex-grow-1 text-truncate small">
+                        ${this.escapeHtml(name)}
+                        ${job.error ? `<div class="text-danger text-truncate" title="${this.escapeHtml(job.error)}">${this.escapeHtml(job.error)}</div>` : ''}
+                    </div>
+                    <div class="ms-2">${status}</div>
+                </div>
+            `;
+        }).join('');
+
+        panel.innerHTML = `
+            <div class="d-flex align-items-center justify-content-between px-2 py-1 small text-muted">
+                <span>Bulk queue: ${pending} pending, ${done} done${failed ? `, <span class="text-danger">${failed} failed</span>` : ''}</span>
+                <div class="btn-group btn-group-sm">
+                    ${failed ? `<button class="btn btn-outline-warning py-0" onclick="radegastClient.accountJobQueue.retryFailed()" title="Retry failed"><i class="fas fa-redo"></i></button>` : ''}
+                    ${pending ? `<button class="btn btn-outline-secondary py-0" onclick="radegastClient.accountJobQueue.cancelPending()" title="Cancel jobs that haven't started"><i class="fas fa-stop"></i></button>` : ''}
+                    ${done || failed ? `<button class="btn btn-outline-secondary py-0" onclick="radegastClient.accountJobQueue.clearFinished()" title="Clear finished"><i class="fas fa-broom"></i></button>` : ''}
+                </div>
+            </div>
+            ${rows}
+        `;
     }
 
-    openTextPreviewWindow(itemName, content, textType) {
-        const previewWindow = window.open('', '_blank', 'popup=yes,width=700,height=700,resizable=yes,scrollbars=yes');
-        if (!previewWindow) {
-            this.showAlert('Popup blocked. Allow popups to view text previews.', 'warning');
+    showRegionInfo() {
+        console.log('showRegionInfo called - currentAccountId:', this.currentAccountId);
+        
+        if (!this.currentAccountId) {
+            this.showAlert("Please select and connect an account first", "warning");
             return;
         }
 
-        const title = this.escapeHtml(itemName || 'Text Preview');
-        const safeType = this.escapeHtml((textType || 'text').toUpperCase());
-        const safeContent = this.escapeHtml(content || '');
+        // Check if account is connected by looking at the button visibility first
+        const regionInfoBtn = document.getElementById('regionInfoBtn');
+        const buttonVisible = regionInfoBtn && !regionInfoBtn.classList.contains('d-none');
+        console.log('Region info button visible:', buttonVisible);
 
-        previewWindow.document.write(`
-            <!doctype html>
-            <html>
-            <head>
-                <meta charset="utf-8">
-                <title>${title}</title>
-                <style>
-                    body { margin: 0; background: #f7f8fb; color: #222; font-family: Consolas, Monaco, monospace; display: flex; flex-direction: column; height: 100vh; }
-                    .header { padding: 10px 12px; border-bottom: 1px solid #d9dee8; background: #fff; font-family: Segoe UI, sans-serif; }
-                    .type { font-size: 11px; color: #576070; letter-spacing: 0.04em; }
-                    pre { margin: 0; padding: 12px; white-space: pre-wrap; word-break: break-word; overflow: auto; flex: 1; line-height: 1.45; font-size: 13px; }
-                </style>
-            </head>
-            <body>
-                <div class="header">
-                    <div>${title}</div>
-                    <div class="type">${safeType}</div>
-                </div>
-                <pre>${safeContent}</pre>
-            </body>
-            </html>
-        `);
-        previewWindow.document.close();
-    }
+        // Check the account object
+        const account = this.accounts.find(acc => acc.accountId === this.currentAccountId);
+        console.log('Account found:', !!account, 'Account connected:', account?.isConnected);
+        console.log('Current account ID:', this.currentAccountId);
+        console.log('Available accounts:', this.accounts.map(a => ({ accountId: a.accountId, isConnected: a.isConnected })));
+        
+        if (!buttonVisible) {
+            this.showAlert("Account must be connected to view region information 1", "warning");
+            return;
+        }
 
-    countInventoryNodes(nodes) {
-        if (!Array.isArray(nodes) || nodes.length === 0) {
-            return 0;
+        if (!account || !account.isConnected) {
+            // Try to refresh the account status before failing
+            console.warn("Account status mismatch - button visible but account marked as disconnected, attempting refresh");
+            this.loadAccounts().then(() => {
+                const refreshedAccount = this.accounts.find(acc => acc.accountId === this.currentAccountId);
+                console.log('After refresh - Account found:', !!refreshedAccount, 'Account connected:', refreshedAccount?.isConnected);
+                if (refreshedAccount && refreshedAccount.isConnected) {
+                    this.showRegionInfoInternal();
+                } else {
+                    this.showAlert("Account must be connected to view region information 2", "warning");
+                }
+            });
+            return;
         }
 
-        let total = 0;
-        nodes.forEach(node => {
-            total += 1;
-            if (Array.isArray(node.children) && node.children.length > 0) {
-                total += this.countInventoryNodes(node.children);
-            }
-        });
-        return total;
+        this.showRegionInfoInternal();
     }
 
-    async loadAttachments() {
-        if (!this.currentAccountId) return;
+    showRegionInfoInternal() {
+        // Show the region info panel
+        if (window.regionInfoPanel) {
+            window.regionInfoPanel.show(this.currentAccountId);
+        } else {
+            console.error("Region info panel not initialized");
+            this.showAlert("Region info panel not available", "danger");
+        }
+    }
 
-        try {
-            const response = await window.authManager.makeAuthenticatedRequest(
-                `/api/attachments/${this.currentAccountId}`
-            );
+    async showAttachments() {
+        if (!this.currentAccountId) {
+            this.showAlert("No account selected", "warning");
+            return;
+        }
 
-            if (response.ok) {
-                const attachments = await response.json();
-                this.renderAttachments(attachments);
-            } else {
-                const error = await response.json();
-                this.showAlert("Failed to load attachments: " + (error.message || "Unknown error"), "danger");
-            }
+        // Show the modal
+        const modal = new bootstrap.Modal(document.getElementById('attachmentsModal'));
+        modal.show();
+
+        // Show loading state
+        document.getElementById('attachmentsLoading').classList.remove('d-none');
+        document.getElementById('attachmentsContent').classList.add('d-none');
+
+        try {
+            await this.loadAttachments();
         } catch (error) {
             console.error("Error loading attachments:", error);
             this.showAlert("Failed to load attachments: " + error.message, "danger");
-        } finally {
-            // Hide loading, show content
-            document.getElementById('attachmentsLoading').classList.add('d-none');
-            document.getElementById('attachmentsContent').classList.remove('d-none');
+            modal.hide();
         }
     }
 
-    renderAttachments(attachments) {
-        const listContainer = document.getElementById('attachmentsList');
-        const noAttachmentsMsg = document.getElementById('noAttachments');
-        const countSpan = document.getElementById('attachmentCount');
-
-        // Clear existing items
-        listContainer.innerHTML = '';
-
-        if (!attachments || attachments.length === 0) {
-            noAttachmentsMsg.classList.remove('d-none');
-            countSpan.textContent = '';
+    async showInventory() {
+        if (!this.currentAccountId) {
+            this.showAlert("No account selected", "warning");
             return;
         }
 
-        noAttachmentsMsg.classList.add('d-none');
-        countSpan.textContent = `${attachments.length} attachment${attachments.length !== 1 ? 's' : ''}`;
-
-        attachments.forEach(attachment => {
-            const item = document.createElement('div');
-            item.className = 'list-group-item d-flex justify-content-between align-items-center';
-            
-            const infoDiv = document.createElement('div');
-            infoDiv.className = 'flex-grow-1';
-            
-            const namePara = document.createElement('p');
-            namePara.className = 'mb-1 fw-bold';
-            namePara.textContent = attachment.name;
-            
-            const detailsPara = document.createElement('small');
-            detailsPara.className = 'text-muted';
-            detailsPara.textContent = `Attached to: ${attachment.attachmentPoint}`;
-            
-            infoDiv.appendChild(namePara);
-            infoDiv.appendChild(detailsPara);
-            
-            item.appendChild(infoDiv);
-
-            const actions = document.createElement('div');
-            actions.className = 'attachment-actions ms-2 d-flex gap-1';
+        const modal = new bootstrap.Modal(document.getElementById('inventoryModal'));
+        modal.show();
 
-            const detachBtn = document.createElement('button');
-            detachBtn.className = 'btn btn-sm btn-outline-danger';
-            detachBtn.innerHTML = '<i class="fas fa-unlink me-1"></i>Detach';
-            detachBtn.addEventListener('click', async () => {
-                await this.detachAttachment(attachment.uuid, attachment.name);
-            });
-            actions.appendChild(detachBtn);
-            
-            // Add touch button if the attachment is touchable
-            if (attachment.isTouchable && attachment.primUuid) {
-                const touchBtn = document.createElement('button');
-                touchBtn.className = 'btn btn-sm btn-primary';
-                touchBtn.innerHTML = '<i class="fas fa-hand-pointer me-1"></i>Touch';
-                touchBtn.addEventListener('click', () => {
-                    this.touchAttachment(attachment.primUuid, attachment.name);
-                });
-                actions.appendChild(touchBtn);
-            } else {
-                const notTouchableSpan = document.createElement('span');
-                notTouchableSpan.className = 'badge bg-secondary';
-                notTouchableSpan.textContent = 'Not Touchable';
-                actions.appendChild(notTouchableSpan);
-            }
+        document.getElementById('inventoryLoading').classList.remove('d-none');
+        document.getElementById('inventoryContent').classList.add('d-none');
 
-            item.appendChild(actions);
-            
-            listContainer.appendChild(item);
-        });
+        try {
+            await this.loadInventory();
+        } catch (error) {
+            console.error("Error loading inventory:", error);
+            this.showAlert("Failed to load inventory: " + error.message, "danger");
+            modal.hide();
+        }
     }
 
-    async touchAttachment(primUuid, name) {
+    async showFriends() {
         if (!this.currentAccountId) {
             this.showAlert("No account selected", "warning");
             return;
         }
 
-        try {
-            const response = await window.authManager.makeAuthenticatedRequest(
-                `/api/attachments/${this.currentAccountId}/touch/${primUuid}`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    }
-                }
-            );
+        const modal = new bootstrap.Modal(document.getElementById('friendsModal'));
+        modal.show();
 
-            if (response.ok) {
-                const result = await response.json();
-                this.showAlert(`Touched "${name}"`, "success");
-            } else {
-                const error = await response.json();
-                this.showAlert("Failed to touch attachment: " + (error.message || "Unknown error"), "danger");
-            }
+        document.getElementById('friendsLoading').classList.remove('d-none');
+        document.getElementById('friendsContent').classList.add('d-none');
+
+        try {
+            await this.loadFriends();
         } catch (error) {
-            console.error("Error touching attachment:", error);
-            this.showAlert("Failed to touch attachment: " + error.message, "danger");
+            console.error("Error loading friends:", error);
+            this.showAlert("Failed to load friends: " + error.message, "danger");
+            modal.hide();
         }
     }
 
-    async detachInventoryItem(itemUuid, name) {
-        if (!this.currentAccountId) {
-            this.showAlert("No account selected", "warning");
-            return;
-        }
+    async loadFriends() {
+        if (!this.currentAccountId) return;
 
         try {
             const response = await window.authManager.makeAuthenticatedRequest(
-                `/api/attachments/${this.currentAccountId}/detach/${itemUuid}`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    }
-                }
+                `/api/friends/${this.currentAccountId}`
             );
 
             if (response.ok) {
-                this.showAlert(`Detached "${name}"`, "success");
-                await Promise.all([this.loadInventory(), this.loadAttachments()]);
+                const friends = await response.json();
+                this.renderFriends(friends);
             } else {
                 const error = await response.json();
-                this.showAlert("Failed to detach attachment: " + (error.message || "Unknown error"), "danger");
+                this.showAlert("Failed to load friends: " + (error.message || "Unknown error"), "danger");
             }
         } catch (error) {
-            console.error("Error detaching attachment:", error);
-            this.showAlert("Failed to detach attachment: " + error.message, "danger");
+            console.error("Error loading friends:", error);
+            this.showAlert("Failed to load friends: " + error.message, "danger");
+        } finally {
+            document.getElementById('friendsLoading').classList.add('d-none');
+            document.getElementById('friendsContent').classList.remove('d-none');
         }
     }
 
-    async wearInventoryItem(itemUuid, name, attachmentPoint) {
-        if (!this.currentAccountId) {
-            this.showAlert("No account selected", "warning");
-            return;
+    renderFriends(friends) {
+        const listContainer = document.getElementById('friendsList');
+        const noFriends = document.getElementById('noFriends');
+        const friendsCount = document.getElementById('friendsCount');
+        const friendsLastUpdated = document.getElementById('friendsLastUpdated');
+
+        listContainer.innerHTML = '';
+
+        const items = Array.isArray(friends) ? friends : [];
+        if (items.length === 0) {
+            noFriends.classList.remove('d-none');
+            friendsCount.textContent = '';
+            friendsLastUpdated.textContent = '';
+            return;
         }
 
-        try {
-            const query = attachmentPoint ? `?attachmentPoint=${encodeURIComponent(attachmentPoint)}` : '';
-            const response = await window.authManager.makeAuthenticatedRequest(
-                `/api/attachments/${this.currentAccountId}/wear/${itemUuid}${query}`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    }
-                }
-            );
+        noFriends.classList.add('d-none');
 
-            if (response.ok) {
-                this.showAlert(`Wore "${name}"`, "success");
-                await Promise.all([this.loadInventory(), this.loadAttachments()]);
-            } else {
-                const error = await response.json();
-                this.showAlert("Failed to wear attachment: " + (error.message || "Unknown error"), "danger");
+        const onlineCount = items.filter(friend => friend.isOnline).length;
+        friendsCount.textContent = `${items.length} friend${items.length === 1 ? '' : 's'} (${onlineCount} online)`;
+        friendsLastUpdated.textContent = `Updated: ${new Date().toLocaleString()}`;
+
+        const sortedFriends = [...items].sort((a, b) => {
+            if (a.isOnline !== b.isOnline) {
+                return a.isOnline ? -1 : 1;
             }
-        } catch (error) {
-            console.error("Error wearing attachment:", error);
-            this.showAlert("Failed to wear attachment: " + error.message, "danger");
-        }
-    }
 
-    async detachAttachment(itemUuid, name) {
-        await this.detachInventoryItem(itemUuid, name);
-    }
+            const nameA = a.formattedName || a.displayName || a.legacyName || '';
+            const nameB = b.formattedName || b.displayName || b.legacyName || '';
+            return nameA.localeCompare(nameB, undefined, { sensitivity: 'base' });
+        });
 
-    async wearAttachment(itemUuid, name, attachmentPoint) {
-        await this.wearInventoryItem(itemUuid, name, attachmentPoint);
+        sortedFriends.forEach(friend => {
+            const item = document.createElement('div');
+            item.className = 'list-group-item d-flex justify-content-between align-items-center';
+
+            const info = document.createElement('div');
+            info.className = 'd-flex flex-column';
+
+            const name = document.createElement('span');
+            name.className = 'fw-semibold';
+            name.textContent = friend.formattedName || friend.displayName || friend.legacyName || '(unknown)';
+
+            const details = document.createElement('small');
+            details.className = friend.isOnline ? 'text-success' : 'text-muted';
+            details.textContent = friend.isOnline ? 'Online' : 'Offline';
+
+            info.appendChild(name);
+            info.appendChild(details);
+
+            const actions = document.createElement('div');
+            actions.className = 'd-flex align-items-center gap-2';
+
+            const statusDot = document.createElement('span');
+            statusDot.className = `people-status ${friend.isOnline ? 'online' : 'offline'}`;
+            statusDot.title = friend.isOnline ? 'Online' : 'Offline';
+
+            const messageButton = document.createElement('button');
+            messageButton.className = 'btn btn-sm btn-outline-primary';
+            messageButton.innerHTML = '<i class="fas fa-comment"></i>';
+            messageButton.title = 'Start IM';
+            messageButton.addEventListener('click', () => {
+                const targetName = friend.formattedName || friend.displayName || friend.legacyName || 'Unknown';
+                this.startIM(friend.avatarId, targetName);
+            });
+
+            actions.appendChild(statusDot);
+            actions.appendChild(messageButton);
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            listContainer.appendChild(item);
+        });
     }
 
-    async wearInventoryFolder(folderUuid, name) {
+    // Chat Log Archive Methods
+    async showChatLogs() {
         if (!this.currentAccountId) {
             this.showAlert("No account selected", "warning");
             return;
         }
 
+        const modal = new bootstrap.Modal(document.getElementById('chatLogsModal'));
+        modal.show();
+
+        this.chatLogReader = null;
+        document.getElementById('chatLogsTitle').textContent = 'Chat Logs';
+        document.getElementById('chatLogsFileFilter').value = '';
+        document.getElementById('chatLogsLoading').classList.remove('d-none');
+        document.getElementById('chatLogsFilesView').classList.add('d-none');
+        document.getElementById('chatLogsReaderView').classList.add('d-none');
+
+        try {
+            await this.loadChatLogFiles();
+        } catch (error) {
+            console.error("Error loading chat logs:", error);
+            this.showAlert("Failed to load chat logs: " + error.message, "danger");
+            modal.hide();
+        }
+    }
+
+    async loadChatLogFiles() {
+        if (!this.currentAccountId) return;
+
         try {
             const response = await window.authManager.makeAuthenticatedRequest(
-                `/api/attachments/${this.currentAccountId}/wear-folder/${folderUuid}?replaceOutfit=true`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    }
-                }
+                `/api/chatlogs/${this.currentAccountId}/files/details`
             );
 
             if (response.ok) {
-                this.showAlert(`Wore folder "${name}"`, "success");
-                await Promise.all([this.loadInventory(), this.loadAttachments()]);
+                this.chatLogFiles = await response.json();
+                this.renderChatLogFiles();
             } else {
-                const error = await response.json();
-                this.showAlert("Failed to wear folder: " + (error.message || "Unknown error"), "danger");
+                const error = await response.text();
+                this.showAlert("Failed to load chat logs: " + error, "danger");
             }
-        } catch (error) {
-            console.error("Error wearing folder:", error);
-            this.showAlert("Failed to wear folder: " + error.message, "danger");
+        } finally {
+            document.getElementById('chatLogsLoading').classList.add('d-none');
+            document.getElementById('chatLogsFilesView').classList.remove('d-none');
         }
     }
 
-    async refreshAttachments() {
-        if (!this.currentAccountId) {
-            this.showAlert("No account selected", "warning");
+    renderChatLogFiles() {
+        const listContainer = document.getElementById('chatLogsFileList');
+        const noChatLogs = document.getElementById('noChatLogs');
+        const chatLogsCount = document.getElementById('chatLogsCount');
+        const filter = document.getElementById('chatLogsFileFilter').value.trim().toLowerCase();
+
+        listContainer.innerHTML = '';
+
+        if (this.chatLogFiles.length === 0) {
+            noChatLogs.classList.remove('d-none');
+            chatLogsCount.textContent = '';
             return;
         }
 
-        // Show loading
-        document.getElementById('attachmentsLoading').classList.remove('d-none');
-        document.getElementById('attachmentsContent').classList.add('d-none');
+        noChatLogs.classList.add('d-none');
+        chatLogsCount.textContent = `${this.chatLogFiles.length} log file${this.chatLogFiles.length === 1 ? '' : 's'}`;
+
+        const files = this.chatLogFiles.filter(file => !filter || file.sessionName.toLowerCase().includes(filter));
+        const sections = [
+            { logType: 'Local', title: 'Local Chat', icon: 'fa-comments' },
+            { logType: 'IM', title: 'IMs', icon: 'fa-envelope' },
+            { logType: 'Group', title: 'Groups', icon: 'fa-users' },
+            { logType: 'Notices', title: 'Notices', icon: 'fa-bell' }
+        ];
+
+        sections.forEach(section => {
+            const sectionFiles = files
+                .filter(file => file.logType === section.logType)
+                .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+            if (sectionFiles.length === 0) return;
+
+            const heading = document.createElement('h6');
+            heading.className = 'mt-3 mb-2 text-muted';
+            heading.innerHTML = `<i class="fas ${section.icon} me-2"></i>${section.title} <span class="badge bg-secondary">${sectionFiles.length}</span>`;
+            listContainer.appendChild(heading);
+
+            const group = document.createElement('div');
+            group.className = 'list-group';
+
+            sectionFiles.forEach(file => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'list-group-item list-group-item-action d-flex justify-content-between align-items-center';
+                item.innerHTML = `
+                    <span class="fw-semibold text-truncate">${this.escapeHtml(file.sessionName)}</span>
+                    <small class="text-muted ms-2 text-nowrap" title="Last written (SLT)">
+                        ${this.escapeHtml(this.convertToSLTDateTime(file.lastModified))} • ${this.formatFileSize(file.sizeBytes)}
+                    </small>
+                `;
+                item.addEventListener('click', () => this.openChatLog(file.fileName, file.sessionName));
+                group.appendChild(item);
+            });
+
+            listContainer.appendChild(group);
+        });
+
+        if (files.length === 0) {
+            listContainer.innerHTML = '<div class="text-muted p-2">No log files match the filter</div>';
+        }
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    openChatLog(fileName, sessionName) {
+        this.chatLogReader = { fileName, sessionName, page: 0, totalPages: 1, search: '' };
+
+        document.getElementById('chatLogsTitle').textContent = `Chat Logs: ${sessionName}`;
+        document.getElementById('chatLogSearchInput').value = '';
+        document.getElementById('chatLogsFilesView').classList.add('d-none');
+        document.getElementById('chatLogsReaderView').classList.remove('d-none');
+
+        // Page 0 asks the server for the most recent page
+        this.loadChatLogPage(0);
+    }
+
+    closeChatLogReader() {
+        this.chatLogReader = null;
+        document.getElementById('chatLogsTitle').textContent = 'Chat Logs';
+        document.getElementById('chatLogsReaderView').classList.add('d-none');
+        document.getElementById('chatLogsFilesView').classList.remove('d-none');
+    }
+
+    searchChatLog(term) {
+        if (!this.chatLogReader) return;
+
+        this.chatLogReader.search = term.trim();
+        this.loadChatLogPage(0);
+    }
+
+    async loadChatLogPage(page) {
+        if (!this.currentAccountId || !this.chatLogReader) return;
+
+        const reader = this.chatLogReader;
+        const linesContainer = document.getElementById('chatLogLines');
+        linesContainer.innerHTML = '<div class="text-center text-muted py-3"><i class="fas fa-spinner fa-spin me-1"></i>Loading...</div>';
 
         try {
-            // Call the refresh endpoint
+            const params = new URLSearchParams({ page, pageSize: 200 });
+            if (reader.search) {
+                params.set('search', reader.search);
+            }
+
             const response = await window.authManager.makeAuthenticatedRequest(
-                `/api/attachments/${this.currentAccountId}/refresh`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    }
-                }
+                `/api/chatlogs/${this.currentAccountId}/files/${encodeURIComponent(reader.fileName)}/page?${params}`
             );
 
-            if (response.ok) {
-                this.showAlert("Attachments refreshed successfully", "success");
-                // Reload the attachments list
-                await this.loadAttachments();
-            } else {
-                const error = await response.json();
-                this.showAlert("Failed to refresh attachments: " + (error.message || "Unknown error"), "danger");
-                // Still show the content even if refresh failed
-                document.getElementById('attachmentsLoading').classList.add('d-none');
-                document.getElementById('attachmentsContent').classList.remove('d-none');
+            if (!response.ok) {
+                const error = await response.text();
+                linesContainer.innerHTML = '';
+                this.showAlert("Failed to read chat log: " + error, "danger");
+                return;
             }
+
+            const result = await response.json();
+
+            // Ignore responses for a log that was closed or replaced meanwhile
+            if (this.chatLogReader !== reader) return;
+
+            reader.page = result.page;
+            reader.totalPages = result.totalPages;
+            this.renderChatLogPage(result);
         } catch (error) {
-            console.error("Error refreshing attachments:", error);
-            this.showAlert("Failed to refresh attachments: " + error.message, "danger");
-            // Still show the content even if refresh failed
-            document.getElementById('attachmentsLoading').classList.add('d-none');
-            document.getElementById('attachmentsContent').classList.remove('d-none');
+            console.error("Error reading chat log:", error);
+            linesContainer.innerHTML = '';
+            this.showAlert("Failed to read chat log: " + error.message, "danger");
         }
     }
 
-    async sendChat() {
-        if (!this.currentAccountId) return;
+    renderChatLogPage(result) {
+        const linesContainer = document.getElementById('chatLogLines');
+        const search = this.chatLogReader ? this.chatLogReader.search : '';
 
-        const chatInput = document.getElementById('localChatInput');
-        const message = chatInput.value.trim();
+        linesContainer.innerHTML = '';
 
-        if (!message) return;
+        if (result.lines.length === 0) {
+            linesContainer.innerHTML = `<div class="text-muted text-center py-3">${search ? 'No lines match the search' : 'This log is empty'}</div>`;
+        }
 
-        try {
-            if (this.currentChatSession === 'local') {
-                // Send to local chat
-                const chatType = document.getElementById('localChatType').value;
-                if (this.connection) {
-                    await this.connection.invoke("SendChat", {
-                        accountId: this.currentAccountId,
-                        message: message,
-                        chatType: chatType,
-                        channel: 0
-                    });
-                }
-            } else {
-                // This should use the new sendMessage method for other sessions
-                await this.sendMessage(this.currentChatSession.replace('chat-', ''));
-                return; // Don't clear the input here as sendMessage will handle it
-            }
-            
-            chatInput.value = '';
-        } catch (error) {
-            console.error("Error sending chat:", error);
-            this.showAlert("Error sending message", "danger");
+        const fragment = document.createDocumentFragment();
+        result.lines.forEach(line => {
+            const entry = this.parseChatLogLine(line);
+            const lineDiv = document.createElement('div');
+            lineDiv.className = 'chat-message mb-2';
+            lineDiv.innerHTML = `
+                <div class="chat-message-layout d-flex">
+                    <div class="chat-message-time">
+                        <span class="text-muted small" title="Second Life Time (SLT)">${entry.timestamp ? this.formatChatTimestamp(entry.timestamp) : ''}</span>
+                    </div>
+                    <div class="chat-message-right">
+                        ${entry.senderName !== null ? `
+                            <div class="chat-message-header">
+                                <span class="fw-bold">${this.highlightText(entry.senderName, search)}:</span>
+                            </div>
+                        ` : ''}
+                        <div class="chat-message-content">
+                            <span>${this.highlightText(entry.message, search)}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+            fragment.appendChild(lineDiv);
+        });
+        linesContainer.appendChild(fragment);
+
+        document.getElementById('chatLogPageInfo').textContent =
+            `Page ${result.page} of ${result.totalPages} (${result.totalLines} ${search ? 'matching ' : ''}line${result.totalLines === 1 ? '' : 's'})`;
+        document.getElementById('chatLogPrevBtn').disabled = result.page <= 1;
+        document.getElementById('chatLogNextBtn').disabled = result.page >= result.totalPages;
+    }
+
+    // Parse a chat log line written as "[yyyy/MM/dd HH:mm:ss]  Sender: message" (UTC)
+    parseChatLogLine(line) {
+        const match = line.match(/^\[(\d{4})\/(\d{2})\/(\d{2}) (\d{2}:\d{2}:\d{2})\]\s+(.*?): (.*)$/);
+        if (!match) {
+            // Continuation of a multi-line message
+            return { timestamp: null, senderName: null, message: line };
         }
+
+        return {
+            timestamp: `${match[1]}-${match[2]}-${match[3]}T${match[4]}Z`,
+            senderName: match[5],
+            message: match[6]
+        };
     }
 
-    async sendMessage(sessionId) {
-        if (!this.currentAccountId) return;
+    // Escape text and wrap case-insensitive matches of the search term in <mark>
+    highlightText(text, term) {
+        const escaped = this.escapeHtml(text);
+        if (!term) return escaped;
 
-        const inputElement = document.getElementById(`input-${sessionId}`);
-        if (!inputElement) return;
+        const escapedTerm = this.escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return escaped.replace(new RegExp(escapedTerm, 'gi'), match => `<mark>${match}</mark>`);
+    }
 
-        const message = inputElement.value.trim();
-        if (!message) return;
+    async downloadChatLog() {
+        if (!this.currentAccountId || !this.chatLogReader) return;
+
+        const fileName = this.chatLogReader.fileName;
 
         try {
-            const session = this.chatSessions[sessionId];
-            if (!session) return;
+            const response = await window.authManager.makeAuthenticatedRequest(
+                `/api/chatlogs/${this.currentAccountId}/files/${encodeURIComponent(fileName)}/download`
+            );
 
-            if (session.chatType === 'IM') {
-                if (this.connection) {
-                    await this.connection.invoke("SendIM", this.currentAccountId, session.targetId, message);
-                }
-            } else if (session.chatType === 'Group') {
-                if (this.connection) {
-                    await this.connection.invoke("SendGroupIM", this.currentAccountId, session.targetId, message);
-                }
+            if (!response.ok) {
+                const error = await response.text();
+                this.showAlert("Failed to download chat log: " + error, "danger");
+                return;
             }
 
-            inputElement.value = '';
+            const blob = await response.blob();
+            this.downloadBlob(blob, fileName);
         } catch (error) {
-            console.error("Error sending message:", error);
-            this.showAlert("Error sending message", "danger");
+            console.error("Error downloading chat log:", error);
+            this.showAlert("Failed to download chat log: " + error.message, "danger");
         }
     }
 
-    displayChatMessage(chatMessage) {
-        if (chatMessage.accountId !== this.currentAccountId) return;
+    // Save a blob to disk through a temporary download link
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
 
-        // Filter out notices - they should only appear in the notices tab
-        if (chatMessage.chatType && chatMessage.chatType.toLowerCase() === 'notice') {
-            console.log("Filtering out notice from regular chat display:", chatMessage);
+    // Transcript Export Methods
+    showChatExport(sessionId) {
+        if (!this.currentAccountId) {
+            this.showAlert("No account selected", "warning");
             return;
         }
 
-        let messagesContainer;
-        
-        // Determine which tab this message belongs to
-        if (chatMessage.sessionId && chatMessage.sessionId !== 'local-chat') {
-            // Check if this is a group message and the group was closed
-            if (chatMessage.chatType === 'Group' && this.closedGroupSessions.has(chatMessage.sessionId)) {
-                console.log(`Ignoring message for closed group: ${chatMessage.sessionId}`);
-                return;
-            }
-            
-            // IM or Group message
+        this.chatExportSessionId = sessionId;
+        document.getElementById('chatExportSessionName').textContent = this.getChatSessionDisplayName(sessionId);
+        document.getElementById('chatExportProgress').classList.add('d-none');
+        document.getElementById('chatExportConfirmBtn').disabled = this.isExportingChat;
+
+        const modal = new bootstrap.Modal(document.getElementById('chatExportModal'));
+        modal.show();
+    }
+
+    getChatSessionDisplayName(sessionId) {
+        if (sessionId === 'local-chat') return 'Local Chat';
+        const session = this.chatSessions[sessionId];
+        return session ? session.sessionName : sessionId;
+    }
+
+    async exportChatTranscript(sessionId, format) {
+        if (!sessionId || this.isExportingChat) return;
+        if (!this.connection || this.connection.state !== 'Connected') {
+            this.showAlert("Not connected to server", "warning");
+            return;
+        }
+
+        const accountId = this.currentAccountId;
+        const sessionName = this.getChatSessionDisplayName(sessionId);
+        const progress = document.getElementById('chatExportProgress');
+        const confirmBtn = document.getElementById('chatExportConfirmBtn');
+
+        this.isExportingChat = true;
+        confirmBtn.disabled = true;
+        progress.classList.remove('d-none');
+        progress.textContent = 'Fetching history...';
+
+        try {
+            const messages = await this.fetchFullChatHistory(accountId, sessionId, (count) => {
+                progress.textContent = `Fetched ${count} messages...`;
+            });
+
+            if (messages.length === 0) {
+                this.showAlert(`No history to export for ${sessionName}`, "info");
+                return;
+            }
+
+            let content;
+            let mimeType;
+            if (format === 'html') {
+                content = this.buildTranscriptHtml(sessionName, messages);
+                mimeType = 'text/html';
+            } else if (format === 'json') {
+                content = this.buildTranscriptJson(accountId, sessionId, sessionName, messages);
+                mimeType = 'application/json';
+            } else {
+                content = this.buildTranscriptText(messages);
+                mimeType = 'text/plain';
+            }
+
+            const safeName = sessionName.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'chat';
+            const datePart = new Date().toISOString().substring(0, 10);
+            this.downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), `${safeName}-${datePart}.${format}`);
+
+            bootstrap.Modal.getInstance(document.getElementById('chatExportModal'))?.hide();
+            this.showAlert(`Exported ${messages.length} messages from ${sessionName}`, "success");
+        } catch (error) {
+            console.error("Error exporting transcript:", error);
+            this.showAlert("Failed to export transcript: " + error.message, "danger");
+        } finally {
+            this.isExportingChat = false;
+            confirmBtn.disabled = false;
+            progress.classList.add('d-none');
+        }
+    }
+
+    // Walk GetChatHistoryPage from newest to oldest and return every message in chronological order
+    async fetchFullChatHistory(accountId, sessionId, onProgress) {
+        const pageSize = 500;
+        const pages = [];
+        const seen = new Set();
+        let skip = 0;
+        let total = 0;
+
+        while (true) {
+            const page = await this.connection.invoke("GetChatHistoryPage", accountId, sessionId, pageSize, skip) || [];
+
+            // New messages arriving mid-export shift the pages, so drop lines already collected by their database id
+            const fresh = page.filter(message => {
+                if (!message.id) return true;
+                if (seen.has(message.id)) return false;
+                seen.add(message.id);
+                return true;
+            });
+
+            pages.unshift(fresh);
+            total += fresh.length;
+            skip += page.length;
+            if (onProgress) onProgress(total);
+
+            if (page.length < pageSize) break;
+        }
+
+        return pages.flat();
+    }
+
+    // Format a UTC timestamp as "yyyy/MM/dd HH:mm:ss" in SLT, matching the chat log line stamps
+    convertToSLTLogStamp(utcTimestamp) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: 'America/Los_Angeles',
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(new Date(utcTimestamp)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return `${parts.year}/${parts.month}/${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+    }
+
+    buildTranscriptText(messages) {
+        return messages.map(message => {
+            const stamp = this.convertToSLTLogStamp(message.timestamp);
+            // Emotes are logged as "Name does something" like the viewer does
+            const line = message.message.startsWith('/me ')
+                ? `${message.senderName} ${message.message.substring(4)}`
+                : `${message.senderName}: ${message.message}`;
+            return `[${stamp}]  ${line}`;
+        }).join('\r\n') + '\r\n';
+    }
+
+    buildTranscriptHtml(sessionName, messages) {
+        const rows = messages.map(message => {
+            const isEmote = message.message.startsWith('/me ');
+            const text = isEmote ? message.message.substring(4) : message.message;
+            return `
+        <div class="msg${isEmote ? ' emote' : ''}">
+            <span class="time" title="${this.escapeHtml(message.timestamp)} UTC">${this.escapeHtml(this.convertToSLTLogStamp(message.timestamp))}</span>
+            <span class="sender">${this.escapeHtml(message.senderName)}${isEmote ? '' : ':'}</span>
+            <span class="text">${this.escapeHtml(text)}</span>
+        </div>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${this.escapeHtml(sessionName)} - Transcript</title>
+    <style>
+        body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; background: #f8f9fa; color: #212529; margin: 2rem; }
+        h1 { font-size: 1.4rem; margin-bottom: 0.25rem; }
+        .meta { color: #6c757d; font-size: 0.85rem; margin-bottom: 1.5rem; }
+        .msg { background: #fff; border: 1px solid #dee2e6; border-radius: 4px; padding: 0.4rem 0.6rem; margin-bottom: 0.3rem; white-space: pre-wrap; word-wrap: break-word; }
+        .time { color: #6c757d; font-size: 0.8rem; margin-right: 0.5rem; font-family: monospace; }
+        .sender { font-weight: bold; margin-right: 0.25rem; }
+        .emote .text { font-style: italic; }
+    </style>
+</head>
+<body>
+    <h1>${this.escapeHtml(sessionName)}</h1>
+    <div class="meta">${messages.length} messages &middot; times in SLT &middot; exported ${this.escapeHtml(this.convertToSLTLogStamp(new Date()))} SLT</div>
+    <div class="transcript">${rows}
+    </div>
+</body>
+</html>
+`;
+    }
+
+    buildTranscriptJson(accountId, sessionId, sessionName, messages) {
+        return JSON.stringify({
+            accountId,
+            sessionId,
+            sessionName,
+            exportedAt: new Date().toISOString(),
+            messageCount: messages.length,
+            messages: messages.map(message => ({
+                senderName: message.senderName,
+                senderId: message.senderId,
+                message: message.message,
+                chatType: message.chatType,
+                channel: message.channel,
+                regionName: message.regionName,
+                timestampUtc: message.timestamp,
+                timestampSlt: this.convertToSLTLogStamp(message.timestamp)
+            }))
+        }, null, 2);
+    }
+
+    async loadInventory() {
+        if (!this.currentAccountId) return;
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(
+                `/api/inventory/${this.currentAccountId}`
+            );
+
+            if (response.ok) {
+                const inventory = await response.json();
+                this.renderInventory(inventory);
+            } else {
+                const error = await response.json();
+                this.showAlert("Failed to load inventory: " + (error.message || "Unknown error"), "danger");
+            }
+        } catch (error) {
+            console.error("Error loading inventory:", error);
+            this.showAlert("Failed to load inventory: " + error.message, "danger");
+        } finally {
+            document.getElementById('inventoryLoading').classList.add('d-none');
+            document.getElementById('inventoryContent').classList.remove('d-none');
+        }
+    }
+
+    renderInventory(inventory) {
+        const treeContainer = document.getElementById('inventoryTree');
+        const noInventory = document.getElementById('noInventory');
+        const inventoryCount = document.getElementById('inventoryCount');
+        const inventoryLastUpdated = document.getElementById('inventoryLastUpdated');
+
+        treeContainer.innerHTML = '';
+
+        const rootNodes = inventory && inventory.rootNodes ? inventory.rootNodes : [];
+
+        if (!rootNodes || rootNodes.length === 0) {
+            noInventory.classList.remove('d-none');
+            inventoryCount.textContent = '';
+            inventoryLastUpdated.textContent = '';
+            return;
+        }
+
+        noInventory.classList.add('d-none');
+
+        const flatCount = this.countInventoryNodes(rootNodes);
+        inventoryCount.textContent = `${flatCount} inventor${flatCount === 1 ? 'y item' : 'y items'} cached`;
+
+        if (inventory.lastUpdated) {
+            const date = new Date(inventory.lastUpdated);
+            inventoryLastUpdated.textContent = `Updated: ${date.toLocaleString()}`;
+        } else {
+            inventoryLastUpdated.textContent = '';
+        }
+
+        const fragment = document.createDocumentFragment();
+        rootNodes.forEach(node => fragment.appendChild(this.createInventoryNodeElement(node)));
+        treeContainer.appendChild(fragment);
+    }
+
+    createInventoryNodeElement(node, expanded = false, parentFolderType = '', parentFolderName = '') {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'inventory-node';
+
+        const hasChildren = Array.isArray(node.children) && node.children.length > 0;
+
+        if (hasChildren) {
+            const details = document.createElement('details');
+            if (expanded) {
+                details.open = true;
+            }
+
+            const summary = document.createElement('summary');
+            summary.appendChild(this.createInventoryEntry(node, parentFolderType, parentFolderName));
+            details.appendChild(summary);
+
+            const childrenContainer = document.createElement('div');
+            childrenContainer.className = 'inventory-children';
+
+            node.children.forEach(child => {
+                childrenContainer.appendChild(this.createInventoryNodeElement(
+                    child,
+                    false,
+                    node.folderType || parentFolderType,
+                    node.name || parentFolderName
+                ));
+            });
+
+            details.appendChild(childrenContainer);
+
+            wrapper.appendChild(details);
+        } else {
+            wrapper.appendChild(this.createInventoryEntry(node, parentFolderType, parentFolderName));
+        }
+
+        return wrapper;
+    }
+
+    createInventoryEntry(node, parentFolderType = '', parentFolderName = '') {
+        const row = document.createElement('div');
+        row.className = 'inventory-entry';
+
+        const icon = document.createElement('i');
+        icon.className = `${node.iconClass || 'fas fa-file'} inv-icon`;
+        row.appendChild(icon);
+
+        const name = document.createElement('span');
+        name.className = 'inv-name';
+        name.textContent = node.name || '(unnamed)';
+        row.appendChild(name);
+
+        const type = document.createElement('span');
+        type.className = 'inv-type ms-2';
+        type.textContent = node.typeName || (node.isFolder ? 'Folder' : 'Item');
+        row.appendChild(type);
+
+        if (node.isWorn) {
+            const worn = document.createElement('span');
+            worn.className = 'badge bg-success ms-2';
+            worn.textContent = node.wornAttachmentPoint
+                ? `Worn: ${node.wornAttachmentPoint}`
+                : 'Worn';
+            row.appendChild(worn);
+        } else if (node.wornAttachmentPoint) {
+            const worn = document.createElement('span');
+            worn.className = 'badge bg-secondary ms-2';
+            worn.textContent = `Last worn: ${node.wornAttachmentPoint}`;
+            row.appendChild(worn);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'inventory-entry-actions ms-auto d-flex gap-1';
+        let hasActions = false;
+
+        const normalizedParentType = (parentFolderType || '').toLowerCase();
+        const normalizedParentName = (parentFolderName || '').toLowerCase();
+        const isOutfitParent = normalizedParentType === 'currentoutfit'
+            || normalizedParentType.includes('outfit')
+            || normalizedParentName === 'my outfits';
+
+        if (node.isFolder && node.uuid && isOutfitParent) {
+
+            const wearFolderBtn = document.createElement('button');
+            wearFolderBtn.className = 'btn btn-sm btn-outline-success';
+            wearFolderBtn.innerHTML = '<i class="fas fa-tshirt me-1"></i>Wear Folder';
+            wearFolderBtn.addEventListener('click', async (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                await this.wearInventoryFolder(node.uuid, node.name);
+            });
+            actions.appendChild(wearFolderBtn);
+            hasActions = true;
+        }
+
+        if (!node.isFolder && node.uuid && this.isInventoryPreviewable(node)) {
+            const openPreviewBtn = document.createElement('button');
+            openPreviewBtn.className = 'btn btn-sm btn-outline-primary';
+            openPreviewBtn.innerHTML = '<i class="fas fa-external-link-alt me-1"></i>Open';
+            openPreviewBtn.addEventListener('click', async (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                await this.openInventoryItemPreview(node.uuid, node.name);
+            });
+            actions.appendChild(openPreviewBtn);
+            hasActions = true;
+        }
+
+        if (hasActions) {
+            row.appendChild(actions);
+        }
+
+        return row;
+    }
+
+    isInventoryPreviewable(node) {
+        if (!node || node.isFolder) {
+            return false;
+        }
+
+        const assetType = (node.assetType || '').toLowerCase();
+        const typeName = (node.typeName || '').toLowerCase();
+
+        return assetType === 'texture'
+            || assetType === 'snapshot'
+            || assetType === 'notecard'
+            || assetType === 'lsltext'
+            || typeName === 'script';
+    }
+
+    async openInventoryItemPreview(itemUuid, itemName) {
+        if (!this.currentAccountId) {
+            this.showAlert('No account selected', 'warning');
+            return;
+        }
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(
+                `/api/inventory/${this.currentAccountId}/preview/${itemUuid}`
+            );
+
+            if (!response.ok) {
+                const error = await response.json();
+                this.showAlert('Failed to open preview: ' + (error.message || 'Unknown error'), 'danger');
+                return;
+            }
+
+            const preview = await response.json();
+            if (preview.kind === 'image') {
+                const imageSources = Array.isArray(preview.imageUrls)
+                    ? preview.imageUrls
+                    : [preview.imageUrl, preview.fallbackImageUrl].filter(Boolean);
+                this.openImagePreviewWindow(itemName, imageSources, preview.fallbackImageUrl);
+                return;
+            }
+
+            if (preview.kind === 'text') {
+                this.openTextPreviewWindow(itemName, preview.content || '', preview.textType || 'text');
+                return;
+            }
+
+            this.showAlert('Preview type is not supported for this item yet.', 'warning');
+        } catch (error) {
+            console.error('Error opening inventory preview:', error);
+            this.showAlert('Failed to open preview: ' + error.message, 'danger');
+        }
+    }
+
+    openImagePreviewWindow(itemName, imageSources, fallbackImageUrl) {
+        const previewWindow = window.open('', '_blank', 'popup=yes,width=512,height=512,resizable=yes,scrollbars=yes');
+        if (!previewWindow) {
+            this.showAlert('Popup blocked. Allow popups to view image previews.', 'warning');
+            return;
+        }
+
+        const sources = Array.isArray(imageSources)
+            ? imageSources.filter(Boolean)
+            : [imageSources, fallbackImageUrl].filter(Boolean);
+
+        const title = this.escapeHtml(itemName || 'Image Preview');
+        previewWindow.document.write(`
+            <!doctype html>
+            <html>
+            <head>
+                <meta charset="utf-8">
+                <title>${title}</title>
+                <style>
+                    body { margin: 0; background: #111; color: #eee; font-family: Segoe UI, sans-serif; display: flex; flex-direction: column; height: 100vh; }
+                    .header { padding: 8px 12px; font-size: 13px; border-bottom: 1px solid #333; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+                    .frame { flex: 1; display: flex; align-items: center; justify-content: center; overflow: auto; }
+                    img { width: 100%; height: 100%; object-fit: contain; }
+                    .error { color: #f7b3b3; padding: 12px; font-size: 13px; }
+                </style>
+            </head>
+            <body>
+                <div class="header">${title}</div>
+                <div class="frame"><img id="inventoryPreviewImage" alt="${title}"></div>
+            </body>
+            </html>
+        `);
+        previewWindow.document.close();
+
+        const imageElement = previewWindow.document.getElementById('inventoryPreviewImage');
+        if (!imageElement) {
+            return;
+        }
+
+        let sourceIndex = 0;
+        imageElement.onerror = () => {
+            sourceIndex += 1;
+            if (sourceIndex < sources.length) {
+                imageElement.src = sources[sourceIndex];
+                return;
+            }
+
+            const frame = imageElement.parentElement;
+            if (frame) {
+                frame.innerHTML = '<div class="error">Unable to load image preview for this asset.</div>';
+            }
+        };
+
+        if (sources.length === 0) {
+            const frame = imageElement.parentElement;
+            if (frame) {
+                frame.innerHTML = '<div class="error">No image URL available for this asset.</div>';
+            }
+            return;
+        }
+
+        imageElement.src = sources[sourceIndex];
+    }
+
+    openTextPreviewWindow(itemName, content, textType) {
+        const previewWindow = window.open('', '_blank', 'popup=yes,width=700,height=700,resizable=yes,scrollbars=yes');
+        if (!previewWindow) {
+            this.showAlert('Popup blocked. Allow popups to view text previews.', 'warning');
+            return;
+        }
+
+        const title = this.escapeHtml(itemName || 'Text Preview');
+        const safeType = this.escapeHtml((textType || 'text').toUpperCase());
+        const safeContent = this.escapeHtml(content || '');
+
+        previewWindow.document.write(`
+            <!doctype html>
+            <html>
+            <head>
+                <meta charset="utf-8">
+                <title>${title}</title>
+                <style>
+                    body { margin: 0; background: #f7f8fb; color: #222; font-family: Consolas, Monaco, monospace; display: flex; flex-direction: column; height: 100vh; }
+                    .header { padding: 10px 12px; border-bottom: 1px solid #d9dee8; background: #fff; font-family: Segoe UI, sans-serif; }
+                    .type { font-size: 11px; color: #576070; letter-spacing: 0.04em; }
+                    pre { margin: 0; padding: 12px; white-space: pre-wrap; word-break: break-word; overflow: auto; flex: 1; line-height: 1.45; font-size: 13px; }
+                </style>
+            </head>
+            <body>
+                <div class="header">
+                    <div>${title}</div>
+                    <div class="type">${safeType}</div>
+                </div>
+                <pre>${safeContent}</pre>
+            </body>
+            </html>
+        `);
+        previewWindow.document.close();
+    }
+
+    countInventoryNodes(nodes) {
+        if (!Array.isArray(nodes) || nodes.length === 0) {
+            return 0;
+        }
+
+        let total = 0;
+        nodes.forEach(node => {
+            total += 1;
+            if (Array.isArray(node.children) && node.children.length > 0) {
+                total += this.countInventoryNodes(node.children);
+            }
+        });
+        return total;
+    }
+
+    async loadAttachments() {
+        if (!this.currentAccountId) return;
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(
+                `/api/attachments/${this.currentAccountId}`
+            );
+
+            if (response.ok) {
+                const attachments = await response.json();
+                this.renderAttachments(attachments);
+            } else {
+                const error = await response.json();
+                this.showAlert("Failed to load attachments: " + (error.message || "Unknown error"), "danger");
+            }
+        } catch (error) {
+            console.error("Error loading attachments:", error);
+            this.showAlert("Failed to load attachments: " + error.message, "danger");
+        } finally {
+            // Hide loading, show content
+            document.getElementById('attachmentsLoading').classList.add('d-none');
+            document.getElementById('attachmentsContent').classList.remove('d-none');
+        }
+    }
+
+    renderAttachments(attachments) {
+        const listContainer = document.getElementById('attachmentsList');
+        const noAttachmentsMsg = document.getElementById('noAttachments');
+        const countSpan = document.getElementById('attachmentCount');
+
+        // Clear existing items
+        listContainer.innerHTML = '';
+
+        if (!attachments || attachments.length === 0) {
+            noAttachmentsMsg.classList.remove('d-none');
+            countSpan.textContent = '';
+            return;
+        }
+
+        noAttachmentsMsg.classList.add('d-none');
+        countSpan.textContent = `${attachments.length} attachment${attachments.length !== 1 ? 's' : ''}`;
+
+        attachments.forEach(attachment => {
+            const item = document.createElement('div');
+            item.className = 'list-group-item d-flex justify-content-between align-items-center';
+            
+            const infoDiv = document.createElement('div');
+            infoDiv.className = 'flex-grow-1';
+            
+            const namePara = document.createElement('p');
+            namePara.className = 'mb-1 fw-bold';
+            namePara.textContent = attachment.name;
+            
+            const detailsPara = document.createElement('small');
+            detailsPara.className = 'text-muted';
+            detailsPara.textContent = `Attached to: ${attachment.attachmentPoint}`;
+            
+            infoDiv.appendChild(namePara);
+            infoDiv.appendChild(detailsPara);
+            
+            item.appendChild(infoDiv);
+
+            const actions = document.createElement('div');
+            actions.className = 'attachment-actions ms-2 d-flex gap-1';
+
+            const detachBtn = document.createElement('button');
+            detachBtn.className = 'btn btn-sm btn-outline-danger';
+            detachBtn.innerHTML = '<i class="fas fa-unlink me-1"></i>Detach';
+            detachBtn.addEventListener('click', async () => {
+                await this.detachAttachment(attachment.uuid, attachment.name);
+            });
+            actions.appendChild(detachBtn);
+            
+            // Add touch button if the attachment is touchable
+            if (attachment.isTouchable && attachment.primUuid) {
+                const touchBtn = document.createElement('button');
+                touchBtn.className = 'btn btn-sm btn-primary';
+                touchBtn.innerHTML = '<i class="fas fa-hand-pointer me-1"></i>Touch';
+                touchBtn.addEventListener('click', () => {
+                    this.touchAttachment(attachment.primUuid, attachment.name);
+                });
+                actions.appendChild(touchBtn);
+            } else {
+                const notTouchableSpan = document.createElement('span');
+                notTouchableSpan.className = 'badge bg-secondary';
+                notTouchableSpan.textContent = 'Not Touchable';
+                actions.appendChild(notTouchableSpan);
+            }
+
+            item.appendChild(actions);
+            
+            listContainer.appendChild(item);
+        });
+    }
+
+    async touchAttachment(primUuid, name) {
+        if (!this.currentAccountId) {
+            this.showAlert("No account selected", "warning");
+            return;
+        }
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(
+                `/api/attachments/${this.currentAccountId}/touch/${primUuid}`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    }
+                }
+            );
+
+            if (response.ok) {
+                const result = await response.json();
+                this.showAlert(`Touched "${name}"`, "success");
+            } else {
+                const error = await response.json();
+                this.showAlert("Failed to touch attachment: " + (error.message || "Unknown error"), "danger");
+            }
+        } catch (error) {
+            console.error("Error touching attachment:", error);
+            this.showAlert("Failed to touch attachment: " + error.message, "danger");
+        }
+    }
+
+    async detachInventoryItem(itemUuid, name) {
+        if (!this.currentAccountId) {
+            this.showAlert("No account selected", "warning");
+            return;
+        }
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(
+                `/api/attachments/${this.currentAccountId}/detach/${itemUuid}`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    }
+                }
+            );
+
+            if (response.ok) {
+                this.showAlert(`Detached "${name}"`, "success");
+                await Promise.all([this.loadInventory(), this.loadAttachments()]);
+            } else {
+                const error = await response.json();
+                this.showAlert("Failed to detach attachment: " + (error.message || "Unknown error"), "danger");
+            }
+        } catch (error) {
+            console.error("Error detaching attachment:", error);
+            this.showAlert("Failed to detach attachment: " + error.message, "danger");
+        }
+    }
+
+    async wearInventoryItem(itemUuid, name, attachmentPoint) {
+        if (!this.currentAccountId) {
+            this.showAlert("No account selected", "warning");
+            return;
+        }
+
+        try {
+            const query = attachmentPoint ? `?attachmentPoint=${encodeURIComponent(attachmentPoint)}` : '';
+            const response = await window.authManager.makeAuthenticatedRequest(
+                `/api/attachments/${this.currentAccountId}/wear/${itemUuid}${query}`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    }
+                }
+            );
+
+            if (response.ok) {
+                this.showAlert(`Wore "${name}"`, "success");
+                await Promise.all([this.loadInventory(), this.loadAttachments()]);
+            } else {
+                const error = await response.json();
+                this.showAlert("Failed to wear attachment: " + (error.message || "Unknown error"), "danger");
+            }
+        } catch (error) {
+            console.error("Error wearing attachment:", error);
+            this.showAlert("Failed to wear attachment: " + error.message, "danger");
+        }
+    }
+
+    async detachAttachment(itemUuid, name) {
+        await this.detachInventoryItem(itemUuid, name);
+    }
+
+    async wearAttachment(itemUuid, name, attachmentPoint) {
+        await this.wearInventoryItem(itemUuid, name, attachmentPoint);
+    }
+
+    async wearInventoryFolder(folderUuid, name) {
+        if (!this.currentAccountId) {
+            this.showAlert("No account selected", "warning");
+            return;
+        }
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(
+                `/api/attachments/${this.currentAccountId}/wear-folder/${folderUuid}?replaceOutfit=true`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    }
+                }
+            );
+
+            if (response.ok) {
+                this.showAlert(`Wore folder "${name}"`, "success");
+                await Promise.all([this.loadInventory(), this.loadAttachments()]);
+            } else {
+                const error = await response.json();
+                this.showAlert("Failed to wear folder: " + (error.message || "Unknown error"), "danger");
+            }
+        } catch (error) {
+            console.error("Error wearing folder:", error);
+            this.showAlert("Failed to wear folder: " + error.message, "danger");
+        }
+    }
+
+    async refreshAttachments() {
+        if (!this.currentAccountId) {
+            this.showAlert("No account selected", "warning");
+            return;
+        }
+
+        // Show loading
+        document.getElementById('attachmentsLoading').classList.remove('d-none');
+        document.getElementById('attachmentsContent').classList.add('d-none');
+
+        try {
+            // Call the refresh endpoint
+            const response = await window.authManager.makeAuthenticatedRequest(
+                `/api/attachments/${this.currentAccountId}/refresh`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    }
+                }
+            );
+
+            if (response.ok) {
+                this.showAlert("Attachments refreshed successfully", "success");
+                // Reload the attachments list
+                await this.loadAttachments();
+            } else {
+                const error = await response.json();
+                this.showAlert("Failed to refresh attachments: " + (error.message || "Unknown error"), "danger");
+                // Still show the content even if refresh failed
+                document.getElementById('attachmentsLoading').classList.add('d-none');
+                document.getElementById('attachmentsContent').classList.remove('d-none');
+            }
+        } catch (error) {
+            console.error("Error refreshing attachments:", error);
+            this.showAlert("Failed to refresh attachments: " + error.message, "danger");
+            // Still show the content even if refresh failed
+            document.getElementById('attachmentsLoading').classList.add('d-none');
+            document.getElementById('attachmentsContent').classList.remove('d-none');
+        }
+    }
+
+    async sendChat() {
+        if (!this.currentAccountId) return;
+
+        const chatInput = document.getElementById('localChatInput');
+        const message = chatInput.value.trim();
+
+        if (!message || !this.checkChatByteLimit(message)) return;
+
+        try {
+            if (this.currentChatSession === 'local') {
+                const command = this.chatCommandParser.parse(message);
+                if (command.type === 'error') {
+                    this.showAlert(command.error, "warning");
+                    return;
+                }
+                
+                if (command.type === 'say') {
+                    // Send to local chat; /shout and /whisper override the dropdown
+                    const chatType = command.chatType || document.getElementById('localChatType').value;
+                    this.queueOutgoingMessage({ sessionId: 'local-chat', message: command.message, chatType, channel: command.channel || 0 });
+                } else if (!await this.runChatCommand(command)) {
+                    return; // Keep the input so the command can be corrected
+                }
+            } else {
+                // This should use the new sendMessage method for other sessions
+                await this.sendMessage(this.currentChatSession.replace('chat-', ''));
+                return; // Don't clear the input here as sendMessage will handle it
+            }
+            
+            this.clearChatComposer(chatInput, 'local-chat', message);
+        } catch (error) {
+            console.error("Error sending chat:", error);
+            this.showAlert("Error sending message", "danger");
+        }
+    }
+
+    async sendMessage(sessionId) {
+        if (!this.currentAccountId) return;
+
+        const inputElement = document.getElementById(`input-${sessionId}`);
+        if (!inputElement) return;
+
+        const message = inputElement.value.trim();
+        if (!message || !this.checkChatByteLimit(message)) return;
+
+        try {
+            const session = this.chatSessions[sessionId];
+            if (!session) return;
+
+            const command = this.chatCommandParser.parse(message);
+            if (command.type === 'error') {
+                this.showAlert(command.error, "warning");
+                return;
+            }
+
+            if (command.type !== 'say') {
+                if (!await this.runChatCommand(command)) return;
+            } else if (command.chatType || command.channel !== undefined) {
+                // Channel, shout and whisper commands always go to local chat
+                this.queueOutgoingMessage({ sessionId: 'local-chat', message: command.message, chatType: command.chatType || 'Normal', channel: command.channel || 0 });
+            } else {
+                this.stopOutgoingTyping(sessionId);
+                this.queueOutgoingMessage({ sessionId, chatType: session.chatType, targetId: session.targetId, message: command.message });
+            }
+
+            this.clearChatComposer(inputElement, sessionId, message);
+        } catch (error) {
+            console.error("Error sending message:", error);
+            this.showAlert("Error sending message", "danger");
+        }
+    }
+
+    // Announce that we are typing in an IM, and stop once the input is cleared or has been idle for a few seconds
+    handleIMInputTyping(sessionId) {
+        const session = this.chatSessions[sessionId];
+        const inputElement = document.getElementById(`input-${sessionId}`);
+        if (!session || session.chatType !== 'IM' || !session.targetId || !inputElement) return;
+
+        // Slash commands aren't meant for the other party, so they aren't announced
+        const text = inputElement.value.trim();
+        if (!text || text.startsWith('/')) {
+            this.stopOutgoingTyping(sessionId);
+            return;
+        }
+
+        let typing = this.outgoingTyping[sessionId];
+        if (!typing) {
+            typing = { accountId: this.currentAccountId, targetId: session.targetId, idleTimer: null };
+            this.outgoingTyping[sessionId] = typing;
+            this.sendTypingStatus(typing.accountId, typing.targetId, true);
+        }
+
+        clearTimeout(typing.idleTimer);
+        typing.idleTimer = setTimeout(() => this.stopOutgoingTyping(sessionId), 5000);
+    }
+
+    stopOutgoingTyping(sessionId) {
+        const typing = this.outgoingTyping[sessionId];
+        if (!typing) return;
+
+        clearTimeout(typing.idleTimer);
+        delete this.outgoingTyping[sessionId];
+        this.sendTypingStatus(typing.accountId, typing.targetId, false);
+    }
+
+    async sendTypingStatus(accountId, targetId, isTyping) {
+        if (!this.connection || this.connection.state !== 'Connected') return;
+
+        try {
+            await this.connection.invoke("SendTypingStatus", accountId, targetId, isTyping);
+        } catch (error) {
+            console.warn("Could not send typing status:", error);
+        }
+    }
+
+    handleTypingStatusChanged(status) {
+        if (status.accountId !== this.currentAccountId) return;
+
+        if (status.isTyping) {
+            this.showTypingIndicator(status.sessionId, status.agentName);
+        } else {
+            this.hideTypingIndicator(status.sessionId);
+        }
+    }
+
+    showTypingIndicator(sessionId, agentName) {
+        const indicator = document.getElementById(`typing-${sessionId}`);
+        if (!indicator) return;
+
+        const session = this.chatSessions[sessionId];
+        indicator.textContent = `${(session && session.sessionName) || agentName || 'Someone'} is typing…`;
+        indicator.style.display = '';
+
+        // Viewers that crash or lose connection never send a stop, so the line clears itself
+        clearTimeout(this.remoteTypingTimers[sessionId]);
+        this.remoteTypingTimers[sessionId] = setTimeout(() => this.hideTypingIndicator(sessionId), 30000);
+    }
+
+    hideTypingIndicator(sessionId) {
+        clearTimeout(this.remoteTypingTimers[sessionId]);
+        delete this.remoteTypingTimers[sessionId];
+
+        const indicator = document.getElementById(`typing-${sessionId}`);
+        if (indicator) {
+            indicator.style.display = 'none';
+        }
+    }
+
+    // Outgoing lines are shown as pending straight away and kept in localStorage until the server has taken them,
+    // so a dropped connection delays a message instead of losing it
+    queueOutgoingMessage({ sessionId, message, chatType, channel = 0, targetId = null, popoutSessionId = null }) {
+        const item = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+            accountId: this.currentAccountId,
+            sessionId,
+            chatType,
+            channel,
+            targetId,
+            popoutSessionId, // Pop-out the line was typed in, which is told how it went
+            message,
+            status: 'pending',
+            queuedAt: new Date().toISOString()
+        };
+
+        this.outgoingQueue.push(item);
+        this.saveOutgoingQueue();
+        this.renderOutgoingMessage(item);
+        this.flushOutgoingQueue();
+    }
+
+    saveOutgoingQueue() {
+        try {
+            localStorage.setItem('outgoingMessageQueue', JSON.stringify(this.outgoingQueue));
+        } catch (error) {
+            console.warn("Could not persist outgoing message queue:", error);
+        }
+    }
+
+    // Send pending messages in the order they were typed; stops at the first one that can't go out while disconnected
+    async flushOutgoingQueue() {
+        if (this.isFlushingOutgoingQueue) return;
+        this.isFlushingOutgoingQueue = true;
+
+        try {
+            while (this.connection && this.connection.state === 'Connected') {
+                const item = this.outgoingQueue.find(queued => queued.status === 'pending');
+                if (!item) break;
+
+                let delivered;
+                try {
+                    delivered = await this.deliverOutgoingMessage(item);
+                } catch (error) {
+                    // A connection that dropped mid-send keeps the message pending for the next reconnect
+                    if (!this.connection || this.connection.state !== 'Connected') break;
+
+                    console.error("Error sending queued message:", error);
+                    delivered = false;
+                }
+
+                // The server also reports why through ChatError, e.g. when the account is offline in-world
+                if (!delivered) {
+                    item.status = 'failed';
+                    this.saveOutgoingQueue();
+                    this.updateOutgoingMessageStatus(item.id, 'failed');
+                    this.forwardOutgoingStatusToPopout(item);
+                    continue;
+                }
+
+                this.outgoingQueue = this.outgoingQueue.filter(queued => queued.id !== item.id);
+                this.saveOutgoingQueue();
+                this.updateOutgoingMessageStatus(item.id, 'sent');
+                item.status = 'sent';
+                this.forwardOutgoingStatusToPopout(item);
+            }
+        } finally {
+            this.isFlushingOutgoingQueue = false;
+        }
+    }
+
+    // Resolves to whether the server sent the line; throws when the call itself failed
+    async deliverOutgoingMessage(item) {
+        if (item.sessionId === 'local-chat') {
+            return this.connection.invoke("SendChat", {
+                accountId: item.accountId,
+                message: item.message,
+                chatType: item.chatType,
+                channel: item.channel
+            });
+        } else if (item.chatType === 'IM') {
+            return this.connection.invoke("SendIM", item.accountId, item.targetId, item.message);
+        } else if (item.chatType === 'Group') {
+            return this.connection.invoke("SendGroupIM", item.accountId, item.targetId, item.message);
+        }
+        return false;
+    }
+
+    retryOutgoingMessage(id) {
+        const item = this.outgoingQueue.find(queued => queued.id === id);
+        if (!item) return;
+
+        // Move it behind anything still pending so the conversation stays in order
+        this.outgoingQueue = this.outgoingQueue.filter(queued => queued.id !== id);
+        item.status = 'pending';
+        this.outgoingQueue.push(item);
+        this.saveOutgoingQueue();
+
+        document.querySelector(`.outgoing-message[data-outgoing-id="${id}"]`)?.remove();
+        this.renderOutgoingMessage(item);
+        this.forwardOutgoingStatusToPopout(item);
+        this.flushOutgoingQueue();
+    }
+
+    forwardOutgoingStatusToPopout(item) {
+        if (!item.popoutSessionId || !(item.popoutSessionId in this.chatPopouts)) return;
+        this.postToPopouts({ type: 'send-status', sessionId: item.popoutSessionId, outgoingId: item.id, status: item.status, text: item.message });
+    }
+
+    discardOutgoingMessage(id) {
+        this.outgoingQueue = this.outgoingQueue.filter(queued => queued.id !== id);
+        this.saveOutgoingQueue();
+        document.querySelector(`.outgoing-message[data-outgoing-id="${id}"]`)?.remove();
+    }
+
+    renderOutgoingMessage(item) {
+        if (item.accountId !== this.currentAccountId) return;
+
+        const container = this.getChatMessagesContainer(item.sessionId);
+        if (!container || container.querySelector(`.outgoing-message[data-outgoing-id="${item.id}"]`)) return;
+
+        const account = this.accounts.find(a => a.accountId === item.accountId);
+        const messageDiv = this.createChatMessageElement({
+            senderName: account ? (account.displayName || `${account.firstName} ${account.lastName}`) : 'You',
+            message: item.message,
+            timestamp: item.queuedAt
+        });
+        messageDiv.classList.add('outgoing-message');
+        messageDiv.dataset.outgoingId = item.id;
+        messageDiv.dataset.outgoingText = item.message;
+        messageDiv.querySelector('.chat-message-header').insertAdjacentHTML('beforeend', '<span class="outgoing-status ms-2 small"></span>');
+
+        this.chatWindows[item.sessionId]?.renderLatest();
+        container.appendChild(messageDiv);
+        container.scrollTop = container.scrollHeight;
+        this.updateOutgoingMessageStatus(item.id, item.status);
+    }
+
+    // Re-add queued lines after a chat pane has been redrawn from history
+    renderQueuedMessages(sessionId) {
+        this.outgoingQueue
+            .filter(item => item.sessionId === sessionId && item.accountId === this.currentAccountId)
+            .forEach(item => this.renderOutgoingMessage(item));
+    }
+
+    updateOutgoingMessageStatus(id, status) {
+        const messageDiv = document.querySelector(`.outgoing-message[data-outgoing-id="${id}"]`);
+        if (!messageDiv) return;
+
+        messageDiv.classList.remove('pending', 'sent', 'failed');
+        messageDiv.classList.add(status);
+
+        const statusSpan = messageDiv.querySelector('.outgoing-status');
+        if (status === 'pending') {
+            statusSpan.innerHTML = '<i class="fas fa-clock"></i> Pending';
+        } else if (status === 'sent') {
+            statusSpan.innerHTML = '<i class="fas fa-check"></i> Sent';
+        } else {
+            statusSpan.innerHTML = `
+                <i class="fas fa-exclamation-circle"></i> Failed
+                <button class="btn btn-link btn-sm p-0 ms-1 align-baseline" onclick="radegastClient.retryOutgoingMessage('${id}')">Retry</button>
+                <button class="btn btn-link btn-sm p-0 ms-1 align-baseline text-muted" onclick="radegastClient.discardOutgoingMessage('${id}')">Discard</button>
+            `;
+        }
+    }
+
+    // The server echoes our own lines back; once it does, the placeholder is no longer needed
+    removeDeliveredOutgoingMessage(chatMessage) {
+        const account = this.accounts.find(a => a.accountId === chatMessage.accountId);
+        if (!account || !account.avatarUuid || chatMessage.senderId !== account.avatarUuid) return;
+
+        const container = this.getChatMessagesContainer(chatMessage.sessionId || 'local-chat');
+        if (!container) return;
+
+        // The echo can arrive before the send call returns, so pending placeholders count too
+        const placeholder = Array.from(container.querySelectorAll('.outgoing-message:not(.failed)'))
+            .find(element => element.dataset.outgoingText === chatMessage.message);
+        placeholder?.remove();
+    }
+
+    // Carry out a parsed slash command; returns false when it could not be run
+    async runChatCommand(command) {
+        if (!this.connection || this.connection.state !== 'Connected') {
+            this.showAlert("Not connected to server", "warning");
+            return false;
+        }
+
+        switch (command.type) {
+            case 'im': {
+                const knownAvatars = await this.getKnownAvatars();
+                for (const candidate of command.nameCandidates) {
+                    const avatar = this.findAvatarByName(knownAvatars, candidate.name);
+                    if (!avatar) continue;
+
+                    if (!this.chatSessions[`im-${avatar.id}`]) {
+                        await this.startIM(avatar.id, avatar.name);
+                    }
+                    return await this.connection.invoke("SendIM", this.currentAccountId, avatar.id, candidate.message);
+                }
+
+                this.showAlert(`No avatar named "${command.nameCandidates[command.nameCandidates.length - 1].name}" among nearby avatars, friends or open IMs. Quote names with spaces: /im "First Last" message`, "warning");
+                return false;
+            }
+            case 'teleport':
+                this.showAlert(command.home ? "Teleporting home..." : `Teleporting to ${command.regionName} (${command.x}, ${command.y}, ${command.z})...`, "info");
+                await this.connection.invoke("TeleportTo", this.currentAccountId, command.home ? 'home' : command.regionName, command.x || 0, command.y || 0, command.z || 0);
+                return true;
+            case 'sit':
+                await this.connection.invoke("SitOnObject", this.currentAccountId, command.objectId);
+                return true;
+            case 'stand':
+                await this.connection.invoke("StandUp", this.currentAccountId);
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    // Avatars that /im can address by name: open IM sessions, nearby avatars and friends
+    async getKnownAvatars() {
+        const avatars = [];
+
+        Object.values(this.chatSessions)
+            .filter(session => session.chatType === 'IM' && session.targetId)
+            .forEach(session => avatars.push({ id: session.targetId, name: session.sessionName, names: [session.sessionName] }));
+
+        this.nearbyAvatars.forEach(avatar => {
+            const id = avatar.id || avatar.Id;
+            const name = avatar.displayName || avatar.name;
+            avatars.push({ id, name, names: [avatar.name, avatar.displayName] });
+        });
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(`/api/friends/${this.currentAccountId}`);
+            if (response.ok) {
+                const friends = await response.json();
+                (Array.isArray(friends) ? friends : []).forEach(friend => {
+                    avatars.push({
+                        id: friend.avatarId,
+                        name: friend.displayName || friend.legacyName,
+                        names: [friend.displayName, friend.legacyName, friend.formattedName]
+                    });
+                });
+            }
+        } catch (error) {
+            console.warn("Could not load friends for /im name lookup:", error);
+        }
+
+        return avatars;
+    }
+
+    findAvatarByName(avatars, name) {
+        const target = name.toLowerCase();
+
+        // "Jane" also matches the legacy name "Jane Resident"
+        return avatars.find(avatar => avatar.names.some(n => n && n.toLowerCase() === target)) ||
+            avatars.find(avatar => avatar.names.some(n => n && n.toLowerCase() === `${target} resident`)) ||
+            null;
+    }
+
+    // Show matching slash commands above a chat input as the user types
+    attachChatCommandCompletion(inputElement) {
+        const inputArea = inputElement.closest('.chat-input-area');
+        if (!inputArea) return;
+
+        const suggestions = document.createElement('div');
+        suggestions.className = 'chat-command-suggestions list-group shadow d-none';
+        inputArea.appendChild(suggestions);
+
+        let selectedIndex = 0;
+        let completions = [];
+
+        const hide = () => {
+            suggestions.classList.add('d-none');
+            completions = [];
+        };
+
+        const complete = (command) => {
+            inputElement.value = `/${command.name} `;
+            inputElement.focus();
+            render();
+        };
+
+        const render = () => {
+            const value = inputElement.value;
+            completions = this.chatCommandParser.getCompletions(value);
+            const hint = completions.length === 0 ? this.chatCommandParser.getCommandHint(value) : null;
+
+            if (completions.length === 0 && !hint) {
+                hide();
+                return;
+            }
+
+            selectedIndex = Math.min(selectedIndex, Math.max(0, completions.length - 1));
+            suggestions.innerHTML = '';
+
+            if (hint) {
+                suggestions.innerHTML = `
+                    <div class="list-group-item chat-command-hint small">
+                        <code>${this.escapeHtml(hint.usage)}</code>
+                        <span class="text-muted ms-2">${this.escapeHtml(hint.description)}</span>
+                    </div>
+                `;
+            }
+
+            completions.forEach((command, index) => {
+                const item = document.createElement('div');
+                item.className = `list-group-item list-group-item-action small${index === selectedIndex ? ' active' : ''}`;
+                item.innerHTML = `
+                    <code>${this.escapeHtml(command.usage)}</code>
+                    <span class="${index === selectedIndex ? '' : 'text-muted '}ms-2">${this.escapeHtml(command.description)}</span>
+                `;
+                // mousedown keeps focus in the input
+                item.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    complete(command);
+                });
+                suggestions.appendChild(item);
+            });
+
+            suggestions.classList.remove('d-none');
+        };
+
+        inputElement.addEventListener('input', () => {
+            selectedIndex = 0;
+            render();
+        });
+
+        inputElement.addEventListener('keydown', (e) => {
+            if (suggestions.classList.contains('d-none')) return;
+
+            if (e.key === 'Escape') {
+                hide();
+            } else if (completions.length > 0 && e.key === 'Tab') {
+                e.preventDefault();
+                complete(completions[selectedIndex]);
+            } else if (completions.length > 0 && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                selectedIndex = (selectedIndex + step + completions.length) % completions.length;
+                render();
+            }
+        });
+
+        inputElement.addEventListener('blur', hide);
+    }
+
+    // Canned response picker next to a chat input, plus inline ":shortcut" suggestions while typing
+    attachCannedResponses(inputElement, sessionId) {
+        const inputArea = inputElement.closest('.chat-input-area');
+        const sendButton = inputArea?.querySelector('.input-group > .btn');
+        if (!inputArea || !sendButton) return;
+
+        const picker = document.createElement('div');
+        picker.className = 'btn-group dropup';
+        picker.innerHTML = `
+            <button type="button" class="btn btn-outline-secondary dropdown-toggle canned-response-btn" data-bs-toggle="dropdown" title="Insert a canned response">
+                <i class="fas fa-reply-all"></i>
+            </button>
+            <ul class="dropdown-menu dropdown-menu-end canned-response-menu"></ul>
+        `;
+        sendButton.before(picker);
+
+        const menu = picker.querySelector('.dropdown-menu');
+        picker.addEventListener('show.bs.dropdown', () => {
+            menu.innerHTML = this.cannedResponses.map(response => `
+                <li><a class="dropdown-item" href="#" data-response-id="${this.escapeHtml(response.id)}">
+                    <div class="d-flex justify-content-between gap-3">
+                        <span class="text-truncate">${this.escapeHtml(response.title)}</span>
+                        ${response.shortcut ? `<code>:${this.escapeHtml(response.shortcut)}</code>` : ''}
+                    </div>
+                    <small class="text-muted d-block text-truncate">${this.escapeHtml(response.text)}</small>
+                </a></li>
+            `).join('') + `
+                ${this.cannedResponses.length > 0 ? '<li><hr class="dropdown-divider"></li>' : ''}
+                <li><a class="dropdown-item" href="#" data-manage="true"><i class="fas fa-cog me-2"></i>Manage canned responses...</a></li>
+            `;
+        });
+
+        menu.addEventListener('click', (e) => {
+            const item = e.target.closest('.dropdown-item');
+            if (!item) return;
+            e.preventDefault();
+
+            if (item.dataset.manage) {
+                this.showCannedResponses();
+                return;
+            }
+
+            const response = this.cannedResponses.find(r => r.id === item.dataset.responseId);
+            if (response) {
+                this.insertIntoComposer(inputElement, this.resolveCannedResponse(response.text, sessionId),
+                    inputElement.selectionStart, inputElement.selectionEnd);
+            }
+        });
+
+        const suggestions = document.createElement('div');
+        suggestions.className = 'chat-command-suggestions list-group shadow d-none';
+        inputArea.appendChild(suggestions);
+
+        let selectedIndex = 0;
+        let matches = [];
+        let shortcutStart = 0;
+
+        const hide = () => {
+            suggestions.classList.add('d-none');
+            matches = [];
+        };
+
+        // The ":word" being typed just before the caret, if any
+        const findShortcut = () => {
+            const caret = inputElement.selectionStart;
+            if (caret !== inputElement.selectionEnd) return null;
+
+            const match = inputElement.value.substring(0, caret).match(/(^|\s):([a-z0-9_-]*)$/i);
+            if (!match) return null;
+
+            return { prefix: match[2].toLowerCase(), start: caret - match[2].length - 1, end: caret };
+        };
+
+        const expand = (response, suffix = '') => {
+            const text = this.resolveCannedResponse(response.text, sessionId) + suffix;
+            hide();
+            this.insertIntoComposer(inputElement, text, shortcutStart, inputElement.selectionStart);
+        };
+
+        const render = () => {
+            const shortcut = findShortcut();
+            matches = shortcut && shortcut.prefix
+                ? this.cannedResponses.filter(r => r.shortcut && r.shortcut.startsWith(shortcut.prefix)).slice(0, 8)
+                : [];
+
+            if (matches.length === 0) {
+                hide();
+                return;
+            }
+
+            shortcutStart = shortcut.start;
+            selectedIndex = Math.min(selectedIndex, matches.length - 1);
+            suggestions.innerHTML = '';
+
+            matches.forEach((response, index) => {
+                const item = document.createElement('div');
+                item.className = `list-group-item list-group-item-action small${index === selectedIndex ? ' active' : ''}`;
+                item.innerHTML = `
+                    <code>:${this.escapeHtml(response.shortcut)}</code>
+                    <span class="${index === selectedIndex ? '' : 'text-muted '}ms-2">${this.escapeHtml(response.title)}</span>
+                `;
+                // mousedown keeps focus in the input
+                item.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    expand(response);
+                });
+                suggestions.appendChild(item);
+            });
+
+            suggestions.classList.remove('d-none');
+        };
+
+        inputElement.addEventListener('input', () => {
+            selectedIndex = 0;
+            render();
+        });
+
+        inputElement.addEventListener('keydown', (e) => {
+            // Space after a complete shortcut expands it without opening the list first
+            if (e.key === ' ' && !e.shiftKey) {
+                const shortcut = findShortcut();
+                const response = shortcut && this.cannedResponses.find(r => r.shortcut === shortcut.prefix);
+                if (response) {
+                    e.preventDefault();
+                    shortcutStart = shortcut.start;
+                    expand(response, ' ');
+                }
+                return;
+            }
+
+            if (suggestions.classList.contains('d-none')) return;
+
+            if (e.key === 'Escape') {
+                hide();
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                expand(matches[selectedIndex]);
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                selectedIndex = (selectedIndex + step + matches.length) % matches.length;
+                render();
+            }
+        });
+
+        inputElement.addEventListener('blur', hide);
+    }
+
+    // Replace part of a composer's text and let drafts, the byte counter and suggestions see the change
+    insertIntoComposer(inputElement, text, start, end) {
+        const value = inputElement.value;
+        inputElement.value = value.substring(0, start) + text + value.substring(end);
+        inputElement.focus();
+        inputElement.setSelectionRange(start + text.length, start + text.length);
+        inputElement.dispatchEvent(new Event('input'));
+    }
+
+    // Fill in {placeholders} from the session and account the response is being inserted into
+    resolveCannedResponse(text, sessionId) {
+        const account = this.accounts.find(a => a.accountId === this.currentAccountId);
+        const partner = this.getConversationPartner(sessionId);
+
+        const values = {
+            name: partner ? partner.name : '',
+            displayname: partner ? partner.displayName : '',
+            region: account?.currentRegion || '',
+            slt: this.convertToSLT(new Date()),
+            myname: account ? (account.displayName || `${account.firstName} ${account.lastName}`) : ''
+        };
+
+        return text.replace(/\{(name|displayName|region|slt|myName)\}/gi, (token, key) => values[key.toLowerCase()]);
+    }
+
+    // The other party of an IM, or whoever last spoke in a group or local chat
+    getConversationPartner(sessionId) {
+        const session = this.chatSessions[sessionId];
+        let partnerId = session && session.chatType === 'IM' ? session.targetId : null;
+        let partnerName = session && session.chatType === 'IM' ? session.sessionName : null;
+
+        if (!partnerId) {
+            const account = this.accounts.find(a => a.accountId === this.currentAccountId);
+            const container = document.getElementById(sessionId === 'local-chat' ? 'localChatMessages' : `messages-${sessionId}`);
+            const selector = sessionId === 'local-chat' ? '.source-avatar[data-sender-id]' : '[data-sender-id]';
+            const lines = container ? Array.from(container.querySelectorAll(selector)) : [];
+            const lastLine = lines.reverse().find(line => !account || line.dataset.senderId !== account.avatarUuid);
+            if (!lastLine) return null;
+
+            partnerId = lastLine.dataset.senderId;
+            partnerName = lastLine.dataset.sender;
+        }
+
+        const avatar = this.nearbyAvatars.find(a => a.id === partnerId);
+        return {
+            name: avatar?.name || partnerName || '',
+            displayName: avatar?.displayName || partnerName || avatar?.name || ''
+        };
+    }
+
+    // Canned Response Methods
+    async loadCannedResponses() {
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest('/api/cannedresponses');
+            if (!response.ok) {
+                console.warn(`Could not load canned responses: ${response.status}`);
+                return;
+            }
+
+            const config = await response.json();
+            this.cannedResponses = config.responses || [];
+        } catch (error) {
+            console.error("Error loading canned responses:", error);
+        }
+    }
+
+    showCannedResponses() {
+        const list = document.getElementById('cannedResponsesList');
+        list.innerHTML = '';
+        this.cannedResponses.forEach(response => this.addCannedResponseRow(response));
+        this.updateNoCannedResponsesMessage();
+
+        const modal = new bootstrap.Modal(document.getElementById('cannedResponsesModal'));
+        modal.show();
+    }
+
+    addCannedResponseRow(response = {}) {
+        const list = document.getElementById('cannedResponsesList');
+        const row = document.createElement('tr');
+        row.dataset.responseId = response.id || ''; // New responses get an id from the server
+        row.innerHTML = `
+            <td><input type="text" class="form-control form-control-sm response-title" maxlength="100" placeholder="e.g. Opening hours"></td>
+            <td><input type="text" class="form-control form-control-sm response-shortcut" maxlength="33" placeholder="hours"></td>
+            <td><textarea class="form-control form-control-sm response-text" rows="2" maxlength="2000" placeholder="Hi {name}, we are open from 10:00 to 22:00 SLT."></textarea></td>
+            <td>
+                <button type="button" class="btn btn-sm btn-outline-danger response-remove" title="Remove response">
+                    <i class="fas fa-trash-alt"></i>
+                </button>
+            </td>
+        `;
+        // Shared with every operator, so set as properties rather than written into the markup
+        row.querySelector('.response-title').value = response.title || '';
+        row.querySelector('.response-shortcut').value = response.shortcut || '';
+        row.querySelector('.response-text').value = response.text || '';
+
+        row.querySelector('.response-remove').addEventListener('click', () => {
+            row.remove();
+            this.updateNoCannedResponsesMessage();
+        });
+
+        list.appendChild(row);
+        this.updateNoCannedResponsesMessage();
+
+        if (!response.text) {
+            row.querySelector('.response-title').focus();
+        }
+    }
+
+    updateNoCannedResponsesMessage() {
+        const hasRows = document.getElementById('cannedResponsesList').children.length > 0;
+        document.getElementById('noCannedResponses').classList.toggle('d-none', hasRows);
+    }
+
+    collectCannedResponses() {
+        return Array.from(document.querySelectorAll('#cannedResponsesList tr')).map(row => ({
+            id: row.dataset.responseId,
+            title: row.querySelector('.response-title').value.trim(),
+            shortcut: row.querySelector('.response-shortcut').value.trim().replace(/^:/, '') || null,
+            text: row.querySelector('.response-text').value.trim()
+        }));
+    }
+
+    async saveCannedResponses() {
+        const responses = this.collectCannedResponses().filter(response => response.text);
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest('/api/cannedresponses', {
+                method: 'PUT',
+                body: JSON.stringify({ responses })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                this.showAlert("Failed to save canned responses: " + (error.message || response.statusText), "danger");
+                return;
+            }
+
+            const result = await response.json();
+            this.cannedResponses = result.config.responses || [];
+
+            bootstrap.Modal.getInstance(document.getElementById('cannedResponsesModal'))?.hide();
+            this.showAlert(`Saved ${responses.length} canned response${responses.length === 1 ? '' : 's'}`, "success");
+        } catch (error) {
+            console.error("Error saving canned responses:", error);
+            this.showAlert("Failed to save canned responses: " + error.message, "danger");
+        }
+    }
+
+    // Multi-line composer behaviour for a chat input: auto-growing height, a byte counter,
+    // per-session drafts that survive reloads and Up/Down recall of previously sent lines
+    attachChatComposer(inputElement, sessionId) {
+        const inputArea = inputElement.closest('.chat-input-area');
+        if (!inputArea) return;
+
+        const counter = document.createElement('div');
+        counter.className = 'chat-composer-counter d-none';
+        inputArea.appendChild(counter);
+
+        // Position in the history while browsing it, and the unsent text to return to
+        let historyIndex = null;
+        let stashedText = '';
+
+        inputElement.addEventListener('input', () => {
+            historyIndex = null;
+            this.saveChatDraft(sessionId, inputElement.value);
+            this.updateChatComposer(inputElement);
+        });
+
+        inputElement.addEventListener('keydown', (e) => {
+            // Command suggestions use the arrow keys while they are open
+            if (e.defaultPrevented || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+            if (e.shiftKey || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            // In multi-line text the arrows only recall history from the first or last line
+            const value = inputElement.value;
+            const caret = inputElement.selectionStart;
+            if (e.key === 'ArrowUp' && value.lastIndexOf('\n', caret - 1) !== -1) return;
+            if (e.key === 'ArrowDown' && value.indexOf('\n', inputElement.selectionEnd) !== -1) return;
+
+            const history = this.inputHistory[`${this.currentAccountId}:${sessionId}`] || [];
+            if (history.length === 0) return;
+
+            if (e.key === 'ArrowUp') {
+                if (historyIndex === null) {
+                    stashedText = value;
+                    historyIndex = history.length;
+                }
+                if (historyIndex === 0) return;
+                historyIndex--;
+            } else {
+                if (historyIndex === null) return;
+                historyIndex++;
+            }
+
+            e.preventDefault();
+            if (historyIndex >= history.length) {
+                historyIndex = null;
+                inputElement.value = stashedText;
+            } else {
+                inputElement.value = history[historyIndex];
+            }
+            inputElement.setSelectionRange(inputElement.value.length, inputElement.value.length);
+            this.updateChatComposer(inputElement);
+        });
+
+        this.restoreChatDraft(inputElement, sessionId);
+    }
+
+    updateChatComposer(inputElement) {
+        // Grow with the text up to the CSS max-height, then scroll; hidden panes have no height to measure
+        inputElement.style.height = 'auto';
+        if (inputElement.scrollHeight > 0) {
+            inputElement.style.height = `${inputElement.scrollHeight + 2}px`;
+        }
+
+        const counter = inputElement.closest('.chat-input-area')?.querySelector('.chat-composer-counter');
+        if (!counter) return;
+
+        const bytes = this.getChatByteLength(inputElement.value.trim());
+        counter.textContent = `${bytes}/${this.maxChatBytes}`;
+        counter.classList.toggle('d-none', bytes === 0);
+        counter.classList.toggle('over-limit', bytes > this.maxChatBytes);
+    }
+
+    getChatByteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    checkChatByteLimit(message) {
+        const bytes = this.getChatByteLength(message);
+        if (bytes <= this.maxChatBytes) return true;
+
+        this.showAlert(`Message is ${bytes} bytes; Second Life allows at most ${this.maxChatBytes}. Please shorten it or split it up.`, "warning");
+        return false;
+    }
+
+    saveChatDraft(sessionId, text) {
+        if (!this.currentAccountId) return;
+
+        const key = `${this.currentAccountId}:${sessionId}`;
+        if (text.trim()) {
+            this.chatDrafts[key] = text;
+        } else {
+            delete this.chatDrafts[key];
+        }
+
+        try {
+            localStorage.setItem('chatDrafts', JSON.stringify(this.chatDrafts));
+        } catch (error) {
+            console.warn("Could not save chat draft:", error);
+        }
+    }
+
+    restoreChatDraft(inputElement, sessionId) {
+        if (!inputElement) return;
+
+        inputElement.value = (this.currentAccountId && this.chatDrafts[`${this.currentAccountId}:${sessionId}`]) || '';
+        this.updateChatComposer(inputElement);
+    }
+
+    // Reset the composer after a line has gone out and remember it for Up/Down recall
+    clearChatComposer(inputElement, sessionId, sentText) {
+        const key = `${this.currentAccountId}:${sessionId}`;
+        const history = this.inputHistory[key] || (this.inputHistory[key] = []);
+        if (history[history.length - 1] !== sentText) {
+            history.push(sentText);
+            if (history.length > this.maxInputHistory) {
+                history.shift();
+            }
+        }
+
+        inputElement.value = '';
+        this.saveChatDraft(sessionId, '');
+        this.updateChatComposer(inputElement);
+    }
+
+    displayChatMessage(chatMessage) {
+        if (chatMessage.accountId !== this.currentAccountId) return;
+
+        // Filter out notices - they should only appear in the notices tab
+        if (chatMessage.chatType && chatMessage.chatType.toLowerCase() === 'notice') {
+            console.log("Filtering out notice from regular chat display:", chatMessage);
+            return;
+        }
+
+        const isMuted = this.isChatMessageMuted(chatMessage);
+        let messagesContainer;
+        
+        // Determine which tab this message belongs to
+        if (chatMessage.sessionId && chatMessage.sessionId !== 'local-chat') {
+            // Check if this is a group message and the group was closed
+            if (chatMessage.chatType === 'Group' && this.closedGroupSessions.has(chatMessage.sessionId)) {
+                console.log(`Ignoring message for closed group: ${chatMessage.sessionId}`);
+                return;
+            }
+            
+            // IM or Group message
             messagesContainer = document.getElementById(`messages-${chatMessage.sessionId}`);
             
-            // If the tab doesn't exist, create it
-            if (!messagesContainer) {
-                const session = {
-                    sessionId: chatMessage.sessionId,
-                    sessionName: chatMessage.sessionName || chatMessage.senderName,
-                    chatType: chatMessage.chatType,
-                    targetId: chatMessage.targetId || chatMessage.senderId,
-                    unreadCount: 0,
-                    lastActivity: new Date(),
-                    accountId: this.currentAccountId,
-                    isActive: true
-                };
-                
-                if (chatMessage.chatType === 'Group') {
-                    this.createGroupTab(session);
-                } else {
-                    // For IMs, always create the tab (reopening behavior)
+            // If the tab doesn't exist, create it (muted senders don't get to open one)
+            if (!messagesContainer) {
+                if (isMuted) return;
+                
+                const session = {
+                    sessionId: chatMessage.sessionId,
+                    sessionName: chatMessage.sessionName || chatMessage.senderName,
+                    chatType: chatMessage.chatType,
+                    targetId: chatMessage.targetId || chatMessage.senderId,
+                    unreadCount: 0,
+                    lastActivity: new Date(),
+                    accountId: this.currentAccountId,
+                    isActive: true
+                };
+                
+                if (chatMessage.chatType === 'Group') {
+                    this.createGroupTab(session);
+                } else {
+                    // For IMs, always create the tab (reopening behavior)
+                    this.createIMTab(session);
+                }
+                
+                messagesContainer = document.getElementById(`messages-${chatMessage.sessionId}`);
+            }
+        } else {
+            // Local chat message
+            messagesContainer = document.getElementById('localChatMessages');
+        }
+        
+        if (!messagesContainer) return;
+
+        this.removeDeliveredOutgoingMessage(chatMessage);
+
+        if (chatMessage.chatType === 'IM' && chatMessage.senderId && chatMessage.sessionId === `im-${chatMessage.senderId}`) {
+            this.hideTypingIndicator(chatMessage.sessionId);
+        }
+
+        // The window only renders the line if the user is looking at the latest messages
+        const chatWindow = this.getChatWindow(chatMessage.sessionId || 'local-chat');
+        if (!chatWindow) return;
+        
+        // The distance filter judges live lines by where the speaker was when they spoke
+        if ((!chatMessage.sessionId || chatMessage.sessionId === 'local-chat') && chatMessage.speakerDistance === undefined) {
+            chatMessage.speakerDistance = this.getNearbyAvatarDistance(chatMessage.senderId);
+        }
+        
+        chatWindow.append(chatMessage);
+        this.cacheChatMessages(chatMessage.accountId, chatMessage.sessionId || 'local-chat', [chatMessage]);
+        if (chatWindow.isVisible({ message: chatMessage })) {
+            this.forwardToChatPopout(chatMessage.sessionId || 'local-chat', chatMessage, chatWindow.previousVisibleMessage(chatWindow.length - 1));
+        }
+        
+        // New messages shift the history offset used when paging in older messages
+        const historyState = this.chatHistoryState[chatMessage.sessionId || 'local-chat'];
+        if (historyState) {
+            historyState.loadedCount++;
+        }
+        
+        // Muted lines are kept (hidden) so unmuting can reveal them, but never count as unread or alert
+        if (isMuted) return;
+        
+        const matchedRules = this.matchHighlightRules(chatMessage).map(match => match.rule);
+        const isLocalChat = !chatMessage.sessionId || chatMessage.sessionId === 'local-chat';
+        
+        // Update unread count if not on active tab or in a pop-out
+        if (!isLocalChat && this.currentChatSession !== `chat-${chatMessage.sessionId}` && !(chatMessage.sessionId in this.chatPopouts)) {
+            const session = this.chatSessions[chatMessage.sessionId];
+            if (session) {
+                session.unreadCount++;
+                if (matchedRules.length > 0) {
+                    session.mentionCount = (session.mentionCount || 0) + 1;
+                }
+                this.updateTabUnreadCount(chatMessage.sessionId, session.unreadCount);
+            }
+        }
+        
+        if (matchedRules.length > 0) {
+            // Local chat has no unread badge, so highlighted lines get their own
+            if (isLocalChat && this.currentChatSession !== 'local') {
+                this.updateLocalChatMentionCount(this.localChatMentionCount + 1);
+            }
+            this.raiseHighlightAlerts(chatMessage, matchedRules);
+        }
+        
+        this.notifyChatMessage(chatMessage, matchedRules);
+    }
+
+    updateTabUnreadCount(sessionId, count) {
+        const badge = document.getElementById(`badge-${sessionId}`);
+        if (badge) {
+            const session = this.chatSessions[sessionId];
+            const hasMention = count > 0 && session && session.mentionCount > 0;
+            badge.classList.toggle('highlight-mention', !!hasMention);
+            
+            if (count > 0) {
+                badge.textContent = hasMention ? `@${count}` : count;
+                badge.style.display = 'inline';
+            } else {
+                badge.style.display = 'none';
+            }
+        }
+        this.updateTabCounts();
+    }
+
+    updateTabCounts() {
+        let totalIMCount = 0;
+        let totalGroupCount = 0;
+        
+        Object.values(this.chatSessions).forEach(session => {
+            if (session.chatType === 'IM') {
+                totalIMCount += session.unreadCount || 0;
+            } else if (session.chatType === 'Group') {
+                totalGroupCount += session.unreadCount || 0;
+            }
+        });
+        
+        const imCountBadge = document.getElementById('total-im-count');
+        const groupCountBadge = document.getElementById('total-group-count');
+        const noticesCountBadge = document.getElementById('total-notices-count');
+        
+        if (imCountBadge) {
+            imCountBadge.textContent = totalIMCount;
+        }
+        
+        if (groupCountBadge) {
+            groupCountBadge.textContent = totalGroupCount;
+        }
+        
+        if (noticesCountBadge) {
+            noticesCountBadge.textContent = this.unreadNoticesCount;
+        }
+    }
+
+    updateIMSession(session) {
+        this.chatSessions[session.sessionId] = session;
+        
+        // If tab doesn't exist, create it
+        const tabExists = document.getElementById(`chat-${session.sessionId}`);
+        if (!tabExists) {
+            this.createIMTab(session);
+        }
+        
+        // Reset unread count when switching to this tab
+        if (this.currentChatSession === `chat-${session.sessionId}`) {
+            this.updateTabUnreadCount(session.sessionId, 0);
+            // Update monitoring indicator with the updated session info
+            this.updateMonitoringIndicator(`chat-${session.sessionId}`);
+        }
+    }
+
+    updateGroupSession(session) {
+        // Check if this group was previously closed during this session
+        if (this.closedGroupSessions.has(session.sessionId)) {
+            console.log(`Group ${session.sessionId} was previously closed, not updating`);
+            return;
+        }
+        
+        this.chatSessions[session.sessionId] = session;
+        
+        // If tab doesn't exist, create it
+        const tabExists = document.getElementById(`chat-${session.sessionId}`);
+        if (!tabExists) {
+            this.createGroupTab(session);
+        }
+        
+        // Reset unread count when switching to this tab
+        if (this.currentChatSession === `chat-${session.sessionId}`) {
+            this.updateTabUnreadCount(session.sessionId, 0);
+            // Update monitoring indicator with the updated session info
+            this.updateMonitoringIndicator(`chat-${session.sessionId}`);
+        }
+    }
+
+    updateRegionInfo(regionInfo) {
+        // Update region info in the UI if needed
+        const account = this.accounts.find(a => a.accountId === regionInfo.accountId);
+        if (account) {
+            const previousRegion = account.currentRegion;
+            account.currentRegion = regionInfo.name;
+            
+            if (this.currentAccountId === regionInfo.accountId) {
+                document.getElementById('chatAccountStatus').textContent = 
+                    `${account.status} • ${regionInfo.name} (${regionInfo.avatarCount} people)`;
+                
+                // Refresh minimap if region changed (teleport/login to new region)
+                if (window.miniMap && previousRegion !== regionInfo.name) {
+                    console.log(`Region changed from "${previousRegion}" to "${regionInfo.name}" - refreshing minimap after delay`);
+                    // Add a brief delay to allow the backend to update its region information
+                    setTimeout(() => {
+                        window.miniMap.refresh();
+                    }, 750); // 750ms delay to ensure backend cache is updated
+                }
+            }
+        }
+    }
+
+    updateAccountStatus(status) {
+        const accountIndex = this.accounts.findIndex(a => a.accountId === status.accountId);
+        if (accountIndex !== -1) {
+            // Update the account data
+            this.accounts[accountIndex] = status;
+            
+            // Re-render the accounts list to reflect the updated status
+            this.renderAccountsList();
+
+            // Update chat interface if this is the current account
+            if (this.currentAccountId === status.accountId) {
+                // Update the account display name in case it changed
+                const accountNameElement = document.getElementById('chatAccountName');
+                const serviceIcons = `${(status.hasAiBotActive || status.HasAiBotActive) ? '<i class="fas fa-user-circle service-icon" title="AI Bot Active" style="color: #007bff;"></i>&nbsp;' : ''}${(status.hasCorradeActive || status.HasCorradeActive) ? '<i class="fas fa-server service-icon" title="Corrade Active" style="color: #28a745;"></i>&nbsp;' : ''}`;
+                accountNameElement.innerHTML = serviceIcons + (status.displayName || `${status.firstName} ${status.lastName}`);
+                
+                // Update the status text
+                document.getElementById('chatAccountStatus').textContent = 
+                    `${status.status}${status.currentRegion ? ' • ' + status.currentRegion : ''}`;
+
+                // Update the login/logout buttons based on connection status
+                const loginBtn = document.getElementById('loginBtn');
+                const logoutBtn = document.getElementById('logoutBtn');
+                const regionInfoBtn = document.getElementById('regionInfoBtn');
+                const attachmentsBtn = document.getElementById('attachmentsBtn');
+                const inventoryBtn = document.getElementById('inventoryBtn');
+                const friendsBtn = document.getElementById('friendsBtn');
+                
+                if (status.isConnected) {
+                    loginBtn.classList.add('d-none');
+                    document.getElementById('loginAtBtn').classList.add('d-none');
+                    logoutBtn.classList.remove('d-none');
+                    regionInfoBtn.classList.remove('d-none');
+                    attachmentsBtn.classList.remove('d-none');
+                    inventoryBtn.classList.remove('d-none');
+                    friendsBtn.classList.remove('d-none');
+                    document.getElementById('chatLogsBtn').classList.remove('d-none');
+                    // Start avatar refresh when account becomes connected
+                    this.startAvatarRefresh();
+                    
+                    // Show minimap for connected accounts
+                    if (window.miniMap) {
+                        window.miniMap.show(status.accountId);
+                        // Force initial redraw to show any existing avatars
+                        setTimeout(() => {
+                            if (window.miniMap && typeof window.miniMap.forceRedraw === 'function') {
+                                window.miniMap.forceRedraw();
+                            }
+                        }, 500); // Small delay to allow avatar data to load
+                    }
+                    
+                    // Load recent notices for this account
+                    this.loadAccountNotices(status.accountId);
+                    
+                    // Load groups when account connects
+                    this.loadGroups();
+                } else {
+                    loginBtn.classList.remove('d-none');
+                    document.getElementById('loginAtBtn').classList.remove('d-none');
+                    logoutBtn.classList.add('d-none');
+                    regionInfoBtn.classList.add('d-none');
+                    attachmentsBtn.classList.add('d-none');
+                    inventoryBtn.classList.add('d-none');
+                    friendsBtn.classList.add('d-none');
+                    document.getElementById('chatLogsBtn').classList.add('d-none');
+                    // Stop avatar refresh when account disconnects
+                    this.stopAvatarRefresh();
+                    
+                    // Hide minimap for disconnected accounts
+                    if (window.miniMap) {
+                        window.miniMap.hide();
+                    }
+                    
+                    // Clear nearby avatars when disconnected
+                    this.nearbyAvatars = [];
+                    this.renderPeopleList();
+                    
+                    // Clear groups when disconnected
+                    this.groups = [];
+                    this.renderGroupsList();
+                    
+                    // Clear closed group sessions when account disconnects
+                    // This allows groups to reopen on next login
+                    this.closedGroupSessions.clear();
+                    console.log('Cleared closed group sessions due to account disconnect');
+                }
+                
+                console.log(`Updated UI for account ${status.accountId}: connected=${status.isConnected}, status=${status.status}`);
+            }
+        } else {
+            console.warn(`Received status update for unknown account: ${status.accountId}`);
+        }
+    }
+
+    showAlert(message, type) {
+        // Remove existing alerts
+        const existingAlerts = document.querySelectorAll('.temp-alert');
+        existingAlerts.forEach(alert => alert.remove());
+
+        const alertDiv = document.createElement('div');
+        alertDiv.className = `alert alert-${type} alert-dismissible fade show temp-alert`;
+        alertDiv.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            z-index: 10000;
+            min-width: 300px;
+            max-width: 500px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        `;
+        alertDiv.innerHTML = `
+            ${message}
+            <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+        `;
+
+        document.body.appendChild(alertDiv);
+
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (alertDiv.parentNode) {
+                alertDiv.remove();
+            }
+        }, 5000);
+    }
+
+    showLoading(show) {
+        const spinner = document.getElementById('loadingSpinner');
+        if (show) {
+            spinner.classList.remove('d-none');
+        } else {
+            spinner.classList.add('d-none');
+        }
+    }
+
+    // Safe in element content and in quoted attribute values
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // Convert UTC timestamp to Second Life Time (Pacific Time - PST/PDT)
+    convertToSLT(utcTimestamp) {
+        try {
+            const date = new Date(utcTimestamp);
+            
+            // Convert to Pacific Time (automatically handles PST/PDT)
+            const options = {
+                timeZone: 'America/Los_Angeles',
+                hour12: false,
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            };
+            
+            return date.toLocaleTimeString('en-US', options);
+        } catch (error) {
+            console.error('Error converting timestamp to SLT:', error);
+            return new Date().toLocaleTimeString(); // Fallback to current time
+        }
+    }
+
+    // Convert UTC timestamp to SLT with date (for longer format displays)
+    convertToSLTDateTime(utcTimestamp) {
+        try {
+            const date = new Date(utcTimestamp);
+            
+            // Convert to Pacific Time with full date
+            const options = {
+                timeZone: 'America/Los_Angeles',
+                year: 'numeric',
+                month: 'short',
+                day: '2-digit',
+                hour12: false,
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            };
+            
+            return date.toLocaleString('en-US', options);
+        } catch (error) {
+            console.error('Error converting timestamp to SLT DateTime:', error);
+            return new Date().toLocaleString(); // Fallback to current time
+        }
+    }
+
+    // Format relative time for interactive notice responses
+    formatRelativeTime(timestamp) {
+        try {
+            const date = new Date(timestamp);
+            const now = new Date();
+            const diffMs = now - date;
+            const diffMins = Math.floor(diffMs / 60000);
+            const diffHours = Math.floor(diffMs / 3600000);
+            const diffDays = Math.floor(diffMs / 86400000);
+
+            if (diffMins < 1) {
+                return 'just now';
+            } else if (diffMins < 60) {
+                return `${diffMins} min${diffMins !== 1 ? 's' : ''} ago`;
+            } else if (diffHours < 24) {
+                return `${diffHours} hour${diffHours !== 1 ? 's' : ''} ago`;
+            } else if (diffDays < 7) {
+                return `${diffDays} day${diffDays !== 1 ? 's' : ''} ago`;
+            } else {
+                return this.convertToSLT(timestamp);
+            }
+        } catch (error) {
+            console.error('Error formatting relative time:', error);
+            return 'some time ago';
+        }
+    }
+
+    // Format chat timestamp with relative date information for older messages
+    formatChatTimestamp(timestamp) {
+        try {
+            const msgDate = new Date(timestamp);
+            const now = new Date();
+            
+            // Convert both to SLT for proper comparison
+            const sltOptions = { timeZone: 'America/Los_Angeles' };
+            const msgSltDate = new Date(msgDate.toLocaleString('en-US', sltOptions));
+            const nowSltDate = new Date(now.toLocaleString('en-US', sltOptions));
+            
+            // Get the start of today in SLT
+            const todayStart = new Date(nowSltDate);
+            todayStart.setHours(0, 0, 0, 0);
+            
+            // Get the start of yesterday in SLT  
+            const yesterdayStart = new Date(todayStart);
+            yesterdayStart.setDate(todayStart.getDate() - 1);
+            
+            const msgDateStart = new Date(msgSltDate);
+            msgDateStart.setHours(0, 0, 0, 0);
+            
+            // Get just the time portion
+            const timeOnly = this.convertToSLT(timestamp);
+            
+            if (msgDateStart.getTime() === todayStart.getTime()) {
+                // Today - just show time
+                return timeOnly;
+            } else if (msgDateStart.getTime() === yesterdayStart.getTime()) {
+                // Yesterday - show "yesterday" + time
+                return `yesterday<br>${timeOnly}`;
+            } else {
+                // Older - calculate days ago
+                const diffTime = todayStart.getTime() - msgDateStart.getTime();
+                const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
+                return `${diffDays} days ago<br>${timeOnly}`;
+            }
+        } catch (error) {
+            console.error('Error formatting chat timestamp:', error);
+            // Fallback to regular SLT time
+            return this.convertToSLT(timestamp);
+        }
+    }
+
+    // New method to safely render message content that may contain SLURL links
+    renderMessageContent(message) {
+        // If the message contains HTML-like content (our SLURL links), render it as HTML
+        if (message && message.includes('<a href=') && message.includes('class="slurl-link')) {
+            return message; // Already processed and safe HTML from server
+        }
+        // Otherwise, escape HTML to prevent XSS
+        return this.escapeHtml(message);
+    }
+
+    // Get the messages container for a chat session (local-chat, im-..., group-...)
+    getChatMessagesContainer(sessionId) {
+        if (sessionId === 'local-chat') {
+            return document.getElementById('localChatMessages');
+        }
+        return document.getElementById(`messages-${sessionId}`);
+    }
+
+    loadChatHistory(accountId, sessionId, messages) {
+        // Only load history for the current account
+        if (accountId !== this.currentAccountId) return;
+        
+        // The server's page replaces whatever the cache drew
+        this.awaitingHistory.delete(sessionId);
+        this.cacheChatMessages(accountId, sessionId, messages || []);
+        
+        // Older pages come back from their own request, so this is always the newest page; an
+        // older page still in flight sees the state replaced and is dropped
+        const pageSize = this.chatHistoryPageSize;
+        this.chatHistoryState[sessionId] = {
+            loadedCount: messages ? messages.length : 0,
+            isLoadingOlder: false,
+            reachedBeginning: !messages || messages.length < pageSize
+        };
+        
+        if (!messages || messages.length === 0) {
+            this.renderQueuedMessages(sessionId);
+            return;
+        }
+        
+        // Find the chat container for this session
+        const chatContainer = this.getChatMessagesContainer(sessionId);
+        
+        if (chatContainer) {
+            // Clear existing messages to avoid duplicates
+            chatContainer.innerHTML = '';
+            
+            if (this.chatHistoryState[sessionId].reachedBeginning) {
+                chatContainer.appendChild(this.createChatHistoryMarker('beginning'));
+            }
+            
+            // Display historical messages
+            this.getChatWindow(sessionId)?.reset(messages);
+            this.refreshChatPopout(sessionId);
+            
+            this.renderQueuedMessages(sessionId);
+            
+            // Scroll to bottom, or up to where the unread lines start
+            chatContainer.scrollTop = chatContainer.scrollHeight;
+            const session = this.chatSessions[sessionId];
+            if (session && session.unreadMarkerCount) {
+                this.chatWindows[sessionId]?.setUnreadMarker(session.unreadMarkerCount, message => !this.isChatMessageMuted(message));
+                this.scrollToUnreadMarker(sessionId);
+                // Drawn once; later reloads such as on reconnect show the conversation without it
+                session.unreadMarkerCount = 0;
+            }
+            
+            // If the first page doesn't fill the pane there is nothing to scroll, so fetch more right away
+            if (!this.chatHistoryState[sessionId].reachedBeginning &&
+                chatContainer.offsetParent !== null &&
+                chatContainer.scrollHeight <= chatContainer.clientHeight) {
+                this.loadOlderChatHistory(sessionId);
+            }
+            
+            this.applyPendingSearchJump(sessionId);
+        }
+    }
+
+    // Each chat pane renders through a ChatMessageWindow, which fetches older history once scrolled to the top
+    getChatWindow(sessionId) {
+        const existing = this.chatWindows[sessionId];
+        if (existing && existing.container.isConnected) return existing;
+        
+        const container = this.getChatMessagesContainer(sessionId);
+        if (!container) return null;
+        
+        // Floating button shown while scrolled up from the latest line
+        const jumpButton = document.createElement('button');
+        jumpButton.type = 'button';
+        jumpButton.className = 'btn btn-primary btn-sm rounded-pill shadow chat-jump-latest d-none';
+        jumpButton.innerHTML = '<i class="fas fa-arrow-down me-1"></i>Jump to latest';
+        jumpButton.addEventListener('click', () => this.jumpToLatest(sessionId));
+        
+        const jumpAnchor = document.createElement('div');
+        jumpAnchor.className = 'chat-jump-latest-anchor';
+        jumpAnchor.appendChild(jumpButton);
+        container.parentNode.querySelectorAll(':scope > .chat-jump-latest-anchor').forEach(anchor => anchor.remove());
+        container.after(jumpAnchor);
+        
+        const unreadMarker = document.createElement('div');
+        unreadMarker.className = 'chat-unread-marker small';
+        unreadMarker.innerHTML = '<span>New messages</span>';
+        
+        this.chatWindows[sessionId] = new ChatMessageWindow(container, {
+            createElement: (message, previousMessage) => this.createChatMessageElement(message, previousMessage),
+            createSeparator: (message, previousMessage) => this.createChatDateSeparator(message, previousMessage),
+            unreadMarker,
+            filter: sessionId === 'local-chat' ? message => this.passesLocalChatSpeakerFilter(message) : null,
+            onScrollStateChange: atLatest => jumpButton.classList.toggle('d-none', atLatest),
+            maxMessages: this.maxChatMessagesPerSession,
+            onReachTop: () => this.loadOlderChatHistory(sessionId),
+            onTrim: () => {
+                // Dropped lines can still be paged back in from the server
+                const state = this.chatHistoryState[sessionId];
+                if (state) {
+                    state.loadedCount = this.chatWindows[sessionId].length;
+                    state.reachedBeginning = false;
+                }
+                container.querySelectorAll('.chat-history-marker.beginning').forEach(marker => marker.remove());
+            }
+        });
+        return this.chatWindows[sessionId];
+    }
+
+    setMaxChatMessagesPerSession(value) {
+        const maxMessages = Math.min(Math.max(parseInt(value) || 2000, 200), 20000);
+        this.maxChatMessagesPerSession = maxMessages;
+        localStorage.setItem('maxChatMessagesPerSession', maxMessages);
+        Object.values(this.chatWindows).forEach(chatWindow => chatWindow.setMaxMessages(maxMessages));
+        return maxMessages;
+    }
+
+    loadOlderChatHistory(sessionId) {
+        const state = this.chatHistoryState[sessionId];
+        
+        // Wait for the initial history load before paging further back
+        if (!state || state.isLoadingOlder || state.reachedBeginning) return;
+        if (!this.currentAccountId || !this.connection || this.connection.state !== 'Connected') return;
+        
+        const chatContainer = this.getChatMessagesContainer(sessionId);
+        if (!chatContainer) return;
+        
+        const accountId = this.currentAccountId;
+        const skip = state.loadedCount;
+        state.isLoadingOlder = true;
+        chatContainer.insertBefore(this.createChatHistoryMarker('loading'), chatContainer.firstChild);
+        
+        // Fetched as a direct reply rather than through ChatHistoryLoaded, so the page is routed by the
+        // skip it was asked for and can't be confused with a reload of the newest page
+        console.log(`Loading older chat history for ${sessionId} (skip ${skip})`);
+        this.connection.invoke("GetChatHistoryPage", accountId, sessionId, this.chatHistoryPageSize, skip)
+            .then(messages => {
+                if (accountId !== this.currentAccountId || this.chatHistoryState[sessionId] !== state) {
+                    state.isLoadingOlder = false;
+                    return;
+                }
+                this.cacheChatMessages(accountId, sessionId, messages || []);
+                this.prependChatHistory(sessionId, messages || []);
+            })
+            .catch(err => {
+                console.error("Failed to load older chat history:", err);
+                state.isLoadingOlder = false;
+                chatContainer.querySelectorAll('.chat-history-marker.loading').forEach(marker => marker.remove());
+            });
+    }
+
+    prependChatHistory(sessionId, messages) {
+        const state = this.chatHistoryState[sessionId];
+        const chatContainer = this.getChatMessagesContainer(sessionId);
+        
+        state.isLoadingOlder = false;
+        state.loadedCount += messages.length;
+        if (messages.length < this.chatHistoryPageSize) {
+            state.reachedBeginning = true;
+        }
+        
+        if (!chatContainer) return;
+        
+        chatContainer.querySelectorAll('.chat-history-marker').forEach(marker => marker.remove());
+        
+        if (state.reachedBeginning) {
+            const marker = this.createChatHistoryMarker('beginning');
+            chatContainer.insertBefore(marker, chatContainer.firstChild);
+            chatContainer.scrollTop += marker.offsetHeight;
+        }
+        
+        // The window keeps the visible messages in place while older ones are added above
+        this.getChatWindow(sessionId)?.prepend(messages);
+        console.log(`Prepended ${messages.length} older messages to ${sessionId}`);
+        
+        this.applyPendingSearchJump(sessionId);
+    }
+
+    createChatHistoryMarker(type) {
+        const marker = document.createElement('div');
+        marker.className = `chat-history-marker ${type} text-center text-muted small mb-2`;
+        marker.innerHTML = type === 'loading'
+            ? '<i class="fas fa-spinner fa-spin me-1"></i>Loading older messages...'
+            : '<i class="fas fa-flag me-1"></i>Beginning of chat history';
+        return marker;
+    }
+
+    handleChatHistoryCleared(accountId, sessionId) {
+        // Only handle for the current account
+        if (accountId !== this.currentAccountId) return;
+        
+        console.log(`Chat history cleared for session: ${sessionId}`);
+        delete this.chatHistoryState[sessionId];
+        this.chatCache.clearSession(accountId, sessionId).catch(error => console.warn("Could not clear cached chat:", error));
+        
+        // Clear the messages from the UI
+        const chatContainer = this.getChatMessagesContainer(sessionId);
+        
+        if (chatContainer) {
+            this.chatWindows[sessionId]?.clear();
+            chatContainer.innerHTML = '';
+            console.log(`UI cleared for session: ${sessionId}`);
+        }
+        
+        if (sessionId in this.chatPopouts) {
+            this.postToPopouts({ type: 'clear', sessionId });
+        }
+    }
+
+    loadRecentSessions(accountId, sessions) {
+        if (!sessions || sessions.length === 0) return;
+        
+        // Only load sessions for the current account
+        if (accountId !== this.currentAccountId) return;
+        
+        // Create tabs for recent sessions that don't already exist
+        sessions.forEach(session => {
+            const existingTab = document.getElementById(`chat-${session.sessionId}`);
+            if (!existingTab) {
+                if (session.chatType === 'IM') {
                     this.createIMTab(session);
+                } else if (session.chatType === 'Group') {
+                    this.createGroupTab(session);
+                }
+            }
+        });
+    }
+
+    createChatMessageElement(message, previousMessage = null) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `chat-message ${(message.chatType || 'normal').toLowerCase()} mb-2`;
+        messageDiv.dataset.timestamp = message.timestamp;
+        messageDiv.dataset.sender = message.senderName || '';
+        if (this.isGroupedWithPrevious(message, previousMessage)) {
+            messageDiv.classList.add('chat-message-grouped');
+        }
+        
+        // The date is shown by the divider above each day's first line
+        const timestamp = this.convertToSLT(message.timestamp);
+        const senderName = this.escapeHtml(message.senderName);
+        
+        // Check if this is a /me command (personal thought)
+        const isPersonalThought = message.message.startsWith('/me ');
+        const displayMessage = isPersonalThought ? message.message.substring(4) : message.message;
+        const nameFormat = isPersonalThought ? '' : ':';
+        
+        messageDiv.innerHTML = `
+            <div class="chat-message-layout d-flex">
+                <div class="chat-message-time">
+                    <span class="text-muted small" title="Second Life Time (SLT)">${timestamp}</span>
+                </div>
+                <div class="chat-message-right">
+                    <div class="chat-message-header">
+                        <span class="fw-bold">${senderName}${nameFormat}</span>
+                    </div>
+                    <div class="chat-message-content">
+                        <span>${this.renderMessageContent(displayMessage)}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        // Highlight lines matching keyword rules (alerts are raised separately for live messages)
+        this.applyHighlightRules(messageDiv, message);
+        this.applyChatSourceStyle(messageDiv, message);
+        this.applyMuteState(messageDiv, message);
+        
+        return messageDiv;
+    }
+
+    // Consecutive lines from one sender within a few minutes are drawn under a single name
+    isGroupedWithPrevious(message, previousMessage) {
+        if (!previousMessage || !message.senderName || message.senderName !== previousMessage.senderName) return false;
+        if (message.senderId !== previousMessage.senderId || (message.chatType || '') !== (previousMessage.chatType || '')) return false;
+
+        // Emotes carry the name in the line itself
+        if (message.message.startsWith('/me ') || previousMessage.message.startsWith('/me ')) return false;
+        if (this.getSLTDateKey(message.timestamp) !== this.getSLTDateKey(previousMessage.timestamp)) return false;
+
+        return new Date(message.timestamp) - new Date(previousMessage.timestamp) <= this.chatGroupingWindowMs;
+    }
+
+    // SLT calendar day of a timestamp as YYYY-MM-DD
+    getSLTDateKey(timestamp) {
+        return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+    }
+
+    getSLTDateLabel(timestamp) {
+        const dateKey = this.getSLTDateKey(timestamp);
+        const todayKey = this.getSLTDateKey(new Date());
+        if (dateKey === todayKey) return 'Today';
+
+        const [year, month, day] = todayKey.split('-').map(Number);
+        const yesterdayKey = new Date(Date.UTC(year, month - 1, day - 1)).toISOString().substring(0, 10);
+        if (dateKey === yesterdayKey) return 'Yesterday';
+
+        return new Date(timestamp).toLocaleDateString('en-US', {
+            timeZone: 'America/Los_Angeles',
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+
+    // Divider drawn above the first line of each SLT day
+    createChatDateSeparator(message, previousMessage) {
+        if (previousMessage && this.getSLTDateKey(previousMessage.timestamp) === this.getSLTDateKey(message.timestamp)) {
+            return null;
+        }
+
+        const separator = document.createElement('div');
+        separator.className = 'chat-date-separator text-muted small';
+        separator.innerHTML = `<span title="Second Life Time (SLT)">${this.escapeHtml(this.getSLTDateLabel(message.timestamp))}</span>`;
+        return separator;
+    }
+
+    // Bring the "new messages" line into view when the unread lines don't fit on screen
+    scrollToUnreadMarker(sessionId) {
+        const chatWindow = this.chatWindows[sessionId];
+        const marker = chatWindow?.unreadMarker;
+        if (!marker || !marker.isConnected) return;
+
+        const offset = marker.getBoundingClientRect().top - chatWindow.container.getBoundingClientRect().top;
+        if (offset < 0) {
+            chatWindow.container.scrollTop += offset - 8;
+        }
+    }
+
+    jumpToLatest(sessionId) {
+        const chatWindow = this.chatWindows[sessionId];
+        if (!chatWindow) return;
+
+        chatWindow.renderLatest();
+        chatWindow.container.scrollTo({ top: chatWindow.container.scrollHeight, behavior: 'smooth' });
+    }
+
+    // Chat Cache Methods
+    initializeChatCache() {
+        const enabledToggle = document.getElementById('chatCacheEnabled');
+        const maxAgeInput = document.getElementById('chatCacheMaxAgeInput');
+        if (!enabledToggle || !maxAgeInput) return;
+
+        if (!this.chatCache.isSupported()) {
+            this.chatCacheEnabled = false;
+            enabledToggle.disabled = true;
+        }
+        enabledToggle.checked = this.chatCacheEnabled;
+        maxAgeInput.value = this.chatCache.maxAgeDays;
+
+        enabledToggle.addEventListener('change', (e) => {
+            this.chatCacheEnabled = e.target.checked;
+            localStorage.setItem('chatCacheEnabled', this.chatCacheEnabled ? 'true' : 'false');
+
+            // Turning the cache off also removes what it holds
+            if (!this.chatCacheEnabled) {
+                this.clearChatCache();
+            }
+        });
+
+        maxAgeInput.addEventListener('change', (e) => {
+            const days = Math.min(Math.max(parseInt(e.target.value) || 7, 1), 90);
+            e.target.value = days;
+            this.chatCache.maxAgeDays = days;
+            localStorage.setItem('chatCacheMaxAgeDays', days);
+            this.chatCache.prune()
+                .then(() => this.updateChatCacheUsage())
+                .catch(error => console.warn("Could not prune chat cache:", error));
+        });
+
+        document.getElementById('clearChatCacheBtn')?.addEventListener('click', () => this.clearChatCache());
+        document.getElementById('chatDisplayMenuBtn')?.addEventListener('show.bs.dropdown', () => this.updateChatCacheUsage());
+
+        // Keep the cache within its age and size limits for clients left open for days
+        if (this.chatCacheEnabled) {
+            this.chatCache.prune().catch(error => console.warn("Could not prune chat cache:", error));
+        }
+        setInterval(() => {
+            if (this.chatCacheEnabled) {
+                this.chatCache.prune().catch(error => console.warn("Could not prune chat cache:", error));
+            }
+        }, 30 * 60 * 1000);
+    }
+
+    cacheChatMessages(accountId, sessionId, messages) {
+        if (!this.chatCacheEnabled || messages.length === 0) return;
+
+        this.chatCache.addMessages(accountId, sessionId, messages)
+            .catch(error => console.warn("Could not cache chat messages:", error));
+    }
+
+    // Fill an empty pane from the cache; the server's history page replaces it when it arrives
+    async renderCachedHistory(accountId, sessionId) {
+        if (!this.chatCacheEnabled) return;
+        this.awaitingHistory.add(sessionId);
+
+        let messages;
+        try {
+            messages = await this.chatCache.getMessages(accountId, sessionId, this.chatHistoryPageSize);
+        } catch (error) {
+            console.warn("Could not read cached chat:", error);
+            return;
+        }
+
+        // The hub may have answered already, or another account may have been selected meanwhile
+        if (!this.awaitingHistory.has(sessionId) || accountId !== this.currentAccountId || messages.length === 0) return;
+
+        const chatWindow = this.getChatWindow(sessionId);
+        if (!chatWindow || chatWindow.length > 0) return;
+
+        chatWindow.reset(messages);
+        chatWindow.container.scrollTop = chatWindow.container.scrollHeight;
+        this.refreshChatPopout(sessionId);
+        console.log(`Drew ${messages.length} cached messages for ${sessionId}`);
+    }
+
+    async clearChatCache() {
+        try {
+            await this.chatCache.clear();
+            this.showAlert("Cached chat cleared from this browser", "success");
+        } catch (error) {
+            console.error("Error clearing chat cache:", error);
+            this.showAlert("Failed to clear cached chat", "danger");
+        }
+        this.updateChatCacheUsage();
+    }
+
+    async updateChatCacheUsage() {
+        const usage = document.getElementById('chatCacheUsage');
+        if (!usage) return;
+
+        if (!this.chatCache.isSupported()) {
+            usage.textContent = 'Not supported by this browser';
+            return;
+        }
+
+        try {
+            const count = await this.chatCache.count();
+            usage.textContent = `${count} message${count === 1 ? '' : 's'} cached`;
+        } catch (error) {
+            usage.textContent = '';
+        }
+    }
+
+    // Chat Popout Methods
+    // Pop-outs mirror one session over a BroadcastChannel; this window keeps the only SignalR connection and does all sending
+
+    // A duplicated tab gets a copy of sessionStorage while this page is still open, so the id is marked in use
+    // until the page goes away and a copy that finds it marked takes a new one instead of answering our pop-outs
+    getClientInstanceId() {
+        let id = sessionStorage.getItem('clientInstanceId');
+        if (!id || sessionStorage.getItem('clientInstanceActive') === id) {
+            id = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+            sessionStorage.setItem('clientInstanceId', id);
+        }
+        sessionStorage.setItem('clientInstanceActive', id);
+
+        window.addEventListener('pagehide', () => sessionStorage.removeItem('clientInstanceActive'));
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) sessionStorage.setItem('clientInstanceActive', id);
+        });
+        return id;
+    }
+
+    initializeChatPopouts() {
+        if (!('BroadcastChannel' in window)) return;
+
+        this.popoutChannel = new BroadcastChannel('radegast-chat-popouts');
+        this.popoutChannel.addEventListener('message', (e) => this.handlePopoutMessage(e.data));
+
+        // Pop-outs left open across a reload say hello again
+        this.postToPopouts({ type: 'main-ready' });
+    }
+
+    popOutChat(sessionId) {
+        if (!this.popoutChannel) {
+            this.showAlert("This browser does not support pop-out chat windows", "warning");
+            return;
+        }
+        if (!this.currentAccountId) return;
+
+        const existing = this.chatPopouts[sessionId];
+        if (existing && !existing.closed) {
+            existing.focus();
+            return;
+        }
+
+        const params = new URLSearchParams({ owner: this.clientInstanceId, account: this.currentAccountId, session: sessionId });
+        const popout = window.open(`/popout.html?${params}`, `radegast-popout-${sessionId}`, 'width=520,height=700');
+        if (!popout) {
+            this.showAlert("The pop-out window was blocked; allow pop-ups for this site", "warning");
+            return;
+        }
+
+        this.chatPopouts[sessionId] = popout;
+        this.setChatPaneDetached(sessionId, true);
+    }
+
+    handlePopoutMessage(data) {
+        if (!data || data.owner !== this.clientInstanceId) return;
+
+        const { sessionId } = data;
+        switch (data.type) {
+            case 'hello':
+                // Only sessions of the selected account can be served
+                if (data.accountId !== this.currentAccountId ||
+                    (sessionId !== 'local-chat' && !this.chatSessions[sessionId])) {
+                    this.postToPopouts({ type: 'close', sessionId });
+                    return;
                 }
-                
-                messagesContainer = document.getElementById(`messages-${chatMessage.sessionId}`);
+                if (!(sessionId in this.chatPopouts)) {
+                    this.chatPopouts[sessionId] = null;
+                    this.setChatPaneDetached(sessionId, true);
+                }
+                this.sendPopoutInit(sessionId);
+                break;
+            case 'send':
+                this.sendFromPopout(sessionId, data.text, data.requestId);
+                break;
+            case 'retry':
+                this.retryOutgoingMessage(data.outgoingId);
+                break;
+            case 'slurl': {
+                const link = document.createElement('a');
+                link.setAttribute('href', data.href);
+                if (data.action) {
+                    link.setAttribute('data-action', data.action);
+                }
+                link.textContent = data.text;
+                this.handleSlUrlClick(link);
+                break;
+            }
+            case 'closed':
+                if (!(sessionId in this.chatPopouts)) return;
+                delete this.chatPopouts[sessionId];
+                this.setChatPaneDetached(sessionId, false);
+                this.scrollChatToBottom(sessionId === 'local-chat' ? 'local-chat' : `chat-${sessionId}`);
+                break;
+        }
+    }
+
+    postToPopouts(data) {
+        if (!this.popoutChannel) return;
+        this.popoutChannel.postMessage({ ...data, owner: this.clientInstanceId });
+    }
+
+    // Lines are rendered here so the pop-out shows the same highlights, mute state and grouping
+    createPopoutEntry(message, previousMessage) {
+        return {
+            html: this.createChatMessageElement(message, previousMessage).outerHTML,
+            separatorHtml: this.createChatDateSeparator(message, previousMessage)?.outerHTML || null
+        };
+    }
+
+    sendPopoutInit(sessionId) {
+        const chatWindow = this.getChatWindow(sessionId);
+        const messages = chatWindow ? chatWindow.visibleMessages.slice(-this.popoutHistoryLimit) : [];
+        const session = this.chatSessions[sessionId];
+
+        this.postToPopouts({
+            type: 'init',
+            sessionId,
+            title: session ? session.sessionName : 'Local Chat',
+            icon: !session ? 'fa-comments' : session.chatType === 'Group' ? 'fa-users' : 'fa-envelope',
+            entries: messages.map((message, index) => this.createPopoutEntry(message, index > 0 ? messages[index - 1] : null))
+        });
+    }
+
+    // Redraw a pop-out after its pane was reloaded or refiltered here
+    refreshChatPopout(sessionId) {
+        if (sessionId in this.chatPopouts) {
+            this.sendPopoutInit(sessionId);
+        }
+    }
+
+    forwardToChatPopout(sessionId, message, previousMessage) {
+        if (!(sessionId in this.chatPopouts)) return;
+        this.postToPopouts({ type: 'message', sessionId, entry: this.createPopoutEntry(message, previousMessage) });
+    }
+
+    async sendFromPopout(sessionId, text, requestId) {
+        const reply = (error = null) => this.postToPopouts({ type: 'send-result', sessionId, requestId, error });
+
+        const message = (text || '').trim();
+        if (!message) return reply();
+
+        const bytes = this.getChatByteLength(message);
+        if (bytes > this.maxChatBytes) {
+            return reply(`Message is ${bytes} bytes; Second Life allows at most ${this.maxChatBytes}.`);
+        }
+
+        try {
+            const command = this.chatCommandParser.parse(message);
+            if (command.type === 'error') return reply(command.error);
+
+            if (command.type !== 'say') {
+                if (!await this.runChatCommand(command)) return reply('The command could not be run; see the main window.');
+            } else if (sessionId === 'local-chat' || command.chatType || command.channel !== undefined) {
+                this.queueOutgoingMessage({ sessionId: 'local-chat', message: command.message, chatType: command.chatType || 'Normal', channel: command.channel || 0, popoutSessionId: sessionId });
+            } else {
+                const session = this.chatSessions[sessionId];
+                if (!session) return reply('This conversation is no longer open in the main window.');
+                this.queueOutgoingMessage({ sessionId, chatType: session.chatType, targetId: session.targetId, message: command.message, popoutSessionId: sessionId });
+            }
+            // Accepted into the queue; whether it goes out follows as send-status messages
+            reply();
+        } catch (error) {
+            console.error("Error sending message from pop-out:", error);
+            reply('Error sending message');
+        }
+    }
+
+    // Ask a pop-out to close and give its tab back to this window
+    closeChatPopout(sessionId) {
+        if (!(sessionId in this.chatPopouts)) return;
+
+        this.postToPopouts({ type: 'close', sessionId });
+        delete this.chatPopouts[sessionId];
+        this.setChatPaneDetached(sessionId, false);
+    }
+
+    focusChatPopout(sessionId) {
+        const popout = this.chatPopouts[sessionId];
+        if (popout && !popout.closed) {
+            popout.focus();
+        }
+    }
+
+    // While popped out, the tab only shows a placeholder; messages keep arriving in the hidden pane
+    setChatPaneDetached(sessionId, detached) {
+        const pane = document.getElementById(sessionId === 'local-chat' ? 'local-chat' : `chat-${sessionId}`);
+        if (!pane) return;
+
+        pane.classList.toggle('chat-popped-out', detached);
+        pane.querySelector(':scope > .chat-popout-placeholder')?.remove();
+        if (!detached) return;
+
+        const placeholder = document.createElement('div');
+        placeholder.className = 'chat-popout-placeholder text-center text-muted p-4';
+        placeholder.innerHTML = `
+            <i class="fas fa-external-link-alt fa-2x mb-2"></i>
+            <p class="mb-3">This chat is open in a separate window.</p>
+            ${this.chatPopouts[sessionId] ? `
+                <button type="button" class="btn btn-outline-primary btn-sm me-2" onclick="radegastClient.focusChatPopout('${sessionId}')">
+                    <i class="fas fa-window-restore me-1"></i>Show window
+                </button>
+            ` : ''}
+            <button type="button" class="btn btn-outline-secondary btn-sm" onclick="radegastClient.closeChatPopout('${sessionId}')">
+                <i class="fas fa-compress-alt me-1"></i>Return here
+            </button>
+        `;
+        pane.prepend(placeholder);
+    }
+
+    // Chat Source Methods
+    // Which kind of speaker a local chat line came from, used for styling and the local chat filters
+    getChatSourceCategory(message) {
+        const chatType = (message.chatType || '').toLowerCase();
+
+        if (chatType === 'ownersay') return 'ownersay';
+        if (chatType === 'regionsayto') return 'regionsayto';
+        if (message.sourceType === 'System' || chatType === 'system' || chatType === 'debug' ||
+            message.senderId === '00000000-0000-0000-0000-000000000000') {
+            return 'system';
+        }
+        if (message.sourceType === 'Object') return 'object';
+        return 'avatar';
+    }
+
+    applyChatSourceStyle(messageDiv, message) {
+        if (message.sessionId && message.sessionId !== 'local-chat') return;
+
+        const category = this.getChatSourceCategory(message);
+        messageDiv.classList.add(`source-${category}`);
+        if (category === 'avatar') return;
+
+        const labels = {
+            object: { icon: 'fa-cube', title: 'Object' },
+            ownersay: { icon: 'fa-user-lock', title: 'Object speaking only to you (llOwnerSay)' },
+            regionsayto: { icon: 'fa-crosshairs', title: 'Object speaking directly to you (llRegionSayTo)' },
+            system: { icon: 'fa-info-circle', title: 'System message' }
+        };
+
+        const nameSpan = messageDiv.querySelector('.chat-message-header .fw-bold');
+        if (!nameSpan) return;
+
+        let title = labels[category].title;
+        if (message.ownerId || message.ownerName) {
+            title += ` owned by ${message.ownerName || message.ownerId}`;
+        }
+        nameSpan.title = title;
+        nameSpan.insertAdjacentHTML('afterbegin', `<i class="fas ${labels[category].icon} chat-source-icon me-1"></i>`);
+
+        if (message.ownerName) {
+            nameSpan.insertAdjacentHTML('afterend', `<span class="chat-source-owner small ms-1">(${this.escapeHtml(message.ownerName)})</span>`);
+        }
+    }
+
+    // Hide local chat lines by source; the state is kept as classes on the container so new lines follow it too
+    applyLocalChatFilters() {
+        const container = document.getElementById('localChatMessages');
+        const categories = ['avatar', 'object', 'ownersay', 'regionsayto', 'system'];
+
+        categories.forEach(category => {
+            const visible = this.localChatSourceFilters[category] !== false;
+            container?.classList.toggle(`hide-source-${category}`, !visible);
+
+            const checkbox = document.querySelector(`.local-chat-filter[data-source="${category}"]`);
+            if (checkbox) {
+                checkbox.checked = visible;
+            }
+        });
+
+        localStorage.setItem('localChatSourceFilters', JSON.stringify(this.localChatSourceFilters));
+    }
+
+    // Local Chat Speaker Filter Methods
+    // Only avatar lines are filtered by speaker; objects and system lines have the source filters above
+    passesLocalChatSpeakerFilter(message) {
+        const filter = this.localChatSpeakerFilter;
+        const speakerIds = Object.keys(filter.speakers);
+        if (!filter.maxDistance && !filter.friendsOnly && speakerIds.length === 0) return true;
+        if (this.getChatSourceCategory(message) !== 'avatar') return true;
+
+        // Our own lines stay so the conversation makes sense
+        const account = this.accounts.find(a => a.accountId === this.currentAccountId);
+        if (account && account.avatarUuid && message.senderId === account.avatarUuid) return true;
+
+        if (speakerIds.length > 0 && !speakerIds.includes(message.senderId)) return false;
+        if (filter.friendsOnly && !(this.friendIds && this.friendIds.has(message.senderId))) return false;
+
+        if (filter.maxDistance) {
+            // History has no recorded distance, so it is judged by where the speaker is now
+            const distance = message.speakerDistance ?? this.getNearbyAvatarDistance(message.senderId);
+            if (distance === null || distance > filter.maxDistance) return false;
+        }
+
+        return true;
+    }
+
+    getNearbyAvatarDistance(avatarId) {
+        if (!avatarId) return null;
+
+        const avatar = this.nearbyAvatars.find(a => (a.id || a.Id) === avatarId);
+        if (!avatar) return null;
+        return avatar.distance ?? avatar.Distance ?? null;
+    }
+
+    applyLocalChatSpeakerFilter() {
+        const filter = this.localChatSpeakerFilter;
+        localStorage.setItem('localChatSpeakerFilter', JSON.stringify({ maxDistance: filter.maxDistance, friendsOnly: filter.friendsOnly }));
+
+        if (filter.friendsOnly && !this.friendIds) {
+            this.loadFriendIds();
+        }
+
+        this.renderLocalChatSpeakerFilter();
+        this.chatWindows['local-chat']?.setFilter(message => this.passesLocalChatSpeakerFilter(message));
+        this.refreshChatPopout('local-chat');
+    }
+
+    async loadFriendIds() {
+        if (!this.currentAccountId || this.isLoadingFriendIds) return;
+        this.isLoadingFriendIds = true;
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(`/api/friends/${this.currentAccountId}`);
+            if (response.ok) {
+                const friends = await response.json();
+                this.friendIds = new Set((Array.isArray(friends) ? friends : []).map(friend => friend.avatarId));
+                this.chatWindows['local-chat']?.setFilter(message => this.passesLocalChatSpeakerFilter(message));
+                this.refreshChatPopout('local-chat');
             }
+        } catch (error) {
+            console.error("Error loading friends for the local chat filter:", error);
+        } finally {
+            this.isLoadingFriendIds = false;
+        }
+    }
+
+    toggleLocalChatSpeaker(avatarId) {
+        const speakers = this.localChatSpeakerFilter.speakers;
+        if (speakers[avatarId]) {
+            delete speakers[avatarId];
         } else {
-            // Local chat message
-            messagesContainer = document.getElementById('localChatMessages');
+            const avatar = this.nearbyAvatars.find(a => (a.id || a.Id) === avatarId);
+            speakers[avatarId] = avatar ? (avatar.displayName || avatar.DisplayName || avatar.name || avatar.Name) : avatarId;
         }
-        
-        if (!messagesContainer) return;
 
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `chat-message ${(chatMessage.chatType || 'normal').toLowerCase()} mb-2`;
-        
-        // Use enhanced timestamp formatting with relative date information
-        const timestamp = this.formatChatTimestamp(chatMessage.timestamp);
-        
-        // Check if this is a /me command (personal thought)
-        const isPersonalThought = chatMessage.message.startsWith('/me ');
-        const displayMessage = isPersonalThought ? chatMessage.message.substring(4) : chatMessage.message;
-        const nameFormat = isPersonalThought ? '' : ':';
-        
-        messageDiv.innerHTML = `
-            <div class="chat-message-layout d-flex">
-                <div class="chat-message-time">
-                    <span class="text-muted small" title="Second Life Time (SLT)">${timestamp}</span>
-                </div>
-                <div class="chat-message-right">
-                    <div class="chat-message-header">
-                        <span class="fw-bold">${this.escapeHtml(chatMessage.senderName)}${nameFormat}</span>
+        this.applyLocalChatSpeakerFilter();
+        this.renderPeopleList();
+    }
+
+    renderLocalChatSpeakerFilter() {
+        const filter = this.localChatSpeakerFilter;
+        const distanceInput = document.getElementById('localChatMaxDistance');
+        const friendsOnly = document.getElementById('localChatFriendsOnly');
+        const chips = document.getElementById('localChatSpeakerChips');
+        if (!distanceInput || !friendsOnly || !chips) return;
+
+        distanceInput.value = filter.maxDistance || '';
+        friendsOnly.checked = filter.friendsOnly;
+        chips.innerHTML = Object.entries(filter.speakers).map(([id, name]) => `
+            <span class="badge bg-info text-dark local-chat-speaker-chip">
+                ${this.escapeHtml(name)}
+                <button type="button" class="btn-close ms-1" aria-label="Remove" title="Stop following" onclick="radegastClient.toggleLocalChatSpeaker('${id}')"></button>
+            </span>
+        `).join('');
+
+        const isActive = !!filter.maxDistance || filter.friendsOnly || Object.keys(filter.speakers).length > 0;
+        document.querySelector('.local-chat-speaker-filters')?.classList.toggle('active', isActive);
+    }
+
+    // Inbox Methods
+    initializeInbox() {
+        document.getElementById('clearInboxBtn')?.addEventListener('click', () => this.clearInbox());
+
+        document.getElementById('inboxEntries')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('inbox-reply-input')) {
+                e.preventDefault();
+                this.sendInboxReply(e.target.closest('.inbox-entry').dataset.inboxId);
+            }
+        });
+
+        this.renderInbox();
+    }
+
+    // Every connection receives IMs and mentions for all accounts, not just the one being viewed
+    addInboxEntry(entry) {
+        const message = entry.message;
+        if (!message || !message.sessionId) return;
+
+        const isCurrentAccount = entry.accountId === this.currentAccountId;
+        if (isCurrentAccount && this.isChatMessageMuted(message)) return;
+
+        // Already on screen, nothing to catch up on
+        if (isCurrentAccount && !document.hidden && this.currentChatSession === `chat-${message.sessionId}`) return;
+
+        this.inboxEntries.unshift({
+            ...entry,
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`
+        });
+        this.inboxEntries.length = Math.min(this.inboxEntries.length, this.maxInboxEntries);
+        this.renderInbox();
+
+        // Messages for the current account already notify through the chat pipeline
+        if (!isCurrentAccount) {
+            this.notifyDesktop({
+                accountId: entry.accountId,
+                sessionId: message.sessionId,
+                tabId: `chat-${message.sessionId}`,
+                title: entry.reason === 'Mention'
+                    ? `${message.senderName} in ${message.sessionName || 'group chat'}`
+                    : `IM from ${message.senderName}`,
+                body: message.message
+            });
+        }
+    }
+
+    removeInboxEntries(accountId, sessionId) {
+        const remaining = this.inboxEntries.filter(entry =>
+            entry.accountId !== accountId || entry.message.sessionId !== sessionId);
+        if (remaining.length === this.inboxEntries.length) return;
+
+        this.inboxEntries = remaining;
+        this.renderInbox();
+    }
+
+    dismissInboxEntry(id) {
+        this.inboxEntries = this.inboxEntries.filter(entry => entry.id !== id);
+        this.renderInbox();
+    }
+
+    clearInbox() {
+        this.inboxEntries = [];
+        this.renderInbox();
+    }
+
+    renderInbox() {
+        const container = document.getElementById('inboxEntries');
+        const emptyState = document.getElementById('noInboxEntries');
+        const countBadge = document.getElementById('inboxCount');
+        if (!container) return;
+
+        if (countBadge) {
+            countBadge.textContent = this.inboxEntries.length > 99 ? '99+' : this.inboxEntries.length;
+            countBadge.classList.toggle('d-none', this.inboxEntries.length === 0);
+        }
+        emptyState?.classList.toggle('d-none', this.inboxEntries.length > 0);
+
+        // Keep half-typed replies when the list is rebuilt for a new arrival
+        const typedReplies = {};
+        container.querySelectorAll('.inbox-entry').forEach(item => {
+            const input = item.querySelector('.inbox-reply-input');
+            if (input && input.value) {
+                typedReplies[item.dataset.inboxId] = input.value;
+            }
+        });
+
+        container.innerHTML = this.inboxEntries.map(entry => {
+            const message = entry.message;
+            const isMention = entry.reason === 'Mention';
+            const text = message.message.startsWith('/me ')
+                ? `${message.senderName} ${message.message.substring(4)}`
+                : message.message;
+            const snippet = text.length > 160 ? text.substring(0, 160) + '…' : text;
+            const time = message.sltTime || this.convertToSLT(message.timestamp);
+
+            return `
+                <div class="inbox-entry${isMention ? ' inbox-mention' : ''}" data-inbox-id="${entry.id}">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <span class="badge bg-secondary text-truncate inbox-account">${this.escapeHtml(entry.accountName)}</span>
+                        <small class="text-muted">${this.escapeHtml(time)}</small>
                     </div>
-                    <div class="chat-message-content">
-                        <span>${this.renderMessageContent(displayMessage)}</span>
+                    <div class="inbox-entry-title text-truncate">
+                        <i class="fas ${isMention ? 'fa-at' : 'fa-user'} me-1"></i><strong>${this.escapeHtml(message.senderName)}</strong>${isMention ? ` in ${this.escapeHtml(message.sessionName || 'group chat')}` : ''}
+                    </div>
+                    <div class="inbox-entry-text">${this.escapeHtml(snippet)}</div>
+                    <div class="input-group input-group-sm mt-1">
+                        <input type="text" class="form-control inbox-reply-input" placeholder="Reply as ${this.escapeHtml(entry.accountName)}">
+                        <button class="btn btn-outline-primary" type="button" title="Send reply" onclick="radegastClient.sendInboxReply('${entry.id}')">
+                            <i class="fas fa-paper-plane"></i>
+                        </button>
+                        <button class="btn btn-outline-secondary" type="button" title="Open conversation" onclick="radegastClient.openInboxEntry('${entry.id}')">
+                            <i class="fas fa-external-link-alt"></i>
+                        </button>
+                        <button class="btn btn-outline-secondary" type="button" title="Dismiss" onclick="radegastClient.dismissInboxEntry('${entry.id}')">
+                            <i class="fas fa-times"></i>
+                        </button>
                     </div>
                 </div>
-            </div>
-        `;
+            `;
+        }).join('');
 
-        messagesContainer.appendChild(messageDiv);
-        messagesContainer.scrollTop = messagesContainer.scrollHeight;
-        
-        // Add event listeners for SLURL links in this message
-        this.attachSlUrlLinkHandlers(messageDiv);
-        
-        // Update unread count if not on active tab
-        if (chatMessage.sessionId && this.currentChatSession !== `chat-${chatMessage.sessionId}`) {
-            const session = this.chatSessions[chatMessage.sessionId];
-            if (session) {
-                session.unreadCount++;
-                this.updateTabUnreadCount(chatMessage.sessionId, session.unreadCount);
+        Object.entries(typedReplies).forEach(([id, value]) => {
+            const input = container.querySelector(`.inbox-entry[data-inbox-id="${id}"] .inbox-reply-input`);
+            if (input) input.value = value;
+        });
+    }
+
+    // Reply as the account that received the message, whichever account is being viewed
+    async sendInboxReply(id) {
+        const entry = this.inboxEntries.find(item => item.id === id);
+        const input = document.querySelector(`.inbox-entry[data-inbox-id="${id}"] .inbox-reply-input`);
+        if (!entry || !input) return;
+
+        const text = input.value.trim();
+        if (!text || !this.checkChatByteLimit(text)) return;
+
+        if (!this.connection || this.connection.state !== 'Connected') {
+            this.showAlert("Not connected to the server, reply not sent", "warning");
+            return;
+        }
+
+        const message = entry.message;
+        const isGroup = message.sessionId.startsWith('group-');
+
+        try {
+            input.disabled = true;
+            const delivered = await this.deliverOutgoingMessage({
+                accountId: entry.accountId,
+                sessionId: message.sessionId,
+                chatType: isGroup ? 'Group' : 'IM',
+                targetId: isGroup ? message.sessionId.substring('group-'.length) : message.senderId,
+                message: text
+            });
+
+            if (!delivered) {
+                // Keep the entry so the reply can be sent again once the account is back online
+                this.showAlert(`Reply not sent, ${entry.accountName} could not deliver it`, "danger");
+                input.disabled = false;
+                return;
             }
+
+            this.removeInboxEntries(entry.accountId, message.sessionId);
+            this.showAlert(`Reply sent as ${entry.accountName}`, "success");
+        } catch (error) {
+            console.error("Error sending inbox reply:", error);
+            this.showAlert("Failed to send reply", "danger");
+            input.disabled = false;
         }
     }
 
-    updateTabUnreadCount(sessionId, count) {
-        const badge = document.getElementById(`badge-${sessionId}`);
-        if (badge) {
-            if (count > 0) {
-                badge.textContent = count;
-                badge.style.display = 'inline';
+    async openInboxEntry(id) {
+        const entry = this.inboxEntries.find(item => item.id === id);
+        if (!entry) return;
+
+        bootstrap.Dropdown.getInstance(document.getElementById('inboxMenuBtn'))?.hide();
+
+        if (entry.accountId !== this.currentAccountId) {
+            await this.selectAccount(entry.accountId);
+        }
+
+        const message = entry.message;
+        const isGroup = message.sessionId.startsWith('group-');
+        this.openChatSessionTab({
+            sessionId: message.sessionId,
+            sessionName: message.sessionName || message.senderName,
+            chatType: isGroup ? 'Group' : 'IM',
+            targetId: isGroup ? message.sessionId.substring('group-'.length) : message.senderId
+        });
+    }
+
+    // Switch to a session's tab, creating it first if this account has no tab for it yet
+    openChatSessionTab({ sessionId, sessionName, chatType, targetId }) {
+        if (!this.chatSessions[sessionId]) {
+            const session = {
+                sessionId,
+                sessionName,
+                chatType,
+                targetId,
+                unreadCount: 0,
+                lastActivity: new Date(),
+                accountId: this.currentAccountId,
+                isActive: true
+            };
+
+            if (chatType === 'Group') {
+                this.createGroupTab(session);
             } else {
-                badge.style.display = 'none';
+                this.createIMTab(session);
             }
         }
-        this.updateTabCounts();
+
+        this.setActiveTab(`chat-${sessionId}`);
     }
 
-    updateTabCounts() {
-        let totalIMCount = 0;
-        let totalGroupCount = 0;
-        
-        Object.values(this.chatSessions).forEach(session => {
-            if (session.chatType === 'IM') {
-                totalIMCount += session.unreadCount || 0;
-            } else if (session.chatType === 'Group') {
-                totalGroupCount += session.unreadCount || 0;
+    // Account Summary Methods
+    async loadAccountSummaries() {
+        if (!this.connection || this.connection.state !== 'Connected') return;
+
+        try {
+            await this.connection.invoke("GetAccountSummaries");
+        } catch (error) {
+            console.error("Error loading account summaries:", error);
+        }
+    }
+
+    updateAccountSummary(summary) {
+        this.accountSummaries[summary.accountId] = summary;
+
+        // A message landing in a conversation on screen, here or in a pop-out, is read as it arrives
+        if (summary.accountId === this.currentAccountId) {
+            const visibleSessions = Object.keys(this.chatPopouts);
+            if (!document.hidden && this.currentChatSession && this.currentChatSession.startsWith('chat-')) {
+                visibleSessions.push(this.currentChatSession.substring('chat-'.length));
+            }
+            visibleSessions
+                .filter(sessionId => summary.unreadSessions.some(session => session.sessionId === sessionId))
+                .forEach(sessionId => this.markSessionRead(summary.accountId, sessionId));
+        }
+
+        const container = document.getElementById(`account-activity-${summary.accountId}`);
+        if (container) {
+            container.innerHTML = this.renderAccountActivityBadges(summary.accountId);
+        }
+    }
+
+    markSessionRead(accountId, sessionId) {
+        const summary = this.accountSummaries[accountId];
+        if (!summary || !summary.unreadSessions.some(session => session.sessionId === sessionId)) return;
+        if (!this.connection || this.connection.state !== 'Connected') return;
+
+        this.connection.invoke("MarkSessionRead", accountId, sessionId)
+            .catch(err => console.error("Failed to mark session read:", err));
+    }
+
+    renderAccountActivityBadges(accountId) {
+        const summary = this.accountSummaries[accountId];
+        if (!summary) return '';
+
+        const badges = [
+            { kind: 'im', count: summary.unreadIMs, icon: 'fa-comment', color: 'bg-primary', label: 'unread IMs' },
+            { kind: 'group', count: summary.unreadGroupMessages, icon: 'fa-users', color: 'bg-info', label: 'unread group messages' },
+            { kind: 'dialogs', count: summary.pendingScriptDialogs, icon: 'fa-comment-dots', color: 'bg-warning text-dark', label: 'pending script dialogs' },
+            { kind: 'teleports', count: summary.pendingTeleportOffers, icon: 'fa-map-marker-alt', color: 'bg-success', label: 'teleport offers' },
+            { kind: 'notices', count: summary.unreadNotices, icon: 'fa-bullhorn', color: 'bg-secondary', label: 'unread notices' }
+        ];
+
+        return badges.filter(badge => badge.count > 0).map(badge => `
+            <span class="badge ${badge.color} account-activity-badge" title="${badge.count} ${badge.label}"
+                  onclick="event.stopPropagation(); radegastClient.openAccountActivity('${accountId}', '${badge.kind}')">
+                <i class="fas ${badge.icon} me-1"></i>${badge.count > 99 ? '99+' : badge.count}
+            </span>
+        `).join('');
+    }
+
+    // Jump from a sidebar badge to the account and the place that needs attention
+    async openAccountActivity(accountId, kind) {
+        if (accountId !== this.currentAccountId) {
+            await this.selectAccount(accountId);
+        }
+
+        const summary = this.accountSummaries[accountId];
+
+        switch (kind) {
+            case 'im':
+            case 'group': {
+                const chatType = kind === 'im' ? 'IM' : 'Group';
+                const session = summary && summary.unreadSessions.find(s => s.chatType === chatType);
+                if (session) {
+                    this.openChatSessionTab(session);
+                }
+                break;
+            }
+            case 'dialogs':
+                this.connection?.invoke("GetActiveScriptDialogs", accountId)
+                    .catch(err => console.error("Failed to load script dialogs:", err));
+                break;
+            case 'teleports':
+                this.connection?.invoke("GetActiveTeleportRequests", accountId)
+                    .catch(err => console.error("Failed to load teleport offers:", err));
+                break;
+            case 'notices':
+                this.setActiveTab('notices');
+                break;
+        }
+    }
+
+    // Mute List Methods
+    async loadMuteList() {
+        this.setMuteList([]);
+        const account = this.accounts.find(a => a.accountId === this.currentAccountId);
+        if (!account || !account.isConnected) return;
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${this.currentAccountId}/mute-list`);
+            if (response.ok) {
+                this.setMuteList(await response.json());
+            } else {
+                console.warn("Failed to load mute list:", response.status);
             }
+        } catch (error) {
+            console.error("Error loading mute list:", error);
+        }
+    }
+
+    setMuteList(entries) {
+        this.muteList = entries || [];
+        this.mutedIds = new Set(this.muteList.filter(entry => entry.type !== 'ByName').map(entry => entry.id));
+        this.mutedNames = new Set(this.muteList.filter(entry => entry.type === 'ByName').map(entry => entry.name.toLowerCase()));
+
+        // Re-evaluate lines already on screen so muting and unmuting take effect immediately
+        document.querySelectorAll('.chat-message[data-sender-id]').forEach(messageDiv => {
+            this.applyMuteState(messageDiv, { senderId: messageDiv.dataset.senderId, senderName: messageDiv.dataset.sender });
         });
-        
-        const imCountBadge = document.getElementById('total-im-count');
-        const groupCountBadge = document.getElementById('total-group-count');
-        const noticesCountBadge = document.getElementById('total-notices-count');
-        
-        if (imCountBadge) {
-            imCountBadge.textContent = totalIMCount;
+        this.renderPeopleList();
+    }
+
+    isChatMessageMuted(message) {
+        if (!message.senderId && !message.senderName) return false;
+
+        const account = this.accounts.find(a => a.accountId === this.currentAccountId);
+        if (account && account.avatarUuid && message.senderId === account.avatarUuid) return false;
+
+        return this.mutedIds.has(message.senderId) ||
+            (!!message.senderName && this.mutedNames.has(message.senderName.toLowerCase()));
+    }
+
+    // Mark a chat line from a muted sender; CSS hides it, or collapses it to a stub in collapsed mode
+    applyMuteState(messageDiv, message) {
+        if (message.senderId) {
+            messageDiv.dataset.senderId = message.senderId;
         }
-        
-        if (groupCountBadge) {
-            groupCountBadge.textContent = totalGroupCount;
+        this.addSenderMuteButton(messageDiv, message);
+
+        const isMuted = this.isChatMessageMuted(message);
+        messageDiv.classList.toggle('muted-message', isMuted);
+        if (!isMuted) {
+            messageDiv.classList.remove('revealed');
+            return;
         }
-        
-        if (noticesCountBadge) {
-            noticesCountBadge.textContent = this.unreadNoticesCount;
+
+        if (!messageDiv.querySelector('.muted-message-summary')) {
+            const summary = document.createElement('div');
+            summary.className = 'muted-message-summary text-muted small';
+            summary.innerHTML = `
+                <i class="fas fa-volume-mute me-1"></i>Message from ${this.escapeHtml(message.senderName || 'a muted sender')} hidden
+                <button type="button" class="btn btn-link btn-sm p-0 ms-1 align-baseline">Show</button>
+            `;
+            summary.querySelector('button').addEventListener('click', (e) => {
+                const revealed = messageDiv.classList.toggle('revealed');
+                e.target.textContent = revealed ? 'Hide' : 'Show';
+            });
+            messageDiv.insertBefore(summary, messageDiv.firstChild);
+        }
+    }
+
+    // Small mute/unmute button next to the sender name of a chat line
+    addSenderMuteButton(messageDiv, message) {
+        const header = messageDiv.querySelector('.chat-message-header');
+        if (!header || !message.senderId || header.querySelector('.chat-sender-mute-btn')) return;
+
+        const account = this.accounts.find(a => a.accountId === this.currentAccountId);
+        if (account && account.avatarUuid && message.senderId === account.avatarUuid) return;
+        if (message.senderId === '00000000-0000-0000-0000-000000000000') return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-link btn-sm p-0 ms-2 chat-sender-mute-btn';
+        button.title = 'Mute or unmute this sender';
+        button.innerHTML = '<i class="fas fa-volume-mute"></i>';
+        button.addEventListener('click', () => this.toggleChatSenderMute(message));
+        header.appendChild(button);
+    }
+
+    async toggleChatSenderMute(message) {
+        if (this.mutedIds.has(message.senderId)) {
+            await this.unmuteEntry(message.senderId, message.senderName);
+            return;
+        }
+
+        // IM and group senders are always avatars; older local chat lines without a source type are
+        // treated as objects unless the sender is in the people list
+        let isAvatar = true;
+        if (!message.sessionId || message.sessionId === 'local-chat') {
+            isAvatar = message.sourceType
+                ? message.sourceType === 'Agent'
+                : this.nearbyAvatars.some(avatar => (avatar.id || avatar.Id) === message.senderId);
+        }
+        await this.muteEntry(message.senderId, message.senderName, isAvatar ? 'Resident' : 'Object');
+    }
+
+    async toggleAvatarMute(avatarId) {
+        const avatar = this.nearbyAvatars.find(a => (a.id || a.Id) === avatarId);
+        const name = avatar ? (avatar.name || avatar.Name || avatar.displayName || avatar.DisplayName) : avatarId;
+
+        if (this.mutedIds.has(avatarId)) {
+            await this.unmuteEntry(avatarId, name);
+        } else {
+            await this.muteEntry(avatarId, name, 'Resident');
+        }
+    }
+
+    async muteEntry(id, name, type) {
+        if (!this.currentAccountId) return;
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${this.currentAccountId}/mute-list`, {
+                method: 'POST',
+                body: JSON.stringify({ id, name, type })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                this.showAlert("Failed to mute: " + (error.message || response.statusText), "danger");
+                return;
+            }
+
+            this.setMuteList(await response.json());
+            this.renderMuteList();
+            this.showAlert(`Muted ${name}`, "success");
+        } catch (error) {
+            console.error("Error muting:", error);
+            this.showAlert("Failed to mute: " + error.message, "danger");
+        }
+    }
+
+    async unmuteEntry(id, name) {
+        if (!this.currentAccountId) return;
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(
+                `/api/accounts/${this.currentAccountId}/mute-list/${encodeURIComponent(id)}?name=${encodeURIComponent(name || '')}`,
+                { method: 'DELETE' });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                this.showAlert("Failed to unmute: " + (error.message || response.statusText), "danger");
+                return;
+            }
+
+            this.setMuteList(await response.json());
+            this.renderMuteList();
+            this.showAlert(`Unmuted ${name}`, "success");
+        } catch (error) {
+            console.error("Error unmuting:", error);
+            this.showAlert("Failed to unmute: " + error.message, "danger");
+        }
+    }
+
+    async showMuteList() {
+        if (!this.currentAccountId) {
+            this.showAlert("No account selected", "warning");
+            return;
+        }
+
+        this.renderMuteList();
+        new bootstrap.Modal(document.getElementById('muteListModal')).show();
+
+        // Pick up mutes made from other viewers since the account was selected
+        await this.loadMuteList();
+        this.renderMuteList();
+    }
+
+    renderMuteList() {
+        const list = document.getElementById('muteListEntries');
+        if (!list) return;
+
+        document.getElementById('noMuteListEntries').classList.toggle('d-none', this.muteList.length > 0);
+        list.innerHTML = this.muteList.map((entry, index) => `
+            <tr>
+                <td>${this.escapeHtml(entry.name)}</td>
+                <td><span class="badge bg-secondary">${this.escapeHtml(entry.type)}</span></td>
+                <td class="text-end">
+                    <button type="button" class="btn btn-outline-danger btn-sm" data-index="${index}">
+                        <i class="fas fa-volume-up me-1"></i>Unmute
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+
+        list.querySelectorAll('button[data-index]').forEach(button => {
+            const entry = this.muteList[Number(button.dataset.index)];
+            button.addEventListener('click', () => this.unmuteEntry(entry.id, entry.name));
+        });
+    }
+
+    // Chat Search Methods
+    searchAllChats(query) {
+        const resultsContainer = document.getElementById('chatSearchResults');
+        const term = query.trim();
+
+        if (term.length < 2) {
+            resultsContainer.innerHTML = '';
+            resultsContainer.classList.add('d-none');
+            return;
+        }
+
+        const lowerTerm = term.toLowerCase();
+        const maxResults = 200;
+        const results = [];
+
+        this.getSearchableChatSources().forEach(source => {
+            // Chat panes only render part of their messages, so search what their window holds
+            const chatWindow = this.chatWindows[source.sessionId];
+            if (chatWindow) {
+                chatWindow.visibleMessages.forEach(message => {
+                    const text = this.getChatMessageText(message);
+                    const sender = message.senderName || '';
+
+                    if (!text.toLowerCase().includes(lowerTerm) && !sender.toLowerCase().includes(lowerTerm)) return;
+
+                    results.push({
+                        tabId: source.tabId,
+                        sessionId: source.sessionId,
+                        sessionName: source.label,
+                        icon: source.icon,
+                        noticeId: null,
+                        sender,
+                        timestamp: message.timestamp,
+                        text: text.trim()
+                    });
+                });
+                return;
+            }
+
+            if (!source.container) return;
+
+            source.container.querySelectorAll('.chat-message').forEach(element => {
+                const isNotice = element.classList.contains('notice');
+                const text = isNotice
+                    ? ['.notice-title', '.notice-message'].map(selector => element.querySelector(selector)?.textContent || '').join(' ')
+                    : element.querySelector('.chat-message-content')?.textContent || '';
+                const sender = element.dataset.sender || '';
+
+                if (!text.toLowerCase().includes(lowerTerm) && !sender.toLowerCase().includes(lowerTerm)) return;
+
+                results.push({
+                    tabId: source.tabId,
+                    sessionId: source.sessionId,
+                    sessionName: source.label,
+                    icon: source.icon,
+                    noticeId: isNotice ? element.id : null,
+                    sender,
+                    timestamp: element.dataset.timestamp,
+                    text: text.trim()
+                });
+            });
+        });
+
+        // Newest matches first
+        results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        this.renderChatSearchResults(results.slice(0, maxResults), term, results.length);
+    }
+
+    // The text a chat line shows, without the markup added for links
+    getChatMessageText(message) {
+        const text = message.message.startsWith('/me ') ? message.message.substring(4) : message.message;
+        if (!text.includes('<') && !text.includes('&')) return text;
+
+        const div = document.createElement('div');
+        div.innerHTML = this.renderMessageContent(text);
+        return div.textContent;
+    }
+
+    getSearchableChatSources() {
+        const sources = [
+            {
+                tabId: 'local-chat',
+                sessionId: 'local-chat',
+                label: 'Local Chat',
+                icon: 'fa-comments',
+                container: document.getElementById('localChatMessages')
+            }
+        ];
+
+        Object.values(this.chatSessions).forEach(session => {
+            sources.push({
+                tabId: `chat-${session.sessionId}`,
+                sessionId: session.sessionId,
+                label: session.sessionName,
+                icon: session.chatType === 'Group' ? 'fa-users' : 'fa-envelope',
+                container: document.getElementById(`messages-${session.sessionId}`)
+            });
+        });
+
+        sources.push({
+            tabId: 'notices',
+            sessionId: 'notices',
+            label: 'Notices',
+            icon: 'fa-bell',
+            container: document.getElementById('noticesMessages')
+        });
+
+        return sources;
+    }
+
+    renderChatSearchResults(results, term, totalCount) {
+        const resultsContainer = document.getElementById('chatSearchResults');
+        resultsContainer.innerHTML = '';
+        resultsContainer.classList.remove('d-none');
+
+        if (results.length === 0) {
+            resultsContainer.innerHTML = '<div class="list-group-item text-muted small">No messages found</div>';
+            return;
         }
+
+        const header = document.createElement('div');
+        header.className = 'list-group-item small text-muted';
+        header.textContent = totalCount > results.length
+            ? `Showing ${results.length} of ${totalCount} matches`
+            : `${totalCount} match${totalCount === 1 ? '' : 'es'}`;
+        resultsContainer.appendChild(header);
+
+        results.forEach(result => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'list-group-item list-group-item-action chat-search-result';
+            item.innerHTML = `
+                <div class="d-flex justify-content-between align-items-center">
+                    <small class="fw-semibold text-truncate">
+                        <i class="fas ${result.icon} me-1"></i>${this.escapeHtml(result.sessionName)}
+                        <span class="text-muted fw-normal ms-1">${this.highlightText(result.sender, term)}</span>
+                    </small>
+                    <small class="text-muted text-nowrap ms-2" title="Second Life Time (SLT)">${this.escapeHtml(this.convertToSLTDateTime(result.timestamp))}</small>
+                </div>
+                <div class="small text-truncate">${this.highlightText(this.getSearchSnippet(result.text, term), term)}</div>
+            `;
+            item.addEventListener('click', () => this.jumpToSearchResult(result, term));
+            resultsContainer.appendChild(item);
+        });
+    }
+
+    // Trim long messages to the text surrounding the first match
+    getSearchSnippet(text, term) {
+        const index = text.toLowerCase().indexOf(term.toLowerCase());
+        if (index === -1 || text.length <= 120) return text;
+
+        const start = Math.max(0, index - 40);
+        const end = Math.min(text.length, index + term.length + 80);
+        return `${start > 0 ? '…' : ''}${text.substring(start, end)}${end < text.length ? '…' : ''}`;
     }
 
-    updateIMSession(session) {
-        this.chatSessions[session.sessionId] = session;
-        
-        // If tab doesn't exist, create it
-        const tabExists = document.getElementById(`chat-${session.sessionId}`);
-        if (!tabExists) {
-            this.createIMTab(session);
-        }
-        
-        // Reset unread count when switching to this tab
-        if (this.currentChatSession === `chat-${session.sessionId}`) {
-            this.updateTabUnreadCount(session.sessionId, 0);
-            // Update monitoring indicator with the updated session info
-            this.updateMonitoringIndicator(`chat-${session.sessionId}`);
-        }
+    jumpToSearchResult(result, term) {
+        document.getElementById('chatSearchResults').classList.add('d-none');
+
+        // Opening an IM/group tab reloads its history, so the jump is applied once that arrives
+        this.pendingSearchJump = { ...result, term, expires: Date.now() + 5000 };
+        this.setActiveTab(result.tabId);
+
+        // Run after setActiveTab's own scroll to bottom; keep the jump for a history reload still in flight
+        setTimeout(() => this.applyPendingSearchJump(result.sessionId, result.sessionId !== 'local-chat'), 250);
     }
 
-    updateGroupSession(session) {
-        // Check if this group was previously closed during this session
-        if (this.closedGroupSessions.has(session.sessionId)) {
-            console.log(`Group ${session.sessionId} was previously closed, not updating`);
+    applyPendingSearchJump(sessionId, keepPending = false) {
+        const jump = this.pendingSearchJump;
+        if (!jump || jump.sessionId !== sessionId) return;
+
+        if (Date.now() > jump.expires) {
+            this.pendingSearchJump = null;
             return;
         }
-        
-        this.chatSessions[session.sessionId] = session;
-        
-        // If tab doesn't exist, create it
-        const tabExists = document.getElementById(`chat-${session.sessionId}`);
-        if (!tabExists) {
-            this.createGroupTab(session);
-        }
-        
-        // Reset unread count when switching to this tab
-        if (this.currentChatSession === `chat-${session.sessionId}`) {
-            this.updateTabUnreadCount(session.sessionId, 0);
-            // Update monitoring indicator with the updated session info
-            this.updateMonitoringIndicator(`chat-${session.sessionId}`);
+
+        const container = sessionId === 'notices'
+            ? document.getElementById('noticesMessages')
+            : this.getChatMessagesContainer(sessionId);
+        if (!container) return;
+
+        const lowerTerm = jump.term.toLowerCase();
+        const chatWindow = this.chatWindows[sessionId];
+        let element;
+        if (jump.noticeId) {
+            element = document.getElementById(jump.noticeId);
+        } else if (chatWindow) {
+            // Render the part of the window holding the match
+            element = chatWindow.reveal(message =>
+                message.timestamp === jump.timestamp &&
+                (message.senderName || '') === jump.sender &&
+                (`${message.senderName || ''} ${this.getChatMessageText(message)}`).toLowerCase().includes(lowerTerm));
+        } else {
+            element = Array.from(container.querySelectorAll('.chat-message')).find(candidate =>
+                candidate.dataset.timestamp === jump.timestamp &&
+                candidate.dataset.sender === jump.sender &&
+                candidate.textContent.toLowerCase().includes(lowerTerm));
         }
-    }
 
-    updateRegionInfo(regionInfo) {
-        // Update region info in the UI if needed
-        const account = this.accounts.find(a => a.accountId === regionInfo.accountId);
-        if (account) {
-            const previousRegion = account.currentRegion;
-            account.currentRegion = regionInfo.name;
-            
-            if (this.currentAccountId === regionInfo.accountId) {
-                document.getElementById('chatAccountStatus').textContent = 
-                    `${account.status} • ${regionInfo.name} (${regionInfo.avatarCount} people)`;
-                
-                // Refresh minimap if region changed (teleport/login to new region)
-                if (window.miniMap && previousRegion !== regionInfo.name) {
-                    console.log(`Region changed from "${previousRegion}" to "${regionInfo.name}" - refreshing minimap after delay`);
-                    // Add a brief delay to allow the backend to update its region information
-                    setTimeout(() => {
-                        window.miniMap.refresh();
-                    }, 750); // 750ms delay to ensure backend cache is updated
-                }
+        if (!element) {
+            // The message may have been paged in from further back than the reloaded history
+            const state = this.chatHistoryState[sessionId];
+            if (state && !state.reachedBeginning) {
+                jump.expires = Date.now() + 5000;
+                this.loadOlderChatHistory(sessionId);
             }
+            return;
+        }
+
+        this.highlightSearchMatch(element, jump.term);
+        if (!keepPending) {
+            this.pendingSearchJump = null;
         }
     }
 
-    updateAccountStatus(status) {
-        const accountIndex = this.accounts.findIndex(a => a.accountId === status.accountId);
-        if (accountIndex !== -1) {
-            // Update the account data
-            this.accounts[accountIndex] = status;
-            
-            // Re-render the accounts list to reflect the updated status
-            this.renderAccountsList();
+    highlightSearchMatch(element, term) {
+        this.clearChatSearchHighlights();
 
-            // Update chat interface if this is the current account
-            if (this.currentAccountId === status.accountId) {
-                // Update the account display name in case it changed
-                const accountNameElement = document.getElementById('chatAccountName');
-                const serviceIcons = `${(status.hasAiBotActive || status.HasAiBotActive) ? '<i class="fas fa-user-circle service-icon" title="AI Bot Active" style="color: #007bff;"></i>&nbsp;' : ''}${(status.hasCorradeActive || status.HasCorradeActive) ? '<i class="fas fa-server service-icon" title="Corrade Active" style="color: #28a745;"></i>&nbsp;' : ''}`;
-                accountNameElement.innerHTML = serviceIcons + (status.displayName || `${status.firstName} ${status.lastName}`);
-                
-                // Update the status text
-                document.getElementById('chatAccountStatus').textContent = 
-                    `${status.status}${status.currentRegion ? ' • ' + status.currentRegion : ''}`;
+        const escapedTerm = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        this.wrapTextMatches(element, new RegExp(escapedTerm, 'gi'), 'chat-search-hit');
 
-                // Update the login/logout buttons based on connection status
-                const loginBtn = document.getElementById('loginBtn');
-                const logoutBtn = document.getElementById('logoutBtn');
-                const regionInfoBtn = document.getElementById('regionInfoBtn');
-                const attachmentsBtn = document.getElementById('attachmentsBtn');
-                const inventoryBtn = document.getElementById('inventoryBtn');
-                const friendsBtn = document.getElementById('friendsBtn');
-                
-                if (status.isConnected) {
-                    loginBtn.classList.add('d-none');
-                    logoutBtn.classList.remove('d-none');
-                    regionInfoBtn.classList.remove('d-none');
-                    attachmentsBtn.classList.remove('d-none');
-                    inventoryBtn.classList.remove('d-none');
-                    friendsBtn.classList.remove('d-none');
-                    // Start avatar refresh when account becomes connected
-                    this.startAvatarRefresh();
-                    
-                    // Show minimap for connected accounts
-                    if (window.miniMap) {
-                        window.miniMap.show(status.accountId);
-                        // Force initial redraw to show any existing avatars
-                        setTimeout(() => {
-                            if (window.miniMap && typeof window.miniMap.forceRedraw === 'function') {
-                                window.miniMap.forceRedraw();
-                            }
-                        }, 500); // Small delay to allow avatar data to load
-                    }
-                    
-                    // Load recent notices for this account
-                    this.loadAccountNotices(status.accountId);
-                    
-                    // Load groups when account connects
-                    this.loadGroups();
-                } else {
-                    loginBtn.classList.remove('d-none');
-                    logoutBtn.classList.add('d-none');
-                    regionInfoBtn.classList.add('d-none');
-                    attachmentsBtn.classList.add('d-none');
-                    inventoryBtn.classList.add('d-none');
-                    friendsBtn.classList.add('d-none');
-                    // Stop avatar refresh when account disconnects
-                    this.stopAvatarRefresh();
-                    
-                    // Hide minimap for disconnected accounts
-                    if (window.miniMap) {
-                        window.miniMap.hide();
-                    }
-                    
-                    // Clear nearby avatars when disconnected
-                    this.nearbyAvatars = [];
-                    this.renderPeopleList();
-                    
-                    // Clear groups when disconnected
-                    this.groups = [];
-                    this.renderGroupsList();
-                    
-                    // Clear closed group sessions when account disconnects
-                    // This allows groups to reopen on next login
-                    this.closedGroupSessions.clear();
-                    console.log('Cleared closed group sessions due to account disconnect');
-                }
-                
-                console.log(`Updated UI for account ${status.accountId}: connected=${status.isConnected}, status=${status.status}`);
-            }
-        } else {
-            console.warn(`Received status update for unknown account: ${status.accountId}`);
-        }
+        element.classList.add('chat-search-target');
+        element.scrollIntoView({ block: 'center' });
     }
 
-    showAlert(message, type) {
-        // Remove existing alerts
-        const existingAlerts = document.querySelectorAll('.temp-alert');
-        existingAlerts.forEach(alert => alert.remove());
+    // Wrap every match of a global regex in the element's text nodes with <mark class="className">
+    wrapTextMatches(element, regex, className) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
 
-        const alertDiv = document.createElement('div');
-        alertDiv.className = `alert alert-${type} alert-dismissible fade show temp-alert`;
-        alertDiv.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            z-index: 10000;
-            min-width: 300px;
-            max-width: 500px;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-        `;
-        alertDiv.innerHTML = `
-            ${message}
-            <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
-        `;
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const matches = Array.from(text.matchAll(regex)).filter(match => match[0].length > 0);
+            if (matches.length === 0) return;
 
-        document.body.appendChild(alertDiv);
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            matches.forEach(match => {
+                fragment.append(text.substring(lastIndex, match.index));
+                const mark = document.createElement('mark');
+                mark.className = className;
+                mark.textContent = match[0];
+                fragment.append(mark);
+                lastIndex = match.index + match[0].length;
+            });
+            fragment.append(text.substring(lastIndex));
+            node.replaceWith(fragment);
+        });
+    }
 
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            if (alertDiv.parentNode) {
-                alertDiv.remove();
-            }
-        }, 5000);
+    clearChatSearchHighlights() {
+        document.querySelectorAll('mark.chat-search-hit').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(document.createTextNode(mark.textContent));
+            parent.normalize();
+        });
+        document.querySelectorAll('.chat-search-target').forEach(element => element.classList.remove('chat-search-target'));
     }
 
-    showLoading(show) {
-        const spinner = document.getElementById('loadingSpinner');
-        if (show) {
-            spinner.classList.remove('d-none');
-        } else {
-            spinner.classList.add('d-none');
+    clearChatSearch() {
+        clearTimeout(this.chatSearchTimer);
+        this.pendingSearchJump = null;
+        this.clearChatSearchHighlights();
+
+        const input = document.getElementById('chatSearchInput');
+        const resultsContainer = document.getElementById('chatSearchResults');
+        if (input) input.value = '';
+        if (resultsContainer) {
+            resultsContainer.innerHTML = '';
+            resultsContainer.classList.add('d-none');
         }
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
+    // Highlight Rule Methods
+    async loadHighlightRules() {
+        this.highlightRules = [];
+        this.compiledHighlightRules = [];
+        if (!this.currentAccountId) return;
 
-    // Convert UTC timestamp to Second Life Time (Pacific Time - PST/PDT)
-    convertToSLT(utcTimestamp) {
         try {
-            const date = new Date(utcTimestamp);
-            
-            // Convert to Pacific Time (automatically handles PST/PDT)
-            const options = {
-                timeZone: 'America/Los_Angeles',
-                hour12: false,
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit'
-            };
-            
-            return date.toLocaleTimeString('en-US', options);
+            const response = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${this.currentAccountId}/highlight-rules`);
+            if (response.ok) {
+                const config = await response.json();
+                this.setHighlightRules(config.rules || []);
+            } else {
+                console.warn("Failed to load highlight rules:", response.status);
+            }
         } catch (error) {
-            console.error('Error converting timestamp to SLT:', error);
-            return new Date().toLocaleTimeString(); // Fallback to current time
+            console.error("Error loading highlight rules:", error);
         }
     }
 
-    // Convert UTC timestamp to SLT with date (for longer format displays)
-    convertToSLTDateTime(utcTimestamp) {
-        try {
-            const date = new Date(utcTimestamp);
-            
-            // Convert to Pacific Time with full date
-            const options = {
-                timeZone: 'America/Los_Angeles',
-                year: 'numeric',
-                month: 'short',
-                day: '2-digit',
-                hour12: false,
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit'
-            };
-            
-            return date.toLocaleString('en-US', options);
-        } catch (error) {
-            console.error('Error converting timestamp to SLT DateTime:', error);
-            return new Date().toLocaleString(); // Fallback to current time
+    setHighlightRules(rules) {
+        this.highlightRules = rules;
+        this.compiledHighlightRules = [];
+
+        rules.filter(rule => rule.enabled && rule.pattern).forEach(rule => {
+            try {
+                const source = rule.isRegex ? rule.pattern : rule.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                this.compiledHighlightRules.push({
+                    rule,
+                    regex: new RegExp(source, rule.caseSensitive ? 'g' : 'gi')
+                });
+            } catch (error) {
+                console.warn(`Skipping invalid highlight pattern "${rule.pattern}":`, error);
+            }
+        });
+    }
+
+    // Returns the rules matching a message; our own messages never match
+    matchHighlightRules(message) {
+        if (this.compiledHighlightRules.length === 0 || !message || !message.message) return [];
+
+        const account = this.accounts.find(a => a.accountId === this.currentAccountId);
+        if (account && account.avatarUuid && message.senderId === account.avatarUuid) return [];
+
+        return this.compiledHighlightRules.filter(({ regex }) => {
+            regex.lastIndex = 0;
+            return regex.test(message.message);
+        });
+    }
+
+    // Mark a rendered chat line that matches highlight rules; returns the matched rules
+    applyHighlightRules(messageDiv, message) {
+        const matches = this.matchHighlightRules(message);
+        if (matches.length === 0) return [];
+
+        messageDiv.classList.add('chat-message-highlight');
+        messageDiv.style.setProperty('--highlight-color', matches[0].rule.color || '#ffc107');
+
+        const content = messageDiv.querySelector('.chat-message-content');
+        if (content) {
+            matches.forEach(({ regex }) => this.wrapTextMatches(content, regex, 'highlight-rule-hit'));
+        }
+
+        return matches.map(match => match.rule);
+    }
+
+    raiseHighlightAlerts(chatMessage, rules) {
+        if (rules.some(rule => rule.playSound)) {
+            this.playAlertSound();
         }
     }
 
-    // Format relative time for interactive notice responses
-    formatRelativeTime(timestamp) {
-        try {
-            const date = new Date(timestamp);
-            const now = new Date();
-            const diffMs = now - date;
-            const diffMins = Math.floor(diffMs / 60000);
-            const diffHours = Math.floor(diffMs / 3600000);
-            const diffDays = Math.floor(diffMs / 86400000);
+    updateLocalChatMentionCount(count) {
+        this.localChatMentionCount = count;
+
+        const badge = document.getElementById('local-chat-mentions');
+        if (!badge) return;
+
+        badge.textContent = `@${count}`;
+        badge.style.display = count > 0 ? 'inline' : 'none';
+    }
+
+    // Short two-tone chime generated with Web Audio so no sound file is needed
+    playAlertSound() {
+        const now = Date.now();
+        if (now - this.lastAlertSoundTime < 2000) return;
+        this.lastAlertSoundTime = now;
 
-            if (diffMins < 1) {
-                return 'just now';
-            } else if (diffMins < 60) {
-                return `${diffMins} min${diffMins !== 1 ? 's' : ''} ago`;
-            } else if (diffHours < 24) {
-                return `${diffHours} hour${diffHours !== 1 ? 's' : ''} ago`;
-            } else if (diffDays < 7) {
-                return `${diffDays} day${diffDays !== 1 ? 's' : ''} ago`;
-            } else {
-                return this.convertToSLT(timestamp);
-            }
+        try {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+
+            this.audioContext = this.audioContext || new AudioContextClass();
+            const context = this.audioContext;
+
+            [880, 1320].forEach((frequency, index) => {
+                const oscillator = context.createOscillator();
+                const gain = context.createGain();
+                const start = context.currentTime + index * 0.15;
+
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.15, start);
+                gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+                oscillator.connect(gain).connect(context.destination);
+                oscillator.start(start);
+                oscillator.stop(start + 0.25);
+            });
         } catch (error) {
-            console.error('Error formatting relative time:', error);
-            return 'some time ago';
+            console.warn("Could not play alert sound:", error);
         }
     }
 
-    // Format chat timestamp with relative date information for older messages
-    formatChatTimestamp(timestamp) {
+    // Desktop Notification Methods
+    // IMs always notify; group and local chat only when they mention us or match a rule asking for it
+    notifyChatMessage(chatMessage, matchedRules) {
+        const isLocalChat = !chatMessage.sessionId || chatMessage.sessionId === 'local-chat';
+        const session = isLocalChat ? null : this.chatSessions[chatMessage.sessionId];
+        const isGroup = session ? session.chatType === 'Group' : chatMessage.chatType === 'Group';
+
+        const account = this.accounts.find(a => a.accountId === chatMessage.accountId);
+        if (account && account.avatarUuid && chatMessage.senderId === account.avatarUuid) return;
+
+        const wantsNotification = matchedRules.some(rule => rule.showNotification);
+        const isMention = matchedRules.length > 0 || this.isOwnNameMentioned(chatMessage.message, account);
+
+        if (isLocalChat && !wantsNotification) return;
+        if (isGroup && !wantsNotification && !isMention) return;
+
+        const where = isLocalChat ? 'Local Chat' : (session ? session.sessionName : (chatMessage.sessionName || chatMessage.senderName));
+        const text = chatMessage.message.startsWith('/me ')
+            ? `${chatMessage.senderName} ${chatMessage.message.substring(4)}`
+            : chatMessage.message;
+
+        this.notifyDesktop({
+            accountId: chatMessage.accountId,
+            sessionId: chatMessage.sessionId || 'local-chat',
+            tabId: isLocalChat ? 'local-chat' : `chat-${chatMessage.sessionId}`,
+            title: isGroup || isLocalChat ? `${chatMessage.senderName} in ${where}` : `IM from ${chatMessage.senderName}`,
+            body: text,
+            requestedByRule: wantsNotification
+        });
+    }
+
+    isOwnNameMentioned(message, account) {
+        if (!account || !message) return false;
+
+        return [account.firstName, account.displayName]
+            .filter(name => name && name.trim())
+            .some(name => {
+                const escaped = name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return new RegExp(`(^|\\W)${escaped}(\\W|$)`, 'i').test(message);
+            });
+    }
+
+    // Show a Web Notification when the page is in the background, honouring do-not-disturb, mutes and rate limits;
+    // a highlight rule that asks for a notification gets one even with the general toggle off or the page in view
+    notifyDesktop({ accountId, sessionId = null, tabId = null, title, body, requestedByRule = false }) {
+        if ((!this.notificationsEnabled && !requestedByRule) || this.doNotDisturb) return;
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        if (!document.hidden && !requestedByRule) return;
+        if (sessionId && this.isSessionNotificationMuted(accountId, sessionId)) return;
+
+        const now = Date.now();
+        const sessionKey = `${accountId}:${sessionId || 'dialogs'}`;
+
+        // One notification per session every 15 seconds and no more than 5 a minute overall
+        this.recentNotificationTimes = this.recentNotificationTimes.filter(time => now - time < 60000);
+        if (this.recentNotificationTimes.length >= 5 ||
+            (sessionId && now - (this.lastSessionNotificationTimes[sessionKey] || 0) < 15000)) {
+            this.suppressedNotificationCount++;
+            return;
+        }
+
+        this.recentNotificationTimes.push(now);
+        this.lastSessionNotificationTimes[sessionKey] = now;
+
+        let text = body.length > 200 ? body.substring(0, 200) + '…' : body;
+        if (this.suppressedNotificationCount > 0) {
+            text += `\n(+${this.suppressedNotificationCount} more while notifications were throttled)`;
+            this.suppressedNotificationCount = 0;
+        }
+
+        const account = this.accounts.find(a => a.accountId === accountId);
+        const accountName = account ? (account.displayName || `${account.firstName} ${account.lastName}`) : null;
+
         try {
-            const msgDate = new Date(timestamp);
-            const now = new Date();
-            
-            // Convert both to SLT for proper comparison
-            const sltOptions = { timeZone: 'America/Los_Angeles' };
-            const msgSltDate = new Date(msgDate.toLocaleString('en-US', sltOptions));
-            const nowSltDate = new Date(now.toLocaleString('en-US', sltOptions));
-            
-            // Get the start of today in SLT
-            const todayStart = new Date(nowSltDate);
-            todayStart.setHours(0, 0, 0, 0);
-            
-            // Get the start of yesterday in SLT  
-            const yesterdayStart = new Date(todayStart);
-            yesterdayStart.setDate(todayStart.getDate() - 1);
-            
-            const msgDateStart = new Date(msgSltDate);
-            msgDateStart.setHours(0, 0, 0, 0);
-            
-            // Get just the time portion
-            const timeOnly = this.convertToSLT(timestamp);
-            
-            if (msgDateStart.getTime() === todayStart.getTime()) {
-                // Today - just show time
-                return timeOnly;
-            } else if (msgDateStart.getTime() === yesterdayStart.getTime()) {
-                // Yesterday - show "yesterday" + time
-                return `yesterday<br>${timeOnly}`;
-            } else {
-                // Older - calculate days ago
-                const diffTime = todayStart.getTime() - msgDateStart.getTime();
-                const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-                return `${diffDays} days ago<br>${timeOnly}`;
-            }
+            const notification = new Notification(title, {
+                body: accountName ? `${text}\n— ${accountName}` : text,
+                tag: sessionKey
+            });
+
+            notification.onclick = async () => {
+                window.focus();
+                notification.close();
+
+                if (accountId && accountId !== this.currentAccountId) {
+                    await this.selectAccount(accountId);
+                }
+                if (tabId) {
+                    this.setActiveTab(tabId);
+                }
+            };
         } catch (error) {
-            console.error('Error formatting chat timestamp:', error);
-            // Fallback to regular SLT time
-            return this.convertToSLT(timestamp);
+            console.warn("Could not show desktop notification:", error);
         }
     }
 
-    // New method to safely render message content that may contain SLURL links
-    renderMessageContent(message) {
-        // If the message contains HTML-like content (our SLURL links), render it as HTML
-        if (message && message.includes('<a href=') && message.includes('class="slurl-link')) {
-            return message; // Already processed and safe HTML from server
-        }
-        // Otherwise, escape HTML to prevent XSS
-        return this.escapeHtml(message);
+    isSessionNotificationMuted(accountId, sessionId) {
+        return this.mutedNotificationSessions.has(`${accountId}:${sessionId}`);
     }
 
-    loadChatHistory(accountId, sessionId, messages) {
-        if (!messages || messages.length === 0) return;
-        
-        // Only load history for the current account
-        if (accountId !== this.currentAccountId) return;
-        
-        // Find the chat container for this session
-        let chatContainer;
-        if (sessionId === 'local-chat') {
-            chatContainer = document.getElementById('localChatMessages');
+    toggleSessionNotificationMute(sessionId) {
+        const key = `${this.currentAccountId}:${sessionId}`;
+        if (this.mutedNotificationSessions.has(key)) {
+            this.mutedNotificationSessions.delete(key);
         } else {
-            chatContainer = document.getElementById(`messages-${sessionId}`);
-        }
-        
-        if (chatContainer) {
-            // Clear existing messages to avoid duplicates
-            chatContainer.innerHTML = '';
-            
-            // Display historical messages
-            messages.forEach(message => {
-                this.appendChatMessage(chatContainer, message);
-            });
-            
-            // Scroll to bottom
-            chatContainer.scrollTop = chatContainer.scrollHeight;
+            this.mutedNotificationSessions.add(key);
         }
+
+        localStorage.setItem('mutedNotificationSessions', JSON.stringify([...this.mutedNotificationSessions]));
     }
 
-    handleChatHistoryCleared(accountId, sessionId) {
-        // Only handle for the current account
-        if (accountId !== this.currentAccountId) return;
-        
-        console.log(`Chat history cleared for session: ${sessionId}`);
-        
-        // Clear the messages from the UI
-        let chatContainer;
-        if (sessionId === 'local-chat') {
-            chatContainer = document.getElementById('localChatMessages');
-        } else {
-            chatContainer = document.getElementById(`messages-${sessionId}`);
+    updateMuteButton(button, sessionId) {
+        if (!button) return;
+
+        const muted = this.isSessionNotificationMuted(this.currentAccountId, sessionId);
+        button.classList.toggle('muted', muted);
+        button.title = muted ? 'Unmute desktop notifications' : 'Mute desktop notifications';
+        button.innerHTML = `<i class="fas ${muted ? 'fa-bell-slash' : 'fa-bell'}"></i>`;
+    }
+
+    showHighlightRules() {
+        if (!this.currentAccountId) {
+            this.showAlert("No account selected", "warning");
+            return;
         }
-        
-        if (chatContainer) {
-            chatContainer.innerHTML = '';
-            console.log(`UI cleared for session: ${sessionId}`);
+
+        const list = document.getElementById('highlightRulesList');
+        list.innerHTML = '';
+        this.highlightRules.forEach(rule => this.addHighlightRuleRow(rule));
+        this.updateNoHighlightRulesMessage();
+
+        const modal = new bootstrap.Modal(document.getElementById('highlightRulesModal'));
+        modal.show();
+    }
+
+    addHighlightRuleRow(rule = {}) {
+        const list = document.getElementById('highlightRulesList');
+        const row = document.createElement('tr');
+        row.dataset.ruleId = rule.id || ''; // New rules get an id from the server
+        row.innerHTML = `
+            <td><input class="form-check-input rule-enabled" type="checkbox" ${rule.enabled !== false ? 'checked' : ''}></td>
+            <td><input type="text" class="form-control form-control-sm rule-pattern" maxlength="200" placeholder="e.g. Jane or \\bhelp\\b"></td>
+            <td><input class="form-check-input rule-regex" type="checkbox" ${rule.isRegex ? 'checked' : ''}></td>
+            <td><input class="form-check-input rule-case" type="checkbox" ${rule.caseSensitive ? 'checked' : ''}></td>
+            <td><input type="color" class="form-control form-control-sm rule-color"></td>
+            <td><input class="form-check-input rule-sound" type="checkbox" ${rule.playSound ? 'checked' : ''}></td>
+            <td><input class="form-check-input rule-notify" type="checkbox" ${rule.showNotification ? 'checked' : ''}></td>
+            <td>
+                <button type="button" class="btn btn-sm btn-outline-danger rule-remove" title="Remove rule">
+                    <i class="fas fa-trash-alt"></i>
+                </button>
+            </td>
+        `;
+        // Set as properties so quotes in a pattern can't break out of the markup
+        row.querySelector('.rule-pattern').value = rule.pattern || '';
+        row.querySelector('.rule-color').value = rule.color || '#ffc107';
+
+        row.querySelector('.rule-remove').addEventListener('click', () => {
+            row.remove();
+            this.updateNoHighlightRulesMessage();
+        });
+
+        list.appendChild(row);
+        this.updateNoHighlightRulesMessage();
+
+        if (!rule.pattern) {
+            row.querySelector('.rule-pattern').focus();
         }
     }
 
-    loadRecentSessions(accountId, sessions) {
-        if (!sessions || sessions.length === 0) return;
-        
-        // Only load sessions for the current account
-        if (accountId !== this.currentAccountId) return;
-        
-        // Create tabs for recent sessions that don't already exist
-        sessions.forEach(session => {
-            const existingTab = document.getElementById(`chat-${session.sessionId}`);
-            if (!existingTab) {
-                if (session.chatType === 'IM') {
-                    this.createIMTab(session);
-                } else if (session.chatType === 'Group') {
-                    this.createGroupTab(session);
-                }
-            }
+    addOwnNameHighlightRules() {
+        const account = this.accounts.find(a => a.accountId === this.currentAccountId);
+        if (!account) return;
+
+        const existing = this.collectHighlightRules().map(rule => rule.pattern.toLowerCase());
+        const names = [account.firstName, account.displayName]
+            .filter(name => name && name.trim())
+            .map(name => name.trim());
+
+        let added = 0;
+        [...new Set(names)].forEach(name => {
+            if (existing.includes(name.toLowerCase())) return;
+            this.addHighlightRuleRow({ pattern: name, enabled: true, playSound: true });
+            added++;
         });
+
+        if (added === 0) {
+            this.showAlert("Rules for this avatar's names already exist", "info");
+        }
     }
 
-    appendChatMessage(container, message) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'chat-message mb-2';
-        
-        // Use enhanced timestamp formatting with relative date information
-        const timestamp = this.formatChatTimestamp(message.timestamp);
-        const senderName = this.escapeHtml(message.senderName);
-        
-        // Check if this is a /me command (personal thought)
-        const isPersonalThought = message.message.startsWith('/me ');
-        const displayMessage = isPersonalThought ? message.message.substring(4) : message.message;
-        const nameFormat = isPersonalThought ? '' : ':';
-        
-        messageDiv.innerHTML = `
-            <div class="chat-message-layout d-flex">
-                <div class="chat-message-time">
-                    <span class="text-muted small" title="Second Life Time (SLT)">${timestamp}</span>
-                </div>
-                <div class="chat-message-right">
-                    <div class="chat-message-header">
-                        <span class="fw-bold">${senderName}${nameFormat}</span>
-                    </div>
-                    <div class="chat-message-content">
-                        <span>${this.renderMessageContent(displayMessage)}</span>
-                    </div>
-                </div>
-            </div>
-        `;
-        
-        container.appendChild(messageDiv);
-        
-        // Add event listeners for SLURL links in this message
-        this.attachSlUrlLinkHandlers(messageDiv);
+    updateNoHighlightRulesMessage() {
+        const hasRows = document.getElementById('highlightRulesList').children.length > 0;
+        document.getElementById('noHighlightRules').classList.toggle('d-none', hasRows);
+    }
+
+    collectHighlightRules() {
+        return Array.from(document.querySelectorAll('#highlightRulesList tr')).map(row => ({
+            id: row.dataset.ruleId,
+            pattern: row.querySelector('.rule-pattern').value.trim(),
+            isRegex: row.querySelector('.rule-regex').checked,
+            caseSensitive: row.querySelector('.rule-case').checked,
+            enabled: row.querySelector('.rule-enabled').checked,
+            color: row.querySelector('.rule-color').value,
+            playSound: row.querySelector('.rule-sound').checked,
+            showNotification: row.querySelector('.rule-notify').checked
+        }));
+    }
+
+    async saveHighlightRules() {
+        if (!this.currentAccountId) return;
+
+        const rules = this.collectHighlightRules().filter(rule => rule.pattern);
+
+        // Check regexes here so the error points at the rule before the round trip
+        for (const rule of rules.filter(r => r.isRegex)) {
+            try {
+                new RegExp(rule.pattern);
+            } catch (error) {
+                this.showAlert(`Invalid regular expression "${rule.pattern}": ${error.message}`, "warning");
+                return;
+            }
+        }
+
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${this.currentAccountId}/highlight-rules`, {
+                method: 'PUT',
+                body: JSON.stringify({ rules })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                this.showAlert("Failed to save highlight rules: " + (error.message || response.statusText), "danger");
+                return;
+            }
+
+            const result = await response.json();
+            this.setHighlightRules(result.config.rules || []);
+
+            // Notifications need the browser's permission, which can only be asked for from a user action
+            if (rules.some(rule => rule.enabled && rule.showNotification) &&
+                'Notification' in window && Notification.permission === 'default') {
+                Notification.requestPermission();
+            }
+
+            bootstrap.Modal.getInstance(document.getElementById('highlightRulesModal'))?.hide();
+            this.showAlert(`Saved ${rules.length} highlight rule${rules.length === 1 ? '' : 's'}`, "success");
+        } catch (error) {
+            console.error("Error saving highlight rules:", error);
+            this.showAlert("Failed to save highlight rules: " + error.message, "danger");
+        }
     }
 
     handleNoticeReceived(noticeEvent) {
@@ -4664,16 +9299,6 @@ class RadegastWebClient {
     }
 
     // Handle SLURL link clicks
-    attachSlUrlLinkHandlers(container) {
-        const slUrlLinks = container.querySelectorAll('a.slurl-link');
-        slUrlLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.handleSlUrlClick(link);
-            });
-        });
-    }
-
     handleSlUrlClick(link) {
         const href = link.getAttribute('href');
         const action = link.getAttribute('data-action');
@@ -4994,6 +9619,9 @@ class RadegastWebClient {
     async cleanup() {
         console.log("Starting cleanup process...");
         
+        // Pop-outs can't send without us; they re-attach if this page is reloaded
+        this.postToPopouts({ type: 'main-closed' });
+        
         // Stop heartbeat and connection validation
         this.stopHeartbeat();
         
@@ -5054,6 +9682,8 @@ class RadegastWebClient {
         const noticeDiv = document.createElement('div');
         noticeDiv.className = `chat-message notice mb-3 p-3 border rounded`;
         noticeDiv.id = `notice-${notice.id}`;
+        noticeDiv.dataset.timestamp = notice.timestamp;
+        noticeDiv.dataset.sender = notice.fromName || '';
         // Notice.Type enum: 0=Group, 1=Region, 2=System, 5=FriendshipRequest, 6=GroupInvitation
         let backgroundColor = '#563838'; // Default
         if (notice.type === 0) backgroundColor = '#213c50'; // Group
@@ -5136,6 +9766,8 @@ class RadegastWebClient {
         sortedNotices.forEach(notice => {
             this.displayNoticeInTab(notice);
         });
+        
+        this.applyPendingSearchJump('notices');
     }
 
     // Mark all notices as read when the notices tab is activated
@@ -5239,6 +9871,13 @@ class RadegastWebClient {
         if (this.currentChatSession !== 'notices') {
             this.showAlert(`Friendship offer from ${request.fromName}`, "info");
         }
+        
+        this.notifyDesktop({
+            accountId: request.accountId,
+            tabId: 'notices',
+            title: 'Friendship offer',
+            body: notice.message
+        });
 
         // Show modal for immediate user interaction
         this.showInteractiveNoticeModal(notice);
@@ -5294,6 +9933,13 @@ class RadegastWebClient {
         if (this.currentChatSession !== 'notices') {
             this.showAlert(`Group invitation from ${invitation.fromName} for "${invitation.groupName}"`, "info");
         }
+        
+        this.notifyDesktop({
+            accountId: invitation.accountId,
+            tabId: 'notices',
+            title: 'Group invitation',
+            body: notice.message
+        });
 
         // Show modal for immediate user interaction
         this.showInteractiveNoticeModal(notice);
@@ -5572,6 +10218,12 @@ class RadegastWebClient {
         this.scriptDialogQueue.push(dialog);
         console.log("Script dialog added to queue. Queue length:", this.scriptDialogQueue.length);
         
+        this.notifyDesktop({
+            accountId: dialog.accountId,
+            title: `Dialog from ${dialog.objectName}`,
+            body: dialog.message
+        });
+        
         // Process queue if not already showing a dialog
         this.processScriptDialogQueue();
     }
@@ -6083,6 +10735,12 @@ class RadegastWebClient {
         this.teleportRequestQueue.push(request);
         console.log("Teleport request added to queue. Queue length:", this.teleportRequestQueue.length);
         
+        this.notifyDesktop({
+            accountId: request.accountId,
+            title: `Teleport offer from ${request.fromAgentName}`,
+            body: request.message || 'Join me!'
+        });
+        
         // Process queue if not already showing a request
         this.processTeleportRequestQueue();
     }
@@ -6274,10 +10932,11 @@ class RadegastWebClient {
         }
     }
 
+    // Safe in element content and in quoted attribute values
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     // Load recent notices for an account when it connects
@@ -6420,6 +11079,53 @@ class RadegastWebClient {
         }
     }
 
+    async loadAccountSchedule(accountId) {
+        let schedule = { enabled: false, windows: [] };
+        try {
+            const response = await window.authManager.makeAuthenticatedRequest(`/api/accounts/${accountId}/schedule`);
+            if (response.ok) {
+                schedule = await response.json();
+            }
+        } catch (error) {
+            console.error("Error loading schedule:", error);
+        }
+
+        document.getElementById('editScheduleEnabled').checked = schedule.enabled || false;
+        document.getElementById('editScheduleWindows').innerHTML = '';
+        (schedule.windows || []).forEach(scheduleWindow => this.addScheduleWindow(scheduleWindow));
+    }
+
+    addScheduleWindow(scheduleWindow = { days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' }) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const row = document.createElement('div');
+        row.className = 'schedule-window d-flex flex-wrap align-items-center gap-2 mb-2';
+        row.innerHTML = `
+            <div class="btn-group btn-group-sm" role="group">
+                ${dayNames.map((name, day) => `
+                    <input type="checkbox" class="btn-check schedule-day" id="scheduleDay-${this.scheduleWindowCounter}-${day}" data-day="${day}" autocomplete="off"
+                           ${scheduleWindow.days.includes(day) ? 'checked' : ''}>
+                    <label class="btn btn-outline-primary" for="scheduleDay-${this.scheduleWindowCounter}-${day}">${name}</label>
+                `).join('')}
+            </div>
+            <input type="time" class="form-control form-control-sm schedule-start" value="${scheduleWindow.start}" title="Online from (SLT)">
+            <span class="text-muted">to</span>
+            <input type="time" class="form-control form-control-sm schedule-end" value="${scheduleWindow.end}" title="Online until (SLT); earlier than the start runs past midnight">
+            <button type="button" class="btn btn-outline-danger btn-sm" onclick="this.closest('.schedule-window').remove()" title="Remove window">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        this.scheduleWindowCounter++;
+        document.getElementById('editScheduleWindows').appendChild(row);
+    }
+
+    readScheduleWindows() {
+        return [...document.querySelectorAll('#editScheduleWindows .schedule-window')].map(row => ({
+            days: [...row.querySelectorAll('.schedule-day:checked')].map(input => parseInt(input.dataset.day)),
+            start: row.querySelector('.schedule-start').value,
+            end: row.querySelector('.schedule-end').value
+        }));
+    }
+
     async saveAutoGreeterSettings() {
         if (!this.currentAccountId) {
             this.showAlert("No account selected", "warning");